@@ -0,0 +1,102 @@
+import { log } from '../src/log.js';
+import { getState } from '../src/state.js';
+import { undo } from '../src/commands/command-bus.js';
+import { makeLineShape, getLineEndpoints } from '../src/shapes-line.js';
+import { makeSwipeShape } from '../src/shapes-action.js';
+import { shapeToSerializable, makeShapeFromSerializable, importSceneINI } from '../src/serialization/scene-io.js';
+import { serializeSceneINI } from '../src/serialization/scene-ini.js';
+
+/*
+  Line round-trip check: horizontal, vertical and diagonal lines and swipes
+  (same Line child, shapes-line.js placeLine) are saved and loaded `cycles`
+  times, through a JSON record and through the .ini, and must come back on
+  the same endpoints (JSON) / keep exporting the drawn coordinates (INI).
+  INI imports go through the live scene and are undone right away.
+*/
+
+const CASES = [
+  { name: 'horizontal', points: [5, 5, 95, 5] },
+  { name: 'vertical', points: [10, 400, 10, 100] },
+  { name: 'diagonal', points: [5, 5, 95, 45] }
+];
+
+const SHAPES = [
+  { type: 'line', make: makeLineShape },
+  { type: 'swipe', make: makeSwipeShape }
+];
+
+function maxDelta(a, b) {
+  if (a.length !== 2 || b.length !== 2) return Infinity;
+  return Math.max(...a.flatMap((p, i) => [Math.abs(p.x - b[i].x), Math.abs(p.y - b[i].y)]));
+}
+
+function jsonCycle(shape) {
+  return makeShapeFromSerializable(JSON.parse(JSON.stringify(shapeToSerializable(shape))));
+}
+
+// The shape's own .ini line (no section header, logic or comments).
+function iniLine(shape) {
+  const { text } = serializeSceneINI({ name: getState().sceneName, shapes: [shape], bgImage: getState().bgFabricImage });
+  return text.split(/\r?\n/).find(l => l && !/^\[|^logic\s*=|^[;#]/.test(l.trim())) || '';
+}
+
+// Export `shape`, import the line into the live scene and undo the import;
+// the imported shape (kept after the undo) feeds the next cycle.
+async function iniCycle(shape) {
+  const line = iniLine(shape);
+  if (!line) return null;
+  const before = (getState().shapes || []).length;
+  await importSceneINI(`[${getState().sceneName || 'Scene'}]\nlogic = ${getState().sceneLogic || 'AND'}\n${line}\n`);
+  const shapes = getState().shapes || [];
+  if (shapes.length !== before + 1) return null;
+  const imported = shapes[shapes.length - 1];
+  undo();
+  return imported;
+}
+
+export async function runLineRoundTripCheck(options = {}) {
+  const { cycles = 3, tolerance = 1e-6 } = options;
+  const results = [];
+  let mismatchCount = 0;
+
+  for (const { type, make } of SHAPES) {
+    for (const { name, points } of CASES) {
+      const original = make(...points);
+      const start = getLineEndpoints(original);
+
+      let shape = original;
+      let jsonDelta = 0;
+      for (let i = 0; i < cycles; i++) {
+        shape = jsonCycle(shape);
+        jsonDelta = Math.max(jsonDelta, shape ? maxDelta(start, getLineEndpoints(shape)) : Infinity);
+      }
+
+      const iniLines = [iniLine(original)];
+      let current = original;
+      for (let i = 0; i < cycles && current; i++) {
+        current = await iniCycle(current);
+        iniLines.push(current ? iniLine(current) : null);
+      }
+
+      // Integer endpoints: the first export writes exactly what was drawn.
+      const iniDrawn = iniLines[0].includes(`= ${points.join(',')}`);
+      const iniStable = iniLines.every(l => l === iniLines[0]);
+      const ok = jsonDelta <= tolerance && iniDrawn && iniStable;
+      if (!ok) mismatchCount++;
+      const row = { type, name, points, jsonDelta, iniLines, status: ok ? 'ok' : 'mismatch' };
+      results.push(row);
+      log(ok ? "DEBUG" : "WARN", "[line-roundtrip-sanity] case", row);
+    }
+  }
+
+  const summary = { checked: results.length, mismatchCount, cycles, tolerance };
+  log("INFO", "[line-roundtrip-sanity] Summary", summary);
+  return { summary, details: results };
+}
+
+if (typeof window !== "undefined") {
+  window.__lineCheck = {
+    run: runLineRoundTripCheck
+  };
+  log("DEBUG", "[line-roundtrip-sanity] window.__lineCheck.run() available");
+}
@@ -0,0 +1,71 @@
+import { log } from '../src/log.js';
+import { getState } from '../src/state.js';
+import { addShapeOfType } from '../src/actions.js';
+import { undo } from '../src/commands/command-bus.js';
+import { sketchShapeOpts, isCreatableShapeType } from '../src/canvas-tool-mode.js';
+import { getShapeImageGeometry } from '../src/geometry/shape-rect.js';
+
+/*
+  Click-drag creation check: every creatable type is added through ADD_SHAPE
+  with the opts of a drag (the ones the live preview paints) and its drawable
+  bounds (canvas space) are compared with the dragged box. Each shape is
+  removed again with undo.
+*/
+
+const TYPES = ['rect', 'region', 'template', 'circle', 'ellipse', 'point'];
+
+function expectedBox(type, opts) {
+  if (type === 'point') return { x1: opts.x, y1: opts.y, x2: opts.x, y2: opts.y };
+  const rx = opts.radius ?? opts.width / 2;
+  const ry = opts.radius ?? opts.height / 2;
+  return { x1: opts.x - rx, y1: opts.y - ry, x2: opts.x + rx, y2: opts.y + ry };
+}
+
+function actualBox(type, geom) {
+  if (type === 'point') return { x1: geom.center.x, y1: geom.center.y, x2: geom.center.x, y2: geom.center.y };
+  return geom.bounds;
+}
+
+export function runShapeCreationCheck(options = {}) {
+  const {
+    start = { x: 10, y: 20 },
+    end = { x: 60, y: 50 },
+    tolerance = 0.01
+  } = options;
+
+  const results = [];
+  let mismatchCount = 0;
+
+  for (const type of TYPES.filter(isCreatableShapeType)) {
+    const opts = sketchShapeOpts(type, start, end, false);
+    const before = (getState().shapes || []).length;
+    addShapeOfType(type, opts);
+    const shapes = getState().shapes || [];
+    if (shapes.length !== before + 1) {
+      results.push({ type, status: 'skip', reason: 'not-added' });
+      continue;
+    }
+    const shape = shapes[shapes.length - 1];
+    const geom = getShapeImageGeometry(shape, null);
+    undo();
+
+    const expected = expectedBox(type, opts);
+    const actual = geom ? actualBox(type, geom) : null;
+    const ok = !!actual && ['x1', 'y1', 'x2', 'y2'].every(k => Math.abs(actual[k] - expected[k]) <= tolerance);
+    if (!ok) mismatchCount++;
+    const row = { type, expected, actual, status: ok ? 'ok' : 'mismatch' };
+    results.push(row);
+    log(ok ? "DEBUG" : "WARN", "[shape-creation-sanity] shape", row);
+  }
+
+  const summary = { checked: results.length, mismatchCount, start, end, tolerance };
+  log("INFO", "[shape-creation-sanity] Summary", summary);
+  return { summary, details: results };
+}
+
+if (typeof window !== "undefined") {
+  window.__createCheck = {
+    run: runShapeCreationCheck
+  };
+  log("DEBUG", "[shape-creation-sanity] window.__createCheck.run() available");
+}
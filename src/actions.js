@@ -1,6 +1,8 @@
 import { log } from './log.js';
 import { getState } from './state.js';
 import { dispatch } from './commands/command-bus.js';
+import { captureTemplateRecord, isTemplateShape } from './template-capture.js';
+import { isActionShape } from './shape-defs.js';
 export { alignSelected } from './actions-alignment.js';
 
 /*
@@ -132,6 +134,231 @@ export function setStrokeWidthForSelected(width, options = {}) {
   }, options);
 }
 
+/**
+ * Per-shape variants ([{ id, fill }] / [{ id, width }]) for edits that differ
+ * per shape, e.g. a relative "+=1" on a multi-selection.
+ */
+export function setFillColorForShapes(items, options = {}) {
+  if (!Array.isArray(items) || !items.length) {
+    log("INFO", "[actions] No items for fill color");
+    return;
+  }
+  dispatch({ type: 'SET_FILL_COLOR', payload: { items } }, options);
+}
+
+export function setStrokeWidthForShapes(items, options = {}) {
+  if (!Array.isArray(items) || !items.length) {
+    log("INFO", "[actions] No items for stroke width");
+    return;
+  }
+  dispatch({ type: 'SET_STROKE_WIDTH', payload: { items } }, options);
+}
+
+/* Transform Intents */
+
+/**
+ * Absolute transforms [{ id, left?, top?, scaleX?, scaleY?, angle? }] in one
+ * SET_TRANSFORMS; locked shapes are skipped by the executor.
+ */
+export function setShapeTransforms(items, options = {}) {
+  if (!Array.isArray(items) || !items.length) {
+    log("INFO", "[actions] No items for transforms");
+    return;
+  }
+  dispatch({ type: 'SET_TRANSFORMS', payload: { items } }, options);
+}
+
+/* Label Intents */
+
+/**
+ * Rename one shape (SET_LABEL); empty / null = the type's default label.
+ */
+export function setShapeLabel(id, label, options = {}) {
+  if (id == null) {
+    log("INFO", "[actions] No shape to label");
+    return;
+  }
+  dispatch({ type: 'SET_LABEL', payload: { items: [{ id, label: label ?? null }] } }, options);
+}
+
+export function setLabelForSelected(label, options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection to label");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, label: label ?? null }));
+  dispatch({ type: 'SET_LABEL', payload: { items } }, options);
+}
+
+/* Check Data Intents */
+
+export function setExpectedColorForSelected(color, options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection for expected color");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, color, mode: 'manual' }));
+  dispatch({
+    type: 'SET_EXPECTED_COLOR',
+    payload: { items }
+  }, options);
+}
+
+export function resetExpectedColorForSelected(options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection for expected color reset");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, color: null, mode: 'auto' }));
+  dispatch({
+    type: 'SET_EXPECTED_COLOR',
+    payload: { items }
+  }, options);
+}
+
+/**
+ * params: { step?, count?, tolerance?, threshold? } – number sets an override, null
+ * returns the key to the scene-wide default.
+ */
+export function setCheckParamsForSelected(params, options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection for check params");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, params: { ...params } }));
+  dispatch({
+    type: 'SET_CHECK_PARAMS',
+    payload: { items }
+  }, options);
+}
+
+export function setCheckParamsForShape(id, params, options = {}) {
+  if (!id) return;
+  dispatch({
+    type: 'SET_CHECK_PARAMS',
+    payload: { items: [{ id, params: { ...params } }] }
+  }, options);
+}
+
+/**
+ * Mark the selection as "must NOT match" (require_not_*) or back to a
+ * positive check.
+ */
+export function setNegatedForSelected(negated, options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection for negated flag");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, negated: !!negated }));
+  dispatch({
+    type: 'SET_NEGATED',
+    payload: { items }
+  }, options);
+}
+
+/**
+ * Anchor the selection to an image / shape reference point (anchors.js),
+ * or remove the anchor with null. One undoable SET_ANCHOR.
+ */
+export function setAnchorForSelected(anchor, options = {}) {
+  const selected = getState().selectedShapes || [];
+  if (!selected.length) {
+    log("INFO", "[actions] No selection for anchor");
+    return;
+  }
+  const items = selected
+    .map(s => s && s._id)
+    .filter(Boolean)
+    .map(id => ({ id, anchor: anchor || null }));
+  dispatch({
+    type: 'SET_ANCHOR',
+    payload: { items }
+  }, options);
+}
+
+/**
+ * Re-crop the selected template shapes from the current screenshot
+ * (one undoable SET_TEMPLATE).
+ */
+export function captureTemplatesForSelected(options = {}) {
+  const selected = (getState().selectedShapes || []).filter(s => isTemplateShape(s) && !s.locked);
+  if (!selected.length) {
+    log("INFO", "[actions] No unlocked template selected to capture");
+    return;
+  }
+  const items = selected
+    .map(s => ({ id: s._id, template: captureTemplateRecord(s) }))
+    .filter(i => i.template);
+  if (!items.length) {
+    log("WARN", "[actions] Template capture: no readable screenshot under the selection");
+    return;
+  }
+  dispatch({
+    type: 'SET_TEMPLATE',
+    payload: { items }
+  }, options);
+}
+
+/* Logic Tree Intents (see commands-logic.js) */
+
+export function addLogicGroup({ parentId = null, op = 'AND', shapeIds = [] } = {}, options = {}) {
+  dispatch({
+    type: 'ADD_LOGIC_GROUP',
+    payload: { parentId, op, shapeIds }
+  }, options);
+}
+
+export function groupSelectedShapes(op = 'AND', options = {}) {
+  // Tap / swipe actions are not checks and never join the logic tree.
+  const ids = (getState().selectedShapes || [])
+    .filter(s => s && !isActionShape(s))
+    .map(s => s._id)
+    .filter(Boolean);
+  if (!ids.length) {
+    log("INFO", "[actions] No checks selected to group");
+    return;
+  }
+  addLogicGroup({ op, shapeIds: ids }, options);
+}
+
+export function removeLogicGroup(id, options = {}) {
+  dispatch({ type: 'REMOVE_LOGIC_GROUP', payload: { id } }, options);
+}
+
+export function setLogicGroupOp(id, op, options = {}) {
+  dispatch({ type: 'SET_LOGIC_GROUP_OP', payload: { id, op } }, options);
+}
+
+/**
+ * node: { shapeId } | { groupId }; targetId null = root.
+ */
+export function moveLogicNode(node, targetId = null, index = null, options = {}) {
+  dispatch({
+    type: 'MOVE_LOGIC_NODE',
+    payload: { ...node, targetId, index }
+  }, options);
+}
+
 /* Scene / Metadata */
 
 export function setSceneImage(url, imageObj, options = {}) {
@@ -162,6 +389,33 @@ export function setSceneLogic(logic, options = {}) {
   }, options);
 }
 
+export function setSceneDevice(device, options = {}) {
+  dispatch({
+    type: 'SET_SCENE_DEVICE',
+    payload: { device: device || null }
+  }, options);
+}
+
+/**
+ * Convert the active scene's shapes from its device profile (or `from`) to
+ * the `to` profile; mode: 'proportional' | 'top' | 'bottom' | 'left' | 'right'.
+ */
+export function rescaleSceneToDevice(to, mode = 'proportional', from = null, options = {}) {
+  const payload = { to, mode };
+  if (from) payload.from = from;
+  dispatch({ type: 'RESCALE_SHAPES', payload }, options);
+}
+
+/**
+ * Replace the active scene's ruler guides ([{ axis: 'x'|'y', pos }], image px).
+ */
+export function setSceneGuides(guides, options = {}) {
+  dispatch({
+    type: 'SET_GUIDES',
+    payload: { guides: Array.isArray(guides) ? guides : [] }
+  }, options);
+}
+
 export function setDiagnosticLabelsVisibility(visible, options = {}) {
   dispatch({
     type: 'SET_DIAGNOSTIC_LABEL_VISIBILITY',
@@ -0,0 +1,134 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { getShapeImageGeometry, imageToCanvasPoint } from './geometry/shape-rect.js';
+import { getAnchor, getAnchorPoint } from './anchors.js';
+
+/*
+  Anchor links
+  ------------
+  For each anchored shape (anchors.js) draws a dashed line from its anchor
+  point – an image corner / edge / center, or a reference point on another
+  shape – to the shape's center, with a diamond on the anchor point. A shape
+  whose anchor target is gone shows nothing. Setting anchorLinkOverlay:
+  'off' | 'selected' | 'all' (default); 'selected' also shows the links of
+  shapes anchored to a selected shape.
+
+  The top context is cleared in before:render by selection-outlines.js; this
+  painter only draws.
+*/
+
+const LINK_COLOR = 'rgba(122, 60, 255, 0.9)';
+const DIAMOND_PX = 5;
+const DOT_PX = 2.5;
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function getOverlayTargets() {
+  const state = getState();
+  const mode = state.settings?.anchorLinkOverlay || 'all';
+  if (mode === 'off') return [];
+  const anchored = (state.shapes || []).filter(s => s && getAnchor(s));
+  if (mode !== 'selected') return anchored;
+  const selectedIds = new Set((state.selectedShapes || []).filter(Boolean).map(s => s._id));
+  return anchored.filter(s => selectedIds.has(s._id) || selectedIds.has(getAnchor(s).shapeId));
+}
+
+function paintAnchorLinks(canvas) {
+  const targets = getOverlayTargets();
+  if (!targets.length) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const state = getState();
+  const bgImage = state.bgFabricImage;
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const zoom = Math.max(0.0001, Math.abs(vt[0] || 1));
+
+  ctx.save();
+  try {
+    ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+    ctx.strokeStyle = LINK_COLOR;
+    ctx.fillStyle = LINK_COLOR;
+    ctx.lineWidth = 1 / zoom;
+    targets.forEach(shape => {
+      const ref = getAnchorPoint(shape, state.shapes, bgImage);
+      const geom = ref ? getShapeImageGeometry(shape, bgImage) : null;
+      if (!geom) return;
+      const a = imageToCanvasPoint(ref, bgImage);
+      const b = imageToCanvasPoint(geom.center, bgImage);
+
+      ctx.setLineDash([4 / zoom, 3 / zoom]);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      const d = DIAMOND_PX / zoom;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y - d);
+      ctx.lineTo(a.x + d, a.y);
+      ctx.lineTo(a.x, a.y + d);
+      ctx.lineTo(a.x - d, a.y);
+      ctx.closePath();
+      ctx.fill();
+
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, DOT_PX / zoom, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  } catch (e) {
+    log("ERROR", "[anchor-overlay] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installAnchorOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[anchor-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintAnchorLinks(canvas);
+  canvas.on('after:render', painter);
+
+  const rerender = () => {
+    try {
+      if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+      else canvas.renderAll();
+    } catch {}
+  };
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'updateShapes' ||
+      details.type === 'setSelectedShapes' ||
+      details.type === 'setImage' ||
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && details.key === 'anchorLinkOverlay')
+    ) {
+      rerender();
+    }
+  });
+
+  log("INFO", "[anchor-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[anchor-overlay] Overlay detached");
+  };
+}
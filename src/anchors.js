@@ -0,0 +1,280 @@
+/**
+ * anchors.js
+ * -----------------------------------------------------------
+ * Scene Designer – Relative positions (shape anchors)
+ *
+ * A shape may be anchored to a reference point of the screenshot or of
+ * another shape (set with SET_ANCHOR, commands-anchor.js):
+ *
+ *   shape._anchor = { to: 'image', edge: 'tr' }
+ *   shape._anchor = { to: 'shape', shapeId: 'rect_…', edge: 'c' }
+ *
+ * edge is one of ANCHOR_EDGES: a corner, an edge midpoint or the center of
+ * the image (0,0 – width,height) or of the other shape's image-space bounds.
+ * The offset is not stored: it is the shape's drawable center minus the
+ * reference point (getAnchorOffset), so dragging the anchored shape itself
+ * simply re-declares it.
+ *
+ *   - Dragging a shape moves the shapes anchored to it along
+ *     (canvas-transform-history.js, same SET_TRANSFORMS as the gesture).
+ *   - Rescaling (RESCALE_SHAPES) and device .ini export place each anchored
+ *     shape at its offset from the reference point on the target screen,
+ *     scaled by the mapping's radiusScale (resolveAnchorShifts): an icon
+ *     anchored 'tr' keeps its dp distance to the top-right corner.
+ *   - A missing target shape (deleted) leaves the shape where it is.
+ *
+ * Pure: no store. Callers pass the shapes and the background image.
+ * -----------------------------------------------------------
+ */
+
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { mapImageGeometry } from './device-profiles.js';
+
+export const ANCHOR_EDGES = ['tl', 't', 'tr', 'l', 'c', 'r', 'bl', 'b', 'br'];
+
+export const ANCHOR_EDGE_LABELS = {
+  tl: 'top-left',
+  t: 'top',
+  tr: 'top-right',
+  l: 'left',
+  c: 'center',
+  r: 'right',
+  bl: 'bottom-left',
+  b: 'bottom',
+  br: 'bottom-right'
+};
+
+/**
+ * Validated copy of an anchor, or null (no / unusable anchor).
+ * A missing or unknown edge becomes 'c'.
+ */
+export function normalizeAnchor(anchor) {
+  if (!anchor || typeof anchor !== 'object') return null;
+  const edge = ANCHOR_EDGES.includes(anchor.edge) ? anchor.edge : 'c';
+  if (anchor.to === 'image') return { to: 'image', edge };
+  if (anchor.to === 'shape' && typeof anchor.shapeId === 'string' && anchor.shapeId) {
+    return { to: 'shape', shapeId: anchor.shapeId, edge };
+  }
+  return null;
+}
+
+export function getAnchor(shape) {
+  return normalizeAnchor(shape?._anchor);
+}
+
+export function sameAnchor(a, b) {
+  const na = normalizeAnchor(a);
+  const nb = normalizeAnchor(b);
+  if (!na || !nb) return !na && !nb;
+  return na.to === nb.to && na.edge === nb.edge && (na.shapeId || null) === (nb.shapeId || null);
+}
+
+/**
+ * Reference point of `edge` on an image-space box { x1, y1, x2, y2 }.
+ */
+export function edgePoint(edge, box) {
+  const fx = edge.endsWith('l') ? 0 : edge.endsWith('r') ? 1 : 0.5;
+  const fy = edge.startsWith('t') ? 0 : edge.startsWith('b') ? 1 : 0.5;
+  return { x: box.x1 + (box.x2 - box.x1) * fx, y: box.y1 + (box.y2 - box.y1) * fy };
+}
+
+function sizeBox(size) {
+  const w = Number(size?.width);
+  const h = Number(size?.height);
+  return w > 0 && h > 0 ? { x1: 0, y1: 0, x2: w, y2: h } : null;
+}
+
+/**
+ * The screenshot's box in image pixels (Fabric image width / height are the
+ * natural size), or null without an image.
+ */
+export function getImageBox(bgImage) {
+  return sizeBox(bgImage);
+}
+
+/**
+ * e.g. "image top-right" or "Rect 2 center" (labelOf(id) names the target).
+ */
+export function describeAnchor(anchor, labelOf = id => id) {
+  const a = normalizeAnchor(anchor);
+  if (!a) return '';
+  const where = ANCHOR_EDGE_LABELS[a.edge];
+  return a.to === 'image' ? `image ${where}` : `${labelOf(a.shapeId) || a.shapeId} ${where}`;
+}
+
+function byIdOf(shapes) {
+  return new Map((shapes || []).filter(Boolean).map(s => [s._id, s]));
+}
+
+/**
+ * Image point the shape is anchored to, or null (no anchor, missing target
+ * shape, or an image anchor without an image box).
+ */
+export function getAnchorPoint(shape, shapes, bgImage, imageBox = getImageBox(bgImage)) {
+  const a = getAnchor(shape);
+  if (!a) return null;
+  if (a.to === 'image') return imageBox ? edgePoint(a.edge, imageBox) : null;
+  const target = byIdOf(shapes).get(a.shapeId);
+  if (!target || target === shape) return null;
+  const geom = getShapeImageGeometry(target, bgImage);
+  return geom ? edgePoint(a.edge, geom.bounds) : null;
+}
+
+/**
+ * Shape center minus its anchor point (image pixels), or null.
+ */
+export function getAnchorOffset(shape, shapes, bgImage) {
+  const ref = getAnchorPoint(shape, shapes, bgImage);
+  const geom = ref ? getShapeImageGeometry(shape, bgImage) : null;
+  if (!geom) return null;
+  return { x: geom.center.x - ref.x, y: geom.center.y - ref.y };
+}
+
+/**
+ * Shapes anchored to any of `ids`, directly or through other anchored
+ * shapes, parents before the shapes anchored to them. `ids` are excluded.
+ */
+export function getAnchorFollowers(ids, shapes) {
+  const list = (shapes || []).filter(Boolean);
+  const seen = new Set(ids || []);
+  const out = [];
+  let frontier = new Set(seen);
+  while (frontier.size) {
+    const next = new Set();
+    list.forEach(s => {
+      if (seen.has(s._id)) return;
+      const a = getAnchor(s);
+      if (a?.to === 'shape' && frontier.has(a.shapeId)) {
+        seen.add(s._id);
+        next.add(s._id);
+        out.push(s);
+      }
+    });
+    frontier = next;
+  }
+  return out;
+}
+
+/**
+ * True when anchoring shape `shapeId` to shape `targetId` would make a
+ * shape (indirectly) anchored to itself.
+ */
+export function wouldCreateAnchorCycle(shapeId, targetId, shapes) {
+  const byId = byIdOf(shapes);
+  const seen = new Set();
+  let cur = targetId;
+  while (cur != null && !seen.has(cur)) {
+    if (cur === shapeId) return true;
+    seen.add(cur);
+    const a = getAnchor(byId.get(cur));
+    cur = a?.to === 'shape' ? a.shapeId : null;
+  }
+  return false;
+}
+
+// Parents before the shapes anchored to them (stable otherwise).
+function orderByAnchors(list) {
+  const byId = byIdOf(list);
+  const depth = new Map();
+  const depthOf = (shape, guard = new Set()) => {
+    if (depth.has(shape._id)) return depth.get(shape._id);
+    const a = getAnchor(shape);
+    const parent = a?.to === 'shape' ? byId.get(a.shapeId) : null;
+    let d = 0;
+    if (parent && !guard.has(shape._id)) {
+      guard.add(shape._id);
+      d = depthOf(parent, guard) + 1;
+    }
+    depth.set(shape._id, d);
+    return d;
+  };
+  return list
+    .map((s, i) => ({ s, i, d: depthOf(s) }))
+    .sort((a, b) => a.d - b.d || a.i - b.i)
+    .map(e => e.s);
+}
+
+/**
+ * Image-space shift to add to each anchored shape's mapped geometry
+ * (device-profiles.js mapImageGeometry) so it keeps its anchor offset on the
+ * target screen, the offset scaled by mapping.radiusScale. Image anchors use
+ * the mapping's fromSize / toSize screens (the image box when fromSize is
+ * missing); shape anchors use the target shape's mapped (and shifted) bounds.
+ * @returns {Map<string, {x:number, y:number}>} only shapes that move
+ */
+export function resolveAnchorShifts(shapes, bgImage, mapping) {
+  const shifts = new Map();
+  const list = (shapes || []).filter(Boolean);
+  if (!mapping || !list.some(s => getAnchor(s))) return shifts;
+  const fromBox = sizeBox(mapping.fromSize) || getImageBox(bgImage);
+  const toBox = sizeBox(mapping.toSize);
+  const byId = byIdOf(list);
+  const placed = new Map();
+
+  orderByAnchors(list).forEach(shape => {
+    const geom = getShapeImageGeometry(shape, bgImage);
+    if (!geom) return;
+    const mapped = mapImageGeometry(geom, mapping);
+    let shift = { x: 0, y: 0 };
+    const a = getAnchor(shape);
+    let refOld = null;
+    let refNew = null;
+    if (a?.to === 'image' && fromBox && toBox) {
+      refOld = edgePoint(a.edge, fromBox);
+      refNew = edgePoint(a.edge, toBox);
+    } else if (a?.to === 'shape') {
+      const target = byId.get(a.shapeId);
+      const targetGeom = target && target !== shape ? getShapeImageGeometry(target, bgImage) : null;
+      const targetPlaced = placed.get(a.shapeId);
+      if (targetGeom && targetPlaced) {
+        refOld = edgePoint(a.edge, targetGeom.bounds);
+        refNew = edgePoint(a.edge, targetPlaced);
+      }
+    }
+    if (refOld && refNew) {
+      const k = mapping.radiusScale;
+      shift = {
+        x: refNew.x + (geom.center.x - refOld.x) * k - mapped.center.x,
+        y: refNew.y + (geom.center.y - refOld.y) * k - mapped.center.y
+      };
+      if (Math.abs(shift.x) > 1e-9 || Math.abs(shift.y) > 1e-9) shifts.set(shape._id, shift);
+    }
+    const b = mapped.bounds;
+    placed.set(shape._id, { x1: b.x1 + shift.x, y1: b.y1 + shift.y, x2: b.x2 + shift.x, y2: b.y2 + shift.y });
+  });
+  return shifts;
+}
+
+/**
+ * Image geometry moved by `shift` (center, bounds, points).
+ */
+export function translateImageGeometry(geom, shift) {
+  if (!geom || !shift) return geom;
+  const move = p => ({ x: p.x + shift.x, y: p.y + shift.y });
+  const out = { ...geom, center: move(geom.center) };
+  if (geom.bounds) {
+    out.bounds = {
+      x1: geom.bounds.x1 + shift.x,
+      y1: geom.bounds.y1 + shift.y,
+      x2: geom.bounds.x2 + shift.x,
+      y2: geom.bounds.y2 + shift.y
+    };
+  }
+  if (Array.isArray(geom.points)) out.points = geom.points.map(move);
+  return out;
+}
+
+/**
+ * Move a shape by (dx, dy) image pixels (left / top, so polygon vertices and
+ * line endpoints follow).
+ */
+export function translateShape(shape, dx, dy, bgImage) {
+  if (!shape || (!dx && !dy)) return;
+  const sx = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+  const sy = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+  shape.set({
+    left: (Number(shape.left) || 0) + dx * sx,
+    top: (Number(shape.top) || 0) + dy * sy
+  });
+  if (typeof shape.setCoords === 'function') shape.setCoords();
+}
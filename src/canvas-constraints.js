@@ -1,6 +1,8 @@
 import { getState } from './state.js';
 import { log } from './log.js';
-import { getShapeBoundingBox } from './geometry/shape-rect.js';
+import { getShapeBoundingBox, getShapeImageGeometry } from './geometry/shape-rect.js';
+import { translateShape } from './anchors.js';
+import { isPixelGridVisible } from './pixel-grid-overlay.js';
 
 function isActiveSelection(obj) {
   return !!obj && obj.type === 'activeSelection';
@@ -66,6 +68,52 @@ function clampTargetWithinImage(target, img) {
   return false;
 }
 
+/*
+  Pixel snapping on drop (setting pixelSnap: 'off' | 'zoomed' | 'always';
+  'zoomed' = while the pixel grid shows). Holding Alt while dropping skips it.
+  Points snap their center to the middle of the pixel they sample; other
+  shapes (and a multi-selection as a whole) snap their image-space bounding
+  box corner to a pixel corner, rounding inward at the image edges.
+*/
+function shouldSnapToPixels(e) {
+  const state = getState();
+  const mode = state.settings?.pixelSnap || 'zoomed';
+  if (mode === 'off' || e?.altKey) return false;
+  return mode === 'always' || isPixelGridVisible(state);
+}
+
+function snapDelta(v, lo, hi, maxV) {
+  let d = Math.round(v) - v;
+  if (hi + d > maxV) d = Math.floor(v) - v;
+  if (lo + d < 0) d = Math.ceil(v) - v;
+  return d;
+}
+
+function snapTargetToPixels(target, img) {
+  if (!target || !img) return false;
+  const members = isActiveSelection(target) ? (target._objects || []) : [target];
+  const geoms = members.map(s => getShapeImageGeometry(s, img)).filter(Boolean);
+  if (!geoms.length) return false;
+
+  let dx = 0;
+  let dy = 0;
+  if (geoms.length === 1 && geoms[0].type === 'point') {
+    const c = geoms[0].center;
+    dx = Math.floor(c.x) + 0.5 - c.x;
+    dy = Math.floor(c.y) + 0.5 - c.y;
+  } else {
+    const x1 = Math.min(...geoms.map(g => g.bounds.x1));
+    const y1 = Math.min(...geoms.map(g => g.bounds.y1));
+    const x2 = Math.max(...geoms.map(g => g.bounds.x2));
+    const y2 = Math.max(...geoms.map(g => g.bounds.y2));
+    dx = snapDelta(x1, x1, x2, img.width);
+    dy = snapDelta(y1, y1, y2, img.height);
+  }
+  if (Math.abs(dx) < 1e-6 && Math.abs(dy) < 1e-6) return false;
+  translateShape(target, dx, dy, img);
+  return true;
+}
+
 function recordMoveStartPosition(target) {
   if (!target) return;
   if (target._moveStartLeft === undefined || target._moveStartTop === undefined) {
@@ -194,11 +242,29 @@ export function installCanvasConstraints(canvas) {
     }
   };
 
+  // Runs before transform-history commits the drop (installed earlier).
+  const onObjectModified = (opt) => {
+    try {
+      const target = opt?.target;
+      if (!target || opt.action !== 'drag' || !shouldSnapToPixels(opt.e)) return;
+      if (isActiveSelection(target) && anyLockedInSelection(target)) return;
+      const img = getState().bgFabricImage;
+      if (snapTargetToPixels(target, img)) {
+        if (typeof canvas.requestRenderAll === "function") canvas.requestRenderAll();
+        else canvas.renderAll();
+        log("DEBUG", "[canvas-constraints] Snapped drop to image pixels");
+      }
+    } catch (e) {
+      log("ERROR", "[canvas-constraints] onObjectModified error", e);
+    }
+  };
+
   on('selection:created', onSelectionCreatedOrUpdated);
   on('selection:updated', onSelectionCreatedOrUpdated);
   on('selection:cleared', onSelectionCleared);
   on('mouse:down', onMouseDown);
   on('object:moving', onObjectMoving);
+  on('object:modified', onObjectModified);
 
   canvas[HANDLERS_KEY] = localHandlers;
 
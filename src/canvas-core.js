@@ -7,12 +7,10 @@ import {
   setBgFabricImage,
   setSetting
 } from './state.js';
-import { installFabricSelectionSync } from './canvas-events.js';
-import { installCanvasConstraints } from './canvas-constraints.js';
-import { installSelectionOutlines } from './selection-outlines.js';
-import { installLoupeController } from './loupe-controller.js';
 import { MiniLayout } from './minilayout.js';
-import { installCanvasTransformHistory } from './canvas-transform-history.js';
+import { installCanvasFeatures } from './canvas-installers.js';
+import { getProfileScreenSize } from './device-profiles.js';
+import { resetCanvasView, refreshCanvasView } from './canvas-viewport.js';
 
 function removeAllCanvasElements(element) {
   if (!element) return;
@@ -213,12 +211,15 @@ function applyResponsiveViewport(canvas, reason = "") {
     if (typeof canvas.setZoom === "function") {
       const prev = canvas.__responsiveScale || 1;
       if (Math.abs(prev - scale) > 0.0001) {
-        canvas.setZoom(scale);
-        if (Array.isArray(canvas.viewportTransform) && canvas.viewportTransform.length >= 6) {
-          canvas.viewportTransform[0] = scale;
-          canvas.viewportTransform[3] = scale;
-          canvas.viewportTransform[4] = 0;
-          canvas.viewportTransform[5] = 0;
+        // A user zoom / pan (canvas-viewport.js) is kept; only the fit scale changes.
+        if (!canvas.__userView) {
+          canvas.setZoom(scale);
+          if (Array.isArray(canvas.viewportTransform) && canvas.viewportTransform.length >= 6) {
+            canvas.viewportTransform[0] = scale;
+            canvas.viewportTransform[3] = scale;
+            canvas.viewportTransform[4] = 0;
+            canvas.viewportTransform[5] = 0;
+          }
         }
         canvas.__responsiveScale = scale;
       }
@@ -239,6 +240,7 @@ function applyResponsiveViewport(canvas, reason = "") {
     if (canvas.upperCanvasEl) {
       canvas.upperCanvasEl.style.background = "transparent";
     }
+    refreshCanvasView(canvas);
     if (typeof canvas.requestRenderAll === "function") canvas.requestRenderAll();
     else canvas.renderAll();
   } catch (e) {
@@ -320,6 +322,8 @@ function applyBackgroundImage(canvas, url, imgObj) {
     log("ERROR", "[canvas-core] Failed to set background via canvas.setBackgroundImage", e);
   }
 
+  // A new screenshot starts from the responsive fit, not the previous zoom.
+  resetCanvasView(canvas);
   applyResponsiveViewport(canvas, "applyBackgroundImage");
 }
 
@@ -329,8 +333,12 @@ function applyCanvasSizeFromSettings(canvas) {
     let w = getState().settings?.canvasMaxWidth ?? 600;
     let h = getState().settings?.canvasMaxHeight ?? 400;
 
-    if (imgObj && imgObj.naturalWidth > 0 && imgObj.naturalHeight > 0) {
-      const fit = fitImageToMax(imgObj.naturalWidth, imgObj.naturalHeight, w, h);
+    // Without a screenshot, a scene with a device profile shows that screen.
+    const screen = imgObj && imgObj.naturalWidth > 0 && imgObj.naturalHeight > 0
+      ? { width: imgObj.naturalWidth, height: imgObj.naturalHeight }
+      : getProfileScreenSize(getState().sceneDevice);
+    if (screen) {
+      const fit = fitImageToMax(screen.width, screen.height, w, h);
       w = fit.width;
       h = fit.height;
     }
@@ -394,11 +402,7 @@ export function buildCanvasPanel({ element, title, componentName }) {
 
   setFabricCanvas(canvas);
 
-  installFabricSelectionSync(canvas);
-  const detachConstraints = installCanvasConstraints(canvas);
-  const detachOutlines = installSelectionOutlines(canvas);
-  const detachLoupe = installLoupeController(canvas);
-  const detachTransformHistory = installCanvasTransformHistory(canvas);
+  const detachFeatures = installCanvasFeatures(canvas);
 
   applyCanvasSizeFromSettings(canvas);
 
@@ -457,6 +461,10 @@ export function buildCanvasPanel({ element, title, componentName }) {
           addAllStoreShapesToCanvas(canvas);
           break;
         }
+        case "setSceneDevice": {
+          if (!state.imageObj) applyCanvasSizeFromSettings(canvas);
+          break;
+        }
         case "setSettings": {
           applyCanvasSizeFromSettings(canvas);
           applyResponsiveViewport(canvas, "store-setSettings");
@@ -480,10 +488,7 @@ export function buildCanvasPanel({ element, title, componentName }) {
 
   const cleanup = () => {
     try { unsub && unsub(); } catch {}
-    try { detachConstraints && detachConstraints(); } catch {}
-    try { detachOutlines && detachOutlines(); } catch {}
-    try { detachLoupe && detachLoupe(); } catch {}
-    try { detachTransformHistory && detachTransformHistory(); } catch {}
+    try { detachFeatures && detachFeatures(); } catch {}
     try {
       window.removeEventListener('resize', onWindowResize);
       window.removeEventListener('orientationchange', onWindowResize);
@@ -211,6 +211,8 @@ export function installFabricSelectionSync(canvas) {
     const prevIds = (getState().selectedShapes || []).map(s => s._id);
     try {
       if (selectionSyncToken === lastProgrammaticToken) return;
+      // Tool clicks (eyedropper etc.) never clear the selection; see canvas-tool-mode.js
+      if ((getState().toolMode || 'select') !== 'select') return;
       const hadSelection = prevIds.length > 0;
       const clickedBlank = !opt?.target;
 
@@ -0,0 +1,64 @@
+import { log } from './log.js';
+import { installFabricSelectionSync } from './canvas-events.js';
+import { installCanvasConstraints } from './canvas-constraints.js';
+import { installSmartGuides } from './smart-guides.js';
+import { installSelectionOutlines } from './selection-outlines.js';
+import { installPixelGridOverlay } from './pixel-grid-overlay.js';
+import { installLoupeController } from './loupe-controller.js';
+import { installCanvasViewport } from './canvas-viewport.js';
+import { installCanvasTransformHistory } from './canvas-transform-history.js';
+import { installCanvasToolMode } from './canvas-tool-mode.js';
+import { installVertexEditing } from './canvas-vertex-edit.js';
+import { installLabelEditing } from './canvas-label-edit.js';
+import { installNegationOverlay } from './negation-overlay.js';
+import { installToleranceOverlay } from './tolerance-overlay.js';
+import { installSampleOverlay } from './sample-overlay.js';
+import { installEvaluationOverlay } from './evaluation-overlay.js';
+import { installAnchorOverlay } from './anchor-overlay.js';
+import { installCanvasRulers } from './canvas-rulers.js';
+import { installCanvasStatusBar } from './canvas-status-bar.js';
+
+/**
+ * Install every per-canvas behavior (event sync, constraints, overlays,
+ * history, tool modes, vertex / label editing, zoom / pan, rulers, status
+ * bar) in order. Returns one detach for all of them.
+ * Order matters for overlays: selection-outlines clears the top context in
+ * before:render, painters draw on it in install order (pixel grid first,
+ * rulers last).
+ */
+export function installCanvasFeatures(canvas) {
+  const detachers = [];
+  const add = (name, install) => {
+    try {
+      const detach = install(canvas);
+      if (typeof detach === 'function') detachers.push(detach);
+    } catch (e) {
+      log("ERROR", `[canvas-installers] ${name} install failed`, e);
+    }
+  };
+
+  add('selection-sync', installFabricSelectionSync);
+  add('pixel-grid', installPixelGridOverlay);
+  add('constraints', installCanvasConstraints);
+  add('smart-guides', installSmartGuides);
+  add('selection-outlines', installSelectionOutlines);
+  add('loupe', installLoupeController);
+  add('viewport', installCanvasViewport);
+  add('transform-history', installCanvasTransformHistory);
+  add('tool-mode', installCanvasToolMode);
+  add('vertex-edit', installVertexEditing);
+  add('label-edit', installLabelEditing);
+  add('negation-overlay', installNegationOverlay);
+  add('tolerance-overlay', installToleranceOverlay);
+  add('sample-overlay', installSampleOverlay);
+  add('evaluation-overlay', installEvaluationOverlay);
+  add('anchor-overlay', installAnchorOverlay);
+  add('rulers', installCanvasRulers);
+  add('status-bar', installCanvasStatusBar);
+
+  log("INFO", "[canvas-installers] Canvas features installed", { count: detachers.length });
+  return function detachAll() {
+    detachers.reverse().forEach(d => { try { d(); } catch {} });
+    detachers.length = 0;
+  };
+}
@@ -0,0 +1,141 @@
+import { log } from './log.js';
+import { getState, sceneDesignerStore } from './state.js';
+import { setShapeLabel } from './actions.js';
+import { validateShapeLabel, MAX_LABEL_LENGTH } from './shape-labels.js';
+
+/*
+  Inline label editing on the canvas
+  ----------------------------------
+  - Double-click on an unlocked shape (select tool) opens a text field over
+    the top of the shape, holding its label.
+  - Enter or leaving the field commits one SET_LABEL; Escape cancels. An
+    empty field resets the type's default label.
+  - The field is checked while typing (shape-labels.js validateShapeLabel);
+    an invalid label shows a red border with the reason and is not committed.
+  - A double-click already handled by vertex editing (preventDefault) is
+    left alone, so polygon vertex insert / delete keeps working.
+  - The field closes when the shape list changes under it.
+*/
+
+const EDITOR_CLASS = 'canvas-label-editor';
+const EDITOR_WIDTH_PX = 160;
+
+function buildEditor() {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = EDITOR_CLASS;
+  input.maxLength = MAX_LABEL_LENGTH;
+  input.spellcheck = false;
+  Object.assign(input.style, {
+    position: 'absolute',
+    width: `${EDITOR_WIDTH_PX}px`,
+    height: '20px',
+    padding: '0 4px',
+    boxSizing: 'border-box',
+    font: '12px system-ui, sans-serif',
+    color: '#1b2a3c',
+    background: '#fff',
+    border: '1px solid #2176ff',
+    borderRadius: '3px',
+    boxShadow: '0 1px 4px rgba(0, 0, 0, 0.25)',
+    zIndex: '4'
+  });
+  return input;
+}
+
+function findShapeTarget(target) {
+  if (!target) return null;
+  return (getState().shapes || []).includes(target) ? target : null;
+}
+
+export function installLabelEditing(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-label-edit] install: canvas is null/undefined");
+    return () => {};
+  }
+  const wrapper = canvas.lowerCanvasEl?.parentElement || null;
+  if (!wrapper || typeof document === 'undefined') {
+    log("WARN", "[canvas-label-edit] Missing canvas wrapper; label editing not installed");
+    return () => {};
+  }
+
+  let editor = null;
+
+  const close = (commit) => {
+    if (!editor) return;
+    const { input, shape } = editor;
+    editor = null;
+    try { input.remove(); } catch {}
+    if (!commit) return;
+    const shapes = getState().shapes || [];
+    if (!shapes.includes(shape)) return;
+    const { label, error } = validateShapeLabel(shape, input.value, shapes);
+    if (error) {
+      log("WARN", "[canvas-label-edit] Label rejected", { id: shape._id, error });
+      return;
+    }
+    if (label !== shape._label) setShapeLabel(shape._id, label);
+  };
+
+  const validate = () => {
+    if (!editor) return;
+    const { input, shape } = editor;
+    const { error } = validateShapeLabel(shape, input.value, getState().shapes || []);
+    input.style.borderColor = error ? '#d23040' : '#2176ff';
+    input.title = error || '';
+  };
+
+  const open = (shape) => {
+    close(false);
+    const rect = shape.getBoundingRect();
+    const left = Math.max(0, rect.left + rect.width / 2 - EDITOR_WIDTH_PX / 2);
+    const top = Math.max(0, rect.top - 24);
+
+    const input = buildEditor();
+    input.value = shape._label || '';
+    input.style.left = `${Math.round(left)}px`;
+    input.style.top = `${Math.round(top)}px`;
+    input.addEventListener('input', validate);
+    input.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') { e.preventDefault(); close(true); }
+      else if (e.key === 'Escape') { e.preventDefault(); close(false); }
+    });
+    input.addEventListener('blur', () => close(true));
+
+    editor = { input, shape };
+    wrapper.appendChild(input);
+    input.focus();
+    input.select();
+    log("DEBUG", "[canvas-label-edit] Editor opened", { id: shape._id });
+  };
+
+  const onMouseDblClick = (opt) => {
+    if ((getState().toolMode || 'select') !== 'select') return;
+    if (opt?.e?.defaultPrevented) return;
+    const shape = findShapeTarget(opt?.target);
+    if (!shape || shape.locked) return;
+    try {
+      open(shape);
+    } catch (e) {
+      log("ERROR", "[canvas-label-edit] Open editor failed", e);
+    }
+  };
+
+  canvas.on('mouse:dblclick', onMouseDblClick);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!editor || !details) return;
+    if (details.type === 'setShapes' || details.type === 'removeShape' || details.type === 'setToolMode') {
+      close(false);
+    }
+  });
+
+  log("INFO", "[canvas-label-edit] Installed");
+  return function detach() {
+    try { canvas.off('mouse:dblclick', onMouseDblClick); } catch {}
+    try { unsub && unsub(); } catch {}
+    close(false);
+    log("INFO", "[canvas-label-edit] Detached");
+  };
+}
@@ -0,0 +1,298 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { setSceneGuides } from './actions.js';
+import { isSelectToolMode } from './canvas-tool-mode.js';
+
+/*
+  Rulers and ruler guides
+  -----------------------
+  Top and left rulers are painted along the canvas edges in image pixels and
+  follow zoom / pan (labels every 1 / 2 / 5 × 10^n px, whichever keeps them
+  apart). Pressing in a ruler and dragging onto the canvas drops a guide
+  line: from the top ruler a horizontal guide, from the left one a vertical
+  guide, on whole image pixels. Guides are dragged again to move them, or
+  back onto their ruler to remove them (a shape under the pointer wins the
+  press). Each drop is one undoable SET_GUIDES; the guides belong to the
+  scene (ruler-guides.js) and are snap targets for smart-guides.js.
+
+  Setting showRulers hides rulers and guides (and guide snapping).
+  The ruler press is taken in the capture phase on the canvas wrapper, after
+  canvas-viewport.js (Space / middle-drag pan keeps priority). Installed last
+  so the rulers paint over the other top-context overlays.
+*/
+
+const RULER_PX = 18;
+const GUIDE_GRAB_PX = 4;
+const LABEL_MIN_PX = 56;
+const MINOR_MIN_PX = 4;
+const RULER_BG = '#eef3fa';
+const RULER_EDGE = '#9aa8ba';
+const RULER_TEXT = '#3d4b5f';
+const GUIDE_COLOR = '#00a3e0';
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function rulersEnabled() {
+  return getState().settings?.showRulers !== false;
+}
+
+// Image px <-> view (CSS px on the canvas element) along each axis.
+function getViewMapping(canvas) {
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const bg = getState().bgFabricImage;
+  const sx = Number(bg?.scaleX) > 0 ? bg.scaleX : 1;
+  const sy = Number(bg?.scaleY) > 0 ? bg.scaleY : 1;
+  const left = Number.isFinite(bg?.left) ? bg.left : 0;
+  const top = Number.isFinite(bg?.top) ? bg.top : 0;
+  return {
+    x: { toView: (v) => vt[0] * (left + v * sx) + vt[4], fromView: (p) => ((p - vt[4]) / vt[0] - left) / sx, ppu: vt[0] * sx },
+    y: { toView: (v) => vt[3] * (top + v * sy) + vt[5], fromView: (p) => ((p - vt[5]) / vt[3] - top) / sy, ppu: vt[3] * sy }
+  };
+}
+
+// Smallest 1 / 2 / 5 × 10^n image px step whose labels stay LABEL_MIN_PX apart.
+function labelStep(ppu) {
+  for (let mag = 1; mag < 1e7; mag *= 10) {
+    for (const m of [1, 2, 5]) {
+      if (m * mag * ppu >= LABEL_MIN_PX) return m * mag;
+    }
+  }
+  return 1e7;
+}
+
+function paintRuler(ctx, map, axis, length) {
+  const step = labelStep(map.ppu);
+  const minor = step / (String(step)[0] === '2' ? 4 : 5);
+  const drawMinor = minor >= 1 && minor * map.ppu >= MINOR_MIN_PX;
+  const tickStep = drawMinor ? minor : step;
+  const a = map.fromView(RULER_PX);
+  const b = map.fromView(length);
+  const from = Math.ceil(Math.min(a, b) / tickStep) * tickStep;
+  const to = Math.max(a, b);
+
+  ctx.beginPath();
+  for (let v = from; v <= to; v += tickStep) {
+    const p = Math.round(map.toView(v)) + 0.5;
+    const major = Math.abs(v / step - Math.round(v / step)) < 1e-6;
+    const len = major ? RULER_PX : RULER_PX * 0.3;
+    if (axis === 'x') {
+      ctx.moveTo(p, RULER_PX - len);
+      ctx.lineTo(p, RULER_PX);
+    } else {
+      ctx.moveTo(RULER_PX - len, p);
+      ctx.lineTo(RULER_PX, p);
+    }
+    if (!major) continue;
+    const label = String(Math.round(v));
+    if (axis === 'x') {
+      ctx.fillText(label, p + 3, 9);
+    } else {
+      ctx.save();
+      ctx.translate(9, p - 3);
+      ctx.rotate(-Math.PI / 2);
+      ctx.fillText(label, 0, 0);
+      ctx.restore();
+    }
+  }
+  ctx.stroke();
+}
+
+export function installCanvasRulers(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-rulers] install: canvas is null/undefined");
+    return () => {};
+  }
+  const wrapper = canvas.lowerCanvasEl?.parentElement || null;
+  if (!wrapper) {
+    log("WARN", "[canvas-rulers] Missing canvas wrapper; rulers not installed");
+    return () => {};
+  }
+
+  // Guide being dragged: { axis, index (-1 = new from a ruler), pos|null (null = remove / cancel) }
+  let drag = null;
+
+  const requestRender = () => {
+    if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+    else canvas.renderAll();
+  };
+
+  const guideAt = (p) => {
+    const m = getViewMapping(canvas);
+    return (getState().sceneGuides || []).findIndex(g => (
+      g.axis === 'x'
+        ? Math.abs(m.x.toView(g.pos) - p.x) <= GUIDE_GRAB_PX
+        : Math.abs(m.y.toView(g.pos) - p.y) <= GUIDE_GRAB_PX
+    ));
+  };
+
+  const painter = () => {
+    if (!rulersEnabled()) return;
+    const ctx = getTopContext(canvas);
+    if (!ctx) return;
+    const dpr = getDpr(canvas);
+    const w = ctx.canvas.width / dpr;
+    const h = ctx.canvas.height / dpr;
+    const m = getViewMapping(canvas);
+    const guides = (getState().sceneGuides || []).filter((g, i) => !drag || i !== drag.index);
+    if (drag && drag.pos !== null) guides.push({ axis: drag.axis, pos: drag.pos });
+
+    ctx.save();
+    try {
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.lineWidth = 1 / dpr;
+      ctx.strokeStyle = GUIDE_COLOR;
+      ctx.beginPath();
+      guides.forEach(g => {
+        const p = (Math.round((g.axis === 'x' ? m.x : m.y).toView(g.pos) * dpr) + 0.5) / dpr;
+        if (g.axis === 'x') {
+          ctx.moveTo(p, 0);
+          ctx.lineTo(p, h);
+        } else {
+          ctx.moveTo(0, p);
+          ctx.lineTo(w, p);
+        }
+      });
+      ctx.stroke();
+
+      ctx.lineWidth = 1;
+      ctx.fillStyle = RULER_BG;
+      ctx.fillRect(0, 0, w, RULER_PX);
+      ctx.fillRect(0, 0, RULER_PX, h);
+      ctx.strokeStyle = RULER_EDGE;
+      ctx.fillStyle = RULER_TEXT;
+      ctx.font = '9px sans-serif';
+      ctx.textBaseline = 'alphabetic';
+      paintRuler(ctx, m.x, 'x', w);
+      paintRuler(ctx, m.y, 'y', h);
+      ctx.beginPath();
+      ctx.moveTo(RULER_PX + 0.5, RULER_PX + 0.5);
+      ctx.lineTo(w, RULER_PX + 0.5);
+      ctx.moveTo(RULER_PX + 0.5, RULER_PX + 0.5);
+      ctx.lineTo(RULER_PX + 0.5, h);
+      ctx.stroke();
+      ctx.fillStyle = RULER_BG;
+      ctx.fillRect(0, 0, RULER_PX, RULER_PX);
+    } catch (e) {
+      log("ERROR", "[canvas-rulers] Painter error", e);
+    } finally {
+      ctx.restore();
+    }
+  };
+
+  const updateDrag = (e) => {
+    const p = canvas.getPointer(e, true);
+    const w = canvas.getWidth();
+    const h = canvas.getHeight();
+    const onRuler = drag.axis === 'x' ? p.x < RULER_PX : p.y < RULER_PX;
+    const outside = p.x < 0 || p.y < 0 || p.x > w || p.y > h;
+    const map = getViewMapping(canvas)[drag.axis];
+    drag.pos = (onRuler || outside) ? null : Math.round(map.fromView(drag.axis === 'x' ? p.x : p.y));
+    requestRender();
+  };
+
+  const onWindowMove = (e) => {
+    if (!drag) return;
+    e.preventDefault();
+    updateDrag(e);
+  };
+  const endDrag = () => {
+    window.removeEventListener('mousemove', onWindowMove, true);
+    window.removeEventListener('mouseup', onWindowUp, true);
+    drag = null;
+    requestRender();
+  };
+  const onWindowUp = (e) => {
+    if (!drag) return;
+    updateDrag(e);
+    const { axis, index, pos } = drag;
+    const next = (getState().sceneGuides || []).filter((g, i) => i !== index);
+    if (pos !== null) next.push({ axis, pos });
+    endDrag();
+    if (index < 0 && pos === null) return;
+    setSceneGuides(next);
+    log("INFO", "[canvas-rulers] Guide " + (pos === null ? 'removed' : index < 0 ? 'added' : 'moved'), { axis, pos });
+  };
+
+  const onMouseDown = (e) => {
+    if (!rulersEnabled() || e.button !== 0 || e.defaultPrevented || drag) return;
+    const p = canvas.getPointer(e, true);
+    let axis = null;
+    let index = -1;
+    if (p.x < RULER_PX && p.y < RULER_PX) return;
+    if (p.y < RULER_PX) axis = 'y';
+    else if (p.x < RULER_PX) axis = 'x';
+    else if (isSelectToolMode()) {
+      index = guideAt(p);
+      if (index < 0 || canvas.findTarget(e)) return;
+      axis = getState().sceneGuides[index].axis;
+    }
+    if (!axis) return;
+    e.preventDefault();
+    e.stopPropagation();
+    drag = { axis, index, pos: null };
+    updateDrag(e);
+    window.addEventListener('mousemove', onWindowMove, true);
+    window.addEventListener('mouseup', onWindowUp, true);
+  };
+
+  // Resize cursors over the rulers and over grabbable guides.
+  const onHover = (opt) => {
+    if (!rulersEnabled() || drag || !opt?.e) return;
+    const p = canvas.getPointer(opt.e, true);
+    let axis = null;
+    if (p.x < RULER_PX && p.y < RULER_PX) return;
+    if (p.y < RULER_PX) axis = 'y';
+    else if (p.x < RULER_PX) axis = 'x';
+    else if (isSelectToolMode() && !opt.target) {
+      const i = guideAt(p);
+      if (i >= 0) axis = getState().sceneGuides[i].axis;
+    }
+    if (axis && typeof canvas.setCursor === 'function') canvas.setCursor(axis === 'x' ? 'ew-resize' : 'ns-resize');
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key !== 'Escape' || !drag) return;
+    e.preventDefault();
+    endDrag();
+  };
+
+  canvas.on('after:render', painter);
+  canvas.on('mouse:move', onHover);
+  wrapper.addEventListener('mousedown', onMouseDown, true);
+  window.addEventListener('keydown', onKeyDown);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'setSceneGuides' ||
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && details.key === 'showRulers')
+    ) {
+      requestRender();
+    }
+  });
+
+  log("INFO", "[canvas-rulers] Rulers installed");
+  return function detach() {
+    try { if (drag) endDrag(); } catch {}
+    try {
+      canvas.off('after:render', painter);
+      canvas.off('mouse:move', onHover);
+    } catch {}
+    try { wrapper.removeEventListener('mousedown', onMouseDown, true); } catch {}
+    try { window.removeEventListener('keydown', onKeyDown); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[canvas-rulers] Rulers detached");
+  };
+}
@@ -0,0 +1,195 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { canvasToImagePoint, summarizeShapeGeometry } from './geometry/shape-rect.js';
+import { sampleImagePixel } from './color-sampling.js';
+
+/*
+  Canvas status bar
+  -----------------
+  A one-line strip over the bottom of the canvas view:
+    - cursor position in image pixels (the pixel under the pointer),
+    - the screenshot color there (swatch, hex, RGB),
+    - the selection: X / Y (top-left of its image-pixel bounds), W × H and
+      angle for one shape (summarizeShapeGeometry), union X / Y / W × H for
+      several.
+  Updates on pointer moves, live drags / resizes / rotations and selection
+  changes. It never takes pointer events. Setting showStatusBar hides it.
+*/
+
+const BAR_CLASS = 'canvas-status-bar';
+
+function fmt(v) {
+  return String(Math.round(v * 10) / 10);
+}
+
+function shapeSize(geom) {
+  const b = geom.bounds;
+  if (Number.isFinite(geom.width) && Number.isFinite(geom.height)) return { w: geom.width, h: geom.height };
+  if (Number.isFinite(geom.rx) && Number.isFinite(geom.ry)) return { w: geom.rx * 2, h: geom.ry * 2 };
+  if (Number.isFinite(geom.radius)) return { w: geom.radius * 2, h: geom.radius * 2 };
+  return { w: b.x2 - b.x1, h: b.y2 - b.y1 };
+}
+
+function describeSelection(shapes, bg) {
+  const list = (shapes || []).filter(Boolean);
+  if (!list.length) return '';
+  const geoms = list.map(s => summarizeShapeGeometry(s, bg)).filter(g => g.image?.bounds);
+  if (!geoms.length) return '';
+  if (geoms.length === 1) {
+    const g = geoms[0].image;
+    const { w, h } = shapeSize(g);
+    const angle = ((Math.round(g.angle * 10) / 10) % 360 + 360) % 360;
+    return `X ${fmt(g.bounds.x1)}  Y ${fmt(g.bounds.y1)}  W ${fmt(w)}  H ${fmt(h)}  ∠ ${fmt(angle)}°`;
+  }
+  const x1 = Math.min(...geoms.map(g => g.image.bounds.x1));
+  const y1 = Math.min(...geoms.map(g => g.image.bounds.y1));
+  const x2 = Math.max(...geoms.map(g => g.image.bounds.x2));
+  const y2 = Math.max(...geoms.map(g => g.image.bounds.y2));
+  return `${geoms.length} selected  X ${fmt(x1)}  Y ${fmt(y1)}  W ${fmt(x2 - x1)}  H ${fmt(y2 - y1)}`;
+}
+
+function buildBar() {
+  const bar = document.createElement('div');
+  bar.className = BAR_CLASS;
+  Object.assign(bar.style, {
+    position: 'absolute',
+    left: '0',
+    right: '0',
+    bottom: '0',
+    height: '18px',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '14px',
+    padding: '0 8px',
+    font: '11px ui-monospace, SFMono-Regular, Menlo, Consolas, monospace',
+    color: '#24364d',
+    background: 'rgba(238, 243, 250, 0.92)',
+    borderTop: '1px solid #9aa8ba',
+    whiteSpace: 'nowrap',
+    overflow: 'hidden',
+    pointerEvents: 'none',
+    zIndex: '3'
+  });
+  const cursor = document.createElement('span');
+  const color = document.createElement('span');
+  color.style.display = 'inline-flex';
+  color.style.alignItems = 'center';
+  color.style.gap = '4px';
+  const swatch = document.createElement('span');
+  Object.assign(swatch.style, {
+    display: 'none',
+    width: '10px',
+    height: '10px',
+    border: '1px solid #5a6b80'
+  });
+  const colorText = document.createElement('span');
+  color.append(swatch, colorText);
+  const selection = document.createElement('span');
+  selection.style.marginLeft = 'auto';
+  bar.append(cursor, color, selection);
+  return { bar, cursor, swatch, colorText, selection };
+}
+
+export function installCanvasStatusBar(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-status-bar] install: canvas is null/undefined");
+    return () => {};
+  }
+  const wrapper = canvas.lowerCanvasEl?.parentElement || null;
+  if (!wrapper || typeof document === 'undefined') {
+    log("WARN", "[canvas-status-bar] Missing canvas wrapper; status bar not installed");
+    return () => {};
+  }
+
+  const els = buildBar();
+  wrapper.appendChild(els.bar);
+
+  const applyVisibility = () => {
+    els.bar.style.display = getState().settings?.showStatusBar === false ? 'none' : 'flex';
+  };
+
+  const clearCursor = () => {
+    els.cursor.textContent = '';
+    els.colorText.textContent = '';
+    els.swatch.style.display = 'none';
+  };
+
+  const onMove = (opt) => {
+    if (!opt?.e || els.bar.style.display === 'none') return;
+    try {
+      const state = getState();
+      const bg = state.bgFabricImage;
+      const pt = canvasToImagePoint(canvas.getPointer(opt.e), bg);
+      if (!pt) return clearCursor();
+      const x = Math.floor(pt.x);
+      const y = Math.floor(pt.y);
+      const inside = !bg || (x >= 0 && y >= 0 && x < bg.width && y < bg.height);
+      els.cursor.textContent = inside ? `${x}, ${y}` : '';
+      const px = inside && state.imageObj ? sampleImagePixel(x, y) : null;
+      if (px) {
+        els.swatch.style.display = 'inline-block';
+        els.swatch.style.background = px.hex;
+        els.colorText.textContent = `${px.hex.toUpperCase()}  rgb(${px.r}, ${px.g}, ${px.b})`;
+      } else {
+        els.swatch.style.display = 'none';
+        els.colorText.textContent = '';
+      }
+    } catch (e) {
+      log("ERROR", "[canvas-status-bar] Cursor readout failed", e);
+    }
+  };
+
+  const updateSelection = () => {
+    try {
+      const state = getState();
+      els.selection.textContent = describeSelection(state.selectedShapes, state.bgFabricImage);
+    } catch (e) {
+      log("ERROR", "[canvas-status-bar] Selection readout failed", e);
+    }
+  };
+
+  canvas.on('mouse:move', onMove);
+  canvas.on('mouse:out', clearCursor);
+  canvas.on('object:moving', updateSelection);
+  canvas.on('object:scaling', updateSelection);
+  canvas.on('object:rotating', updateSelection);
+  canvas.on('object:modified', updateSelection);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    switch (details.type) {
+      case 'setSelectedShapes':
+      case 'updateShapes':
+      case 'setShapes':
+      case 'setBgFabricImage':
+        updateSelection();
+        break;
+      case 'setSettings':
+        applyVisibility();
+        break;
+      case 'setSetting':
+        if (details.key === 'showStatusBar') applyVisibility();
+        break;
+      default:
+        break;
+    }
+  });
+
+  applyVisibility();
+  updateSelection();
+
+  log("INFO", "[canvas-status-bar] Status bar installed");
+  return function detach() {
+    try {
+      canvas.off('mouse:move', onMove);
+      canvas.off('mouse:out', clearCursor);
+      canvas.off('object:moving', updateSelection);
+      canvas.off('object:scaling', updateSelection);
+      canvas.off('object:rotating', updateSelection);
+      canvas.off('object:modified', updateSelection);
+    } catch {}
+    try { unsub && unsub(); } catch {}
+    try { els.bar.remove(); } catch {}
+    log("INFO", "[canvas-status-bar] Status bar detached");
+  };
+}
@@ -0,0 +1,427 @@
+/**
+ * canvas-tool-mode.js
+ * -----------------------------------------------------------
+ * Scene Designer – Canvas pointer tool modes
+ *
+ * state.toolMode:
+ *   'select'     – default Fabric selection / transform behavior
+ *   'eyedropper' – next click on the canvas samples the BACKGROUND IMAGE pixel
+ *                  under the pointer and pins it as the expected color of the
+ *                  selected shapes (SET_EXPECTED_COLOR, mode 'manual').
+ *
+ *   'polygon'    – click-to-place polygon drawing: each click adds a vertex
+ *                  (preview on the top context); double-click, Enter or a
+ *                  click on the first vertex closes it (3+ vertices) and adds
+ *                  the shape (ADD_SHAPE polygon); Backspace removes the last
+ *                  vertex.
+ *
+ *   'create'     – click-drag creation of the armed shape type (rect / region /
+ *                  template / circle / ellipse / point): press, drag to size
+ *                  with a live outline, release to add it as one ADD_SHAPE.
+ *                  Shift constrains a box to a square and an ellipse to a
+ *                  circle; a plain click drops the default size at the pointer
+ *                  (a point is placed where the button is released).
+ *
+ * While a non-select mode is active, Fabric target finding and marquee
+ * selection are disabled so the click cannot change the selection; the
+ * selection sync in canvas-events.js also ignores the click.
+ * Shift+click keeps the eyedropper armed; Esc cancels (a polygon draft or a
+ * shape being dragged out is discarded). Keys typed into text fields are
+ * left alone.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import { getState, setToolMode, sceneDesignerStore } from './state.js';
+import { setExpectedColorForSelected, addShapeOfType } from './actions.js';
+import { canvasToImagePoint } from './geometry/shape-rect.js';
+import { sampleImagePixel } from './color-sampling.js';
+import { MIN_POLYGON_VERTICES } from './geometry/polygon.js';
+
+const HANDLERS_KEY = '__sceneDesignerToolModeHandlers__';
+const CLOSE_RADIUS_PX = 8;
+const CLICK_SLOP_PX = 3;
+const DRAFT_COLOR = '#2176ff';
+
+// Shape types the 'create' mode can drag out.
+const CREATE_TYPES = new Set(['rect', 'region', 'template', 'circle', 'ellipse', 'point']);
+let createType = 'rect';
+
+// Keys typed into a text field belong to the field, not to the tool.
+function isEditableTarget(t) {
+  if (!t) return false;
+  const tag = (t.tagName || '').toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || !!t.isContentEditable;
+}
+
+export function isSelectToolMode() {
+  return (getState().toolMode || 'select') === 'select';
+}
+
+export function toggleEyedropperMode() {
+  setToolMode(getState().toolMode === 'eyedropper' ? 'select' : 'eyedropper');
+}
+
+export function togglePolygonDrawMode() {
+  setToolMode(getState().toolMode === 'polygon' ? 'select' : 'polygon');
+}
+
+export function isCreatableShapeType(type) {
+  return CREATE_TYPES.has(type);
+}
+
+/**
+ * Arm click-drag creation for `type`; pressing again with the same type
+ * disarms it.
+ */
+export function toggleCreateMode(type) {
+  if (!CREATE_TYPES.has(type)) {
+    log("WARN", "[canvas-tool-mode] Shape type cannot be drag-created", { type });
+    return;
+  }
+  if (getState().toolMode === 'create' && createType === type) {
+    setToolMode('select');
+    return;
+  }
+  createType = type;
+  setToolMode('create');
+  log("INFO", "[canvas-tool-mode] Create mode armed", { type });
+}
+
+/**
+ * ADD_SHAPE opts for a drag from `start` to `end` (canvas coordinates).
+ * null `end` = plain click: default size centered on `start`.
+ */
+export function sketchShapeOpts(type, start, end, constrain) {
+  if (type === 'point') {
+    const p = end || start;
+    return { x: p.x, y: p.y };
+  }
+  if (!end) return { x: start.x, y: start.y };
+  let dx = end.x - start.x;
+  let dy = end.y - start.y;
+  if (constrain || type === 'circle') {
+    const side = Math.max(Math.abs(dx), Math.abs(dy));
+    dx = (dx < 0 ? -1 : 1) * side;
+    dy = (dy < 0 ? -1 : 1) * side;
+  }
+  const x = start.x + dx / 2;
+  const y = start.y + dy / 2;
+  const width = Math.max(1, Math.abs(dx));
+  const height = Math.max(1, Math.abs(dy));
+  if (type === 'circle') return { x, y, radius: width / 2 };
+  return { x, y, width, height };
+}
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function applyModeToCanvas(canvas, mode) {
+  const picking = mode === 'eyedropper' || mode === 'polygon' || mode === 'create';
+  canvas.selection = !picking;
+  canvas.skipTargetFind = picking;
+  canvas.defaultCursor = picking ? 'crosshair' : 'default';
+  canvas.hoverCursor = picking ? 'crosshair' : 'move';
+  if (picking) {
+    try { canvas.setCursor && canvas.setCursor('crosshair'); } catch {}
+  }
+}
+
+export function installCanvasToolMode(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-tool-mode] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  try {
+    const prior = canvas[HANDLERS_KEY];
+    if (typeof prior === 'function') prior();
+  } catch {}
+
+  const onMouseDown = (opt) => {
+    if (getState().toolMode === 'polygon') {
+      onPolygonMouseDown(opt);
+      return;
+    }
+    if (getState().toolMode === 'create') {
+      onCreateMouseDown(opt);
+      return;
+    }
+    if (getState().toolMode !== 'eyedropper') return;
+    try {
+      const state = getState();
+      const pointer = canvas.getPointer(opt.e);
+      const imgPt = canvasToImagePoint(pointer, state.bgFabricImage);
+      const px = imgPt ? sampleImagePixel(imgPt.x, imgPt.y) : null;
+      if (!px) {
+        log("INFO", "[canvas-tool-mode] Eyedropper click outside the image", { pointer });
+        return;
+      }
+      if (!(state.selectedShapes || []).length) {
+        log("INFO", "[canvas-tool-mode] Eyedropper: no shapes selected", { hex: px.hex });
+      } else {
+        setExpectedColorForSelected(px.hex);
+        log("INFO", "[canvas-tool-mode] Eyedropper picked color", {
+          hex: px.hex,
+          x: Math.floor(imgPt.x),
+          y: Math.floor(imgPt.y)
+        });
+      }
+      if (!opt.e?.shiftKey) setToolMode('select');
+    } catch (e) {
+      log("ERROR", "[canvas-tool-mode] Eyedropper pick failed", e);
+    }
+  };
+
+  /* Polygon drawing (draft in canvas coordinates) */
+  let draft = [];
+  let hover = null;
+
+  const requestRender = () => {
+    if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+    else canvas.renderAll();
+  };
+  const zoom = () => (canvas.getZoom ? canvas.getZoom() || 1 : 1);
+  const closeRadius = () => CLOSE_RADIUS_PX / zoom();
+  const resetDraft = () => {
+    if (!draft.length && !hover) return;
+    draft = [];
+    hover = null;
+    requestRender();
+  };
+
+  const finishPolygon = () => {
+    if (draft.length < MIN_POLYGON_VERTICES) {
+      log("INFO", "[canvas-tool-mode] Polygon needs at least 3 vertices", { count: draft.length });
+      return;
+    }
+    const points = draft.slice();
+    resetDraft();
+    setToolMode('select');
+    addShapeOfType('polygon', { points });
+    log("INFO", "[canvas-tool-mode] Polygon drawn", { vertices: points.length });
+  };
+
+  const onPolygonMouseDown = (opt) => {
+    const pointer = canvas.getPointer(opt.e);
+    const first = draft[0];
+    if (draft.length >= MIN_POLYGON_VERTICES && first &&
+        Math.hypot(pointer.x - first.x, pointer.y - first.y) <= closeRadius()) {
+      finishPolygon();
+      return;
+    }
+    draft.push({ x: pointer.x, y: pointer.y });
+    requestRender();
+  };
+
+  const onMouseDblClick = () => {
+    if (getState().toolMode !== 'polygon') return;
+    // Both clicks of the double-click already placed a vertex; drop the repeat.
+    const n = draft.length;
+    if (n >= 2 && Math.hypot(draft[n - 1].x - draft[n - 2].x, draft[n - 1].y - draft[n - 2].y) <= closeRadius()) {
+      draft.pop();
+    }
+    finishPolygon();
+  };
+
+  /* Click-drag creation (canvas coordinates) */
+  let sketch = null; // { start, end, dragged, constrain }
+
+  const resetSketch = () => {
+    if (!sketch) return;
+    sketch = null;
+    requestRender();
+  };
+
+  const onCreateMouseDown = (opt) => {
+    if (opt.e && opt.e.button !== undefined && opt.e.button !== 0) return;
+    const p = canvas.getPointer(opt.e);
+    sketch = { start: { x: p.x, y: p.y }, end: { x: p.x, y: p.y }, dragged: false, constrain: !!opt.e?.shiftKey };
+    requestRender();
+  };
+
+  const onCreateMouseMove = (opt) => {
+    const p = canvas.getPointer(opt.e);
+    sketch.end = { x: p.x, y: p.y };
+    sketch.constrain = !!opt.e?.shiftKey;
+    if (!sketch.dragged) {
+      sketch.dragged = Math.hypot(p.x - sketch.start.x, p.y - sketch.start.y) * zoom() > CLICK_SLOP_PX;
+    }
+    requestRender();
+  };
+
+  const onMouseUp = (opt) => {
+    if (getState().toolMode !== 'create' || !sketch) return;
+    if (opt?.e) {
+      const p = canvas.getPointer(opt.e);
+      sketch.end = { x: p.x, y: p.y };
+      sketch.constrain = !!opt.e.shiftKey;
+    }
+    const type = createType;
+    const opts = sketchShapeOpts(type, sketch.start, sketch.dragged ? sketch.end : null, sketch.constrain);
+    resetSketch();
+    setToolMode('select');
+    addShapeOfType(type, opts);
+    log("INFO", "[canvas-tool-mode] Shape drawn", { type, ...opts });
+  };
+
+  const onMouseMove = (opt) => {
+    if (getState().toolMode === 'create') {
+      if (sketch) onCreateMouseMove(opt);
+      return;
+    }
+    if (getState().toolMode !== 'polygon' || !draft.length) return;
+    hover = canvas.getPointer(opt.e);
+    requestRender();
+  };
+
+  const paintSketch = (ctx, toScreen, dpr) => {
+    const type = createType;
+    const opts = sketchShapeOpts(type, sketch.start, sketch.dragged ? sketch.end : null, sketch.constrain);
+    const c = toScreen(opts);
+    ctx.strokeStyle = DRAFT_COLOR;
+    ctx.lineWidth = 1.5 * dpr;
+    ctx.beginPath();
+    if (type === 'point') {
+      const arm = 6 * dpr;
+      ctx.moveTo(c.x - arm, c.y);
+      ctx.lineTo(c.x + arm, c.y);
+      ctx.moveTo(c.x, c.y - arm);
+      ctx.lineTo(c.x, c.y + arm);
+      ctx.stroke();
+      return;
+    }
+    if (!sketch.dragged) return;
+    const rx = (opts.radius ?? opts.width / 2) * zoom() * dpr;
+    const ry = (opts.radius ?? opts.height / 2) * zoom() * dpr;
+    ctx.setLineDash([4 * dpr, 4 * dpr]);
+    if (type === 'circle' || type === 'ellipse') {
+      ctx.ellipse(c.x, c.y, rx, ry, 0, 0, Math.PI * 2);
+    } else {
+      ctx.rect(c.x - rx, c.y - ry, rx * 2, ry * 2);
+    }
+    ctx.stroke();
+    ctx.setLineDash([]);
+  };
+
+  const paintDraft = () => {
+    const mode = getState().toolMode;
+    const sketching = mode === 'create' && !!sketch;
+    if (!sketching && (mode !== 'polygon' || !draft.length)) return;
+    const ctx = getTopContext(canvas);
+    if (!ctx) return;
+    const dpr = getDpr(canvas);
+    const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+    const toScreen = (p) => ({ x: (vt[0] * p.x + vt[2] * p.y + vt[4]) * dpr, y: (vt[1] * p.x + vt[3] * p.y + vt[5]) * dpr });
+    ctx.save();
+    if (sketching) {
+      try {
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        paintSketch(ctx, toScreen, dpr);
+      } catch (e) {
+        log("ERROR", "[canvas-tool-mode] Create preview painter error", e);
+      } finally {
+        ctx.restore();
+      }
+      return;
+    }
+    const pts = draft.map(toScreen);
+    try {
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.strokeStyle = DRAFT_COLOR;
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.beginPath();
+      pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      if (hover) {
+        const h = toScreen(hover);
+        ctx.lineTo(h.x, h.y);
+      }
+      ctx.stroke();
+      if (hover && pts.length >= 2) {
+        const h = toScreen(hover);
+        ctx.setLineDash([4 * dpr, 4 * dpr]);
+        ctx.beginPath();
+        ctx.moveTo(h.x, h.y);
+        ctx.lineTo(pts[0].x, pts[0].y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      ctx.fillStyle = '#ffffff';
+      pts.forEach((p, i) => {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, (i === 0 ? 5 : 3.5) * dpr, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+    } catch (e) {
+      log("ERROR", "[canvas-tool-mode] Polygon draft painter error", e);
+    } finally {
+      ctx.restore();
+    }
+  };
+
+  const onKeyDown = (e) => {
+    if (isEditableTarget(e.target)) return;
+    const mode = getState().toolMode;
+    if (e.key === 'Escape' && mode !== 'select') {
+      resetDraft();
+      resetSketch();
+      setToolMode('select');
+      return;
+    }
+    if (mode !== 'polygon') return;
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      finishPolygon();
+    } else if (e.key === 'Backspace' && draft.length) {
+      e.preventDefault();
+      draft.pop();
+      requestRender();
+    }
+  };
+
+  canvas.on('mouse:down', onMouseDown);
+  canvas.on('mouse:dblclick', onMouseDblClick);
+  canvas.on('mouse:move', onMouseMove);
+  canvas.on('mouse:up', onMouseUp);
+  canvas.on('after:render', paintDraft);
+  window.addEventListener('keydown', onKeyDown);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (details.type === 'setToolMode') {
+      if (details.mode !== 'polygon') resetDraft();
+      if (details.mode !== 'create') resetSketch();
+      applyModeToCanvas(canvas, details.mode);
+    } else if (details.type === 'setActiveSceneId' && state.toolMode !== 'select') {
+      setToolMode('select');
+    }
+  });
+  applyModeToCanvas(canvas, getState().toolMode);
+
+  const detach = () => {
+    try { canvas.off('mouse:down', onMouseDown); } catch {}
+    try { canvas.off('mouse:dblclick', onMouseDblClick); } catch {}
+    try { canvas.off('mouse:move', onMouseMove); } catch {}
+    try { canvas.off('mouse:up', onMouseUp); } catch {}
+    try { canvas.off('after:render', paintDraft); } catch {}
+    try { window.removeEventListener('keydown', onKeyDown); } catch {}
+    try { unsub && unsub(); } catch {}
+    if (canvas[HANDLERS_KEY] === detach) canvas[HANDLERS_KEY] = null;
+    log("INFO", "[canvas-tool-mode] Detached");
+  };
+  canvas[HANDLERS_KEY] = detach;
+
+  log("INFO", "[canvas-tool-mode] Installed");
+  return detach;
+}
@@ -1,6 +1,8 @@
 import { log } from './log.js';
 import { getState } from './state.js';
 import { dispatch } from './commands/command-bus.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { getAnchorFollowers, getAnchorOffset, getAnchorPoint, translateShape } from './anchors.js';
 
 const HANDLERS_KEY = '__sceneDesignerTransformHistoryHandlers__';
 
@@ -66,13 +68,24 @@ export function installCanvasTransformHistory(canvas) {
     localHandlers.push({ event, fn });
   };
 
+  // followers: shapes anchored to the dragged ones (anchors.js), with the
+  // offset they keep; they move live and commit in the same SET_TRANSFORMS.
   let gesture = {
     started: false,
     moved: false,
     pre: new Map(),
-    selectionIds: []
+    selectionIds: [],
+    followers: []
   };
 
+  function resetGesture() {
+    gesture.started = false;
+    gesture.moved = false;
+    gesture.pre.clear();
+    gesture.selectionIds = [];
+    gesture.followers = [];
+  }
+
   function beginGesture() {
     try {
       const members = getActiveSelectionMembers(canvas);
@@ -81,6 +94,7 @@ export function installCanvasTransformHistory(canvas) {
       gesture.moved = false;
       gesture.pre.clear();
       gesture.selectionIds = [];
+      gesture.followers = [];
       members.forEach(s => {
         const snap = snapshotOfShape(s);
         if (snap) {
@@ -88,22 +102,50 @@ export function installCanvasTransformHistory(canvas) {
           gesture.selectionIds.push(snap.id);
         }
       });
+      const { shapes, bgFabricImage } = getState();
+      getAnchorFollowers(gesture.selectionIds, shapes).forEach(s => {
+        const offset = getAnchorOffset(s, shapes, bgFabricImage);
+        const snap = snapshotOfShape(s);
+        if (!offset || !snap || s.locked) return;
+        gesture.pre.set(snap.id, snap);
+        gesture.followers.push({ shape: s, offset });
+      });
     } catch {}
   }
 
+  // Parents come first, so a follower of a follower sees its moved anchor.
+  function followAnchors() {
+    if (!gesture.followers.length) return;
+    const { shapes, bgFabricImage } = getState();
+    gesture.followers.forEach(({ shape, offset }) => {
+      try {
+        const ref = getAnchorPoint(shape, shapes, bgFabricImage);
+        const geom = ref ? getShapeImageGeometry(shape, bgFabricImage) : null;
+        if (!geom) return;
+        translateShape(shape, ref.x + offset.x - geom.center.x, ref.y + offset.y - geom.center.y, bgFabricImage);
+      } catch {}
+    });
+  }
+
   function markMoved() {
-    if (gesture.started) gesture.moved = true;
+    if (!gesture.started) return;
+    gesture.moved = true;
+    followAnchors();
   }
 
   function finalizeGesture(reason) {
     if (!gesture.started) return;
 
     try {
+      // Drops can still shift the selection (pixel snap, canvas-constraints.js).
+      if (gesture.moved) followAnchors();
+
       const stateShapes = getState().shapes || [];
       const byId = new Map(stateShapes.filter(Boolean).map(s => [s._id, s]));
       const postItems = [];
+      const ids = gesture.selectionIds.concat(gesture.followers.map(f => f.shape._id));
 
-      gesture.selectionIds.forEach(id => {
+      ids.forEach(id => {
         const shape = byId.get(id);
         if (!shape) return;
         const post = snapshotOfShape(shape);
@@ -115,15 +157,16 @@ export function installCanvasTransformHistory(canvas) {
 
       if (postItems.length > 0) {
         dispatch({ type: 'SET_TRANSFORMS', payload: { items: postItems } });
-        log("INFO", "[transform-history] gesture committed", { reason, changed: postItems.length });
+        log("INFO", "[transform-history] gesture committed", {
+          reason,
+          changed: postItems.length,
+          followers: gesture.followers.length
+        });
       }
     } catch (e) {
       log("ERROR", "[transform-history] finalizeGesture error", e);
     } finally {
-      gesture.started = false;
-      gesture.moved = false;
-      gesture.pre.clear();
-      gesture.selectionIds = [];
+      resetGesture();
     }
   }
 
@@ -131,7 +174,14 @@ export function installCanvasTransformHistory(canvas) {
   const onScaling = () => { markMoved(); };
   const onMoving = () => { markMoved(); };
   const onRotating = () => { markMoved(); };
-  const onObjectModified = () => { finalizeGesture('object:modified'); };
+  const onObjectModified = (opt) => {
+    // Polygon vertex / line endpoint drags commit their own command (canvas-vertex-edit.js).
+    if (opt && (opt.action === 'modifyPolygon' || opt.action === 'modifyLine')) {
+      resetGesture();
+      return;
+    }
+    finalizeGesture('object:modified');
+  };
   const onMouseUp = () => { finalizeGesture('mouse:up'); };
 
   on('mouse:down', onMouseDown);
@@ -0,0 +1,104 @@
+import { log } from './log.js';
+import { getState } from './state.js';
+import { dispatch, subscribeHistory } from './commands/command-bus.js';
+import { getPolygonPoints, setPolygonPoints } from './shapes-polygon.js';
+import { getLineEndpoints, setLineEndpoints } from './shapes-line.js';
+import { nearestVertexIndex, nearestEdgeInsertion, MIN_POLYGON_VERTICES } from './geometry/polygon.js';
+import { updateTransformer } from './transformer.js';
+
+/*
+  Polygon vertex / line endpoint editing
+  --------------------------------------
+  - Handle drag (handles from transformer.js, action 'modifyPolygon' /
+    'modifyLine'): the handle moves the point live; on object:modified the
+    shape is put back to the pre-drag points and the result is committed as
+    one SET_POLYGON_POINTS / SET_LINE_POINTS, so undo restores the whole drag.
+  - Double-click on a selected, unlocked polygon: on a vertex deletes it
+    (never below 3), on an edge inserts a vertex there. Either way the
+    event is marked handled so the label editor stays closed.
+  - After any history step a single selected polygon / line / swipe gets
+    fresh handles (the vertex count may have changed).
+*/
+
+const HIT_RADIUS_PX = 8;
+
+const DRAG_COMMITS = {
+  modifyPolygon: { type: 'SET_POLYGON_POINTS', getPoints: getPolygonPoints, setPoints: setPolygonPoints },
+  modifyLine: { type: 'SET_LINE_POINTS', getPoints: getLineEndpoints, setPoints: setLineEndpoints }
+};
+
+function getSelectedVertexShape(types = ['polygon', 'line', 'swipe']) {
+  const sel = getState().selectedShapes || [];
+  if (sel.length !== 1) return null;
+  const shape = sel[0];
+  return shape && types.includes(shape._type) ? shape : null;
+}
+
+export function installVertexEditing(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-vertex-edit] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const hitRadius = () => HIT_RADIUS_PX / (canvas.getZoom ? canvas.getZoom() || 1 : 1);
+
+  const onObjectModified = (opt) => {
+    const commit = opt && DRAG_COMMITS[opt.action];
+    if (!commit) return;
+    const shape = opt.target;
+    const prev = opt.transform?.vertexPrev;
+    if (!shape || !Array.isArray(prev)) return;
+    try {
+      const next = commit.getPoints(shape);
+      commit.setPoints(shape, prev);
+      dispatch({ type: commit.type, payload: { id: shape._id, points: next } });
+      log("INFO", "[canvas-vertex-edit] Handle drag committed", { id: shape._id, type: commit.type });
+    } catch (e) {
+      log("ERROR", "[canvas-vertex-edit] Handle drag commit failed", e);
+    }
+  };
+
+  const onMouseDblClick = (opt) => {
+    if ((getState().toolMode || 'select') !== 'select') return;
+    const shape = getSelectedVertexShape(['polygon']);
+    if (!shape || shape.locked) return;
+    try {
+      const pointer = canvas.getPointer(opt.e);
+      const pts = getPolygonPoints(shape);
+      const vi = nearestVertexIndex(pts, pointer.x, pointer.y, hitRadius());
+      if (vi >= 0) {
+        // Handled here: label editing (canvas-label-edit.js) skips it.
+        opt.e?.preventDefault?.();
+        if (pts.length <= MIN_POLYGON_VERTICES) {
+          log("INFO", "[canvas-vertex-edit] Polygon keeps at least 3 vertices", { id: shape._id });
+          return;
+        }
+        pts.splice(vi, 1);
+      } else {
+        const hit = nearestEdgeInsertion(pts, pointer.x, pointer.y, hitRadius());
+        if (!hit) return;
+        opt.e?.preventDefault?.();
+        pts.splice(hit.index, 0, hit.point);
+      }
+      dispatch({ type: 'SET_POLYGON_POINTS', payload: { id: shape._id, points: pts } });
+    } catch (e) {
+      log("ERROR", "[canvas-vertex-edit] Vertex insert/delete failed", e);
+    }
+  };
+
+  canvas.on('object:modified', onObjectModified);
+  canvas.on('mouse:dblclick', onMouseDblClick);
+
+  const unsubHistory = subscribeHistory((evt) => {
+    if (!evt || !['dispatch', 'undo', 'redo'].includes(evt.event)) return;
+    if (getSelectedVertexShape()) updateTransformer();
+  });
+
+  log("INFO", "[canvas-vertex-edit] Installed");
+  return function detach() {
+    try { canvas.off('object:modified', onObjectModified); } catch {}
+    try { canvas.off('mouse:dblclick', onMouseDblClick); } catch {}
+    try { unsubHistory && unsubHistory(); } catch {}
+    log("INFO", "[canvas-vertex-edit] Detached");
+  };
+}
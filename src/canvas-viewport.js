@@ -0,0 +1,337 @@
+import { log } from './log.js';
+import { getState, sceneDesignerStore, setViewZoom } from './state.js';
+import { getShapeImageGeometry, imageToCanvasPoint } from './geometry/shape-rect.js';
+
+/*
+  Canvas view: zoom and pan
+  -------------------------
+  The view is the Fabric viewportTransform [z, 0, 0, z, panX, panY]. Shapes,
+  the background image and every exported coordinate stay in canvas / image
+  units; only the transform changes, so pointer math (canvas.getPointer),
+  constraints and overlays that draw through the transform stay exact.
+
+  Zoom is reported as screen px per image px (state.viewZoom), clamped to
+  MIN_ZOOM..MAX_ZOOM. Above 1:1 the background image is drawn with
+  nearest-neighbor sampling, so each image pixel is a crisp square.
+
+  Input (installCanvasViewport):
+    - Ctrl/Cmd + wheel zooms around the cursor.
+    - Space + drag or middle-button drag pans; Fabric never sees these drags.
+  Commands: zoomToFit, zoomToActualSize (100 %), zoomToSelection, zoomIn,
+  zoomOut. Once the user zooms or pans, the responsive fit
+  (canvas-core.js) keeps that view until a new image is loaded.
+*/
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 32;
+const ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_RATE = 0.0015;
+const FIT_PADDING_PX = 24;
+const PAN_KEEP_VISIBLE_PX = 40;
+
+function requestRender(canvas) {
+  if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+  else canvas.renderAll();
+}
+
+function resolveCanvas(canvas) {
+  return canvas || getState().fabricCanvas || null;
+}
+
+function getVpt(canvas) {
+  return Array.isArray(canvas?.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+}
+
+function getImageScale(canvas) {
+  const bg = canvas?.backgroundImage || getState().bgFabricImage;
+  return Number(bg?.scaleX) > 0 ? bg.scaleX : 1;
+}
+
+// Visible area of the canvas element in CSS px (responsive scale applied).
+function getViewSize(canvas) {
+  const s = canvas.__responsiveScale || 1;
+  return { width: canvas.getWidth() * s, height: canvas.getHeight() * s };
+}
+
+// Image rectangle in canvas units; the canvas itself without an image.
+function getImageRect(canvas) {
+  const bg = canvas.backgroundImage || getState().bgFabricImage;
+  if (bg && bg.width > 0 && bg.height > 0) {
+    const tl = imageToCanvasPoint({ x: 0, y: 0 }, bg);
+    const br = imageToCanvasPoint({ x: bg.width, y: bg.height }, bg);
+    return { x1: tl.x, y1: tl.y, x2: br.x, y2: br.y };
+  }
+  return { x1: 0, y1: 0, x2: canvas.getWidth(), y2: canvas.getHeight() };
+}
+
+function clampZoom(canvas, z) {
+  const k = getImageScale(canvas);
+  return Math.min(MAX_ZOOM / k, Math.max(MIN_ZOOM / k, z));
+}
+
+// Keep at least PAN_KEEP_VISIBLE_PX of the image inside the view.
+function clampPan(canvas, vpt) {
+  const view = getViewSize(canvas);
+  const r = getImageRect(canvas);
+  const z = vpt[0];
+  const keepX = Math.min(PAN_KEEP_VISIBLE_PX, (r.x2 - r.x1) * z, view.width);
+  const keepY = Math.min(PAN_KEEP_VISIBLE_PX, (r.y2 - r.y1) * z, view.height);
+  vpt[4] = Math.min(view.width - keepX - r.x1 * z, Math.max(keepX - r.x2 * z, vpt[4]));
+  vpt[5] = Math.min(view.height - keepY - r.y1 * z, Math.max(keepY - r.y2 * z, vpt[5]));
+  return vpt;
+}
+
+function publishZoom(canvas) {
+  setViewZoom(getVpt(canvas)[0] * getImageScale(canvas));
+}
+
+function applyView(canvas, vpt, reason) {
+  const next = clampPan(canvas, vpt.slice(0, 6));
+  canvas.__userView = true;
+  canvas.setViewportTransform(next);
+  requestRender(canvas);
+  publishZoom(canvas);
+  log("DEBUG", "[canvas-viewport] View applied", { reason, zoom: getState().viewZoom });
+}
+
+/**
+ * Zoom the canvas units by `zoom` keeping the view point (CSS px relative to
+ * the canvas element) fixed on screen.
+ */
+function zoomAroundViewPoint(canvas, zoom, viewPt, reason) {
+  const vpt = getVpt(canvas);
+  const z = clampZoom(canvas, zoom);
+  const cx = (viewPt.x - vpt[4]) / vpt[0];
+  const cy = (viewPt.y - vpt[5]) / vpt[3];
+  applyView(canvas, [z, 0, 0, z, viewPt.x - cx * z, viewPt.y - cy * z], reason);
+}
+
+// Fit a canvas-unit rectangle into the view, centered.
+function fitRect(canvas, rect, padding, maxZoom, reason) {
+  const view = getViewSize(canvas);
+  const w = Math.max(1e-6, rect.x2 - rect.x1);
+  const h = Math.max(1e-6, rect.y2 - rect.y1);
+  const availW = Math.max(1, view.width - padding * 2);
+  const availH = Math.max(1, view.height - padding * 2);
+  const z = clampZoom(canvas, Math.min(availW / w, availH / h, maxZoom));
+  const panX = (view.width - w * z) / 2 - rect.x1 * z;
+  const panY = (view.height - h * z) / 2 - rect.y1 * z;
+  applyView(canvas, [z, 0, 0, z, panX, panY], reason);
+}
+
+function viewCenter(canvas) {
+  const view = getViewSize(canvas);
+  return { x: view.width / 2, y: view.height / 2 };
+}
+
+export function zoomToFit(canvas = null) {
+  const c = resolveCanvas(canvas);
+  if (!c) return;
+  fitRect(c, getImageRect(c), 0, Infinity, 'fit');
+  log("INFO", "[canvas-viewport] Zoom to fit", { zoom: getState().viewZoom });
+}
+
+/** 100 %: one image pixel per screen (CSS) pixel, around the view center. */
+export function zoomToActualSize(canvas = null) {
+  const c = resolveCanvas(canvas);
+  if (!c) return;
+  zoomAroundViewPoint(c, 1 / getImageScale(c), viewCenter(c), 'actual-size');
+  log("INFO", "[canvas-viewport] Zoom to 100%");
+}
+
+export function zoomToSelection(canvas = null) {
+  const c = resolveCanvas(canvas);
+  if (!c) return;
+  const state = getState();
+  const bg = state.bgFabricImage;
+  const boxes = (state.selectedShapes || [])
+    .map(s => getShapeImageGeometry(s, bg)?.bounds)
+    .filter(Boolean);
+  if (!boxes.length) {
+    log("INFO", "[canvas-viewport] Zoom to selection: nothing selected");
+    return;
+  }
+  const tl = imageToCanvasPoint({
+    x: Math.min(...boxes.map(b => b.x1)),
+    y: Math.min(...boxes.map(b => b.y1))
+  }, bg);
+  const br = imageToCanvasPoint({
+    x: Math.max(...boxes.map(b => b.x2)),
+    y: Math.max(...boxes.map(b => b.y2))
+  }, bg);
+  fitRect(c, { x1: tl.x, y1: tl.y, x2: br.x, y2: br.y }, FIT_PADDING_PX, Infinity, 'selection');
+  log("INFO", "[canvas-viewport] Zoom to selection", { count: boxes.length, zoom: getState().viewZoom });
+}
+
+export function zoomIn(canvas = null) {
+  const c = resolveCanvas(canvas);
+  if (!c) return;
+  zoomAroundViewPoint(c, getVpt(c)[0] * ZOOM_STEP, viewCenter(c), 'zoom-in');
+}
+
+export function zoomOut(canvas = null) {
+  const c = resolveCanvas(canvas);
+  if (!c) return;
+  zoomAroundViewPoint(c, getVpt(c)[0] / ZOOM_STEP, viewCenter(c), 'zoom-out');
+}
+
+/**
+ * Drop the user view and return to the responsive fit at the top-left
+ * (canvas-core.js applyResponsiveViewport re-applies the scale).
+ */
+export function resetCanvasView(canvas) {
+  if (!canvas) return;
+  const s = canvas.__responsiveScale || 1;
+  canvas.__userView = false;
+  canvas.setViewportTransform([s, 0, 0, s, 0, 0]);
+  publishZoom(canvas);
+}
+
+/** Responsive resize hook: keep the user view, but keep the image reachable. */
+export function refreshCanvasView(canvas) {
+  if (!canvas) return;
+  if (canvas.__userView) {
+    canvas.setViewportTransform(clampPan(canvas, getVpt(canvas).slice(0, 6)));
+  }
+  publishZoom(canvas);
+}
+
+// Nearest-neighbor above 1:1 (pixel-accurate), smooth when zoomed out.
+// The image cache canvas is capped in size and would blur deep zoom.
+function syncImageRendering(canvas) {
+  const bg = canvas.backgroundImage;
+  if (!bg) return;
+  const smooth = getVpt(canvas)[0] * getImageScale(canvas) < 1;
+  if (bg.imageSmoothing !== smooth) bg.imageSmoothing = smooth;
+  if (bg.objectCaching !== false) bg.objectCaching = false;
+}
+
+function isEditableTarget(t) {
+  if (!t) return false;
+  const tag = (t.tagName || '').toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || !!t.isContentEditable;
+}
+
+export function installCanvasViewport(canvas) {
+  if (!canvas) {
+    log("ERROR", "[canvas-viewport] install: canvas is null/undefined");
+    return () => {};
+  }
+  const wrapper = canvas.lowerCanvasEl?.parentElement || null;
+  const upper = canvas.upperCanvasEl || null;
+  if (!wrapper || !upper) {
+    log("WARN", "[canvas-viewport] Missing canvas wrapper; zoom/pan not installed");
+    return () => {};
+  }
+
+  const onBeforeRender = () => syncImageRendering(canvas);
+  canvas.on('before:render', onBeforeRender);
+
+  const onWheel = (opt) => {
+    const e = opt?.e;
+    if (!e || !(e.ctrlKey || e.metaKey)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const factor = Math.exp(-e.deltaY * WHEEL_ZOOM_RATE);
+    zoomAroundViewPoint(canvas, getVpt(canvas)[0] * factor, { x: e.offsetX, y: e.offsetY }, 'wheel');
+  };
+  canvas.on('mouse:wheel', onWheel);
+
+  /* Pan: Space + drag, middle-button drag */
+  let hovering = false;
+  let spaceDown = false;
+  let pan = null;
+  let savedCursor = null;
+
+  const setCursor = (cursor) => {
+    if (savedCursor === null) savedCursor = upper.style.cursor || '';
+    upper.style.cursor = cursor;
+  };
+  const restoreCursor = () => {
+    if (savedCursor === null) return;
+    upper.style.cursor = savedCursor;
+    savedCursor = null;
+  };
+
+  const onMouseMove = (e) => {
+    if (!pan) return;
+    e.preventDefault();
+    const vpt = getVpt(canvas).slice(0, 6);
+    vpt[4] += e.clientX - pan.x;
+    vpt[5] += e.clientY - pan.y;
+    pan.x = e.clientX;
+    pan.y = e.clientY;
+    applyView(canvas, vpt, 'pan');
+  };
+  const onMouseUp = () => {
+    if (!pan) return;
+    pan = null;
+    window.removeEventListener('mousemove', onMouseMove, true);
+    window.removeEventListener('mouseup', onMouseUp, true);
+    if (spaceDown) setCursor('grab');
+    else restoreCursor();
+    log("DEBUG", "[canvas-viewport] Pan end", { vpt: getVpt(canvas).slice(4, 6) });
+  };
+  // Capture phase on the wrapper: runs before Fabric's upper-canvas listeners.
+  const onMouseDown = (e) => {
+    const middle = e.button === 1;
+    if (!middle && !(spaceDown && e.button === 0)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    pan = { x: e.clientX, y: e.clientY };
+    setCursor('grabbing');
+    window.addEventListener('mousemove', onMouseMove, true);
+    window.addEventListener('mouseup', onMouseUp, true);
+  };
+  const onEnter = () => { hovering = true; };
+  const onLeave = () => { hovering = false; };
+
+  const onKeyDown = (e) => {
+    if (e.code !== 'Space' && e.key !== ' ') return;
+    if (isEditableTarget(e.target) || (!hovering && !pan)) return;
+    e.preventDefault();
+    if (spaceDown) return;
+    spaceDown = true;
+    if (!pan) setCursor('grab');
+  };
+  const onKeyUp = (e) => {
+    if (e.code !== 'Space' && e.key !== ' ') return;
+    if (!spaceDown) return;
+    spaceDown = false;
+    if (!pan) restoreCursor();
+  };
+  const onBlur = () => {
+    spaceDown = false;
+    onMouseUp();
+    restoreCursor();
+  };
+
+  wrapper.addEventListener('mousedown', onMouseDown, true);
+  wrapper.addEventListener('mouseenter', onEnter);
+  wrapper.addEventListener('mouseleave', onLeave);
+  window.addEventListener('keydown', onKeyDown);
+  window.addEventListener('keyup', onKeyUp);
+  window.addEventListener('blur', onBlur);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (details?.type === 'setBgFabricImage') publishZoom(canvas);
+  });
+
+  publishZoom(canvas);
+  log("INFO", "[canvas-viewport] Zoom / pan installed", { minZoom: MIN_ZOOM, maxZoom: MAX_ZOOM });
+  return function detach() {
+    try { canvas.off('before:render', onBeforeRender); } catch {}
+    try { canvas.off('mouse:wheel', onWheel); } catch {}
+    try {
+      onMouseUp();
+      wrapper.removeEventListener('mousedown', onMouseDown, true);
+      wrapper.removeEventListener('mouseenter', onEnter);
+      wrapper.removeEventListener('mouseleave', onLeave);
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+    } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[canvas-viewport] Zoom / pan detached");
+  };
+}
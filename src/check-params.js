@@ -0,0 +1,130 @@
+/**
+ * check-params.js
+ * -----------------------------------------------------------
+ * Scene Designer – Matcher parameters (step / count / tolerance / threshold /
+ * duration)
+ *
+ * Per-shape overrides live in shape._checkParams ({ step?, count?, tolerance?,
+ * threshold?, duration? }); anything not overridden falls back to the
+ * scene-wide defaults in settings (defaultCheckStep / defaultCheckCount /
+ * defaultCheckTolerance / defaultCheckThreshold / defaultActionDuration),
+ * which in turn fall back to the matcher's documented defaults
+ * (8 / 12 / 40 / 0.9) and a 500 ms gesture.
+ *
+ *   step      – rect grid spacing in image pixels (require_pixel_rect)
+ *   count     – number of points around a circle (require_pixel_circle) or
+ *               along a line (require_pixel_line)
+ *   tolerance – per-channel color distance accepted by the matcher
+ *               (the only parameter of a color region / polygon)
+ *   threshold – minimum normalized cross-correlation score (0–1, two
+ *               decimals) for a template to count as found (require_template)
+ *   duration  – gesture length in ms of a swipe / long-press action (the
+ *               fifth value of a `swipe =` line); not a check parameter
+ * -----------------------------------------------------------
+ */
+
+import { getState } from './state.js';
+
+export const CHECK_PARAM_KEYS = Object.freeze(['step', 'count', 'tolerance', 'threshold', 'duration']);
+
+export const CHECK_PARAM_DEFAULTS = Object.freeze({ step: 8, count: 12, tolerance: 40, threshold: 0.9, duration: 500 });
+
+const CHECK_PARAM_LIMITS = {
+  step: { min: 1, max: 200 },
+  count: { min: 1, max: 360 },
+  tolerance: { min: 0, max: 255 },
+  threshold: { min: 0, max: 1, decimals: 2 },
+  duration: { min: 1, max: 60000 }
+};
+
+const SETTING_KEYS = {
+  step: 'defaultCheckStep',
+  count: 'defaultCheckCount',
+  tolerance: 'defaultCheckTolerance',
+  threshold: 'defaultCheckThreshold',
+  duration: 'defaultActionDuration'
+};
+
+const PARAMS_BY_TYPE = {
+  point: ['tolerance'],
+  rect: ['step', 'tolerance'],
+  region: ['tolerance'],
+  circle: ['count', 'tolerance'],
+  line: ['count', 'tolerance'],
+  polygon: ['tolerance'],
+  template: ['threshold'],
+  tap: [],
+  longpress: ['duration'],
+  swipe: ['duration']
+};
+
+/**
+ * Parameter keys that mean something for a shape (or shape type).
+ */
+export function getApplicableCheckParams(shapeOrType) {
+  const type = typeof shapeOrType === 'string' ? shapeOrType : shapeOrType?._type;
+  return PARAMS_BY_TYPE[type] || [];
+}
+
+/**
+ * { min, max } accepted for a parameter, or null for unknown keys.
+ */
+export function getCheckParamLimits(key) {
+  const lim = CHECK_PARAM_LIMITS[key];
+  return lim ? { min: lim.min, max: lim.max } : null;
+}
+
+/**
+ * Input step for a parameter (1 for the integer ones).
+ */
+export function getCheckParamInputStep(key) {
+  const decimals = CHECK_PARAM_LIMITS[key]?.decimals || 0;
+  return decimals ? 1 / 10 ** decimals : 1;
+}
+
+/**
+ * Clamp + round a parameter value; null when not a usable number.
+ */
+export function normalizeCheckParamValue(key, value) {
+  const lim = CHECK_PARAM_LIMITS[key];
+  if (!lim || value === null || value === undefined || value === '') return null;
+  const scale = 10 ** (lim.decimals || 0);
+  const n = Math.round(Number(value) * scale) / scale;
+  if (!Number.isFinite(n)) return null;
+  return Math.min(lim.max, Math.max(lim.min, n));
+}
+
+export function getCheckParamDefaults() {
+  const settings = getState().settings || {};
+  const out = {};
+  CHECK_PARAM_KEYS.forEach(k => {
+    const v = normalizeCheckParamValue(k, settings[SETTING_KEYS[k]]);
+    out[k] = v ?? CHECK_PARAM_DEFAULTS[k];
+  });
+  return out;
+}
+
+/**
+ * Explicit per-shape overrides only (normalized; unknown keys dropped).
+ */
+export function getCheckParamOverrides(shape) {
+  const raw = shape?._checkParams;
+  const out = {};
+  if (!raw || typeof raw !== 'object') return out;
+  CHECK_PARAM_KEYS.forEach(k => {
+    const v = normalizeCheckParamValue(k, raw[k]);
+    if (v !== null) out[k] = v;
+  });
+  return out;
+}
+
+/**
+ * Effective parameters for a shape: overrides over scene-wide defaults.
+ */
+export function getEffectiveCheckParams(shape) {
+  return { ...getCheckParamDefaults(), ...getCheckParamOverrides(shape) };
+}
+
+export function isCheckParamSettingKey(key) {
+  return Object.values(SETTING_KEYS).includes(key);
+}
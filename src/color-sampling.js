@@ -0,0 +1,218 @@
+/**
+ * color-sampling.js
+ * -----------------------------------------------------------
+ * Scene Designer – Expected color sampling (EXP-03)
+ *
+ * Reads pixels from the BACKGROUND IMAGE element (state.imageObj) via an
+ * offscreen canvas, never from the rendered Fabric canvas, so strokes, fills,
+ * labels and overlays cannot pollute the result.
+ *
+ * Sample location (image pixels, transform-aware via geometry/shape-rect.js):
+ *   - point  → reticle center
+ *   - rect   → center
+ *   - region → center
+ *   - circle → center
+ *   - ellipse → center (exported when negated, see scene-ini.js)
+ *   - polygon → bounding-box center
+ *   - line   → midpoint
+ *
+ * Stored on the shape:
+ *   shape._expectedColor  '#RRGGBB'
+ *   shape._sampleKey      `${imageURL}|${x}|${y}` of the last sample
+ *
+ * shape._expectedColorMode 'manual' (eyedropper / import, see
+ * commands-check.js SET_EXPECTED_COLOR) pins the color: such shapes are never
+ * re-sampled.
+ *
+ * The sample key makes re-sampling idempotent: a shape is only re-sampled
+ * when its sample pixel (or the image) actually changed. Shapes that arrive
+ * with a color but no key (INI / JSON import) adopt the current key so the
+ * imported color is kept until the shape is moved.
+ *
+ * installColorSampling() wires the subsystem to the store (add / set shapes,
+ * image changes) and to command-bus history events for geometry commands
+ * (SET_TRANSFORMS, MOVE_SHAPES_DELTA and their inverses, align, device
+ * rescaling, etc.).
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import { getState, sceneDesignerStore, markShapesUpdated } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+
+const SAMPLED_TYPES = new Set(['point', 'rect', 'region', 'circle', 'ellipse', 'polygon', 'line']);
+
+// Commands that can move a sample pixel (or drop a manual pin).
+const RESAMPLE_COMMANDS = new Set([
+  'ADD_SHAPE',
+  'ADD_SHAPES',
+  'DUPLICATE_SHAPES',
+  'MOVE_SHAPES_DELTA',
+  'SET_POSITIONS',
+  'SET_TRANSFORMS',
+  'RESET_ROTATION',
+  'SET_ANGLES_POSITIONS',
+  'ALIGN_SELECTED',
+  'SET_POLYGON_POINTS',
+  'SET_LINE_POINTS',
+  'RESCALE_SHAPES',
+  'SET_SHAPE_GEOMETRY',
+  'SET_EXPECTED_COLOR'
+]);
+
+const pixelCache = new WeakMap();
+
+/**
+ * RGBA pixel buffer of an image element (cached per element).
+ * @returns {{width:number, height:number, data:Uint8ClampedArray}|null}
+ */
+export function getImagePixelData(imgEl) {
+  if (!imgEl || !(imgEl.naturalWidth > 0) || !(imgEl.naturalHeight > 0)) return null;
+  const cached = pixelCache.get(imgEl);
+  if (cached) return cached;
+  try {
+    const c = document.createElement('canvas');
+    c.width = imgEl.naturalWidth;
+    c.height = imgEl.naturalHeight;
+    const ctx = c.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(imgEl, 0, 0);
+    const imageData = ctx.getImageData(0, 0, c.width, c.height);
+    const entry = { width: c.width, height: c.height, data: imageData.data };
+    pixelCache.set(imgEl, entry);
+    return entry;
+  } catch (e) {
+    log("WARN", "[color-sampling] Unable to read image pixels (cross-origin?)", e);
+    return null;
+  }
+}
+
+export function rgbToHex(r, g, b) {
+  const h = (n) => Math.max(0, Math.min(255, Math.round(n))).toString(16).padStart(2, '0');
+  return ('#' + h(r) + h(g) + h(b)).toUpperCase();
+}
+
+export function hexToRgb(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})/i.exec(String(hex || ''));
+  if (!m) return null;
+  return { r: parseInt(m[1], 16), g: parseInt(m[2], 16), b: parseInt(m[3], 16) };
+}
+
+/**
+ * Read one pixel from a pixel buffer (see getImagePixelData).
+ * @returns {{r,g,b,a,hex}|null} null when outside the image
+ */
+export function readPixel(pixels, x, y) {
+  if (!pixels) return null;
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  if (ix < 0 || iy < 0 || ix >= pixels.width || iy >= pixels.height) return null;
+  const i = (iy * pixels.width + ix) * 4;
+  const d = pixels.data;
+  return { r: d[i], g: d[i + 1], b: d[i + 2], a: d[i + 3], hex: rgbToHex(d[i], d[i + 1], d[i + 2]) };
+}
+
+/**
+ * Sample the current background image at image-pixel coordinates.
+ */
+export function sampleImagePixel(x, y, imgEl = getState().imageObj) {
+  return readPixel(getImagePixelData(imgEl), x, y);
+}
+
+/**
+ * Image-pixel location a shape's expected color is sampled from.
+ */
+export function getShapeSamplePoint(shape) {
+  if (!shape || !SAMPLED_TYPES.has(shape._type)) return null;
+  const geom = getShapeImageGeometry(shape, getState().bgFabricImage);
+  if (!geom || !geom.center) return null;
+  return { x: Math.floor(geom.center.x), y: Math.floor(geom.center.y) };
+}
+
+function sampleKeyFor(shape) {
+  const pt = getShapeSamplePoint(shape);
+  if (!pt) return null;
+  return `${getState().imageURL || ''}|${pt.x}|${pt.y}`;
+}
+
+/**
+ * Re-sample shapes whose sample pixel changed since their last sample.
+ * @param {Array} shapes
+ * @param {{force?:boolean}} opts force=true ignores the sample key
+ * @returns {Array} shapes whose expected color changed
+ */
+export function resampleShapes(shapes, opts = {}) {
+  const state = getState();
+  const pixels = getImagePixelData(state.imageObj);
+  const changed = [];
+  (Array.isArray(shapes) ? shapes : []).forEach(shape => {
+    if (!shape || !SAMPLED_TYPES.has(shape._type)) return;
+    if (shape._expectedColorMode === 'manual') return;
+    const key = sampleKeyFor(shape);
+    if (!key) return;
+    if (!opts.force && key === shape._sampleKey) return;
+    if (!opts.force && !shape._sampleKey && shape._expectedColor) {
+      shape._sampleKey = key;
+      return;
+    }
+    if (!pixels) return;
+    const pt = getShapeSamplePoint(shape);
+    const px = readPixel(pixels, pt.x, pt.y);
+    shape._sampleKey = key;
+    const next = px ? px.hex : null;
+    if (next !== (shape._expectedColor || null)) {
+      shape._expectedColor = next;
+      changed.push(shape);
+    }
+  });
+  return changed;
+}
+
+function resampleAndNotify(shapes, reason, opts) {
+  try {
+    const changed = resampleShapes(shapes, opts);
+    if (changed.length) {
+      markShapesUpdated(changed.map(s => s._id), 'expectedColor');
+      log("DEBUG", "[color-sampling] Expected colors updated", {
+        reason,
+        count: changed.length,
+        ids: changed.map(s => s._id)
+      });
+    }
+  } catch (e) {
+    log("ERROR", "[color-sampling] Resample failed", { reason, error: e });
+  }
+}
+
+export function installColorSampling() {
+  const unsubStore = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    switch (details.type) {
+      case 'addShape':
+        if (details.shape) resampleAndNotify([details.shape], 'addShape');
+        break;
+      case 'setShapes':
+        resampleAndNotify(state.shapes, 'setShapes');
+        break;
+      case 'setImage':
+        resampleAndNotify(state.shapes, 'setImage');
+        break;
+      default:
+        break;
+    }
+  });
+
+  const unsubHistory = subscribeHistory((evt) => {
+    if (!evt || !evt.cmdType) return;
+    if (evt.event !== 'dispatch' && evt.event !== 'undo' && evt.event !== 'redo') return;
+    if (!(evt.cmdTypes || [evt.cmdType]).some(t => RESAMPLE_COMMANDS.has(t))) return;
+    resampleAndNotify(getState().shapes, evt.cmdType);
+  });
+
+  log("INFO", "[color-sampling] Installed (store + geometry command hooks)");
+  return function detach() {
+    try { unsubStore && unsubStore(); } catch {}
+    try { unsubHistory && unsubHistory(); } catch {}
+    log("INFO", "[color-sampling] Detached");
+  };
+}
@@ -1,5 +1,6 @@
 import { log } from '../log.js';
 import { executeCommand } from './commands.js';
+import { commandTypes } from './commands-meta.js';
 
 /*
   Command Bus
@@ -47,11 +48,24 @@ import { executeCommand } from './commands.js';
     - clearHistory()
     - getHistorySnapshot()
     - subscribeHistory(listener)
+    - setHistoryContext(key), dropHistoryContext(key)
+
+  Listener events carry cmdType (the command run) and cmdTypes (the same with
+  a BATCH expanded to the commands inside it).
+
+  History Contexts (multi-scene documents):
+    - Each scene owns its own undo/redo stacks. setHistoryContext(sceneId) parks the
+      current stacks under the active key and restores (or creates) the stacks for the
+      new key, then notifies 'context'. Commands never cross scenes, so an inverse is
+      only ever replayed against the scene that produced it.
+    - dropHistoryContext(key) discards a parked context (scene deleted / document replaced).
 */
 
-const undoStack = [];
-const redoStack = [];
+let undoStack = [];
+let redoStack = [];
 const listeners = [];
+const parkedContexts = new Map();
+let activeContextKey = null;
 
 function notify(event, extra = {}) {
   const snapshot = getHistorySnapshot();
@@ -107,7 +121,7 @@ export function dispatch(cmd, options = {}) {
       }
     }
 
-    notify('dispatch', { cmdType: cmd.type, undoDepth: undoStack.length, redoDepth: redoStack.length });
+    notify('dispatch', { cmdType: cmd.type, cmdTypes: commandTypes(cmd), undoDepth: undoStack.length, redoDepth: redoStack.length });
     return inverse || null;
   } catch (e) {
     log("ERROR", "[command-bus] dispatch error", { type: cmd.type, error: e });
@@ -123,7 +137,7 @@ export function undo() {
     if (redoForward && typeof redoForward.type === 'string') {
       redoStack.push(redoForward);
     }
-    notify('undo', { cmdType: inverseCmd?.type, undoDepth: undoStack.length, redoDepth: redoStack.length });
+    notify('undo', { cmdType: inverseCmd?.type, cmdTypes: commandTypes(inverseCmd), undoDepth: undoStack.length, redoDepth: redoStack.length });
     return inverseCmd || null;
   } catch (e) {
     log("ERROR", "[command-bus] undo error", e);
@@ -139,7 +153,7 @@ export function redo() {
     if (undoInverse && typeof undoInverse.type === 'string') {
       undoStack.push(undoInverse);
     }
-    notify('redo', { cmdType: redoCmd?.type, undoDepth: undoStack.length, redoDepth: redoStack.length });
+    notify('redo', { cmdType: redoCmd?.type, cmdTypes: commandTypes(redoCmd), undoDepth: undoStack.length, redoDepth: redoStack.length });
     return redoCmd || null;
   } catch (e) {
     log("ERROR", "[command-bus] redo error", e);
@@ -161,6 +175,35 @@ export function clearHistory() {
   notify('clear');
 }
 
+export function setHistoryContext(key) {
+  const next = key == null ? null : String(key);
+  if (next === activeContextKey) return;
+  if (activeContextKey !== null) {
+    parkedContexts.set(activeContextKey, { undo: undoStack, redo: redoStack });
+  }
+  const restored = next !== null ? parkedContexts.get(next) : null;
+  if (next !== null) parkedContexts.delete(next);
+  undoStack = restored ? restored.undo : [];
+  redoStack = restored ? restored.redo : [];
+  activeContextKey = next;
+  notify('context', { context: next });
+  log("DEBUG", "[command-bus] History context switched", {
+    context: next,
+    undoDepth: undoStack.length,
+    redoDepth: redoStack.length
+  });
+}
+
+export function dropHistoryContext(key) {
+  const k = key == null ? null : String(key);
+  if (k === null) return;
+  if (k === activeContextKey) {
+    clearHistory();
+    return;
+  }
+  parkedContexts.delete(k);
+}
+
 export function getHistorySnapshot() {
   return {
     undoDepth: undoStack.length,
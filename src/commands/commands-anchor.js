@@ -0,0 +1,89 @@
+import { log } from '../log.js';
+import { getState, markShapesUpdated } from '../state.js';
+import { getAnchor, normalizeAnchor, sameAnchor, wouldCreateAnchorCycle } from '../anchors.js';
+
+/*
+  Anchor commands (relative positions, see anchors.js)
+  ---------------------------------------------------------
+  SET_ANCHOR
+    payload: { items: [ { id, anchor: { to: 'image'|'shape', edge, shapeId? }|null } ] }
+    - Anchors a shape to an image corner / edge / center, or to a reference
+      point of another shape; null removes the anchor. Shapes do not move.
+    - Items that would anchor a shape to itself (directly or through other
+      anchored shapes) are skipped (ANCHOR_CYCLE when nothing is left).
+    - Locked shapes are skipped (NO_TARGETS_UNLOCKED when nothing is left).
+    - Inverse lists the previous anchor (or null) per changed shape.
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  NO_TARGETS_UNLOCKED: 'NO_TARGETS_UNLOCKED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  ANCHOR_CYCLE: 'ANCHOR_CYCLE'
+};
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-anchor] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+function cmdSetAnchor(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_ANCHOR', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_ANCHOR', NOOP.NO_TARGETS);
+  for (const i of payload.items) {
+    if (!i || i.id == null || i.anchor === undefined) return logNoop('SET_ANCHOR', NOOP.INVALID_PAYLOAD);
+    if (i.anchor !== null && !normalizeAnchor(i.anchor)) return logNoop('SET_ANCHOR', NOOP.INVALID_PAYLOAD, { id: i.id });
+  }
+
+  const shapes = (getState().shapes || []).filter(Boolean);
+  const map = new Map(shapes.map(s => [s._id, s]));
+  const resolved = payload.items
+    .map(item => ({ shape: map.get(item.id), anchor: normalizeAnchor(item.anchor) }))
+    .filter(r => r.shape);
+  if (!resolved.length) return logNoop('SET_ANCHOR', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_ANCHOR', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  const cyclic = [];
+  unlocked.forEach(({ shape, anchor }) => {
+    if (sameAnchor(shape._anchor, anchor)) return;
+    if (anchor?.to === 'shape' && wouldCreateAnchorCycle(shape._id, anchor.shapeId, shapes)) {
+      cyclic.push(shape._id);
+      return;
+    }
+    prev.push({ id: shape._id, anchor: getAnchor(shape) });
+    if (anchor) shape._anchor = anchor;
+    else delete shape._anchor;
+  });
+
+  if (!prev.length) {
+    return cyclic.length
+      ? logNoop('SET_ANCHOR', NOOP.ANCHOR_CYCLE, { ids: cyclic })
+      : logNoop('SET_ANCHOR', NOOP.NO_CHANGE);
+  }
+
+  markShapesUpdated(prev.map(p => p.id), 'anchor');
+
+  log("INFO", "[commands-anchor] Anchor set", {
+    count: prev.length,
+    ids: prev.map(p => p.id),
+    skippedCyclic: cyclic
+  });
+  return { type: 'SET_ANCHOR', payload: { items: prev } };
+}
+
+/* Dispatcher */
+
+export function executeAnchorCommand(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'SET_ANCHOR': return cmdSetAnchor(p);
+    default: return null;
+  }
+}
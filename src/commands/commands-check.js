@@ -0,0 +1,301 @@
+import { log } from '../log.js';
+import { getState, markShapesUpdated } from '../state.js';
+import {
+  CHECK_PARAM_KEYS,
+  getApplicableCheckParams,
+  getCheckParamOverrides,
+  normalizeCheckParamValue
+} from '../check-params.js';
+import { isActionShape } from '../shape-defs.js';
+
+/*
+  Check-data commands (expected color / matcher parameters, see check-params.js)
+  ---------------------------------------------------------
+  SET_EXPECTED_COLOR
+    payload: { items: [ { id, color: '#RRGGBB'|null, mode: 'auto'|'manual' } ] }
+    - mode 'manual' pins color; color-sampling.js never re-samples the shape.
+    - mode 'auto' (color may be null) drops the pin and clears the sample key,
+      so the next sampling pass reads the image again.
+    - Inverse restores the previous color / mode / sample key per changed shape.
+    - Locked shapes are skipped (NO_TARGETS_UNLOCKED when nothing is left).
+    - Action shapes (tap / swipe, shape-defs.js) have no color and are ignored.
+
+  SET_CHECK_PARAMS
+    payload: { items: [ { id, params: { step?, count?, tolerance?, threshold?, duration? } } ] }
+    - A number sets the per-shape override; null removes it (scene default).
+    - Keys that do not apply to a shape's type are ignored for that shape.
+    - Inverse lists the previous override (or null) for every key changed.
+
+  SET_NEGATED
+    payload: { items: [ { id, negated: boolean } ] }
+    - negated = "must NOT match": exported as require_not_*, evaluated as the
+      inverse of the positive check, hatched on the canvas.
+    - Action shapes are ignored (they are not checks).
+    - Inverse lists the previous flag per changed shape.
+
+  SET_TEMPLATE
+    payload: { items: [ { id, template: { dataUrl, width, height, x, y, file? }|null } ] }
+    - Replaces the patch of a template shape (see template-capture.js); other
+      shape types are ignored. The record object is stored as given.
+    - Inverse lists the previous record (or null) per changed shape.
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  NO_TARGETS_UNLOCKED: 'NO_TARGETS_UNLOCKED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_COLOR: 'INVALID_COLOR',
+  INVALID_PARAMS: 'INVALID_PARAMS',
+  INVALID_TEMPLATE: 'INVALID_TEMPLATE'
+};
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-check] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+export function normalizeExpectedColor(color) {
+  if (typeof color !== 'string') return null;
+  const s = color.trim();
+  if (/^#[0-9a-fA-F]{6}$/.test(s)) return s.toUpperCase();
+  if (/^#[0-9a-fA-F]{3}$/.test(s)) return ('#' + s[1] + s[1] + s[2] + s[2] + s[3] + s[3]).toUpperCase();
+  return null;
+}
+
+export function getExpectedColorMode(shape) {
+  return shape?._expectedColorMode === 'manual' ? 'manual' : 'auto';
+}
+
+function resolveItems(items) {
+  const shapesMap = new Map((getState().shapes || []).map(s => [s._id, s]));
+  return items
+    .map(r => {
+      const s = shapesMap.get(r.id);
+      return s ? { shape: s, item: r } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Carry check data onto a duplicate. A pinned (manual) color travels with the
+ * copy; an auto color does not, so the copy is sampled at its own position.
+ * Template patches do not travel either: the copy crops its own footprint.
+ */
+export function copyCheckData(src, dup) {
+  if (!src || !dup) return;
+  if (src._checkParams && typeof src._checkParams === 'object') dup._checkParams = { ...src._checkParams };
+  if (src._negated) dup._negated = true;
+  if (getExpectedColorMode(src) === 'manual' && src._expectedColor) {
+    dup._expectedColor = src._expectedColor;
+    dup._expectedColorMode = 'manual';
+  }
+}
+
+/* ----------------- SET_EXPECTED_COLOR ----------------- */
+
+function cmdSetExpectedColor(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_EXPECTED_COLOR', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_EXPECTED_COLOR', NOOP.NO_TARGETS);
+
+  for (const i of payload.items) {
+    if (!i || i.id == null) return logNoop('SET_EXPECTED_COLOR', NOOP.INVALID_PAYLOAD);
+    const mode = i.mode === 'auto' ? 'auto' : 'manual';
+    if (mode === 'manual' && !normalizeExpectedColor(i.color)) {
+      return logNoop('SET_EXPECTED_COLOR', NOOP.INVALID_COLOR, { id: i.id, color: i.color });
+    }
+  }
+
+  const resolved = resolveItems(payload.items).filter(r => !isActionShape(r.shape));
+  if (!resolved.length) return logNoop('SET_EXPECTED_COLOR', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_EXPECTED_COLOR', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  unlocked.forEach(({ shape, item }) => {
+    const mode = item.mode === 'auto' ? 'auto' : 'manual';
+    const color = normalizeExpectedColor(item.color);
+    const beforeMode = getExpectedColorMode(shape);
+    const beforeColor = shape._expectedColor || null;
+    if (mode === 'manual' && beforeMode === 'manual' && beforeColor === color) return;
+    if (mode === 'auto' && beforeMode === 'auto' && (!color || color === beforeColor)) return;
+
+    prev.push({
+      id: shape._id,
+      color: beforeColor,
+      mode: beforeMode,
+      sampleKey: shape._sampleKey || null
+    });
+
+    shape._expectedColorMode = mode;
+    shape._expectedColor = color;
+    // Restored auto color (undo) keeps its key; a bare reset re-samples.
+    if (mode === 'auto') shape._sampleKey = color ? (item.sampleKey || null) : null;
+  });
+
+  if (!prev.length) return logNoop('SET_EXPECTED_COLOR', NOOP.NO_CHANGE);
+
+  markShapesUpdated(prev.map(p => p.id), 'expectedColor');
+
+  log("INFO", "[commands-check] Expected color set", {
+    count: prev.length,
+    ids: prev.map(p => p.id)
+  });
+  return { type: 'SET_EXPECTED_COLOR', payload: { items: prev } };
+}
+
+/* ----------------- SET_CHECK_PARAMS ----------------- */
+
+function cmdSetCheckParams(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_CHECK_PARAMS', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_CHECK_PARAMS', NOOP.NO_TARGETS);
+
+  for (const i of payload.items) {
+    if (!i || i.id == null || !i.params || typeof i.params !== 'object') {
+      return logNoop('SET_CHECK_PARAMS', NOOP.INVALID_PAYLOAD);
+    }
+    for (const [k, v] of Object.entries(i.params)) {
+      if (!CHECK_PARAM_KEYS.includes(k)) return logNoop('SET_CHECK_PARAMS', NOOP.INVALID_PARAMS, { id: i.id, key: k });
+      if (v !== null && normalizeCheckParamValue(k, v) === null) {
+        return logNoop('SET_CHECK_PARAMS', NOOP.INVALID_PARAMS, { id: i.id, key: k, value: v });
+      }
+    }
+  }
+
+  const resolved = resolveItems(payload.items);
+  if (!resolved.length) return logNoop('SET_CHECK_PARAMS', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_CHECK_PARAMS', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  unlocked.forEach(({ shape, item }) => {
+    const applicable = getApplicableCheckParams(shape);
+    const before = getCheckParamOverrides(shape);
+    const next = { ...before };
+    const undoParams = {};
+    Object.entries(item.params).forEach(([k, v]) => {
+      if (!applicable.includes(k)) return;
+      const value = v === null ? null : normalizeCheckParamValue(k, v);
+      const old = before[k] ?? null;
+      if (value === old) return;
+      undoParams[k] = old;
+      if (value === null) delete next[k];
+      else next[k] = value;
+    });
+    if (!Object.keys(undoParams).length) return;
+    prev.push({ id: shape._id, params: undoParams });
+    shape._checkParams = next;
+  });
+
+  if (!prev.length) return logNoop('SET_CHECK_PARAMS', NOOP.NO_CHANGE);
+
+  markShapesUpdated(prev.map(p => p.id), 'checkParams');
+
+  log("INFO", "[commands-check] Check params set", {
+    count: prev.length,
+    ids: prev.map(p => p.id)
+  });
+  return { type: 'SET_CHECK_PARAMS', payload: { items: prev } };
+}
+
+/* ----------------- SET_NEGATED ----------------- */
+
+function cmdSetNegated(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_NEGATED', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_NEGATED', NOOP.NO_TARGETS);
+  if (payload.items.some(i => !i || i.id == null || typeof i.negated !== 'boolean')) {
+    return logNoop('SET_NEGATED', NOOP.INVALID_PAYLOAD);
+  }
+
+  const resolved = resolveItems(payload.items).filter(r => !isActionShape(r.shape));
+  if (!resolved.length) return logNoop('SET_NEGATED', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_NEGATED', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  unlocked.forEach(({ shape, item }) => {
+    const before = !!shape._negated;
+    if (before === item.negated) return;
+    prev.push({ id: shape._id, negated: before });
+    if (item.negated) shape._negated = true;
+    else delete shape._negated;
+  });
+
+  if (!prev.length) return logNoop('SET_NEGATED', NOOP.NO_CHANGE);
+
+  markShapesUpdated(prev.map(p => p.id), 'negated');
+
+  log("INFO", "[commands-check] Negated flag set", {
+    count: prev.length,
+    ids: prev.map(p => p.id)
+  });
+  return { type: 'SET_NEGATED', payload: { items: prev } };
+}
+
+/* ----------------- SET_TEMPLATE ----------------- */
+
+function isTemplateRecord(t) {
+  return !!t && typeof t === 'object' &&
+    typeof t.dataUrl === 'string' && t.dataUrl.startsWith('data:image/') &&
+    Number(t.width) > 0 && Number(t.height) > 0;
+}
+
+function cmdSetTemplate(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_TEMPLATE', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_TEMPLATE', NOOP.NO_TARGETS);
+  for (const i of payload.items) {
+    if (!i || i.id == null || i.template === undefined) return logNoop('SET_TEMPLATE', NOOP.INVALID_PAYLOAD);
+    if (i.template !== null && !isTemplateRecord(i.template)) {
+      return logNoop('SET_TEMPLATE', NOOP.INVALID_TEMPLATE, { id: i.id });
+    }
+  }
+
+  const resolved = resolveItems(payload.items).filter(r => r.shape._type === 'template');
+  if (!resolved.length) return logNoop('SET_TEMPLATE', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_TEMPLATE', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  unlocked.forEach(({ shape, item }) => {
+    const before = shape._template || null;
+    if (before === item.template) return;
+    prev.push({ id: shape._id, template: before });
+    shape._template = item.template;
+  });
+
+  if (!prev.length) return logNoop('SET_TEMPLATE', NOOP.NO_CHANGE);
+
+  markShapesUpdated(prev.map(p => p.id), 'template');
+
+  log("INFO", "[commands-check] Template patch set", {
+    count: prev.length,
+    ids: prev.map(p => p.id)
+  });
+  return { type: 'SET_TEMPLATE', payload: { items: prev } };
+}
+
+/* ----------------- Dispatcher ----------------- */
+
+export function executeCheckCommand(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'SET_EXPECTED_COLOR': return cmdSetExpectedColor(p);
+    case 'SET_CHECK_PARAMS': return cmdSetCheckParams(p);
+    case 'SET_NEGATED': return cmdSetNegated(p);
+    case 'SET_TEMPLATE': return cmdSetTemplate(p);
+    default: return null;
+  }
+}
@@ -0,0 +1,98 @@
+import { log } from '../log.js';
+import { getState, markShapesUpdated } from '../state.js';
+import { applyShapeLabel } from '../shapes.js';
+import { validateShapeLabel } from '../shape-labels.js';
+
+/*
+  Label commands (shape names, see shape-labels.js)
+  ---------------------------------------------------------
+  SET_LABEL
+    payload: { items: [ { id, label: string|null } ], restore?: boolean }
+    - Renames shapes; an empty / null label resets to the type's default.
+    - A custom label already used by another shape of the scene is skipped,
+      so is one over MAX_LABEL_LENGTH (INVALID_LABEL when nothing is left).
+      Items are applied in order, so two items cannot take the same label.
+    - Locked shapes are skipped (NO_TARGETS_UNLOCKED when nothing is left).
+    - Inverse lists the previous label per changed shape with restore: true,
+      which puts labels back without the uniqueness check.
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  NO_TARGETS_UNLOCKED: 'NO_TARGETS_UNLOCKED',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_LABEL: 'INVALID_LABEL'
+};
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-label] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+function requestRender() {
+  const c = getState().fabricCanvas;
+  if (!c) return;
+  if (typeof c.requestRenderAll === 'function') c.requestRenderAll();
+  else c.renderAll();
+}
+
+function cmdSetLabel(payload) {
+  if (!payload || !Array.isArray(payload.items)) return logNoop('SET_LABEL', NOOP.INVALID_PAYLOAD);
+  if (!payload.items.length) return logNoop('SET_LABEL', NOOP.NO_TARGETS);
+  if (payload.items.some(i => !i || i.id == null || (i.label !== null && typeof i.label !== 'string'))) {
+    return logNoop('SET_LABEL', NOOP.INVALID_PAYLOAD);
+  }
+
+  const shapes = (getState().shapes || []).filter(Boolean);
+  const map = new Map(shapes.map(s => [s._id, s]));
+  const resolved = payload.items
+    .map(item => ({ shape: map.get(item.id), item }))
+    .filter(r => r.shape);
+  if (!resolved.length) return logNoop('SET_LABEL', NOOP.NO_TARGETS);
+
+  const unlocked = resolved.filter(r => !r.shape.locked);
+  if (!unlocked.length) {
+    return logNoop('SET_LABEL', NOOP.NO_TARGETS_UNLOCKED, { requested: resolved.length });
+  }
+
+  const prev = [];
+  const rejected = [];
+  unlocked.forEach(({ shape, item }) => {
+    const { label, error } = validateShapeLabel(shape, item.label, shapes);
+    if (error && !payload.restore) {
+      rejected.push({ id: shape._id, error });
+      return;
+    }
+    if (label === shape._label) return;
+    prev.push({ id: shape._id, label: shape._label ?? null });
+    applyShapeLabel(shape, label);
+  });
+
+  if (!prev.length) {
+    return rejected.length
+      ? logNoop('SET_LABEL', NOOP.INVALID_LABEL, { rejected })
+      : logNoop('SET_LABEL', NOOP.NO_CHANGE);
+  }
+
+  markShapesUpdated(prev.map(p => p.id), 'label');
+  requestRender();
+
+  log("INFO", "[commands-label] Label set", {
+    count: prev.length,
+    ids: prev.map(p => p.id),
+    rejected
+  });
+  return { type: 'SET_LABEL', payload: { items: prev, restore: true } };
+}
+
+/* Dispatcher */
+
+export function executeLabelCommand(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'SET_LABEL': return cmdSetLabel(p);
+    default: return null;
+  }
+}
@@ -0,0 +1,108 @@
+import { log } from '../log.js';
+import { getState, setLogicGroups } from '../state.js';
+import {
+  LOGIC_OPS,
+  addLogicGroup,
+  findLogicGroup,
+  moveLogicNode,
+  normalizeLogicGroups,
+  removeLogicGroup,
+  setLogicGroupOp
+} from '../logic-tree.js';
+
+/*
+  Logic-tree commands (nested AND / OR / NOT groups, see logic-tree.js)
+  ---------------------------------------------------------
+  The root operator stays SET_SCENE_LOGIC; these edit the groups under it.
+  Every executor snapshots state.logicGroups and returns
+  SET_LOGIC_TREE { groups: <previous> } as its inverse.
+
+  SET_LOGIC_TREE
+    payload: { groups: Array }                       (replace, normalized)
+  ADD_LOGIC_GROUP
+    payload: { parentId?: string|null, op?: 'AND'|'OR'|'NOT', shapeIds?: string[] }
+    - shapeIds are moved out of their current groups into the new one.
+  REMOVE_LOGIC_GROUP
+    payload: { id }                                  (children lifted into the parent)
+  SET_LOGIC_GROUP_OP
+    payload: { id, op }
+  MOVE_LOGIC_NODE
+    payload: { shapeId? | groupId?, targetId: string|null, index?: number }
+    - targetId null = root (a shape moved there is simply ungrouped).
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  INVALID_MOVE: 'INVALID_MOVE'
+};
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-logic] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+function currentGroups() {
+  return normalizeLogicGroups(getState().logicGroups);
+}
+
+function applyGroups(cmdType, prev, next, meta = {}) {
+  if (JSON.stringify(prev) === JSON.stringify(next)) return logNoop(cmdType, NOOP.NO_CHANGE);
+  setLogicGroups(next);
+  log("INFO", `[commands-logic] ${cmdType} applied`, meta);
+  return { type: 'SET_LOGIC_TREE', payload: { groups: prev } };
+}
+
+function cmdSetLogicTree(payload) {
+  if (!payload || !Array.isArray(payload.groups)) return logNoop('SET_LOGIC_TREE', NOOP.INVALID_PAYLOAD);
+  return applyGroups('SET_LOGIC_TREE', currentGroups(), normalizeLogicGroups(payload.groups));
+}
+
+function cmdAddLogicGroup(payload) {
+  const { parentId = null, op = 'AND', shapeIds = [] } = payload || {};
+  if (!LOGIC_OPS.includes(op) || !Array.isArray(shapeIds)) return logNoop('ADD_LOGIC_GROUP', NOOP.INVALID_PAYLOAD);
+  const prev = currentGroups();
+  if (parentId && !findLogicGroup(prev, parentId)) return logNoop('ADD_LOGIC_GROUP', NOOP.NO_TARGETS, { parentId });
+  const { groups, id } = addLogicGroup(prev, { parentId, op, shapeIds });
+  return applyGroups('ADD_LOGIC_GROUP', prev, groups, { id, op, shapeCount: shapeIds.length });
+}
+
+function cmdRemoveLogicGroup(payload) {
+  const { id } = payload || {};
+  const prev = currentGroups();
+  if (!id || !findLogicGroup(prev, id)) return logNoop('REMOVE_LOGIC_GROUP', NOOP.NO_TARGETS, { id });
+  return applyGroups('REMOVE_LOGIC_GROUP', prev, removeLogicGroup(prev, id), { id });
+}
+
+function cmdSetLogicGroupOp(payload) {
+  const { id, op } = payload || {};
+  if (!LOGIC_OPS.includes(op)) return logNoop('SET_LOGIC_GROUP_OP', NOOP.INVALID_PAYLOAD, { op });
+  const prev = currentGroups();
+  if (!id || !findLogicGroup(prev, id)) return logNoop('SET_LOGIC_GROUP_OP', NOOP.NO_TARGETS, { id });
+  return applyGroups('SET_LOGIC_GROUP_OP', prev, setLogicGroupOp(prev, id, op), { id, op });
+}
+
+function cmdMoveLogicNode(payload) {
+  const { shapeId = null, groupId = null, targetId = null, index = null } = payload || {};
+  if (!shapeId && !groupId) return logNoop('MOVE_LOGIC_NODE', NOOP.INVALID_PAYLOAD);
+  const prev = currentGroups();
+  const next = moveLogicNode(prev, shapeId ? { shapeId } : { groupId }, targetId, index);
+  if (!next) return logNoop('MOVE_LOGIC_NODE', NOOP.INVALID_MOVE, { shapeId, groupId, targetId });
+  return applyGroups('MOVE_LOGIC_NODE', prev, next, { shapeId, groupId, targetId, index });
+}
+
+/* ----------------- Dispatcher ----------------- */
+
+export function executeLogicCommand(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'SET_LOGIC_TREE': return cmdSetLogicTree(p);
+    case 'ADD_LOGIC_GROUP': return cmdAddLogicGroup(p);
+    case 'REMOVE_LOGIC_GROUP': return cmdRemoveLogicGroup(p);
+    case 'SET_LOGIC_GROUP_OP': return cmdSetLogicGroupOp(p);
+    case 'MOVE_LOGIC_NODE': return cmdMoveLogicNode(p);
+    default: return null;
+  }
+}
@@ -0,0 +1,66 @@
+import { log } from '../log.js';
+
+/*
+  Meta commands
+  ---------------------------------------------------------
+  BATCH
+    payload: { commands: [ cmd, ... ] }
+    - Runs the commands in order through the regular dispatcher (passed in
+      by commands.js) and records them as ONE history frame, e.g. an INI
+      import (ADD_SHAPES + SET_SCENE_NAME + SET_SCENE_LOGIC).
+    - Commands that turn out to be no-ops are left out of the inverse
+      (NO_CHANGE when every command was a no-op).
+    - Inverse is a BATCH of the inverses in reverse order, so undo and redo
+      replay the steps the other way round.
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD'
+};
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-meta] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+function cmdBatch(payload, execute) {
+  if (!payload || !Array.isArray(payload.commands)) return logNoop('BATCH', NOOP.INVALID_PAYLOAD);
+  if (!payload.commands.length) return logNoop('BATCH', NOOP.NO_TARGETS);
+  if (payload.commands.some(c => !c || typeof c.type !== 'string')) return logNoop('BATCH', NOOP.INVALID_PAYLOAD);
+
+  const inverses = [];
+  payload.commands.forEach(cmd => {
+    const inverse = execute(cmd);
+    if (inverse && typeof inverse.type === 'string') inverses.push(inverse);
+  });
+  if (!inverses.length) return logNoop('BATCH', NOOP.NO_CHANGE, { count: payload.commands.length });
+
+  log("INFO", "[commands-meta] Batch executed", {
+    types: payload.commands.map(c => c.type),
+    applied: inverses.length
+  });
+  return { type: 'BATCH', payload: { commands: inverses.reverse() } };
+}
+
+/**
+ * Command types `cmd` runs, BATCH contents flattened (history listeners
+ * react to the inner commands).
+ */
+export function commandTypes(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return [];
+  if (cmd.type !== 'BATCH' || !Array.isArray(cmd.payload?.commands)) return [cmd.type];
+  return cmd.payload.commands.flatMap(commandTypes);
+}
+
+/* Dispatcher */
+
+export function executeMetaCommand(cmd, execute) {
+  if (!cmd || typeof cmd.type !== 'string' || typeof execute !== 'function') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'BATCH': return cmdBatch(p, execute);
+    default: return null;
+  }
+}
@@ -0,0 +1,215 @@
+import { log } from '../log.js';
+import { getState, setSceneDevice } from '../state.js';
+import {
+  getPolygonPoints,
+  setPolygonPoints,
+  getLineEndpoints,
+  setLineEndpoints
+} from '../shapes.js';
+import {
+  getShapeImageGeometry,
+  canvasToImagePoint,
+  imageToCanvasPoint
+} from '../geometry/shape-rect.js';
+import {
+  makeRescaleMapping,
+  mapPoint,
+  normalizeDeviceProfile,
+  sameDeviceProfile,
+  isIdentityMapping
+} from '../device-profiles.js';
+import { resolveAnchorShifts, translateShape } from '../anchors.js';
+
+/*
+  Device rescaling executors (device-profiles.js):
+
+  RESCALE_SHAPES
+    payload: { from?: profile, to: profile, mode?: 'proportional'|'top'|'bottom'|'left'|'right' }
+    - from defaults to the scene's device profile (state.sceneDevice).
+    - Maps every shape of the active scene from the `from` screen to the `to`
+      screen and labels the scene with `to`. Locked shapes are converted too:
+      locking guards against edits, and a shape left behind would keep
+      coordinates of the old screen under the new device.
+    - Lines / swipes / polygons map their endpoints / vertices; points, taps
+      and long-presses only move; boxes and ellipses scale per axis (in their
+      own axes when rotated); circles scale by the mapping's radiusScale.
+    - Anchored shapes (anchors.js) keep their offset from the anchor point,
+      scaled by the mapping's radiusScale, on the new screen.
+    - Template patches are not resampled (re-capture them on the new screenshot).
+    - Inverse: SET_SHAPE_GEOMETRY with the previous geometry and device.
+
+  SET_SHAPE_GEOMETRY
+    payload: { items: [{ id, left, top, scaleX, scaleY, angle, points? }], device?: profile|null }
+    - Restores transforms (and absolute endpoints / vertices when given);
+      `device`, when present, becomes the scene device profile. Applies to
+      locked shapes as well (it undoes / redoes a RESCALE_SHAPES).
+    - Inverse: SET_SHAPE_GEOMETRY with the geometry it replaced.
+*/
+
+const NOOP = {
+  NO_CHANGE: 'NO_CHANGE',
+  NO_TARGETS: 'NO_TARGETS',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD'
+};
+
+const POINT_SHAPES = new Set(['point', 'tap', 'longpress']);
+const LINE_SHAPES = new Set(['line', 'swipe']);
+
+function logNoop(cmdType, reason, meta = {}) {
+  log("INFO", `[commands-rescale] ${cmdType} no-op`, { reason, ...meta });
+  return null;
+}
+
+function requestRender() {
+  const c = getState().fabricCanvas;
+  if (!c) return;
+  if (typeof c.requestRenderAll === 'function') c.requestRenderAll();
+  else c.renderAll();
+}
+
+function snapshotGeometry(shape) {
+  const snap = {
+    id: shape._id,
+    left: Number.isFinite(shape.left) ? shape.left : 0,
+    top: Number.isFinite(shape.top) ? shape.top : 0,
+    scaleX: Number.isFinite(shape.scaleX) ? shape.scaleX : 1,
+    scaleY: Number.isFinite(shape.scaleY) ? shape.scaleY : 1,
+    angle: Number(shape.angle) || 0
+  };
+  if (shape._type === 'polygon') snap.points = getPolygonPoints(shape);
+  else if (LINE_SHAPES.has(shape._type)) snap.points = getLineEndpoints(shape);
+  return snap;
+}
+
+function restoreGeometry(shape, snap) {
+  shape.set({
+    left: Number(snap.left) || 0,
+    top: Number(snap.top) || 0,
+    scaleX: Number(snap.scaleX) || 1,
+    scaleY: Number(snap.scaleY) || 1,
+    angle: Number(snap.angle) || 0
+  });
+  if (typeof shape.setCoords === 'function') shape.setCoords();
+  if (Array.isArray(snap.points)) {
+    if (shape._type === 'polygon') setPolygonPoints(shape, snap.points);
+    else if (LINE_SHAPES.has(shape._type)) setLineEndpoints(shape, snap.points);
+  }
+}
+
+// Shift the group so its drawable's image-space center lands on `target`.
+function moveCenterTo(shape, target, bgImage) {
+  const geom = getShapeImageGeometry(shape, bgImage);
+  if (!geom) return;
+  const from = imageToCanvasPoint(geom.center, bgImage);
+  const to = imageToCanvasPoint(target, bgImage);
+  shape.set({
+    left: (Number(shape.left) || 0) + (to.x - from.x),
+    top: (Number(shape.top) || 0) + (to.y - from.y)
+  });
+  if (typeof shape.setCoords === 'function') shape.setCoords();
+}
+
+function rescaleShape(shape, mapping, bgImage) {
+  const mapCanvas = (p) => imageToCanvasPoint(mapPoint(canvasToImagePoint(p, bgImage), mapping), bgImage);
+  const type = shape._type;
+  if (type === 'polygon') {
+    setPolygonPoints(shape, getPolygonPoints(shape).map(mapCanvas));
+    return;
+  }
+  if (LINE_SHAPES.has(type)) {
+    setLineEndpoints(shape, getLineEndpoints(shape).map(mapCanvas));
+    return;
+  }
+  const geom = getShapeImageGeometry(shape, bgImage);
+  if (!geom) return;
+  if (!POINT_SHAPES.has(type)) {
+    const fx = type === 'circle' ? mapping.radiusScale : mapping.scaleX;
+    const fy = type === 'circle' ? mapping.radiusScale : mapping.scaleY;
+    shape.set({
+      scaleX: (Number(shape.scaleX) || 1) * fx,
+      scaleY: (Number(shape.scaleY) || 1) * fy
+    });
+  }
+  moveCenterTo(shape, mapPoint(geom.center, mapping), bgImage);
+}
+
+function cmdRescaleShapes(payload) {
+  const state = getState();
+  const from = normalizeDeviceProfile(payload?.from ?? state.sceneDevice);
+  const to = normalizeDeviceProfile(payload?.to);
+  const mapping = makeRescaleMapping(from, to, payload?.mode);
+  if (!mapping) return logNoop('RESCALE_SHAPES', NOOP.INVALID_PAYLOAD, { from, to });
+
+  const shapes = (state.shapes || []).filter(Boolean);
+  const prevDevice = state.sceneDevice || null;
+  if (isIdentityMapping(mapping) && sameDeviceProfile(prevDevice, to)) {
+    return logNoop('RESCALE_SHAPES', NOOP.NO_CHANGE);
+  }
+
+  // Anchor offsets are read from the geometry before anything moves.
+  const shifts = resolveAnchorShifts(shapes, state.bgFabricImage, mapping);
+  const items = [];
+  shapes.forEach(shape => {
+    try {
+      items.push(snapshotGeometry(shape));
+      rescaleShape(shape, mapping, state.bgFabricImage);
+      const shift = shifts.get(shape._id);
+      if (shift) translateShape(shape, shift.x, shift.y, state.bgFabricImage);
+    } catch (e) {
+      log("ERROR", "[commands-rescale] RESCALE_SHAPES failed for shape", { id: shape._id, error: e });
+    }
+  });
+  setSceneDevice(to);
+
+  requestRender();
+  log("INFO", "[commands-rescale] Shapes rescaled", {
+    count: items.length,
+    locked: shapes.filter(s => s.locked).length,
+    anchored: shifts.size,
+    mode: mapping.mode,
+    from,
+    to
+  });
+  return { type: 'SET_SHAPE_GEOMETRY', payload: { items, device: prevDevice } };
+}
+
+function cmdSetShapeGeometry(payload) {
+  const items = Array.isArray(payload?.items) ? payload.items.filter(i => i && i.id != null) : [];
+  const hasDevice = payload && Object.prototype.hasOwnProperty.call(payload, 'device');
+  if (!items.length && !hasDevice) return logNoop('SET_SHAPE_GEOMETRY', NOOP.INVALID_PAYLOAD);
+
+  const state = getState();
+  const map = new Map((state.shapes || []).filter(Boolean).map(s => [s._id, s]));
+  const prev = [];
+  items.forEach(item => {
+    const shape = map.get(item.id);
+    if (!shape) return;
+    try {
+      prev.push(snapshotGeometry(shape));
+      restoreGeometry(shape, item);
+    } catch (e) {
+      log("ERROR", "[commands-rescale] SET_SHAPE_GEOMETRY failed for shape", { id: item.id, error: e });
+    }
+  });
+  if (items.length && !prev.length && !hasDevice) return logNoop('SET_SHAPE_GEOMETRY', NOOP.NO_TARGETS);
+
+  const inverse = { items: prev };
+  if (hasDevice) {
+    inverse.device = state.sceneDevice || null;
+    setSceneDevice(normalizeDeviceProfile(payload.device));
+  }
+  requestRender();
+  return { type: 'SET_SHAPE_GEOMETRY', payload: inverse };
+}
+
+/* Dispatcher */
+
+export function executeRescaleCommand(cmd) {
+  if (!cmd || typeof cmd.type !== 'string') return null;
+  const p = cmd.payload || {};
+  switch (cmd.type) {
+    case 'RESCALE_SHAPES': return cmdRescaleShapes(p);
+    case 'SET_SHAPE_GEOMETRY': return cmdSetShapeGeometry(p);
+    default: return null;
+  }
+}
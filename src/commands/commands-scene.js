@@ -4,9 +4,13 @@ import {
   setImage,
   setSceneName,
   setSceneLogic,
+  setSceneDevice,
+  setSceneGuides,
   setSetting
 } from '../state.js';
 import { applyDiagnosticLabelsVisibility } from '../shapes.js';
+import { normalizeDeviceProfile, sameDeviceProfile } from '../device-profiles.js';
+import { normalizeGuides, sameGuides } from '../ruler-guides.js';
 
 /*
   Scene-level command executors:
@@ -23,6 +27,16 @@ import { applyDiagnosticLabelsVisibility } from '../shapes.js';
   SET_SCENE_LOGIC
     payload: { logic: string }  (e.g., AND / OR / future tokens)
 
+  SET_SCENE_DEVICE
+    payload: { device: {name, width, height, density, orientation}|null }
+    - Labels the scene with the screen it was captured on; shapes do not move
+      (RESCALE_SHAPES converts them, see commands-rescale.js).
+
+  SET_GUIDES
+    payload: { guides: [ { axis: 'x'|'y', pos } ] }
+    - Replaces the scene's ruler guides (image px, see ruler-guides.js).
+    - Inverse restores the previous list.
+
   SET_DIAGNOSTIC_LABEL_VISIBILITY
     payload: { visible: boolean }
     - Updates settings.showDiagnosticLabels and applies visibility to all existing shapes.
@@ -94,6 +108,42 @@ function cmdSetSceneLogic(payload) {
   };
 }
 
+/* ----------------- SET_SCENE_DEVICE ----------------- */
+function cmdSetSceneDevice(payload) {
+  const next = normalizeDeviceProfile(payload?.device);
+  const prev = getState().sceneDevice || null;
+  if (sameDeviceProfile(prev, next)) return null;
+  try {
+    setSceneDevice(next);
+    log("INFO", "[commands-scene] Scene device set", { from: prev, to: next });
+  } catch (e) {
+    log("ERROR", "[commands-scene] Failed applying SET_SCENE_DEVICE", e);
+    return null;
+  }
+  return {
+    type: 'SET_SCENE_DEVICE',
+    payload: { device: prev }
+  };
+}
+
+/* ----------------- SET_GUIDES ----------------- */
+function cmdSetGuides(payload) {
+  const next = normalizeGuides(payload?.guides);
+  const prev = getState().sceneGuides || [];
+  if (sameGuides(prev, next)) return null;
+  try {
+    setSceneGuides(next);
+    log("INFO", "[commands-scene] Scene guides set", { from: prev.length, to: next.length });
+  } catch (e) {
+    log("ERROR", "[commands-scene] Failed applying SET_GUIDES", e);
+    return null;
+  }
+  return {
+    type: 'SET_GUIDES',
+    payload: { guides: prev }
+  };
+}
+
 /* ----------------- SET_DIAGNOSTIC_LABEL_VISIBILITY ----------------- */
 function cmdSetDiagnosticLabelVisibility(payload) {
   const visibleRaw = payload ? payload.visible : undefined;
@@ -129,6 +179,8 @@ export function executeSceneCommand(cmd) {
     case 'SET_IMAGE': return cmdSetImage(p);
     case 'SET_SCENE_NAME': return cmdSetSceneName(p);
     case 'SET_SCENE_LOGIC': return cmdSetSceneLogic(p);
+    case 'SET_SCENE_DEVICE': return cmdSetSceneDevice(p);
+    case 'SET_GUIDES': return cmdSetGuides(p);
     case 'SET_DIAGNOSTIC_LABEL_VISIBILITY': return cmdSetDiagnosticLabelVisibility(p);
     default: return null;
   }
@@ -10,15 +10,30 @@ import {
 import {
   makePointShape,
   makeRectShape,
+  makeColorRegionShape,
+  makeTemplateShape,
   makeCircleShape,
-  makeEllipseShape
+  makeEllipseShape,
+  makePolygonShape,
+  getPolygonPoints,
+  setPolygonPoints,
+  makeLineShape,
+  getLineEndpoints,
+  setLineEndpoints,
+  makeTapShape,
+  makeLongPressShape,
+  makeSwipeShape
 } from '../shapes.js';
+import { regularPolygonPoints, MIN_POLYGON_VERTICES } from '../geometry/polygon.js';
 import {
   getShapeBoundingBox,
   getShapeCenter,
-  getShapeOuterRadius
+  getShapeOuterRadius,
+  getShapeImageGeometry,
+  placeShapeCenterAt
 } from '../geometry/shape-rect.js';
 import { getAbsoluteRectsForSelection } from '../geometry/selection-rects.js';
+import { copyCheckData } from './commands-check.js';
 import {
   applyStrokeColorToShape,
   applyFillColorToShape,
@@ -71,11 +86,19 @@ function uniqueIdFor(type = "shape") {
   return `${type}_${Math.random().toString(36).slice(2)}_${Date.now()}`;
 }
 
+// Rect-geometry shapes: same box, different check.
+const BOX_FACTORIES = {
+  rect: makeRectShape,
+  region: makeColorRegionShape,
+  template: makeTemplateShape
+};
+
 function createShapeByType(type, opts = {}) {
   const store = getState();
-  const w = store.settings?.defaultRectWidth || 50;
-  const h = store.settings?.defaultRectHeight || 30;
-  const r = store.settings?.defaultCircleRadius || 15;
+  // Explicit size (click-drag creation, canvas-tool-mode.js) wins over the defaults.
+  const w = opts.width > 0 ? opts.width : (store.settings?.defaultRectWidth || 50);
+  const h = opts.height > 0 ? opts.height : (store.settings?.defaultRectHeight || 30);
+  const r = opts.radius > 0 ? opts.radius : (store.settings?.defaultCircleRadius || 15);
 
   const x = (opts.x !== undefined)
     ? opts.x
@@ -84,15 +107,60 @@ function createShapeByType(type, opts = {}) {
     ? opts.y
     : (store.settings?.canvasMaxHeight || 400) * ((store.settings?.shapeStartYPercent ?? 50) / 100);
 
+  // Factories place the group (label, hit area) at x / y; (x, y) is where the
+  // drawable's center belongs, so a drawn shape matches its preview.
+  const centered = (shape) => {
+    if (shape) placeShapeCenterAt(shape, x, y);
+    return shape;
+  };
+
   switch (type) {
-    case 'rect': return makeRectShape(x - w / 2, y - h / 2, w, h);
-    case 'circle': return makeCircleShape(x, y, r);
-    case 'ellipse': return makeEllipseShape(x, y, w, h);
-    case 'point': return makePointShape(x, y);
+    case 'rect': return centered(makeRectShape(x - w / 2, y - h / 2, w, h));
+    case 'region': return centered(makeColorRegionShape(x - w / 2, y - h / 2, w, h));
+    case 'template': return centered(makeTemplateShape(x - w / 2, y - h / 2, w, h));
+    case 'circle': return centered(makeCircleShape(x, y, r));
+    case 'ellipse': return centered(makeEllipseShape(x, y, w, h));
+    case 'point': return centered(makePointShape(x, y));
+    case 'polygon': return makePolygonShape(
+      Array.isArray(opts.points) ? opts.points : regularPolygonPoints(x, y, Math.max(r, h / 2))
+    );
+    case 'line': {
+      const [a, b] = Array.isArray(opts.points) && opts.points.length === 2
+        ? opts.points
+        : [{ x: x - w / 2, y }, { x: x + w / 2, y }];
+      return makeLineShape(a.x, a.y, b.x, b.y);
+    }
+    case 'tap': return makeTapShape(x, y);
+    case 'longpress': return makeLongPressShape(x, y);
+    case 'swipe': {
+      const [a, b] = Array.isArray(opts.points) && opts.points.length === 2
+        ? opts.points
+        : [{ x: x - w / 2, y }, { x: x + w / 2, y }];
+      return makeSwipeShape(a.x, a.y, b.x, b.y);
+    }
     default: return null;
   }
 }
 
+function duplicateLine(src, dx, dy) {
+  const [a, b] = getLineEndpoints(src);
+  if (!a || !b) return null;
+  const make = src._type === 'swipe' ? makeSwipeShape : makeLineShape;
+  return make(a.x + dx, a.y + dy, b.x + dx, b.y + dy);
+}
+
+// Tap / long-press: rebuilt around the center of their tap ring.
+const PRESS_FACTORIES = {
+  tap: makeTapShape,
+  longpress: makeLongPressShape
+};
+
+function duplicatePress(src, dx, dy) {
+  const center = getShapeImageGeometry(src)?.center;
+  if (!center) return null;
+  return PRESS_FACTORIES[src._type](center.x + dx, center.y + dy);
+}
+
 function duplicateShapeFallback(src, dx = 20, dy = 20) {
   if (!src) return null;
   const type = src._type || src.type;
@@ -101,10 +169,16 @@ function duplicateShapeFallback(src, dx = 20, dy = 20) {
     const cy = (src.top ?? 0) + dy;
     return makePointShape(cx, cy);
   }
-  if (type === 'rect') {
+  if (type === 'polygon') {
+    return makePolygonShape(getPolygonPoints(src).map(p => ({ x: p.x + dx, y: p.y + dy })));
+  }
+  if (type === 'line' || type === 'swipe') return duplicateLine(src, dx, dy);
+  if (PRESS_FACTORIES[type]) return duplicatePress(src, dx, dy);
+  if (BOX_FACTORIES[type]) {
     const bbox = getShapeBoundingBox(src);
     if (!bbox) return null;
-    return makeRectShape(bbox.left + dx, bbox.top + dy, bbox.width, bbox.height);
+    const make = BOX_FACTORIES[type];
+    return make(bbox.left + dx, bbox.top + dy, bbox.width, bbox.height);
   }
   if (type === 'circle') {
     const center = getShapeCenter(src);
@@ -127,7 +201,7 @@ function duplicateShapeFallback(src, dx = 20, dy = 20) {
 
 function getPrimaryDrawableChild(group) {
   if (!group || !Array.isArray(group._objects)) return null;
-  const priority = ['ellipse', 'circle', 'rect', 'line'];
+  const priority = ['ellipse', 'circle', 'rect', 'polygon', 'line'];
   for (const t of priority) {
     const obj = group._objects.find(o => o && !o._isDiagnosticLabel && o.type === t);
     if (obj) return obj;
@@ -169,6 +243,12 @@ function duplicateShapePreservingTransforms(src, dx = 20, dy = 20) {
   try {
     if (type === 'point') {
       dup = makePointShape(destCenter.x, destCenter.y);
+    } else if (type === 'polygon') {
+      dup = makePolygonShape(getPolygonPoints(src).map(p => ({ x: p.x + dx, y: p.y + dy })));
+    } else if (type === 'line' || type === 'swipe') {
+      dup = duplicateLine(src, dx, dy);
+    } else if (PRESS_FACTORIES[type]) {
+      dup = duplicatePress(src, dx, dy);
     } else if (type === 'circle') {
       const child = getPrimaryDrawableChild(src);
       const r = Number.isFinite(child?.radius) ? Number(child.radius) : getShapeOuterRadius(src) || 10;
@@ -182,11 +262,12 @@ function duplicateShapePreservingTransforms(src, dx = 20, dy = 20) {
       dup = makeEllipseShape(destCenter.x, destCenter.y, rx * 2, ry * 2);
       dup.set({ scaleX: sx, scaleY: sy, angle });
       setAngleAndCenter(dup, angle, destCenter);
-    } else if (type === 'rect') {
+    } else if (BOX_FACTORIES[type]) {
       const child = getPrimaryDrawableChild(src);
       const baseW = Number.isFinite(child?.width) ? Number(child.width) : (getShapeBoundingBox(src)?.width || 40);
       const baseH = Number.isFinite(child?.height) ? Number(child.height) : (getShapeBoundingBox(src)?.height || 24);
-      dup = makeRectShape(destCenter.x - baseW / 2, destCenter.y - baseH / 2, baseW, baseH);
+      const make = BOX_FACTORIES[type];
+      dup = make(destCenter.x - baseW / 2, destCenter.y - baseH / 2, baseW, baseH);
       dup.set({ scaleX: sx, scaleY: sy, angle });
       setAngleAndCenter(dup, angle, destCenter);
     } else {
@@ -365,6 +446,8 @@ function cmdDuplicateShapes(payload) {
       dup.lockRotation = false;
       dup.hoverCursor = 'move';
       if (!dup._id) dup._id = uniqueIdFor(dup._type || 'shape');
+      copyCheckData(src, dup);
+      if (src._anchor) dup._anchor = { ...src._anchor };
       addShape(dup);
     }
     return dup;
@@ -484,7 +567,7 @@ function cmdResetRotation(payload) {
 
   const shapes = skipLocked(getShapesByIds(sourceIds));
   const targets = shapes.filter(s =>
-    s && (s._type === 'rect' || s._type === 'circle' || s._type === 'ellipse')
+    s && (s._type === 'rect' || s._type === 'region' || s._type === 'circle' || s._type === 'ellipse')
   );
   if (!targets.length) return logNoop('RESET_ROTATION', NOOP.NO_TARGETS_UNLOCKED, { requested: sourceIds.length });
 
@@ -723,6 +806,51 @@ function cmdSetTransforms(payload) {
   return { type: 'SET_TRANSFORMS', payload: { items: prev } };
 }
 
+/* Polygon vertices / line endpoints */
+
+function cmdSetPolygonPoints(payload) {
+  const { id, points } = payload || {};
+  const pts = Array.isArray(points) ? points.filter(p => p && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y))) : [];
+  if (id == null || pts.length < MIN_POLYGON_VERTICES) {
+    return logNoop('SET_POLYGON_POINTS', NOOP.INVALID_PAYLOAD, { id, count: pts.length });
+  }
+
+  const shape = getShapesByIds([id])[0];
+  if (!shape || shape._type !== 'polygon') return logNoop('SET_POLYGON_POINTS', NOOP.NO_TARGETS, { id });
+  if (shape.locked) return logNoop('SET_POLYGON_POINTS', NOOP.NO_TARGETS_UNLOCKED, { id });
+
+  const prev = getPolygonPoints(shape);
+  const same = prev.length === pts.length &&
+    prev.every((p, i) => p.x === Number(pts[i].x) && p.y === Number(pts[i].y));
+  if (same) return logNoop('SET_POLYGON_POINTS', NOOP.NO_CHANGE, { id });
+
+  if (!setPolygonPoints(shape, pts)) return logNoop('SET_POLYGON_POINTS', NOOP.INVALID_PAYLOAD, { id });
+
+  requestRender();
+  return { type: 'SET_POLYGON_POINTS', payload: { id, points: prev } };
+}
+
+function cmdSetLinePoints(payload) {
+  const { id, points } = payload || {};
+  const pts = Array.isArray(points) ? points.filter(p => p && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y))) : [];
+  if (id == null || pts.length !== 2) {
+    return logNoop('SET_LINE_POINTS', NOOP.INVALID_PAYLOAD, { id, count: pts.length });
+  }
+
+  const shape = getShapesByIds([id])[0];
+  if (!shape || (shape._type !== 'line' && shape._type !== 'swipe')) return logNoop('SET_LINE_POINTS', NOOP.NO_TARGETS, { id });
+  if (shape.locked) return logNoop('SET_LINE_POINTS', NOOP.NO_TARGETS_UNLOCKED, { id });
+
+  const prev = getLineEndpoints(shape);
+  const same = prev.every((p, i) => p.x === Number(pts[i].x) && p.y === Number(pts[i].y));
+  if (same) return logNoop('SET_LINE_POINTS', NOOP.NO_CHANGE, { id });
+
+  if (!setLineEndpoints(shape, pts)) return logNoop('SET_LINE_POINTS', NOOP.INVALID_PAYLOAD, { id });
+
+  requestRender();
+  return { type: 'SET_LINE_POINTS', payload: { id, points: prev } };
+}
+
 /* Dispatcher */
 
 export function executeStructureCommand(cmd) {
@@ -744,6 +872,8 @@ export function executeStructureCommand(cmd) {
     case 'UNLOCK_SHAPES': return cmdUnlockShapes(p);
     case 'ALIGN_SELECTED': return cmdAlignSelected(p);
     case 'SET_TRANSFORMS': return cmdSetTransforms(p);
+    case 'SET_POLYGON_POINTS': return cmdSetPolygonPoints(p);
+    case 'SET_LINE_POINTS': return cmdSetLinePoints(p);
     default: return null;
   }
 }
@@ -40,6 +40,7 @@ export function isDrawableChild(obj) {
     obj.type === 'rect' ||
     obj.type === 'circle' ||
     obj.type === 'ellipse' ||
+    obj.type === 'polygon' ||
     obj.type === 'line'
   );
 }
@@ -54,7 +55,7 @@ export function getFirstChildStroke(shape) {
 export function getFirstChildFill(shape) {
   if (!shape || !Array.isArray(shape._objects)) return null;
   const child = shape._objects.find(o =>
-    isDrawableChild(o) && (o.type === 'rect' || o.type === 'circle' || o.type === 'ellipse')
+    isDrawableChild(o) && (o.type === 'rect' || o.type === 'circle' || o.type === 'ellipse' || o.type === 'polygon')
   );
   if (!child) return null;
   return ('fill' in child) ? child.fill : null;
@@ -1,13 +1,25 @@
 import { log } from '../log.js';
+import { executeMetaCommand } from './commands-meta.js';
 import { executeSceneCommand } from './commands-scene.js';
 import { executeStructureCommand } from './commands-structure.js';
+import { executeRescaleCommand } from './commands-rescale.js';
+import { executeAnchorCommand } from './commands-anchor.js';
 import { executeStyleCommand } from './commands-style.js';
+import { executeCheckCommand } from './commands-check.js';
+import { executeLabelCommand } from './commands-label.js';
+import { executeLogicCommand } from './commands-logic.js';
 
 /*
   Command execution dispatcher (ordered):
+    0. Meta (BATCH: several commands as one history frame, run through
+       this dispatcher)
     1. Scene-level (image, scene name/logic, etc.)
     2. Structural (add/delete/duplicate/move/selection/lock/align/transforms)
+       + device rescaling (RESCALE_SHAPES / SET_SHAPE_GEOMETRY)
+       + anchors (SET_ANCHOR)
     3. Style (stroke/fill/strokeWidth)
+    4. Check data (expected color) + labels (SET_LABEL)
+    5. Logic tree (nested AND / OR / NOT groups)
 
   Each executor returns an inverse command object or null.
   First non-null inverse short-circuits the chain.
@@ -18,6 +30,10 @@ export function executeCommand(cmd) {
     return null;
   }
 
+  // Meta
+  const resMeta = executeMetaCommand(cmd, executeCommand);
+  if (resMeta) return resMeta;
+
   // Scene-level
   const resScene = executeSceneCommand(cmd);
   if (resScene) return resScene;
@@ -25,11 +41,25 @@ export function executeCommand(cmd) {
   // Structural
   const resStructure = executeStructureCommand(cmd);
   if (resStructure) return resStructure;
+  const resRescale = executeRescaleCommand(cmd);
+  if (resRescale) return resRescale;
+  const resAnchor = executeAnchorCommand(cmd);
+  if (resAnchor) return resAnchor;
 
   // Style
   const resStyle = executeStyleCommand(cmd);
   if (resStyle) return resStyle;
 
+  // Check data
+  const resCheck = executeCheckCommand(cmd);
+  if (resCheck) return resCheck;
+  const resLabel = executeLabelCommand(cmd);
+  if (resLabel) return resLabel;
+
+  // Logic tree
+  const resLogic = executeLogicCommand(cmd);
+  if (resLogic) return resLogic;
+
   log("WARN", "[commands] Unknown command", { type: cmd.type });
   return null;
 }
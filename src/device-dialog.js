@@ -0,0 +1,240 @@
+import { log } from './log.js';
+import { getState } from './state.js';
+import { setSceneDevice, rescaleSceneToDevice } from './actions.js';
+import {
+  DEVICE_PRESETS,
+  RESCALE_MODES,
+  describeDeviceProfile,
+  normalizeDeviceProfile,
+  sameDeviceProfile
+} from './device-profiles.js';
+import { ensureDialogStyles } from './text-preview-dialog.js';
+
+const STYLE_ID = "device-dialog-inline-style";
+
+const MODE_LABELS = {
+  proportional: 'Proportional (stretch both axes)',
+  top: 'Keep distance to top edge',
+  bottom: 'Keep distance to bottom edge',
+  left: 'Keep distance to left edge',
+  right: 'Keep distance to right edge'
+};
+
+function ensureStyles() {
+  ensureDialogStyles();
+  if (document.getElementById(STYLE_ID)) return;
+  const s = document.createElement('style');
+  s.id = STYLE_ID;
+  s.textContent = `
+    .dvd-body {
+      padding: 6px 10px;
+      overflow: auto;
+    }
+    .dvd-section {
+      border: 1px solid #e3e8f3;
+      border-radius: 8px;
+      margin: 6px 0;
+      padding: 6px 8px;
+    }
+    .dvd-section legend {
+      font-weight: 600;
+      padding: 0 4px;
+    }
+    .dvd-row {
+      display: flex;
+      flex-wrap: wrap;
+      align-items: center;
+      gap: 6px;
+      margin: 4px 0;
+    }
+    .dvd-row input[type=number] { width: 72px; }
+    .dvd-note {
+      color: #567;
+      font-size: 12px;
+    }
+  `;
+  document.head.appendChild(s);
+}
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function presetIdOf(profile) {
+  const hit = DEVICE_PRESETS.find(p => sameDeviceProfile(profile, { ...p, orientation: profile?.orientation }));
+  return hit ? hit.id : '';
+}
+
+function profileFieldsHtml(prefix, profile) {
+  const p = profile || {};
+  const selected = presetIdOf(profile);
+  return `
+    <div class="dvd-row">
+      <select data-field="${prefix}-preset" title="Preset">
+        <option value="">Custom</option>
+        ${DEVICE_PRESETS.map(d => `<option value="${d.id}"${d.id === selected ? ' selected' : ''}>${escapeHtml(d.name)}</option>`).join('')}
+      </select>
+      <input data-field="${prefix}-name" type="text" placeholder="Name" value="${escapeHtml(p.name || '')}" />
+    </div>
+    <div class="dvd-row">
+      W <input data-field="${prefix}-width" type="number" min="1" step="1" value="${p.width ?? ''}" />
+      H <input data-field="${prefix}-height" type="number" min="1" step="1" value="${p.height ?? ''}" />
+      Density <input data-field="${prefix}-density" type="number" min="0.5" max="10" step="0.125" value="${p.density ?? ''}" title="dp → px factor (2 = xhdpi, 3 = xxhdpi)" />
+      <select data-field="${prefix}-orientation" title="Orientation">
+        <option value="portrait"${p.orientation !== 'landscape' ? ' selected' : ''}>Portrait</option>
+        <option value="landscape"${p.orientation === 'landscape' ? ' selected' : ''}>Landscape</option>
+      </select>
+    </div>
+  `;
+}
+
+/**
+ * Modal for the active scene's device profile: label the scene, rescale its
+ * shapes to another profile (RESCALE_SHAPES, undoable) or export the .ini
+ * with coordinates for another profile (onExportIni({ target, mode })).
+ * @returns {function} close
+ */
+export function openDeviceDialog({ onExportIni } = {}) {
+  ensureStyles();
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'tpd-backdrop';
+
+  function field(name) {
+    return backdrop.querySelector(`[data-field="${name}"]`);
+  }
+
+  function readProfile(prefix) {
+    return normalizeDeviceProfile({
+      name: field(`${prefix}-name`)?.value,
+      width: field(`${prefix}-width`)?.value,
+      height: field(`${prefix}-height`)?.value,
+      density: field(`${prefix}-density`)?.value,
+      orientation: field(`${prefix}-orientation`)?.value
+    });
+  }
+
+  function render(targetProfile = null, mode = 'proportional') {
+    const state = getState();
+    const device = state.sceneDevice || null;
+    const img = state.imageObj;
+    const hasImage = !!(img && img.naturalWidth > 0);
+    backdrop.innerHTML = `
+      <div class="tpd-dialog" role="dialog" aria-modal="true" style="width:min(560px, 92vw);">
+        <div class="tpd-header"><span style="flex:1 1 auto;">Device profile</span>
+          <span style="font-weight:400;font-size:12px;color:#567;">${escapeHtml(describeDeviceProfile(device) || 'no profile')}</span>
+        </div>
+        <div class="dvd-body">
+          <fieldset class="dvd-section">
+            <legend>Scene device</legend>
+            ${profileFieldsHtml('scene', device)}
+            <div class="dvd-row">
+              <button class="tpd-btn" data-act="use-image" ${hasImage ? '' : 'disabled'} title="Take width / height / orientation from the screenshot">Use image size</button>
+              <button class="tpd-btn" data-act="apply" title="Label the scene with this device (shapes do not move)">Apply</button>
+              <button class="tpd-btn" data-act="clear" ${device ? '' : 'disabled'}>Clear</button>
+            </div>
+          </fieldset>
+          <fieldset class="dvd-section">
+            <legend>Convert to</legend>
+            ${profileFieldsHtml('target', targetProfile)}
+            <div class="dvd-row">
+              <select data-field="mode" title="How positions follow the new screen">
+                ${RESCALE_MODES.map(m => `<option value="${m}"${m === mode ? ' selected' : ''}>${MODE_LABELS[m]}</option>`).join('')}
+              </select>
+            </div>
+            <div class="dvd-row">
+              <button class="tpd-btn" data-act="rescale" ${device ? '' : 'disabled'} title="Move and resize the scene's shapes onto the target screen (undoable)">Rescale shapes</button>
+              <button class="tpd-btn" data-act="export" title="Export the .ini with coordinates for the target screen (shapes stay)">Export INI</button>
+            </div>
+            <div class="dvd-note">${device ? '' : 'Apply a scene device first to rescale. '}Export converts every scene that has a device profile.</div>
+          </fieldset>
+        </div>
+        <div class="tpd-footer">
+          <button class="tpd-btn" data-act="close">Close</button>
+        </div>
+      </div>
+    `;
+  }
+
+  function close() {
+    try { document.removeEventListener('keydown', onKey, true); } catch {}
+    try { backdrop.remove(); } catch {}
+  }
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  }
+
+  function targetOrWarn() {
+    const target = readProfile('target');
+    if (!target) log("WARN", "[device-dialog] Target profile needs a width and height");
+    return target;
+  }
+
+  backdrop.addEventListener('change', (e) => {
+    const name = e.target?.getAttribute?.('data-field') || '';
+    const m = name.match(/^(scene|target)-preset$/);
+    if (!m) return;
+    const preset = DEVICE_PRESETS.find(p => p.id === e.target.value);
+    if (!preset) return;
+    field(`${m[1]}-name`).value = preset.name;
+    field(`${m[1]}-width`).value = preset.width;
+    field(`${m[1]}-height`).value = preset.height;
+    field(`${m[1]}-density`).value = preset.density;
+  });
+
+  backdrop.addEventListener('click', (e) => {
+    if (e.target === backdrop) { close(); return; }
+    const act = e.target?.getAttribute?.('data-act');
+    if (!act) return;
+    try {
+      const mode = field('mode')?.value || 'proportional';
+      if (act === 'use-image') {
+        const img = getState().imageObj;
+        if (!img) return;
+        field('scene-width').value = img.naturalWidth;
+        field('scene-height').value = img.naturalHeight;
+        field('scene-orientation').value = img.naturalWidth > img.naturalHeight ? 'landscape' : 'portrait';
+        field('scene-preset').value = '';
+      } else if (act === 'apply') {
+        const profile = readProfile('scene');
+        if (!profile) {
+          log("WARN", "[device-dialog] Scene profile needs a width and height");
+          return;
+        }
+        setSceneDevice(profile);
+        render(readProfile('target'), mode);
+      } else if (act === 'clear') {
+        setSceneDevice(null);
+        render(readProfile('target'), mode);
+      } else if (act === 'rescale') {
+        const target = targetOrWarn();
+        if (!target) return;
+        rescaleSceneToDevice(target, mode);
+        close();
+      } else if (act === 'export') {
+        const target = targetOrWarn();
+        if (!target || typeof onExportIni !== 'function') return;
+        close();
+        onExportIni({ target, mode });
+      } else if (act === 'close') {
+        close();
+      }
+    } catch (err) {
+      log("ERROR", "[device-dialog] Action failed", { act, error: err });
+    }
+  });
+  document.addEventListener('keydown', onKey, true);
+
+  render();
+  document.body.appendChild(backdrop);
+  log("DEBUG", "[device-dialog] Opened", { device: getState().sceneDevice || null });
+  return close;
+}
@@ -0,0 +1,168 @@
+/**
+ * device-profiles.js
+ * -----------------------------------------------------------
+ * Scene Designer – Device resolution profiles and coordinate rescaling
+ *
+ * A device profile describes the screen a scene's screenshot was taken on:
+ *
+ *   { name, width, height, density, orientation: 'portrait'|'landscape' }
+ *
+ * width / height are the panel's pixel size in either order; orientation
+ * decides which side is horizontal (getProfileScreenSize). density is the
+ * Android-style dp → px factor (1 = mdpi, 2 = xhdpi, 3 = xxhdpi, …).
+ *
+ * makeRescaleMapping turns two profiles into a per-axis affine map of image
+ * pixels (x' = offsetX + x * scaleX, same for y):
+ *
+ *   - 'proportional': both axes stretch with the screen (x * W2 / W1).
+ *   - 'top' / 'bottom' / 'left' / 'right': the distance to that edge is kept
+ *     in dp (scaled by the density ratio) along that axis, e.g. a bottom
+ *     navigation bar stays the same dp above the bottom edge; the other axis
+ *     stretches proportionally.
+ *
+ * radiusScale scales circle radii (density ratio when anchored, the smaller
+ * axis stretch when proportional). Without densities on both profiles the
+ * density ratio falls back to the smaller axis stretch.
+ *
+ * Pure: no store, no Fabric. RESCALE_SHAPES (commands-rescale.js) applies a
+ * mapping to the shapes; the .ini export applies it to the exported
+ * coordinates only (serializeDocumentINI({ target })).
+ * -----------------------------------------------------------
+ */
+
+export const RESCALE_MODES = ['proportional', 'top', 'bottom', 'left', 'right'];
+
+export const DEVICE_PRESETS = [
+  { id: 'hd', name: 'HD 720×1280 (xhdpi)', width: 720, height: 1280, density: 2 },
+  { id: 'fhd', name: 'FHD 1080×1920 (xxhdpi)', width: 1080, height: 1920, density: 3 },
+  { id: 'fhd-plus', name: 'FHD+ 1080×2400 (420 dpi)', width: 1080, height: 2400, density: 2.625 },
+  { id: 'qhd-plus', name: 'QHD+ 1440×3200 (560 dpi)', width: 1440, height: 3200, density: 3.5 },
+  { id: 'tablet', name: 'Tablet 1600×2560 (xhdpi)', width: 1600, height: 2560, density: 2 }
+];
+
+const MAX_SIDE = 20000;
+const MAX_DENSITY = 10;
+
+/**
+ * Validated copy of a profile, or null when width / height are unusable.
+ * Density is optional (null when missing or out of range).
+ */
+export function normalizeDeviceProfile(profile) {
+  if (!profile || typeof profile !== 'object') return null;
+  const width = Math.round(Number(profile.width));
+  const height = Math.round(Number(profile.height));
+  if (!(width > 0 && width <= MAX_SIDE && height > 0 && height <= MAX_SIDE)) return null;
+  const density = Number(profile.density);
+  return {
+    name: typeof profile.name === 'string' ? profile.name.trim() : '',
+    width,
+    height,
+    density: density > 0 && density <= MAX_DENSITY ? density : null,
+    orientation: profile.orientation === 'landscape' ? 'landscape' : 'portrait'
+  };
+}
+
+export function sameDeviceProfile(a, b) {
+  const pa = normalizeDeviceProfile(a);
+  const pb = normalizeDeviceProfile(b);
+  if (!pa || !pb) return !pa && !pb;
+  return pa.name === pb.name && pa.width === pb.width && pa.height === pb.height &&
+    pa.density === pb.density && pa.orientation === pb.orientation;
+}
+
+/**
+ * Screenshot size in the profile's orientation: { width, height }.
+ */
+export function getProfileScreenSize(profile) {
+  const p = normalizeDeviceProfile(profile);
+  if (!p) return null;
+  const short = Math.min(p.width, p.height);
+  const long = Math.max(p.width, p.height);
+  return p.orientation === 'landscape' ? { width: long, height: short } : { width: short, height: long };
+}
+
+/**
+ * Short label for lists and titles, e.g. "FHD+ 1080×2400 (420 dpi)" or
+ * "1080×2400 @2.625 landscape".
+ */
+export function describeDeviceProfile(profile) {
+  const p = normalizeDeviceProfile(profile);
+  if (!p) return '';
+  const size = getProfileScreenSize(p);
+  const base = p.name || `${size.width}×${size.height}${p.density ? ` @${p.density}` : ''}`;
+  return p.orientation === 'landscape' ? `${base} landscape` : base;
+}
+
+/**
+ * Per-axis affine map of image pixels from one profile's screen to another's.
+ * @param {object} from source profile
+ * @param {object} to target profile
+ * @param {string} mode one of RESCALE_MODES
+ * @returns {{scaleX, scaleY, offsetX, offsetY, radiusScale, mode, fromSize, toSize}|null}
+ *   fromSize / toSize are the two screens (getProfileScreenSize).
+ */
+export function makeRescaleMapping(from, to, mode = 'proportional') {
+  const a = getProfileScreenSize(from);
+  const b = getProfileScreenSize(to);
+  if (!a || !b) return null;
+  const m = RESCALE_MODES.includes(mode) ? mode : 'proportional';
+  const sx = b.width / a.width;
+  const sy = b.height / a.height;
+  const da = normalizeDeviceProfile(from).density;
+  const db = normalizeDeviceProfile(to).density;
+  const k = da && db ? db / da : Math.min(sx, sy);
+
+  const mapping = {
+    scaleX: sx,
+    scaleY: sy,
+    offsetX: 0,
+    offsetY: 0,
+    radiusScale: Math.min(sx, sy),
+    mode: m,
+    fromSize: a,
+    toSize: b
+  };
+  if (m === 'left' || m === 'right') {
+    mapping.scaleX = k;
+    mapping.offsetX = m === 'right' ? b.width - a.width * k : 0;
+    mapping.radiusScale = k;
+  } else if (m === 'top' || m === 'bottom') {
+    mapping.scaleY = k;
+    mapping.offsetY = m === 'bottom' ? b.height - a.height * k : 0;
+    mapping.radiusScale = k;
+  }
+  return mapping;
+}
+
+export function isIdentityMapping(mapping) {
+  if (!mapping) return true;
+  const eq = (a, b) => Math.abs(a - b) < 1e-9;
+  return eq(mapping.scaleX, 1) && eq(mapping.scaleY, 1) && eq(mapping.offsetX, 0) &&
+    eq(mapping.offsetY, 0) && eq(mapping.radiusScale, 1);
+}
+
+export function mapPoint(pt, mapping) {
+  if (!mapping) return { x: pt.x, y: pt.y };
+  return { x: mapping.offsetX + pt.x * mapping.scaleX, y: mapping.offsetY + pt.y * mapping.scaleY };
+}
+
+/**
+ * Image geometry (geometry/shape-rect.js getShapeImageGeometry) mapped to
+ * the target screen: center, bounds, points, radius, rx / ry, width / height.
+ */
+export function mapImageGeometry(geom, mapping) {
+  if (!geom || !mapping) return geom;
+  const out = { ...geom, center: mapPoint(geom.center, mapping) };
+  if (geom.bounds) {
+    const p1 = mapPoint({ x: geom.bounds.x1, y: geom.bounds.y1 }, mapping);
+    const p2 = mapPoint({ x: geom.bounds.x2, y: geom.bounds.y2 }, mapping);
+    out.bounds = { x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y };
+  }
+  if (Array.isArray(geom.points)) out.points = geom.points.map(p => mapPoint(p, mapping));
+  if (Number.isFinite(geom.radius)) out.radius = geom.radius * mapping.radiusScale;
+  if (Number.isFinite(geom.rx)) out.rx = geom.rx * mapping.scaleX;
+  if (Number.isFinite(geom.ry)) out.ry = geom.ry * mapping.scaleY;
+  if (Number.isFinite(geom.width)) out.width = geom.width * mapping.scaleX;
+  if (Number.isFinite(geom.height)) out.height = geom.height * mapping.scaleY;
+  return out;
+}
@@ -0,0 +1,135 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { getShapeImageGeometry, imageToCanvasPoint } from './geometry/shape-rect.js';
+
+/*
+  Match badges
+  ------------
+  Paints the last simulated matcher result (state.evaluation, see
+  scene-evaluation.js) as a green ✓ / red ✗ disc at the top-right corner of
+  each shape's image-space bounds. Screen-constant size; drawn on the Fabric
+  top context after each render. Setting showMatchBadges (default on).
+
+  Template checks also get a dashed box where their best match was found in
+  the current screenshot (green when it passed the threshold, red
+  otherwise), so a template that drifted is visible next to its own box.
+*/
+
+const BADGE_RADIUS_PX = 7;
+const PASS_COLOR = '#1e9e4a';
+const FAIL_COLOR = '#d23040';
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function drawGlyph(ctx, x, y, r, pass) {
+  ctx.beginPath();
+  if (pass) {
+    ctx.moveTo(x - r * 0.45, y);
+    ctx.lineTo(x - r * 0.1, y + r * 0.35);
+    ctx.lineTo(x + r * 0.45, y - r * 0.35);
+  } else {
+    ctx.moveTo(x - r * 0.35, y - r * 0.35);
+    ctx.lineTo(x + r * 0.35, y + r * 0.35);
+    ctx.moveTo(x + r * 0.35, y - r * 0.35);
+    ctx.lineTo(x - r * 0.35, y + r * 0.35);
+  }
+  ctx.stroke();
+}
+
+function drawFoundBox(ctx, found, bgImage, zoom, pass) {
+  const a = imageToCanvasPoint({ x: found.x1, y: found.y1 }, bgImage);
+  const b = imageToCanvasPoint({ x: found.x2, y: found.y2 }, bgImage);
+  ctx.save();
+  ctx.setLineDash([4 / zoom, 3 / zoom]);
+  ctx.lineWidth = 1.5 / zoom;
+  ctx.strokeStyle = pass ? PASS_COLOR : FAIL_COLOR;
+  ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+  ctx.restore();
+}
+
+function paintMatchBadges(canvas) {
+  const state = getState();
+  if (state.settings?.showMatchBadges === false) return;
+  const evaluation = state.evaluation;
+  if (!evaluation || !evaluation.results.length) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const byId = new Map(evaluation.results.map(r => [r.id, r]));
+  const bgImage = state.bgFabricImage;
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const zoom = Math.max(0.0001, Math.abs(vt[0] || 1));
+  const r = BADGE_RADIUS_PX / zoom;
+
+  ctx.save();
+  try {
+    ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+    (state.shapes || []).forEach(shape => {
+      const result = shape && byId.get(shape._id);
+      if (!result) return;
+      if (result.found) drawFoundBox(ctx, result.found, bgImage, zoom, result.pass);
+      const geom = getShapeImageGeometry(shape, bgImage);
+      if (!geom) return;
+      const at = imageToCanvasPoint({ x: geom.bounds.x2, y: geom.bounds.y1 }, bgImage);
+      ctx.beginPath();
+      ctx.arc(at.x, at.y, r, 0, Math.PI * 2);
+      ctx.fillStyle = result.pass ? PASS_COLOR : FAIL_COLOR;
+      ctx.fill();
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.strokeStyle = '#ffffff';
+      ctx.stroke();
+      drawGlyph(ctx, at.x, at.y, r, result.pass);
+    });
+  } catch (e) {
+    log("ERROR", "[evaluation-overlay] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installEvaluationOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[evaluation-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintMatchBadges(canvas);
+  canvas.on('after:render', painter);
+
+  const rerender = () => {
+    try {
+      if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+      else canvas.renderAll();
+    } catch {}
+  };
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'setEvaluation' ||
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && details.key === 'showMatchBadges')
+    ) {
+      rerender();
+    }
+  });
+
+  log("INFO", "[evaluation-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[evaluation-overlay] Overlay detached");
+  };
+}
@@ -10,6 +10,8 @@ export const Line = fabric.Line;
 export const Group = fabric.Group;
 export const Image = fabric.Image;
 export const Path = fabric.Path;
+export const Polygon = fabric.Polygon;
 export const Text = fabric.Text;
+export const Triangle = fabric.Triangle;
 
 export default fabric;
@@ -0,0 +1,552 @@
+import { log } from './log.js';
+import { getState } from './state.js';
+import {
+  FLOW_NODE_WIDTH,
+  FLOW_NODE_HEIGHT,
+  addFlowEdge,
+  addFlowFiles,
+  buildFlowGraphExport,
+  clearFlowGraph,
+  getFlowGraph,
+  getUnreachableFlowNodes,
+  layoutFlowGraph,
+  moveFlowNode,
+  removeFlowEdge,
+  removeFlowNode,
+  setFlowNodeText,
+  setFlowStartNode,
+  subscribeFlowGraph,
+  updateFlowEdge
+} from './flow-graph.js';
+import { exportSceneJSON, importSceneJSON } from './serialization/scene-io.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { downloadTextFile } from './text-preview-dialog.js';
+
+const PAD = 16;
+const THUMB_HEIGHT = 64;
+const PORT_RADIUS = 6;
+const DRAG_THRESHOLD = 4;
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function nodeTitle(node) {
+  return node.name || node.file.replace(/\.json$/i, '');
+}
+
+// Point where the segment from the center of `a` towards the center of `b` leaves `a`'s box.
+function boxExit(a, b) {
+  const cx = a.x + FLOW_NODE_WIDTH / 2;
+  const cy = a.y + FLOW_NODE_HEIGHT / 2;
+  const dx = b.x + FLOW_NODE_WIDTH / 2 - cx;
+  const dy = b.y + FLOW_NODE_HEIGHT / 2 - cy;
+  if (!dx && !dy) return { x: cx, y: cy };
+  const t = Math.min(
+    dx ? (FLOW_NODE_WIDTH / 2) / Math.abs(dx) : Infinity,
+    dy ? (FLOW_NODE_HEIGHT / 2) / Math.abs(dy) : Infinity
+  );
+  return { x: cx + dx * t, y: cy + dy * t };
+}
+
+function edgeSvg(edge, byId, selected) {
+  const a = byId.get(edge.from);
+  const b = byId.get(edge.to);
+  if (!a || !b) return '';
+  const p1 = boxExit(a, b);
+  const p2 = boxExit(b, a);
+  // A link back (b → a) is drawn offset so both stay clickable.
+  const len = Math.hypot(p2.x - p1.x, p2.y - p1.y) || 1;
+  const ox = ((p2.y - p1.y) / len) * 5;
+  const oy = (-(p2.x - p1.x) / len) * 5;
+  const x1 = p1.x + ox, y1 = p1.y + oy, x2 = p2.x + ox, y2 = p2.y + oy;
+  const label = edge.tap ? `tap ${edge.tap.x},${edge.tap.y}` : 'tap ?';
+  return `
+    <g class="flow-edge${selected ? ' selected' : ''}${edge.tap ? '' : ' missing'}" data-edge="${escapeHtml(edge.id)}">
+      <line class="flow-edge-hit" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />
+      <line class="flow-edge-line" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" marker-end="url(#flow-arrow)" />
+      <text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2 - 4}" text-anchor="middle">${escapeHtml(label)}</text>
+    </g>
+  `;
+}
+
+function nodeSvg(node, { start, current, selected, unreachable }) {
+  const classes = ['flow-node'];
+  if (selected) classes.push('selected');
+  if (current) classes.push('current');
+  if (unreachable) classes.push('unreachable');
+  const thumb = node.thumbnail
+    ? `<image href="${escapeHtml(node.thumbnail)}" x="4" y="4" width="${FLOW_NODE_WIDTH - 8}" height="${THUMB_HEIGHT}" preserveAspectRatio="xMidYMid meet" />`
+    : `<text x="${FLOW_NODE_WIDTH / 2}" y="${THUMB_HEIGHT / 2 + 8}" text-anchor="middle" class="flow-node-empty">no image</text>`;
+  const tip = `${node.file}${unreachable ? ' – unreachable from the start screen' : ''}`;
+  return `
+    <g class="${classes.join(' ')}" data-node="${escapeHtml(node.id)}" transform="translate(${node.x},${node.y})">
+      <title>${escapeHtml(tip)}</title>
+      <rect class="flow-node-box" width="${FLOW_NODE_WIDTH}" height="${FLOW_NODE_HEIGHT}" rx="6" />
+      ${thumb}
+      <text x="${FLOW_NODE_WIDTH / 2}" y="${FLOW_NODE_HEIGHT - 8}" text-anchor="middle">${start ? '▶ ' : ''}${escapeHtml(nodeTitle(node))}</text>
+      <circle class="flow-port" data-port="${escapeHtml(node.id)}" cx="${FLOW_NODE_WIDTH}" cy="${FLOW_NODE_HEIGHT / 2}" r="${PORT_RADIUS}">
+        <title>Drag onto another screen to link it</title>
+      </circle>
+    </g>
+  `;
+}
+
+// Image-pixel center of the single selected tap shape, or null.
+function selectedTapPoint() {
+  const state = getState();
+  const taps = (state.selectedShapes || []).filter(s => s?._type === 'tap');
+  if (taps.length !== 1) return null;
+  const geom = getShapeImageGeometry(taps[0], state.bgFabricImage);
+  return geom ? { x: geom.center.x, y: geom.center.y } : null;
+}
+
+export function buildFlowGraphPanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[flow-graph-panel] missing root element");
+      return;
+    }
+
+    element.innerHTML = `
+      <div id="flow-panel-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div style="flex:0 0 auto;display:flex;flex-wrap:wrap;gap:6px;padding:6px 8px;border-bottom:1px solid #d5deea;">
+          <button class="flow-btn" id="flow-add-btn" title="Add saved scene JSON files as screens">+ Scene files</button>
+          <button class="flow-btn" id="flow-layout-btn" title="Arrange screens by distance from the start screen">Auto layout</button>
+          <button class="flow-btn" id="flow-export-btn" title="Download the graph as JSON for the test runner">Export JSON</button>
+          <button class="flow-btn" id="flow-clear-btn" title="Remove all screens and links">Clear</button>
+          <input id="flow-file-input" type="file" accept=".json,application/json" multiple style="display:none;" />
+        </div>
+        <div id="flow-canvas" style="flex:1 1 auto;overflow:auto;background:#fafcff;position:relative;"></div>
+        <div id="flow-inspector" style="flex:0 0 auto;padding:6px 8px;border-top:1px solid #d5deea;"></div>
+      </div>
+    `;
+
+    const styleId = "flow-graph-panel-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .flow-btn {
+          font: inherit;
+          color: #234;
+          border: 1px solid #8ca6c6;
+          background: #fff;
+          border-radius: 7px;
+          padding: 1px 8px;
+          cursor: pointer;
+        }
+        .flow-btn:disabled {
+          opacity: .4;
+          cursor: not-allowed;
+        }
+        #flow-canvas.over {
+          outline: 2px dashed #2176ff;
+          outline-offset: -4px;
+        }
+        .flow-svg {
+          display: block;
+          font-size: 11px;
+          user-select: none;
+        }
+        .flow-node { cursor: pointer; }
+        .flow-node-box {
+          fill: #fff;
+          stroke: #8ca6c6;
+          stroke-width: 1.5;
+        }
+        .flow-node.current .flow-node-box { fill: #eaf2ff; }
+        .flow-node.selected .flow-node-box {
+          stroke: #2176ff;
+          stroke-width: 2.5;
+        }
+        .flow-node.unreachable .flow-node-box {
+          stroke: #d23040;
+          stroke-dasharray: 5 3;
+        }
+        .flow-node text { fill: #234; }
+        .flow-node .flow-node-empty { fill: #8a9bb0; }
+        .flow-port {
+          fill: #fff;
+          stroke: #2176ff;
+          stroke-width: 1.5;
+          cursor: crosshair;
+        }
+        .flow-edge { cursor: pointer; }
+        .flow-edge-hit {
+          stroke: transparent;
+          stroke-width: 10;
+        }
+        .flow-edge-line {
+          stroke: #ff7a00;
+          stroke-width: 1.5;
+        }
+        .flow-edge.missing .flow-edge-line { stroke-dasharray: 4 3; }
+        .flow-edge.selected .flow-edge-line { stroke-width: 3; }
+        .flow-edge text { fill: #a04c00; }
+        .flow-rubber {
+          stroke: #2176ff;
+          stroke-width: 1.5;
+          stroke-dasharray: 4 3;
+          pointer-events: none;
+        }
+        .flow-note {
+          color: #567;
+          font-size: .92em;
+          margin: 2px 0;
+        }
+        .flow-note.bad { color: #a3122a; }
+        .flow-row {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 6px;
+          margin: 3px 0;
+        }
+        .flow-row input[type=number] { width: 64px; }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const root = element.querySelector('#flow-panel-root');
+    const canvasEl = element.querySelector('#flow-canvas');
+    const inspectorEl = element.querySelector('#flow-inspector');
+    const fileInput = element.querySelector('#flow-file-input');
+    const layoutBtn = element.querySelector('#flow-layout-btn');
+    const exportBtn = element.querySelector('#flow-export-btn');
+    const clearBtn = element.querySelector('#flow-clear-btn');
+
+    let selectedNodeId = null;
+    let selectedEdgeId = null;
+    let currentNodeId = null; // node last opened in the editor
+    let drag = null;
+
+    function renderCanvas(graph) {
+      if (!canvasEl) return;
+      if (!graph.nodes.length) {
+        canvasEl.innerHTML = `<div class="flow-note" style="padding:8px;">Add or drop scene JSON files (Save Scene) – each file is one screen. Drag from a screen's ○ port onto another screen to link them.</div>`;
+        return;
+      }
+      const unreachable = new Set(getUnreachableFlowNodes(graph).map(n => n.id));
+      const byId = new Map(graph.nodes.map(n => [n.id, n]));
+      const width = Math.max(...graph.nodes.map(n => n.x)) + FLOW_NODE_WIDTH + PAD * 2 + PORT_RADIUS;
+      const height = Math.max(...graph.nodes.map(n => n.y)) + FLOW_NODE_HEIGHT + PAD * 2;
+      canvasEl.innerHTML = `
+        <svg class="flow-svg" width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+          <defs>
+            <marker id="flow-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M0,0 L10,5 L0,10 z" fill="#ff7a00" />
+            </marker>
+          </defs>
+          <g transform="translate(${PAD},${PAD})">
+            ${graph.edges.map(e => edgeSvg(e, byId, e.id === selectedEdgeId)).join('')}
+            ${graph.nodes.map(n => nodeSvg(n, {
+              start: n.id === graph.startId,
+              current: n.id === currentNodeId,
+              selected: n.id === selectedNodeId,
+              unreachable: unreachable.has(n.id)
+            })).join('')}
+          </g>
+        </svg>
+      `;
+    }
+
+    function renderInspector(graph) {
+      if (!inspectorEl) return;
+      const unreachable = getUnreachableFlowNodes(graph);
+      const summary = graph.nodes.length
+        ? `<div class="flow-note${unreachable.length ? ' bad' : ''}">${graph.nodes.length} screen(s), ${graph.edges.length} link(s)${unreachable.length ? ` · unreachable: ${unreachable.map(n => escapeHtml(n.file)).join(', ')}` : ''}</div>`
+        : '';
+      const edge = graph.edges.find(e => e.id === selectedEdgeId);
+      const node = graph.nodes.find(n => n.id === selectedNodeId);
+      let body = '';
+      if (edge) {
+        const from = graph.nodes.find(n => n.id === edge.from);
+        const options = graph.nodes
+          .filter(n => n.id !== edge.from)
+          .map(n => `<option value="${escapeHtml(n.id)}"${n.id === edge.to ? ' selected' : ''}>${escapeHtml(n.file)}</option>`)
+          .join('');
+        const canPick = edge.from === currentNodeId;
+        body = `
+          <div class="flow-row"><b>${escapeHtml(from?.file)}</b> → <select id="flow-edge-to">${options}</select></div>
+          <div class="flow-row">
+            Tap X <input id="flow-edge-x" type="number" min="0" step="1" value="${edge.tap ? edge.tap.x : ''}" />
+            Y <input id="flow-edge-y" type="number" min="0" step="1" value="${edge.tap ? edge.tap.y : ''}" />
+            <button class="flow-btn" id="flow-edge-pick" ${canPick ? '' : 'disabled'} title="${canPick ? 'Use the tap shape selected on the canvas' : 'Open the source screen first, then select a tap shape'}">From selected tap</button>
+            <button class="flow-btn" id="flow-edge-delete" title="Remove this link">Delete link</button>
+          </div>
+        `;
+      } else if (node) {
+        const isStart = node.id === graph.startId;
+        body = `
+          <div class="flow-row"><b>${escapeHtml(node.file)}</b>${node.sceneNames.length > 1 ? ` <span class="flow-note">(${node.sceneNames.length} scenes)</span>` : ''}</div>
+          <div class="flow-row">
+            <button class="flow-btn" id="flow-node-open" title="Replace the editor document with this screen (double-click the screen does the same)">Open in editor</button>
+            <button class="flow-btn" id="flow-node-start" ${isStart ? 'disabled' : ''} title="Make this the app's entry screen">${isStart ? 'Start screen' : 'Set as start'}</button>
+            <button class="flow-btn" id="flow-node-update" ${node.id === currentNodeId ? '' : 'disabled'} title="Store the scene currently in the editor in this screen (not the file on disk)">Update from editor</button>
+            <button class="flow-btn" id="flow-node-remove" title="Remove this screen and its links">Remove</button>
+          </div>
+        `;
+      } else if (graph.nodes.length) {
+        body = `<div class="flow-note">Click a screen to select it (double-click opens it in the editor), or a link to edit its tap point.</div>`;
+      }
+      inspectorEl.innerHTML = summary + body;
+    }
+
+    function render() {
+      const graph = getFlowGraph();
+      if (selectedNodeId && !graph.nodes.some(n => n.id === selectedNodeId)) selectedNodeId = null;
+      if (selectedEdgeId && !graph.edges.some(e => e.id === selectedEdgeId)) selectedEdgeId = null;
+      if (layoutBtn) layoutBtn.disabled = !graph.nodes.length;
+      if (exportBtn) exportBtn.disabled = !graph.nodes.length;
+      if (clearBtn) clearBtn.disabled = !graph.nodes.length;
+      renderCanvas(graph);
+      renderInspector(graph);
+    }
+
+    async function addFiles(files) {
+      try {
+        await addFlowFiles(files);
+      } catch (e) {
+        log("ERROR", "[flow-graph-panel] add files failed", e);
+      }
+    }
+
+    function selectNode(id) {
+      selectedNodeId = id;
+      selectedEdgeId = null;
+      render();
+    }
+
+    // Opening replaces the whole editor document (and drops its undo history).
+    async function openNode(id) {
+      const node = getFlowGraph().nodes.find(n => n.id === id);
+      if (!node) return;
+      selectedNodeId = id;
+      selectedEdgeId = null;
+      if (!window.confirm(`Open "${node.file}" in the editor? The current document and its undo history are replaced; unsaved changes are lost.`)) {
+        render();
+        return;
+      }
+      try {
+        await importSceneJSON(node.text);
+        currentNodeId = id;
+        log("INFO", "[flow-graph-panel] Screen opened", { file: node.file });
+      } catch (e) {
+        log("ERROR", "[flow-graph-panel] open screen failed", { file: node.file, error: e });
+      }
+      render();
+    }
+
+    function svgPoint(e) {
+      const g = canvasEl?.querySelector('.flow-svg > g');
+      const rect = canvasEl?.querySelector('.flow-svg')?.getBoundingClientRect();
+      if (!g || !rect) return null;
+      return { x: e.clientX - rect.left - PAD, y: e.clientY - rect.top - PAD };
+    }
+
+    function nodeAtPoint(e) {
+      const hit = document.elementFromPoint(e.clientX, e.clientY)?.closest?.('[data-node]');
+      return hit ? hit.getAttribute('data-node') : null;
+    }
+
+    const onPointerDown = (e) => {
+      if (e.button !== 0) return;
+      const port = e.target.closest('[data-port]');
+      const nodeEl = e.target.closest('[data-node]');
+      const p = svgPoint(e);
+      if (!p) return;
+      if (port) {
+        const node = getFlowGraph().nodes.find(n => n.id === port.getAttribute('data-port'));
+        if (!node) return;
+        e.preventDefault();
+        const rubber = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        rubber.setAttribute('class', 'flow-rubber');
+        rubber.setAttribute('x1', node.x + FLOW_NODE_WIDTH);
+        rubber.setAttribute('y1', node.y + FLOW_NODE_HEIGHT / 2);
+        rubber.setAttribute('x2', p.x);
+        rubber.setAttribute('y2', p.y);
+        canvasEl.querySelector('.flow-svg > g')?.appendChild(rubber);
+        drag = { kind: 'link', from: node.id, rubber };
+      } else if (nodeEl) {
+        const node = getFlowGraph().nodes.find(n => n.id === nodeEl.getAttribute('data-node'));
+        if (!node) return;
+        e.preventDefault();
+        drag = { kind: 'move', id: node.id, el: nodeEl, start: p, origin: { x: node.x, y: node.y }, moved: false };
+      }
+    };
+
+    const onPointerMove = (e) => {
+      if (!drag) return;
+      const p = svgPoint(e);
+      if (!p) return;
+      if (drag.kind === 'link') {
+        drag.rubber.setAttribute('x2', p.x);
+        drag.rubber.setAttribute('y2', p.y);
+        return;
+      }
+      const dx = p.x - drag.start.x;
+      const dy = p.y - drag.start.y;
+      if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+      drag.moved = true;
+      drag.pos = { x: Math.max(0, drag.origin.x + dx), y: Math.max(0, drag.origin.y + dy) };
+      drag.el.setAttribute('transform', `translate(${drag.pos.x},${drag.pos.y})`);
+    };
+
+    const onPointerUp = (e) => {
+      if (!drag) return;
+      const d = drag;
+      drag = null;
+      if (d.kind === 'link') {
+        d.rubber.remove();
+        const to = nodeAtPoint(e);
+        if (!to || to === d.from) return;
+        const edge = addFlowEdge(d.from, to, d.from === currentNodeId ? selectedTapPoint() : null);
+        if (edge) {
+          selectedEdgeId = edge.id;
+          selectedNodeId = null;
+          render();
+        }
+      } else if (d.moved) {
+        moveFlowNode(d.id, d.pos.x, d.pos.y);
+      } else {
+        selectNode(d.id);
+      }
+    };
+
+    const onDblClick = (e) => {
+      const nodeEl = e.target.closest('[data-node]');
+      if (!nodeEl || e.target.closest('[data-port]')) return;
+      openNode(nodeEl.getAttribute('data-node'));
+    };
+
+    const onClick = (e) => {
+      const edgeEl = e.target.closest('[data-edge]');
+      if (edgeEl) {
+        selectedEdgeId = edgeEl.getAttribute('data-edge');
+        selectedNodeId = null;
+        render();
+        return;
+      }
+      const edgeId = selectedEdgeId;
+      const nodeId = selectedNodeId;
+      switch (e.target.id) {
+        case 'flow-add-btn':
+          if (fileInput) {
+            fileInput.value = '';
+            fileInput.click();
+          }
+          break;
+        case 'flow-layout-btn':
+          layoutFlowGraph();
+          break;
+        case 'flow-export-btn':
+          downloadTextFile('scene-flow.json', JSON.stringify(buildFlowGraphExport(), null, 2), 'application/json');
+          break;
+        case 'flow-clear-btn':
+          currentNodeId = null;
+          clearFlowGraph();
+          break;
+        case 'flow-edge-pick': {
+          const tap = selectedTapPoint();
+          if (tap) updateFlowEdge(edgeId, { tap });
+          else log("INFO", "[flow-graph-panel] Select exactly one tap shape first");
+          break;
+        }
+        case 'flow-edge-delete':
+          removeFlowEdge(edgeId);
+          break;
+        case 'flow-node-open':
+          openNode(nodeId);
+          break;
+        case 'flow-node-start':
+          setFlowStartNode(nodeId);
+          break;
+        case 'flow-node-update':
+          setFlowNodeText(nodeId, exportSceneJSON(false));
+          break;
+        case 'flow-node-remove':
+          if (nodeId === currentNodeId) currentNodeId = null;
+          removeFlowNode(nodeId);
+          break;
+        default:
+          if (e.target === canvasEl || e.target.classList?.contains('flow-svg')) {
+            selectedNodeId = null;
+            selectedEdgeId = null;
+            render();
+          }
+          break;
+      }
+    };
+
+    const onChange = (e) => {
+      if (e.target === fileInput) {
+        if (fileInput.files?.length) addFiles(fileInput.files);
+        return;
+      }
+      if (!selectedEdgeId) return;
+      if (e.target.id === 'flow-edge-to') {
+        updateFlowEdge(selectedEdgeId, { to: e.target.value });
+      } else if (e.target.id === 'flow-edge-x' || e.target.id === 'flow-edge-y') {
+        const x = inspectorEl.querySelector('#flow-edge-x')?.value;
+        const y = inspectorEl.querySelector('#flow-edge-y')?.value;
+        updateFlowEdge(selectedEdgeId, { tap: x === '' || y === '' ? null : { x, y } });
+      }
+    };
+
+    const onDragOver = (e) => {
+      e.preventDefault();
+      canvasEl?.classList.add('over');
+    };
+    const onDragLeave = () => canvasEl?.classList.remove('over');
+    const onDrop = (e) => {
+      e.preventDefault();
+      canvasEl?.classList.remove('over');
+      addFiles(e.dataTransfer?.files);
+    };
+
+    root?.addEventListener('click', onClick);
+    root?.addEventListener('change', onChange);
+    canvasEl?.addEventListener('pointerdown', onPointerDown);
+    canvasEl?.addEventListener('dblclick', onDblClick);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    canvasEl?.addEventListener('dragover', onDragOver);
+    canvasEl?.addEventListener('dragleave', onDragLeave);
+    canvasEl?.addEventListener('drop', onDrop);
+
+    const unsubFlow = subscribeFlowGraph(() => {
+      try { render(); } catch (e) { log("WARN", "[flow-graph-panel] render error", e); }
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsubFlow && unsubFlow(); } catch {}
+      try {
+        root?.removeEventListener('click', onClick);
+        root?.removeEventListener('change', onChange);
+        canvasEl?.removeEventListener('pointerdown', onPointerDown);
+        canvasEl?.removeEventListener('dblclick', onDblClick);
+        window.removeEventListener('pointermove', onPointerMove);
+        window.removeEventListener('pointerup', onPointerUp);
+        canvasEl?.removeEventListener('dragover', onDragOver);
+        canvasEl?.removeEventListener('dragleave', onDragLeave);
+        canvasEl?.removeEventListener('drop', onDrop);
+      } catch {}
+      log("INFO", "[flow-graph-panel] cleaned up");
+    };
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[flow-graph-panel] ready");
+  } catch (e) {
+    log("ERROR", "[flow-graph-panel] init error", e);
+  }
+}
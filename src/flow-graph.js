@@ -0,0 +1,295 @@
+/**
+ * flow-graph.js
+ * -----------------------------------------------------------
+ * Scene Designer – Screen flow graph (app navigation between saved scenes)
+ *
+ * Nodes are saved scene files (the JSON written by exportSceneJSON, v1 or
+ * v2); the file text is kept so a node can be opened again with
+ * importSceneJSON. Edges are user-drawn: "tapping (x, y) on this screen leads
+ * to that screen". Tap points are image pixels, like the .ini.
+ *
+ *   node: { id, file, name, sceneNames, thumbnail, text, x, y }
+ *   edge: { id, from, to, tap: { x, y }|null }
+ *
+ * The start node (the first file added unless changed) is the app's entry
+ * screen; nodes no path of edges reaches from it are reported unreachable.
+ * layoutFlowGraph places nodes in columns by tap distance from the start
+ * (unreachable ones in a last column).
+ *
+ * Like test-bench.js, the graph lives at module level (survives layout
+ * rebuilds, not page reloads) and listeners are notified on every change
+ * (subscribeFlowGraph). buildFlowGraphExport is the JSON handed to the
+ * test runner; file names are the node keys there.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+
+export const FLOW_NODE_WIDTH = 112;
+export const FLOW_NODE_HEIGHT = 92;
+const COLUMN_GAP = 64;
+const ROW_GAP = 28;
+
+const nodes = [];
+const edges = [];
+const listeners = [];
+let startId = null;
+
+function generateId(prefix) {
+  return `${prefix}_${Math.random().toString(36).slice(2)}_${Date.now()}`;
+}
+
+function notify(event) {
+  for (const fn of listeners) {
+    try { fn(event); } catch (e) { log("ERROR", "[flow-graph] listener error", e); }
+  }
+}
+
+export function subscribeFlowGraph(fn) {
+  if (typeof fn !== 'function') return () => {};
+  listeners.push(fn);
+  return () => {
+    const idx = listeners.indexOf(fn);
+    if (idx >= 0) listeners.splice(idx, 1);
+  };
+}
+
+export function getFlowGraph() {
+  return { nodes: nodes.slice(), edges: edges.slice(), startId };
+}
+
+/**
+ * Summary of a scene JSON file: { name, sceneNames, thumbnail } or null when
+ * the text is not a scene export.
+ */
+export function describeSceneFile(text) {
+  let data;
+  try { data = JSON.parse(text); } catch { return null; }
+  if (!data || typeof data !== 'object') return null;
+  if (data.version === 2 && Array.isArray(data.scenes)) {
+    const scenes = data.scenes.filter(s => s && typeof s === 'object');
+    if (!scenes.length) return null;
+    const active = scenes[Math.min(Math.max(0, Number(data.activeSceneIndex) || 0), scenes.length - 1)];
+    const withImage = [active, ...scenes].find(s => typeof s.imageURL === 'string' && s.imageURL);
+    return {
+      name: typeof active.name === 'string' ? active.name : '',
+      sceneNames: scenes.map(s => (typeof s.name === 'string' ? s.name : '')),
+      thumbnail: withImage ? withImage.imageURL : null
+    };
+  }
+  if (Array.isArray(data.shapes)) {
+    return {
+      name: '',
+      sceneNames: [''],
+      thumbnail: typeof data.imageURL === 'string' && data.imageURL ? data.imageURL : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Add (or refresh) a node from scene JSON text. A file name already in the
+ * graph keeps its node, position and edges; only the content is replaced.
+ * @returns {object|null} the node, null when the text is not a scene export
+ */
+export function upsertFlowNode(file, text) {
+  const info = describeSceneFile(text);
+  if (!info) {
+    log("WARN", "[flow-graph] Not a scene JSON file", { file });
+    return null;
+  }
+  const existing = nodes.find(n => n.file === file);
+  const node = existing || { id: generateId('flow'), file, x: null, y: null };
+  Object.assign(node, info, { text });
+  if (!existing) {
+    nodes.push(node);
+    if (!startId) startId = node.id;
+  }
+  return node;
+}
+
+/**
+ * Add scene JSON files as nodes, then lay the graph out.
+ * @param {FileList|File[]} files
+ * @returns {Promise<number>} number of files added or refreshed
+ */
+export async function addFlowFiles(files) {
+  const list = Array.from(files || []).filter(f => f && /\.json$/i.test(f.name));
+  let added = 0;
+  for (const file of list) {
+    try {
+      if (upsertFlowNode(file.name, await file.text())) added++;
+    } catch (e) {
+      log("WARN", "[flow-graph] Could not read file", { name: file.name, error: e });
+    }
+  }
+  if (added) {
+    layoutFlowGraph({ keepPlaced: true });
+    notify({ event: 'nodes' });
+  }
+  log("INFO", "[flow-graph] Scene files added", { added, skipped: list.length - added });
+  return added;
+}
+
+/**
+ * Replace a node's scene text (e.g. with the scene currently in the editor).
+ */
+export function setFlowNodeText(id, text) {
+  const node = nodes.find(n => n.id === id);
+  const info = node ? describeSceneFile(text) : null;
+  if (!info) return false;
+  Object.assign(node, info, { text });
+  notify({ event: 'nodes' });
+  return true;
+}
+
+export function removeFlowNode(id) {
+  const idx = nodes.findIndex(n => n.id === id);
+  if (idx < 0) return;
+  nodes.splice(idx, 1);
+  for (let i = edges.length - 1; i >= 0; i--) {
+    if (edges[i].from === id || edges[i].to === id) edges.splice(i, 1);
+  }
+  if (startId === id) startId = nodes[0]?.id || null;
+  notify({ event: 'nodes' });
+}
+
+export function setFlowStartNode(id) {
+  if (!nodes.some(n => n.id === id) || startId === id) return;
+  startId = id;
+  notify({ event: 'nodes' });
+}
+
+export function moveFlowNode(id, x, y) {
+  const node = nodes.find(n => n.id === id);
+  if (!node || !Number.isFinite(x) || !Number.isFinite(y)) return;
+  node.x = x;
+  node.y = y;
+  notify({ event: 'layout' });
+}
+
+function normalizeTap(tap) {
+  if (!tap) return null;
+  const x = Math.round(Number(tap.x));
+  const y = Math.round(Number(tap.y));
+  return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+}
+
+/**
+ * Link two screens. Self-links and links to unknown nodes are refused.
+ * @returns {object|null} the new edge
+ */
+export function addFlowEdge(from, to, tap = null) {
+  if (from === to || !nodes.some(n => n.id === from) || !nodes.some(n => n.id === to)) {
+    log("INFO", "[flow-graph] Edge refused", { from, to });
+    return null;
+  }
+  const edge = { id: generateId('edge'), from, to, tap: normalizeTap(tap) };
+  edges.push(edge);
+  notify({ event: 'edges' });
+  return edge;
+}
+
+/**
+ * Change an edge's target and/or tap point ({ to?, tap? }; tap null clears it).
+ */
+export function updateFlowEdge(id, changes = {}) {
+  const edge = edges.find(e => e.id === id);
+  if (!edge) return false;
+  if (changes.to !== undefined) {
+    if (changes.to === edge.from || !nodes.some(n => n.id === changes.to)) return false;
+    edge.to = changes.to;
+  }
+  if (changes.tap !== undefined) edge.tap = normalizeTap(changes.tap);
+  notify({ event: 'edges' });
+  return true;
+}
+
+export function removeFlowEdge(id) {
+  const idx = edges.findIndex(e => e.id === id);
+  if (idx < 0) return;
+  edges.splice(idx, 1);
+  notify({ event: 'edges' });
+}
+
+export function clearFlowGraph() {
+  nodes.splice(0);
+  edges.splice(0);
+  startId = null;
+  notify({ event: 'nodes' });
+}
+
+/**
+ * Tap distance of every node reachable from the start (BFS).
+ * @returns {Map<string, number>} node id → depth (start = 0)
+ */
+export function computeFlowDepths(graph = getFlowGraph()) {
+  const depths = new Map();
+  if (!graph.startId || !graph.nodes.some(n => n.id === graph.startId)) return depths;
+  depths.set(graph.startId, 0);
+  const queue = [graph.startId];
+  while (queue.length) {
+    const id = queue.shift();
+    graph.edges.forEach(e => {
+      if (e.from !== id || depths.has(e.to)) return;
+      depths.set(e.to, depths.get(id) + 1);
+      queue.push(e.to);
+    });
+  }
+  return depths;
+}
+
+/**
+ * Nodes no chain of edges reaches from the start node.
+ */
+export function getUnreachableFlowNodes(graph = getFlowGraph()) {
+  const depths = computeFlowDepths(graph);
+  return graph.nodes.filter(n => !depths.has(n.id));
+}
+
+/**
+ * Column per tap distance from the start, unreachable nodes in a last
+ * column; rows in insertion order. keepPlaced leaves nodes that already
+ * have a position alone (new files only).
+ */
+export function layoutFlowGraph({ keepPlaced = false } = {}) {
+  const depths = computeFlowDepths();
+  const lastColumn = depths.size ? Math.max(...depths.values()) + 1 : 0;
+  const rows = new Map();
+  nodes.forEach(node => {
+    const col = depths.has(node.id) ? depths.get(node.id) : lastColumn;
+    const row = rows.get(col) || 0;
+    rows.set(col, row + 1);
+    if (keepPlaced && Number.isFinite(node.x) && Number.isFinite(node.y)) return;
+    node.x = col * (FLOW_NODE_WIDTH + COLUMN_GAP);
+    node.y = row * (FLOW_NODE_HEIGHT + ROW_GAP);
+  });
+  notify({ event: 'layout' });
+}
+
+/**
+ * JSON for the test runner (no scene content, no thumbnails).
+ */
+export function buildFlowGraphExport() {
+  const graph = getFlowGraph();
+  const fileOf = new Map(graph.nodes.map(n => [n.id, n.file]));
+  const warnings = [];
+  graph.edges.forEach(e => {
+    if (!e.tap) warnings.push(`${fileOf.get(e.from)} → ${fileOf.get(e.to)}: no tap point`);
+  });
+  const unreachable = getUnreachableFlowNodes(graph).map(n => n.file);
+  return {
+    version: 1,
+    start: fileOf.get(graph.startId) || null,
+    nodes: graph.nodes.map(n => ({ file: n.file, scene: n.name, scenes: n.sceneNames })),
+    edges: graph.edges.map(e => ({
+      from: fileOf.get(e.from),
+      to: fileOf.get(e.to),
+      action: 'tap',
+      x: e.tap ? e.tap.x : null,
+      y: e.tap ? e.tap.y : null
+    })),
+    unreachable,
+    warnings
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * polygon.js
+ * -----------------------------------------------------------
+ * Scene Designer – Pure polygon helpers (any coordinate space)
+ *
+ * Points are [{x, y}, ...] in order, implicitly closed (last → first).
+ * Used by the polygon shape (shapes-polygon.js), vertex editing and the
+ * matcher simulation (require_color_polygon samples every pixel whose
+ * center lies inside).
+ * -----------------------------------------------------------
+ */
+
+export const MIN_POLYGON_VERTICES = 3;
+
+export function polygonBounds(points) {
+  const pts = Array.isArray(points) ? points : [];
+  if (!pts.length) return null;
+  const xs = pts.map(p => p.x);
+  const ys = pts.map(p => p.y);
+  return { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) };
+}
+
+/**
+ * Even-odd rule; points exactly on an edge may land on either side.
+ */
+export function pointInPolygon(x, y, points) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Index of the vertex within `maxDist` of (x, y), closest first; -1 if none.
+ */
+export function nearestVertexIndex(points, x, y, maxDist = Infinity) {
+  let best = -1;
+  let bestDist = maxDist;
+  points.forEach((p, i) => {
+    const d = Math.hypot(p.x - x, p.y - y);
+    if (d <= bestDist) { best = i; bestDist = d; }
+  });
+  return best;
+}
+
+/**
+ * Closest edge within `maxDist` of (x, y).
+ * @returns {{ index:number, point:{x,y} }|null} insert the new vertex at
+ *   `index` (i.e. between index-1 and index) to split that edge at `point`.
+ */
+export function nearestEdgeInsertion(points, x, y, maxDist = Infinity) {
+  let best = null;
+  let bestDist = maxDist;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.max(0, Math.min(1, ((x - a.x) * dx + (y - a.y) * dy) / len2)) : 0;
+    const px = a.x + t * dx;
+    const py = a.y + t * dy;
+    const d = Math.hypot(px - x, py - y);
+    if (d <= bestDist) {
+      bestDist = d;
+      best = { index: i + 1, point: { x: px, y: py } };
+    }
+  }
+  return best;
+}
+
+/**
+ * Regular polygon around (cx, cy), first vertex straight up.
+ */
+export function regularPolygonPoints(cx, cy, radius, sides = 5) {
+  const n = Math.max(MIN_POLYGON_VERTICES, Math.round(sides));
+  const pts = [];
+  for (let i = 0; i < n; i++) {
+    const a = -Math.PI / 2 + (i / n) * Math.PI * 2;
+    pts.push({ x: cx + Math.cos(a) * radius, y: cy + Math.sin(a) * radius });
+  }
+  return pts;
+}
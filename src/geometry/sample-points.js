@@ -0,0 +1,101 @@
+/**
+ * sample-points.js
+ * -----------------------------------------------------------
+ * Scene Designer – Matcher sample locations (image pixels)
+ *
+ * Mirrors what the automation matcher reads for each exported check:
+ *   point  → the single pixel its center lies in (require_pixel)
+ *   rect   → grid over the exported X1,Y1,X2,Y2 box, anchored at X1,Y1,
+ *            every `step` px, both edges inclusive (require_pixel_rect)
+ *   circle → `count` points evenly spaced on the circumference, starting at
+ *            0° (3 o'clock) and turning clockwise in image space
+ *            (require_pixel_circle)
+ *   line   → `count` points evenly spaced from X1,Y1 to X2,Y2, both
+ *            endpoints included (a single point samples the midpoint)
+ *            (require_pixel_line)
+ *   region → every pixel of the box (require_color_region); no discrete
+ *            points, see tolerance-overlay.js for its visualization
+ *   polygon → every pixel whose center is inside (require_color_polygon);
+ *            no discrete points either
+ *
+ * Coordinates are the same integers the INI exporter writes (rounded; a
+ * point's pixel index is floored), so the overlay shows exactly what the
+ * matcher will test.
+ * -----------------------------------------------------------
+ */
+
+import { getShapeImageGeometry } from './shape-rect.js';
+
+export const MAX_SAMPLE_POINTS = 4096;
+
+export function getRectSampleGrid(x1, y1, x2, y2, step, maxPoints = MAX_SAMPLE_POINTS) {
+  const s = Math.max(1, Math.round(Number(step) || 1));
+  const points = [];
+  let truncated = false;
+  for (let y = y1; y <= y2; y += s) {
+    for (let x = x1; x <= x2; x += s) {
+      if (points.length >= maxPoints) { truncated = true; break; }
+      points.push({ x, y });
+    }
+    if (truncated) break;
+  }
+  return { points, truncated };
+}
+
+export function getCircleSamplePoints(cx, cy, radius, count) {
+  const n = Math.max(1, Math.round(Number(count) || 1));
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    const a = (i / n) * Math.PI * 2;
+    points.push({
+      x: Math.round(cx + Math.cos(a) * radius),
+      y: Math.round(cy + Math.sin(a) * radius)
+    });
+  }
+  return points;
+}
+
+export function getLineSamplePoints(x1, y1, x2, y2, count) {
+  const n = Math.max(1, Math.round(Number(count) || 1));
+  const points = [];
+  for (let i = 0; i < n; i++) {
+    const t = n === 1 ? 0.5 : i / (n - 1);
+    points.push({
+      x: Math.round(x1 + (x2 - x1) * t),
+      y: Math.round(y1 + (y2 - y1) * t)
+    });
+  }
+  return points;
+}
+
+/**
+ * Sample locations for a shape with the given effective params
+ * (see check-params.js getEffectiveCheckParams).
+ * @returns {{ points: Array<{x,y}>, truncated: boolean }}
+ */
+export function getShapeSamplePoints(shape, params = {}, bgImage = null) {
+  const empty = { points: [], truncated: false };
+  const geom = getShapeImageGeometry(shape, bgImage);
+  if (!geom) return empty;
+  const type = shape._type;
+  if (type === 'point') {
+    return { points: [{ x: Math.floor(geom.center.x), y: Math.floor(geom.center.y) }], truncated: false };
+  }
+  if (type === 'rect') {
+    const b = geom.bounds;
+    return getRectSampleGrid(Math.round(b.x1), Math.round(b.y1), Math.round(b.x2), Math.round(b.y2), params.step);
+  }
+  if (type === 'circle') {
+    const cx = Math.round(geom.center.x);
+    const cy = Math.round(geom.center.y);
+    return { points: getCircleSamplePoints(cx, cy, Math.round(geom.radius || 0), params.count), truncated: false };
+  }
+  if (type === 'line' && Array.isArray(geom.points) && geom.points.length === 2) {
+    const [a, b] = geom.points;
+    return {
+      points: getLineSamplePoints(Math.round(a.x), Math.round(a.y), Math.round(b.x), Math.round(b.y), params.count),
+      truncated: false
+    };
+  }
+  return empty;
+}
@@ -2,7 +2,7 @@ import { log } from '../log.js';
 
 function findPrimaryChild(group) {
   if (!group || !Array.isArray(group._objects)) return null;
-  const priority = ['ellipse', 'circle', 'rect', 'line'];
+  const priority = ['ellipse', 'circle', 'rect', 'polygon', 'line'];
   for (const type of priority) {
     const obj = group._objects.find(o => o && !o._isDiagnosticLabel && o.type === type);
     if (obj) return obj;
@@ -107,7 +107,11 @@ export function getShapeOuterRadius(shape) {
   return null;
 }
 
-export function summarizeShapeGeometry(shape) {
+/**
+ * bbox / center are canvas-space and untransformed; `image` is the
+ * transform-aware image-pixel geometry (getShapeImageGeometry below).
+ */
+export function summarizeShapeGeometry(shape, bgImage = null) {
   const bbox = getShapeBoundingBox(shape);
   return {
     id: shape?._id,
@@ -115,6 +119,124 @@ export function summarizeShapeGeometry(shape) {
     bbox,
     center: getShapeCenter(shape),
     aspectRatio: getShapeAspectRatio(shape),
-    outerRadius: getShapeOuterRadius(shape)
+    outerRadius: getShapeOuterRadius(shape),
+    angle: Number.isFinite(shape?.angle) ? shape.angle : 0,
+    image: getShapeImageGeometry(shape, bgImage)
   };
 }
+
+/**
+ * Transform-aware geometry (image pixel space).
+ * getShapeBoundingBox above reports the primary child's size without the group's
+ * own scale/rotation. Export and sampling need the true on-image footprint, so
+ * these helpers compose the child's full transform matrix (group included).
+ */
+function decomposeMatrix(m) {
+  const [a, b, c, d, e, f] = m;
+  const scaleX = Math.hypot(a, b);
+  const scaleY = scaleX !== 0 ? (a * d - b * c) / scaleX : 0;
+  const angle = Math.atan2(b, a) * 180 / Math.PI;
+  return { x: e, y: f, scaleX, scaleY: Math.abs(scaleY), angle };
+}
+
+function transformPoint(m, x, y) {
+  return { x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] };
+}
+
+export function canvasToImagePoint(pt, bgImage) {
+  if (!pt) return null;
+  const left = Number.isFinite(bgImage?.left) ? bgImage.left : 0;
+  const top = Number.isFinite(bgImage?.top) ? bgImage.top : 0;
+  const sx = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+  const sy = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+  return { x: (pt.x - left) / sx, y: (pt.y - top) / sy };
+}
+
+export function imageToCanvasPoint(pt, bgImage) {
+  if (!pt) return null;
+  const left = Number.isFinite(bgImage?.left) ? bgImage.left : 0;
+  const top = Number.isFinite(bgImage?.top) ? bgImage.top : 0;
+  const sx = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+  const sy = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+  return { x: pt.x * sx + left, y: pt.y * sy + top };
+}
+
+export function getShapeImageGeometry(shape, bgImage = null) {
+  if (!shape) return null;
+  const primary = findPrimaryChild(shape);
+  if (!primary || typeof primary.calcTransformMatrix !== 'function') return null;
+  try {
+    const m = primary.calcTransformMatrix();
+    const dec = decomposeMatrix(m);
+    const center = canvasToImagePoint({ x: dec.x, y: dec.y }, bgImage);
+    const imgScaleX = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+    const imgScaleY = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+    const type = shape._type || shape.type;
+    const raw = primitiveRawSize(primary);
+
+    const corners = [];
+    if (Number.isFinite(raw.w) && Number.isFinite(raw.h)) {
+      const hw = raw.w / 2;
+      const hh = raw.h / 2;
+      [[-hw, -hh], [hw, -hh], [hw, hh], [-hw, hh]].forEach(([x, y]) => {
+        corners.push(canvasToImagePoint(transformPoint(m, x, y), bgImage));
+      });
+    }
+    // Polygons / lines: the footprint is the vertex (endpoint) list itself.
+    let points = null;
+    if (type === 'polygon' && Array.isArray(primary.points)) {
+      points = primary.points.map(p => canvasToImagePoint(
+        transformPoint(m, p.x - (primary.pathOffset?.x || 0), p.y - (primary.pathOffset?.y || 0)), bgImage));
+    } else if ((type === 'line' || type === 'swipe') && typeof primary.calcLinePoints === 'function') {
+      const lp = primary.calcLinePoints();
+      points = [[lp.x1, lp.y1], [lp.x2, lp.y2]].map(([x, y]) => canvasToImagePoint(transformPoint(m, x, y), bgImage));
+    }
+    if (points) corners.splice(0, corners.length, ...points);
+    const xs = corners.map(p => p.x);
+    const ys = corners.map(p => p.y);
+    const bounds = corners.length
+      ? { x1: Math.min(...xs), y1: Math.min(...ys), x2: Math.max(...xs), y2: Math.max(...ys) }
+      : { x1: center.x, y1: center.y, x2: center.x, y2: center.y };
+
+    const geom = {
+      id: shape._id,
+      type,
+      center,
+      angle: dec.angle,
+      bounds
+    };
+
+    if (points) {
+      geom.points = points;
+    } else if (type === 'circle' && Number.isFinite(primary.radius)) {
+      geom.radius = primary.radius * Math.max(dec.scaleX / imgScaleX, dec.scaleY / imgScaleY);
+    } else if (type === 'ellipse' && Number.isFinite(primary.rx) && Number.isFinite(primary.ry)) {
+      geom.rx = primary.rx * dec.scaleX / imgScaleX;
+      geom.ry = primary.ry * dec.scaleY / imgScaleY;
+    } else if (Number.isFinite(raw.w) && Number.isFinite(raw.h)) {
+      geom.width = raw.w * dec.scaleX / imgScaleX;
+      geom.height = raw.h * dec.scaleY / imgScaleY;
+    }
+    return geom;
+  } catch (e) {
+    log("WARN", "[geometry/shape-rect] getShapeImageGeometry error", { id: shape?._id, error: e });
+    return null;
+  }
+}
+
+/**
+ * Move a shape so its drawable's center lands on (cx, cy) (image space,
+ * canvas space without bgImage). Factories position the group's top-left,
+ * label and hit area included, not the drawable.
+ */
+export function placeShapeCenterAt(group, cx, cy, bgImage = null) {
+  const geom = getShapeImageGeometry(group, bgImage);
+  if (!geom) return;
+  const sx = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+  const sy = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+  group.set({
+    left: (Number(group.left) || 0) + (cx - geom.center.x) * sx,
+    top: (Number(group.top) || 0) + (cy - geom.center.y) * sy
+  });
+  if (typeof group.setCoords === 'function') { try { group.setCoords(); } catch {} }
+}
@@ -138,6 +138,11 @@ export function buildHistoryPanel({ element }) {
           renderCounters(getHistorySnapshot());
           return;
         }
+        if (evt?.event === 'context') {
+          items = [];
+          refresh();
+          return;
+        }
         pushItem(evt);
         renderCounters(getHistorySnapshot());
         renderList();
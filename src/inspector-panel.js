@@ -0,0 +1,581 @@
+import { log } from './log.js';
+import { getState, sceneDesignerStore } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import {
+  setShapeTransforms,
+  setStrokeColorForSelected,
+  setFillColorForShapes,
+  setStrokeWidthForShapes,
+  lockSelectedShapes,
+  unlockSelectedShapes
+} from './actions.js';
+import { getShapeDef } from './shape-defs.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { translateShape } from './anchors.js';
+import { getFirstChildStroke, getFirstChildFill, getFirstChildStrokeWidth } from './commands/commands-style.js';
+import { rgbToHex } from './color-sampling.js';
+import { rgbaStringFromHex } from './shapes-core.js';
+import { parseNumericInput } from './numeric-input.js';
+
+/*
+  Inspector panel
+  ---------------
+  Numeric view of the selection: X / Y (top-left of the image-pixel bounds),
+  W / H, radius and angle, stroke color / width, fill color / opacity, label
+  and lock state. Several selected shapes show their common value or "mixed".
+
+  Fields take plain numbers, arithmetic and relative input (numeric-input.js);
+  relative input ("+=10", "*2") applies per shape. ArrowUp / ArrowDown step a
+  field and dragging its label scrubs it (Shift ×10); each key burst or scrub
+  coalesces into one history entry. Geometry goes through SET_TRANSFORMS
+  (resizes keep the top-left, rotations the center), styles through the
+  style commands; the executors skip locked shapes.
+*/
+
+const RERENDER_EVENTS = new Set([
+  'setSelectedShapes',
+  'updateShapes',
+  'setShapes',
+  'removeShape',
+  'setBgFabricImage',
+  'setSettings'
+]);
+
+const COALESCE_WINDOW_MS = 1000;
+const SCRUB_PX_PER_STEP = 2;
+
+/*
+  Numeric fields. applies(shape, def) decides whether a shape has the field;
+  clamp keeps typed / scrubbed values valid.
+*/
+const FIELDS = {
+  x: { label: 'X', hint: 'Left edge (image px)', step: 1, applies: () => true },
+  y: { label: 'Y', hint: 'Top edge (image px)', step: 1, applies: () => true },
+  w: {
+    label: 'W', hint: 'Width (image px)', step: 1,
+    applies: (s, def) => !!def?.resizable && !def.keepRatio,
+    clamp: (v) => Math.max(1, v)
+  },
+  h: {
+    label: 'H', hint: 'Height (image px)', step: 1,
+    applies: (s, def) => !!def?.resizable && !def.keepRatio,
+    clamp: (v) => Math.max(1, v)
+  },
+  r: {
+    label: 'R', hint: 'Radius (image px)', step: 1,
+    applies: (s) => s._type === 'circle',
+    clamp: (v) => Math.max(0.5, v)
+  },
+  angle: {
+    label: '∠', hint: 'Rotation (degrees)', step: 1,
+    applies: (s, def) => !!def?.rotateEnabled,
+    clamp: normalizeAngle
+  },
+  strokeWidth: {
+    label: 'Width', hint: 'Stroke width', step: 1,
+    applies: (s) => getFirstChildStrokeWidth(s) !== null,
+    clamp: (v) => Math.max(0.5, v)
+  },
+  fillAlpha: {
+    label: 'Opacity', hint: 'Fill opacity (%)', step: 5,
+    applies: hasFill,
+    clamp: (v) => Math.min(100, Math.max(0, v))
+  }
+};
+
+const GEOMETRY_KEYS = ['x', 'y', 'w', 'h', 'r', 'angle'];
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function round1(v) {
+  return Math.round(v * 10) / 10;
+}
+
+function normalizeAngle(v) {
+  return ((v % 360) + 360) % 360;
+}
+
+function hasFill(shape) {
+  return shape._type !== 'point' && getFirstChildFill(shape) !== null;
+}
+
+/**
+ * { r, g, b, a } from '#rgb' / '#rrggbb' / 'rgb(a)(…)' strings, null otherwise.
+ */
+function parseColor(str) {
+  const s = String(str || '').trim();
+  const m = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i.exec(s);
+  if (m) {
+    const a = m[4] === undefined ? 1 : Number(m[4]);
+    return { r: Number(m[1]), g: Number(m[2]), b: Number(m[3]), a: Number.isFinite(a) ? a : 1 };
+  }
+  const h = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(s);
+  if (!h) return null;
+  const hex = h[1].length === 3 ? h[1].split('').map(c => c + c).join('') : h[1];
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+    a: 1
+  };
+}
+
+function colorHex(str) {
+  const c = parseColor(str);
+  return c ? rgbToHex(c.r, c.g, c.b).toLowerCase() : null;
+}
+
+function geometrySize(g) {
+  if (Number.isFinite(g.width) && Number.isFinite(g.height)) return { w: g.width, h: g.height };
+  if (Number.isFinite(g.rx) && Number.isFinite(g.ry)) return { w: g.rx * 2, h: g.ry * 2 };
+  return { w: g.bounds.x2 - g.bounds.x1, h: g.bounds.y2 - g.bounds.y1 };
+}
+
+function readField(shape, key, bg) {
+  if (key === 'angle') return normalizeAngle(Number(shape.angle) || 0);
+  if (key === 'strokeWidth') return getFirstChildStrokeWidth(shape);
+  if (key === 'fillAlpha') {
+    const c = parseColor(getFirstChildFill(shape));
+    return c ? c.a * 100 : null;
+  }
+  const g = getShapeImageGeometry(shape, bg);
+  if (!g) return null;
+  switch (key) {
+    case 'x': return g.bounds.x1;
+    case 'y': return g.bounds.y1;
+    case 'w': return geometrySize(g).w;
+    case 'h': return geometrySize(g).h;
+    case 'r': return Number.isFinite(g.radius) ? g.radius : null;
+    default: return null;
+  }
+}
+
+function snapshot(shape) {
+  return {
+    left: Number(shape.left) || 0,
+    top: Number(shape.top) || 0,
+    scaleX: Number.isFinite(shape.scaleX) ? shape.scaleX : 1,
+    scaleY: Number.isFinite(shape.scaleY) ? shape.scaleY : 1,
+    angle: Number(shape.angle) || 0
+  };
+}
+
+/**
+ * SET_TRANSFORMS item that gives `shape` the value for a geometry field, or
+ * null. Worked out on the live shape, which is restored before returning.
+ */
+function transformItemFor(shape, key, value, bg) {
+  const pre = snapshot(shape);
+  const setCoords = () => { if (typeof shape.setCoords === 'function') shape.setCoords(); };
+  try {
+    const g = getShapeImageGeometry(shape, bg);
+    if (!g) return null;
+    let keep = null;
+    if (key === 'x') {
+      translateShape(shape, value - g.bounds.x1, 0, bg);
+    } else if (key === 'y') {
+      translateShape(shape, 0, value - g.bounds.y1, bg);
+    } else if (key === 'w' || key === 'h') {
+      const size = geometrySize(g)[key];
+      if (!(size > 0)) return null;
+      const prop = key === 'w' ? 'scaleX' : 'scaleY';
+      shape.set({ [prop]: pre[prop] * value / size });
+      keep = 'topLeft';
+    } else if (key === 'r') {
+      if (!(g.radius > 0)) return null;
+      const f = value / g.radius;
+      shape.set({ scaleX: pre.scaleX * f, scaleY: pre.scaleY * f });
+      keep = 'topLeft';
+    } else if (key === 'angle') {
+      shape.set({ angle: value });
+      keep = 'center';
+    } else {
+      return null;
+    }
+    setCoords();
+    if (keep) {
+      const after = getShapeImageGeometry(shape, bg);
+      if (after && keep === 'topLeft') translateShape(shape, g.bounds.x1 - after.bounds.x1, g.bounds.y1 - after.bounds.y1, bg);
+      if (after && keep === 'center') translateShape(shape, g.center.x - after.center.x, g.center.y - after.center.y, bg);
+    }
+    return { id: shape._id, ...snapshot(shape) };
+  } finally {
+    shape.set(pre);
+    setCoords();
+  }
+}
+
+/**
+ * Apply `resolve(current) => next` to field `key` of every selected shape
+ * that has it, as one command.
+ */
+function applyField(key, resolve, options = {}) {
+  const field = FIELDS[key];
+  const state = getState();
+  const bg = state.bgFabricImage;
+  const shapes = (state.selectedShapes || []).filter(s => s && field.applies(s, getShapeDef(s)));
+  const targets = [];
+  shapes.forEach(shape => {
+    const current = readField(shape, key, bg);
+    if (current === null) return;
+    const next = resolve(current);
+    if (next === null || !Number.isFinite(next)) return;
+    targets.push({ shape, value: field.clamp ? field.clamp(next) : next });
+  });
+  if (!targets.length) {
+    log("INFO", "[inspector-panel] Nothing to apply", { key });
+    return;
+  }
+
+  if (GEOMETRY_KEYS.includes(key)) {
+    const items = targets.map(t => transformItemFor(t.shape, key, t.value, bg)).filter(Boolean);
+    setShapeTransforms(items, options);
+  } else if (key === 'strokeWidth') {
+    setStrokeWidthForShapes(targets.map(t => ({ id: t.shape._id, width: t.value })), options);
+  } else if (key === 'fillAlpha') {
+    const items = targets.map(t => {
+      const hex = colorHex(getFirstChildFill(t.shape));
+      return hex ? { id: t.shape._id, fill: rgbaStringFromHex(hex, t.value) } : null;
+    }).filter(Boolean);
+    setFillColorForShapes(items, options);
+  }
+}
+
+function applyFillHex(hex, options = {}) {
+  const items = (getState().selectedShapes || []).filter(s => s && hasFill(s)).map(s => {
+    const c = parseColor(getFirstChildFill(s));
+    return { id: s._id, fill: rgbaStringFromHex(hex, c ? c.a * 100 : 100) };
+  });
+  setFillColorForShapes(items, options);
+}
+
+/**
+ * Common value of `fn(shape)` across shapes, or undefined when they differ.
+ */
+function commonValue(shapes, fn) {
+  if (!shapes.length) return undefined;
+  const first = fn(shapes[0]);
+  return shapes.every(s => fn(s) === first) ? first : undefined;
+}
+
+export function buildInspectorPanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[inspector-panel] missing root element");
+      return;
+    }
+
+    element.innerHTML = `
+      <div id="insp-panel-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div id="insp-body" style="flex:1 1 auto;overflow:auto;padding:8px;background:#fafcff;"></div>
+      </div>
+    `;
+
+    const styleId = "inspector-panel-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .insp-grid {
+          display: grid;
+          grid-template-columns: auto 1fr auto 1fr;
+          gap: 6px 8px;
+          align-items: center;
+        }
+        .insp-label {
+          color: #456;
+          white-space: nowrap;
+        }
+        .insp-scrub {
+          cursor: ew-resize;
+          user-select: none;
+        }
+        .insp-value {
+          color: #234;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .insp-input {
+          font: inherit;
+          width: 100%;
+          min-width: 0;
+          box-sizing: border-box;
+          border: 1px solid #8ca6c6;
+          border-radius: 6px;
+          padding: 2px 6px;
+        }
+        .insp-color {
+          width: 100%;
+          height: 22px;
+          box-sizing: border-box;
+          border: 1px solid #8ca6c6;
+          border-radius: 6px;
+          padding: 1px 2px;
+          background: #fff;
+        }
+        .insp-empty {
+          color: #678;
+          padding: 6px 2px;
+        }
+        .insp-section {
+          margin: 10px 0 6px 0;
+          font-weight: 600;
+          color: #234;
+        }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const bodyEl = element.querySelector('#insp-body');
+    // Coalescing session per key burst / scrub / color pick.
+    let session = 0;
+    let scrub = null;
+
+    function fieldState(key, selected, bg) {
+      const field = FIELDS[key];
+      const relevant = selected.filter(s => field.applies(s, getShapeDef(s)));
+      if (!relevant.length) return null;
+      const value = commonValue(relevant, s => {
+        const v = readField(s, key, bg);
+        return v === null ? null : round1(v);
+      });
+      return { value, editable: relevant.some(s => !s.locked) };
+    }
+
+    function renderField(key, selected, bg) {
+      const st = fieldState(key, selected, bg);
+      if (!st) return '<div></div><div></div>';
+      const f = FIELDS[key];
+      const mixed = st.value === undefined;
+      return `
+        <label class="insp-label insp-scrub" for="insp-${key}" data-scrub="${key}" title="${escapeHtml(f.hint)} – drag to scrub">${f.label}</label>
+        <input id="insp-${key}" class="insp-input" type="text" inputmode="decimal" data-field="${key}"
+          value="${mixed || st.value === null ? '' : st.value}" placeholder="${mixed ? 'mixed' : ''}"
+          title="${escapeHtml(f.hint)}; also 10+5, +=10, *2" ${st.editable ? '' : 'disabled'} />
+      `;
+    }
+
+    function renderColor(kind, selected) {
+      const relevant = selected.filter(kind === 'stroke' ? (s => getFirstChildStroke(s) !== null) : hasFill);
+      if (!relevant.length) return '<div></div><div></div>';
+      const read = kind === 'stroke' ? getFirstChildStroke : getFirstChildFill;
+      const hex = commonValue(relevant, s => colorHex(read(s)));
+      const editable = relevant.some(s => !s.locked);
+      return `
+        <label class="insp-label" for="insp-${kind}-color">${kind === 'stroke' ? 'Stroke' : 'Fill'}${hex === undefined ? ' (mixed)' : ''}</label>
+        <input id="insp-${kind}-color" class="insp-color" type="color" data-color="${kind}"
+          value="${hex || colorHex(read(relevant[0])) || '#000000'}" ${editable ? '' : 'disabled'} />
+      `;
+    }
+
+    function render() {
+      if (!bodyEl) return;
+      const active = document.activeElement;
+      if (bodyEl.contains(active) && active.tagName === 'INPUT' && active.type !== 'checkbox') return;
+      const state = getState();
+      const selected = (state.selectedShapes || []).filter(Boolean);
+      if (!selected.length) {
+        bodyEl.innerHTML = `<div class="insp-empty">Select a shape to inspect its geometry and style.</div>`;
+        return;
+      }
+      const bg = state.bgFabricImage;
+      const label = selected.length === 1
+        ? `${escapeHtml(selected[0]._label || selected[0]._id)} <span style="color:#678;font-weight:400;">(${escapeHtml(selected[0]._type)})</span>`
+        : `${selected.length} shapes`;
+      const locked = commonValue(selected, s => !!s.locked);
+      const sizeRow = ['w', 'h'].some(k => fieldState(k, selected, bg))
+        ? renderField('w', selected, bg) + renderField('h', selected, bg)
+        : '';
+      const turnRow = ['r', 'angle'].some(k => fieldState(k, selected, bg))
+        ? renderField('r', selected, bg) + renderField('angle', selected, bg)
+        : '';
+      bodyEl.innerHTML = `
+        <div class="insp-section" style="margin-top:0;">${label}</div>
+        <div class="insp-grid">
+          ${renderField('x', selected, bg)}${renderField('y', selected, bg)}
+          ${sizeRow}
+          ${turnRow}
+        </div>
+        <div class="insp-section">Style</div>
+        <div class="insp-grid">
+          ${renderColor('stroke', selected)}${renderField('strokeWidth', selected, bg)}
+          ${renderColor('fill', selected)}${renderField('fillAlpha', selected, bg)}
+        </div>
+        <div class="insp-section">State</div>
+        <label class="insp-value"><input type="checkbox" data-lock ${locked ? 'checked' : ''} /> Locked${locked === undefined ? ' (mixed)' : ''}</label>
+      `;
+      const lockBox = bodyEl.querySelector('[data-lock]');
+      if (lockBox && locked === undefined) lockBox.indeterminate = true;
+    }
+
+    // Refresh one focused input in place (render() leaves focused inputs alone).
+    function refreshInput(input) {
+      const key = input.getAttribute('data-field');
+      const state = getState();
+      const st = fieldState(key, (state.selectedShapes || []).filter(Boolean), state.bgFabricImage);
+      if (!st) return;
+      input.value = st.value === undefined || st.value === null ? '' : String(st.value);
+      input.placeholder = st.value === undefined ? 'mixed' : '';
+    }
+
+    function coalesceOptions(key) {
+      return { coalesceKey: `inspector-${key}-${session}`, coalesceWindowMs: COALESCE_WINDOW_MS };
+    }
+
+    function commitField(input) {
+      const key = input.getAttribute('data-field');
+      const raw = input.value.trim();
+      if (!key || raw === '') { render(); return; }
+      const parsed = parseNumericInput(raw);
+      if (!parsed) {
+        log("WARN", "[inspector-panel] Invalid input", { key, raw });
+        render();
+        return;
+      }
+      applyField(key, parsed.resolve);
+    }
+
+    const onChange = (e) => {
+      const lockBox = e.target.closest('[data-lock]');
+      if (lockBox) {
+        try {
+          if (lockBox.checked) lockSelectedShapes();
+          else unlockSelectedShapes();
+        } catch (err) {
+          log("ERROR", "[inspector-panel] lock toggle failed", err);
+        }
+        try { lockBox.blur(); } catch {}
+        render();
+        return;
+      }
+      const color = e.target.closest('[data-color]');
+      if (color) {
+        // The picker is closed: the next pick is a new history entry.
+        session++;
+        try { color.blur(); } catch {}
+        render();
+        return;
+      }
+      const input = e.target.closest('[data-field]');
+      if (!input) return;
+      try { commitField(input); } catch (err) {
+        log("ERROR", "[inspector-panel] field commit failed", err);
+      }
+      try { input.blur(); } catch {}
+      render();
+    };
+
+    // Live color picking, one history entry per pick.
+    const onInput = (e) => {
+      const color = e.target.closest('[data-color]');
+      if (!color) return;
+      const kind = color.getAttribute('data-color');
+      try {
+        if (kind === 'stroke') setStrokeColorForSelected(color.value, coalesceOptions('stroke-color'));
+        else applyFillHex(color.value, coalesceOptions('fill-color'));
+      } catch (err) {
+        log("ERROR", "[inspector-panel] color change failed", err);
+      }
+    };
+
+    const onKeyDown = (e) => {
+      const input = e.target.closest('[data-field]');
+      if (!input) return;
+      const key = input.getAttribute('data-field');
+      if (e.key === 'Enter') { e.preventDefault(); input.blur(); }
+      else if (e.key === 'Escape') { input.value = ''; input.blur(); render(); }
+      else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+        e.preventDefault();
+        const delta = FIELDS[key].step * (e.shiftKey ? 10 : 1) * (e.key === 'ArrowUp' ? 1 : -1);
+        try { applyField(key, v => v + delta, coalesceOptions(key)); } catch (err) {
+          log("ERROR", "[inspector-panel] step failed", err);
+        }
+        refreshInput(input);
+      }
+      e.stopPropagation();
+    };
+
+    const onFocusIn = (e) => {
+      if (e.target.closest('[data-field], [data-color]')) session++;
+    };
+
+    const onScrubMove = (e) => {
+      if (!scrub) return;
+      e.preventDefault();
+      const field = FIELDS[scrub.key];
+      const total = Math.trunc((e.clientX - scrub.startX) / SCRUB_PX_PER_STEP) * field.step * (e.shiftKey ? 10 : 1);
+      if (total === scrub.applied) return;
+      const delta = total - scrub.applied;
+      scrub.applied = total;
+      try { applyField(scrub.key, v => v + delta, coalesceOptions(scrub.key)); } catch (err) {
+        log("ERROR", "[inspector-panel] scrub failed", err);
+      }
+    };
+    const onScrubUp = () => {
+      window.removeEventListener('mousemove', onScrubMove, true);
+      window.removeEventListener('mouseup', onScrubUp, true);
+      scrub = null;
+      render();
+    };
+    const onMouseDown = (e) => {
+      const handle = e.target.closest('[data-scrub]');
+      if (!handle || e.button !== 0 || scrub) return;
+      const input = bodyEl.querySelector(`[data-field="${handle.getAttribute('data-scrub')}"]`);
+      if (!input || input.disabled) return;
+      e.preventDefault();
+      session++;
+      scrub = { key: handle.getAttribute('data-scrub'), startX: e.clientX, applied: 0 };
+      window.addEventListener('mousemove', onScrubMove, true);
+      window.addEventListener('mouseup', onScrubUp, true);
+    };
+
+    bodyEl?.addEventListener('change', onChange);
+    bodyEl?.addEventListener('input', onInput);
+    bodyEl?.addEventListener('keydown', onKeyDown);
+    bodyEl?.addEventListener('focusin', onFocusIn);
+    bodyEl?.addEventListener('mousedown', onMouseDown);
+
+    const unsub = sceneDesignerStore.subscribe((state, details) => {
+      if (!details) return;
+      if (RERENDER_EVENTS.has(details.type)) {
+        try { render(); } catch (e) { log("WARN", "[inspector-panel] render error", e); }
+      }
+    });
+    const unsubHistory = subscribeHistory((evt) => {
+      // 'dispatch' too: moves, resizes and style edits change the values.
+      if (evt && (evt.event === 'undo' || evt.event === 'redo' || evt.event === 'dispatch')) render();
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsub && unsub(); } catch {}
+      try { unsubHistory && unsubHistory(); } catch {}
+      try { if (scrub) onScrubUp(); } catch {}
+      try {
+        bodyEl?.removeEventListener('change', onChange);
+        bodyEl?.removeEventListener('input', onInput);
+        bodyEl?.removeEventListener('keydown', onKeyDown);
+        bodyEl?.removeEventListener('focusin', onFocusIn);
+        bodyEl?.removeEventListener('mousedown', onMouseDown);
+      } catch {}
+      log("INFO", "[inspector-panel] cleaned up");
+    };
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[inspector-panel] ready");
+  } catch (e) {
+    log("ERROR", "[inspector-panel] init error", e);
+  }
+}
@@ -8,6 +8,7 @@ import {
   unlockSelectedShapes,
   resetRotationForSelectedShapes
 } from './actions.js';
+import { zoomIn, zoomOut, zoomToFit, zoomToActualSize, zoomToSelection } from './canvas-viewport.js';
 
 function isEditableTarget(t) {
   if (!t) return false;
@@ -45,6 +46,25 @@ function handleUndoRedo(e, keyLower) {
   return false;
 }
 
+// Ctrl/Cmd + 0 fit, 1 actual pixels, 2 selection, =/+ and - step zoom.
+function handleViewShortcuts(e, keyLower) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+  const actions = {
+    '0': zoomToFit,
+    '1': zoomToActualSize,
+    '2': zoomToSelection,
+    '=': zoomIn,
+    '+': zoomIn,
+    '-': zoomOut
+  };
+  const action = actions[keyLower];
+  if (!action || !getState().fabricCanvas) return false;
+  e.preventDefault();
+  e.stopPropagation();
+  action();
+  return true;
+}
+
 function handleArrowNudge(e, keyLower) {
   const isArrow =
     keyLower === 'arrowleft' ||
@@ -91,7 +111,7 @@ function handleCommonShortcuts(e, keyLower) {
   const lockedSelected = selected.filter(s => s && s.locked);
   const anyLockedInStore = shapes.some(s => s && s.locked);
   const anyRotatableSelected = selected.some(s =>
-    s && !s.locked && (s._type === 'rect' || s._type === 'circle' || s._type === 'ellipse')
+    s && !s.locked && (s._type === 'rect' || s._type === 'region' || s._type === 'circle' || s._type === 'ellipse')
   );
 
   if ((keyLower === 'delete' || keyLower === 'backspace') && !isEditableTarget(e.target)) {
@@ -151,6 +171,9 @@ function handleKeydown(e) {
   try {
     const keyLower = (e.key || '').toLowerCase();
     if (handleUndoRedo(e, keyLower)) return;
+    if (handleViewShortcuts(e, keyLower)) return;
+    // Polygon drawing owns Enter / Backspace / Esc (canvas-tool-mode.js).
+    if (getState().toolMode === 'polygon') return;
     if (handleArrowNudge(e, keyLower)) return;
     if (handleCommonShortcuts(e, keyLower)) return;
   } catch (err) {
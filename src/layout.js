@@ -4,20 +4,36 @@ import { buildSettingsPanel, loadSettings } from './settings.js';
 import { buildErrorLogPanel, registerErrorLogSink } from './errorlog.js';
 import { buildCanvasToolbarPanel } from './toolbar.js';
 import { buildHistoryPanel } from './history-panel.js';
+import { buildSceneNavigatorPanel } from './scene-navigator-panel.js';
+import { buildSidebarPanel } from './sidebar.js';
+import { buildPropertiesPanel } from './properties-panel.js';
+import { buildInspectorPanel } from './inspector-panel.js';
+import { buildTestBenchPanel } from './test-bench-panel.js';
+import { buildFlowGraphPanel } from './flow-graph-panel.js';
+import { buildLogicTreePanel } from './logic-tree-panel.js';
 import { getSetting, subscribe } from './state.js';
 import { setSettingAndSave } from './settings.js';
 import { log } from './log.js';
 import { installUndoRedoKeybindings } from './keybindings.js';
+import { installColorSampling } from './color-sampling.js';
+import { installTemplateCapture } from './template-capture.js';
+import { installSceneEvaluation } from './scene-evaluation.js';
 
 let layout = null;
 let mlRoot = null;
 let detachKeybindings = null;
+let detachColorSampling = null;
+let detachTemplateCapture = null;
+let detachSceneEvaluation = null;
 
 // Auto‑force & enforcement guards
 let sidebarAutoForced = false;
 let enforcingSidebar = false;
 const PREVENT_HIDING = true; // user cannot fully hide settings sidebar now
 
+// Secondary sidebar panels that share the remaining height (see enforceSidebarDomStyles)
+const FLEX_SIDEBAR_PANEL_TITLES = /^(History|Scenes|Shapes|Inspector|Properties|Logic|Test Bench|Flow)$/i;
+
 export function isErrorLogPanelOpen() {
   if (!layout || !layout._panelRefs) return false;
   return layout._panelRefs.some(ref => ref.node?.componentName === "ErrorLogPanel");
@@ -79,7 +95,14 @@ subscribe((state, details) => {
     details.key === "showScenarioRunner" ||
     details.key === "showRightSidebarPanel" ||
     details.key === "showSettingsPanel" ||
-    details.key === "showHistoryPanel"
+    details.key === "showHistoryPanel" ||
+    details.key === "showSceneNavigatorPanel" ||
+    details.key === "showShapeListPanel" ||
+    details.key === "showInspectorPanel" ||
+    details.key === "showPropertiesPanel" ||
+    details.key === "showLogicPanel" ||
+    details.key === "showTestBenchPanel" ||
+    details.key === "showFlowGraphPanel"
   ) {
     enforceSidebarVisibilityOnSettingChange(details.key, details.value);
     rebuildLayout();
@@ -100,28 +123,35 @@ function rebuildLayout() {
   const sidebarEnabled = getSetting("showRightSidebarPanel") !== false;
   const settingsEnabled = getSetting("showSettingsPanel") !== false;
   const historyEnabled = !!getSetting("showHistoryPanel");
-
-  const rightSidebarContent = [];
-  if (sidebarEnabled) {
-    if (settingsEnabled) {
-      rightSidebarContent.push({
-        type: 'component',
-        componentName: 'SettingsPanel',
-        title: 'Settings',
-        height: historyEnabled ? 60 : 100,
-        closable: false
-      });
-    }
-    if (historyEnabled) {
-      rightSidebarContent.push({
-        type: 'component',
-        componentName: 'HistoryPanel',
-        title: 'History',
-        height: settingsEnabled ? 40 : 100,
-        closable: false
-      });
-    }
-  }
+  const scenesEnabled = getSetting("showSceneNavigatorPanel") !== false;
+  const shapeListEnabled = getSetting("showShapeListPanel") !== false;
+  const inspectorEnabled = getSetting("showInspectorPanel") !== false;
+  const propertiesEnabled = getSetting("showPropertiesPanel") !== false;
+  const logicEnabled = getSetting("showLogicPanel") !== false;
+  const testBenchEnabled = !!getSetting("showTestBenchPanel");
+  const flowGraphEnabled = !!getSetting("showFlowGraphPanel");
+
+  // Right sidebar stack; heights are relative weights of the enabled panels.
+  const sidebarPanels = sidebarEnabled ? [
+    { componentName: 'SettingsPanel', title: 'Settings', enabled: settingsEnabled, weight: 60 },
+    { componentName: 'SceneNavigatorPanel', title: 'Scenes', enabled: scenesEnabled, weight: 30 },
+    { componentName: 'SidebarPanel', title: 'Shapes', enabled: shapeListEnabled, weight: 40 },
+    { componentName: 'InspectorPanel', title: 'Inspector', enabled: inspectorEnabled, weight: 30 },
+    { componentName: 'PropertiesPanel', title: 'Properties', enabled: propertiesEnabled, weight: 30 },
+    { componentName: 'LogicTreePanel', title: 'Logic', enabled: logicEnabled, weight: 35 },
+    { componentName: 'TestBenchPanel', title: 'Test Bench', enabled: testBenchEnabled, weight: 50 },
+    { componentName: 'FlowGraphPanel', title: 'Flow', enabled: flowGraphEnabled, weight: 60 },
+    { componentName: 'HistoryPanel', title: 'History', enabled: historyEnabled, weight: 40 }
+  ].filter(p => p.enabled) : [];
+  const totalWeight = sidebarPanels.reduce((n, p) => n + p.weight, 0) || 1;
+
+  const rightSidebarContent = sidebarPanels.map(p => ({
+    type: 'component',
+    componentName: p.componentName,
+    title: p.title,
+    height: Math.round((p.weight / totalWeight) * 100),
+    closable: false
+  }));
 
   const mainColumn = {
     type: 'column',
@@ -192,6 +222,13 @@ function rebuildLayout() {
   layout.registerComponent('SettingsPanel', buildSettingsPanel);
   layout.registerComponent('ErrorLogPanel', buildErrorLogPanel);
   layout.registerComponent('HistoryPanel', buildHistoryPanel);
+  layout.registerComponent('SceneNavigatorPanel', buildSceneNavigatorPanel);
+  layout.registerComponent('SidebarPanel', buildSidebarPanel);
+  layout.registerComponent('InspectorPanel', buildInspectorPanel);
+  layout.registerComponent('PropertiesPanel', buildPropertiesPanel);
+  layout.registerComponent('LogicTreePanel', buildLogicTreePanel);
+  layout.registerComponent('TestBenchPanel', buildTestBenchPanel);
+  layout.registerComponent('FlowGraphPanel', buildFlowGraphPanel);
 
   registerErrorLogSink();
   layout.init();
@@ -235,7 +272,7 @@ function enforceSidebarDomStyles() {
           body.style.minHeight = '0';
           body.style.overflow = 'hidden'; // inner div (#tweakpane-fields-div) scrolls
         }
-      } else if (/^History$/i.test(txt)) {
+      } else if (FLEX_SIDEBAR_PANEL_TITLES.test(txt)) {
         // Keep a minimum width; allow it to size per layout proportions.
         p.style.minWidth = '220px';
         // We purposely do NOT force 0 0 auto anymore; let MiniLayout assigned height stand.
@@ -277,8 +314,35 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  if (!detachColorSampling) {
+    try {
+      detachColorSampling = installColorSampling();
+    } catch (e) {
+      log("ERROR", "[layout] Failed to install color sampling", e);
+    }
+  }
+
+  if (!detachTemplateCapture) {
+    try {
+      detachTemplateCapture = installTemplateCapture();
+    } catch (e) {
+      log("ERROR", "[layout] Failed to install template capture", e);
+    }
+  }
+
+  if (!detachSceneEvaluation) {
+    try {
+      detachSceneEvaluation = installSceneEvaluation();
+    } catch (e) {
+      log("ERROR", "[layout] Failed to install scene evaluation", e);
+    }
+  }
+
   window.addEventListener('beforeunload', () => {
     try { detachKeybindings && detachKeybindings(); } catch {}
+    try { detachColorSampling && detachColorSampling(); } catch {}
+    try { detachTemplateCapture && detachTemplateCapture(); } catch {}
+    try { detachSceneEvaluation && detachSceneEvaluation(); } catch {}
   }, { once: true });
 
   log("INFO", "[layout] App ready");
@@ -0,0 +1,388 @@
+import { log } from './log.js';
+import { getState, sceneDesignerStore } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import { setSelectedShape } from './selection.js';
+import { isActionShape } from './shape-defs.js';
+import {
+  setSceneLogic,
+  addLogicGroup,
+  groupSelectedShapes,
+  removeLogicGroup,
+  setLogicGroupOp,
+  moveLogicNode
+} from './actions.js';
+import {
+  LOGIC_OPS,
+  buildLogicTree,
+  describeLogicNode,
+  evaluateLogicNode,
+  findLogicGroup,
+  flattenLogicTree,
+  normalizeLogicGroups
+} from './logic-tree.js';
+
+const RERENDER_EVENTS = new Set([
+  'setLogicGroups',
+  'setSceneLogic',
+  'setShapes',
+  'addShape',
+  'removeShape',
+  'setSelectedShapes',
+  'setEvaluation',
+  'setActiveSceneId'
+]);
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function shapeName(shape) {
+  return shape?._label || shape?._id || '(unnamed)';
+}
+
+function opOptions(ops, current) {
+  return ops.map(op => `<option value="${op}"${op === current ? ' selected' : ''}>${op}</option>`).join('');
+}
+
+/**
+ * Index in the stored children of `targetId` (null = top-level groups) where a
+ * dragged node lands when dropped before `beforeId`. The dragged node is left
+ * out, because MOVE_LOGIC_NODE detaches it before inserting.
+ */
+function storedDropIndex(groups, targetId, beforeId, dragged) {
+  if (!beforeId) return null;
+  const list = targetId ? (findLogicGroup(groups, targetId)?.children || []) : groups;
+  const keys = list
+    .map(c => (typeof c === 'string' ? c : c.id))
+    .filter(k => k !== dragged.shapeId && k !== dragged.groupId);
+  const i = keys.indexOf(beforeId);
+  return i >= 0 ? i : null;
+}
+
+export function buildLogicTreePanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[logic-panel] missing root element");
+      return;
+    }
+
+    element.innerHTML = `
+      <div id="logic-panel-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div style="display:flex;align-items:center;gap:8px;padding:8px;border-bottom:1px solid #e3e8f3;background:#f7f9ff;">
+          <div style="font-weight:600;color:#234;flex:1 1 auto;">Logic</div>
+          <button id="logic-panel-add" class="logic-btn" title="Add an empty group at the top level">+ Group</button>
+          <button id="logic-panel-group-sel" class="logic-btn" title="Move the selected shapes into a new group">Group selected</button>
+        </div>
+        <div id="logic-panel-formula" class="logic-formula"></div>
+        <div id="logic-panel-tree" style="flex:1 1 auto;overflow:auto;padding:8px;background:#fafcff;"></div>
+      </div>
+    `;
+
+    const styleId = "logic-tree-panel-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .logic-btn {
+          font: inherit;
+          color: #234;
+          border: 1px solid #8ca6c6;
+          background: #fff;
+          border-radius: 7px;
+          padding: 2px 7px;
+          line-height: 1.2;
+          cursor: pointer;
+        }
+        .logic-formula {
+          padding: 6px 8px;
+          border-bottom: 1px solid #e3e8f3;
+          font-size: 12px;
+          color: #234;
+          word-break: break-word;
+        }
+        .logic-formula .logic-ini {
+          margin-top: 3px;
+          font-size: 11px;
+          color: #678;
+        }
+        .logic-formula .logic-ini.warn {
+          color: #b26a00;
+        }
+        .logic-group {
+          border: 1px solid #c9d6ea;
+          border-radius: 8px;
+          background: #fff;
+          margin: 4px 0;
+        }
+        .logic-group.root {
+          border-style: dashed;
+          background: transparent;
+        }
+        .logic-group-head {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 3px 6px;
+          background: #f2f6fd;
+          border-radius: 8px 8px 0 0;
+          font-size: 12px;
+          color: #456;
+        }
+        .logic-group.root > .logic-group-head {
+          background: transparent;
+        }
+        .logic-group-head[draggable="true"] {
+          cursor: grab;
+        }
+        .logic-group-body {
+          padding: 2px 6px 6px 14px;
+          min-height: 18px;
+        }
+        .logic-leaf {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+          padding: 2px 6px;
+          margin: 2px 0;
+          border: 1px solid #e3e8f3;
+          border-radius: 6px;
+          background: #fff;
+          font-size: 12px;
+          cursor: grab;
+        }
+        .logic-leaf.selected {
+          border-color: #2176ff;
+          background: #eef4ff;
+        }
+        .logic-leaf-type {
+          color: #789;
+          font-size: 11px;
+        }
+        .logic-empty {
+          color: #9aa;
+          font-size: 11px;
+          font-style: italic;
+        }
+        .logic-drop-before {
+          box-shadow: 0 -2px 0 #2176ff;
+        }
+        .logic-drop-into {
+          outline: 2px dashed #2176ff;
+          outline-offset: -2px;
+        }
+        .logic-pass { color: #1a8f3a; font-weight: 600; }
+        .logic-fail { color: #c62828; font-weight: 600; }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const treeEl = element.querySelector('#logic-panel-tree');
+    const formulaEl = element.querySelector('#logic-panel-formula');
+    const addBtn = element.querySelector('#logic-panel-add');
+    const groupSelBtn = element.querySelector('#logic-panel-group-sel');
+    let dragged = null;
+
+    function verdictHtml(node, passById) {
+      if (!passById) return '';
+      const v = evaluateLogicNode(node, passById);
+      if (v === null) return '';
+      return v ? '<span class="logic-pass" title="Passes on the current image">✓</span>'
+        : '<span class="logic-fail" title="Fails on the current image">✗</span>';
+    }
+
+    function renderNode(node, ctx, isRoot = false) {
+      if (node.kind === 'shape') {
+        const shape = ctx.shapesById.get(node.id);
+        const selected = ctx.selectedIds.has(node.id);
+        return `
+          <div class="logic-leaf${selected ? ' selected' : ''}" draggable="true" data-shape-id="${escapeHtml(node.id)}" title="Drag into a group; click to select">
+            ${verdictHtml(node, ctx.passById)}
+            <span style="flex:1 1 auto;overflow:hidden;text-overflow:ellipsis;white-space:nowrap;">${escapeHtml(shapeName(shape))}</span>
+            <span class="logic-leaf-type">${escapeHtml(shape?._type || '')}</span>
+          </div>`;
+      }
+      const ops = isRoot ? ['AND', 'OR'] : LOGIC_OPS;
+      const body = node.children.length
+        ? node.children.map(c => renderNode(c, ctx)).join('')
+        : '<div class="logic-empty">Drop shapes here</div>';
+      return `
+        <div class="logic-group${isRoot ? ' root' : ''}" data-group-id="${escapeHtml(node.id)}">
+          <div class="logic-group-head"${isRoot ? '' : ` draggable="true" data-drag-group="${escapeHtml(node.id)}"`}>
+            ${verdictHtml(node, ctx.passById)}
+            <select class="logic-op" data-op-for="${escapeHtml(node.id)}" title="${isRoot ? 'Scene logic' : 'Group operator'}">${opOptions(ops, node.op)}</select>
+            <span style="flex:1 1 auto;">${isRoot ? 'Scene' : `${node.children.length} item${node.children.length === 1 ? '' : 's'}`}</span>
+            ${isRoot ? '' : `<button class="logic-btn" data-add-into="${escapeHtml(node.id)}" title="Add a nested group">+</button>
+            <button class="logic-btn" data-remove-group="${escapeHtml(node.id)}" title="Remove group (its items move up one level)">✕</button>`}
+          </div>
+          <div class="logic-group-body" data-drop-group="${escapeHtml(node.id)}">${body}</div>
+        </div>`;
+    }
+
+    function render() {
+      if (!treeEl) return;
+      const state = getState();
+      const shapes = (state.shapes || []).filter(s => s && !isActionShape(s));
+      const shapesById = new Map(shapes.map(s => [s._id, s]));
+      const tree = buildLogicTree(state.sceneLogic, state.logicGroups, shapes.map(s => s._id));
+      const evaluation = state.evaluation;
+      const passById = evaluation ? new Map(evaluation.results.map(r => [r.id, r.pass])) : null;
+      const selectedIds = new Set((state.selectedShapes || []).map(s => s && s._id).filter(Boolean));
+
+      treeEl.innerHTML = renderNode(tree, { shapesById, passById, selectedIds }, true);
+
+      if (formulaEl) {
+        const formula = describeLogicNode(tree, id => shapeName(shapesById.get(id)));
+        const flat = flattenLogicTree(tree, id => !shapesById.get(id)?._negated);
+        formulaEl.innerHTML = `
+          <div>${escapeHtml(formula || '(no shapes)')}</div>
+          <div class="logic-ini${flat.expressible ? '' : ' warn'}">${flat.expressible
+            ? `INI export: logic = ${flat.logic}`
+            : `INI export: cannot be expressed as one AND/OR; exported as flat ${flat.logic}`}</div>
+        `;
+      }
+      if (groupSelBtn) groupSelBtn.disabled = ![...selectedIds].some(id => shapesById.has(id));
+    }
+
+    function clearDropMarks() {
+      treeEl?.querySelectorAll('.logic-drop-before, .logic-drop-into')
+        .forEach(n => n.classList.remove('logic-drop-before', 'logic-drop-into'));
+    }
+
+    // Drop target under the pointer: the item it lands before (if any) and the group it lands in.
+    function dropTargetFor(e) {
+      const body = e.target.closest('[data-drop-group]');
+      const head = e.target.closest('.logic-group-head');
+      if (!body && !head) return null;
+      const beforeEl = e.target.closest('.logic-leaf') || (head && head.closest('.logic-group:not(.root)'));
+      const container = beforeEl ? beforeEl.parentElement?.closest('[data-drop-group]') : body;
+      if (!container) return null;
+      const groupId = container.getAttribute('data-drop-group');
+      const beforeId = beforeEl
+        ? (beforeEl.getAttribute('data-shape-id') || beforeEl.getAttribute('data-group-id'))
+        : null;
+      return { targetId: groupId === 'root' ? null : groupId, beforeEl, beforeId, container };
+    }
+
+    const onDragStart = (e) => {
+      const leaf = e.target.closest('.logic-leaf');
+      const head = e.target.closest('[data-drag-group]');
+      if (leaf) dragged = { shapeId: leaf.getAttribute('data-shape-id') };
+      else if (head) dragged = { groupId: head.getAttribute('data-drag-group') };
+      else return;
+      try {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', dragged.shapeId || dragged.groupId);
+      } catch {}
+    };
+
+    const onDragOver = (e) => {
+      if (!dragged) return;
+      const t = dropTargetFor(e);
+      if (!t) return;
+      e.preventDefault();
+      clearDropMarks();
+      if (t.beforeEl) t.beforeEl.classList.add('logic-drop-before');
+      else t.container.classList.add('logic-drop-into');
+    };
+
+    const onDrop = (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      clearDropMarks();
+      const t = dropTargetFor(e);
+      const node = dragged;
+      dragged = null;
+      if (!t || t.beforeId === (node.shapeId || node.groupId)) return;
+      try {
+        const groups = normalizeLogicGroups(getState().logicGroups);
+        const index = storedDropIndex(groups, t.targetId, t.beforeId, node);
+        moveLogicNode(node, t.targetId, index);
+      } catch (err) {
+        log("ERROR", "[logic-panel] drop error", err);
+      }
+    };
+
+    const onDragEnd = () => {
+      dragged = null;
+      clearDropMarks();
+    };
+
+    const onTreeClick = (e) => {
+      try {
+        const removeId = e.target.closest('[data-remove-group]')?.getAttribute('data-remove-group');
+        if (removeId) { removeLogicGroup(removeId); return; }
+        const intoId = e.target.closest('[data-add-into]')?.getAttribute('data-add-into');
+        if (intoId) { addLogicGroup({ parentId: intoId, op: 'OR' }); return; }
+        const leaf = e.target.closest('.logic-leaf');
+        if (leaf) {
+          const shape = (getState().shapes || []).find(s => s && s._id === leaf.getAttribute('data-shape-id'));
+          if (shape) setSelectedShape(shape);
+        }
+      } catch (err) {
+        log("ERROR", "[logic-panel] click error", err);
+      }
+    };
+
+    const onTreeChange = (e) => {
+      const sel = e.target.closest('select[data-op-for]');
+      if (!sel) return;
+      const id = sel.getAttribute('data-op-for');
+      if (id === 'root') setSceneLogic(sel.value);
+      else setLogicGroupOp(id, sel.value);
+    };
+
+    treeEl?.addEventListener('dragstart', onDragStart);
+    treeEl?.addEventListener('dragover', onDragOver);
+    treeEl?.addEventListener('drop', onDrop);
+    treeEl?.addEventListener('dragend', onDragEnd);
+    treeEl?.addEventListener('click', onTreeClick);
+    treeEl?.addEventListener('change', onTreeChange);
+    addBtn?.addEventListener('click', () => {
+      try { addLogicGroup({ op: 'OR' }); } catch (e) { log("ERROR", "[logic-panel] add group error", e); }
+    });
+    groupSelBtn?.addEventListener('click', () => {
+      try { groupSelectedShapes('OR'); } catch (e) { log("ERROR", "[logic-panel] group selected error", e); }
+    });
+
+    const unsub = sceneDesignerStore.subscribe((state, details) => {
+      if (!details || !RERENDER_EVENTS.has(details.type)) return;
+      if (dragged) return;
+      try { render(); } catch (e) { log("WARN", "[logic-panel] render error", e); }
+    });
+    // Undoing a shape label change etc. does not always emit a store event.
+    const unsubHistory = subscribeHistory((evt) => {
+      if (evt && (evt.event === 'undo' || evt.event === 'redo')) {
+        try { render(); } catch (e) { log("WARN", "[logic-panel] render error", e); }
+      }
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsub && unsub(); } catch {}
+      try { unsubHistory && unsubHistory(); } catch {}
+      try {
+        treeEl?.removeEventListener('dragstart', onDragStart);
+        treeEl?.removeEventListener('dragover', onDragOver);
+        treeEl?.removeEventListener('drop', onDrop);
+        treeEl?.removeEventListener('dragend', onDragEnd);
+        treeEl?.removeEventListener('click', onTreeClick);
+        treeEl?.removeEventListener('change', onTreeChange);
+      } catch {}
+      log("INFO", "[logic-panel] cleaned up");
+    };
+
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[logic-panel] ready");
+  } catch (e) {
+    log("ERROR", "[logic-panel] init error", e);
+  }
+}
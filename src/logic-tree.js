@@ -0,0 +1,282 @@
+/**
+ * logic-tree.js
+ * -----------------------------------------------------------
+ * Scene Designer – Nested AND / OR / NOT logic groups
+ *
+ * Stored per scene as `logicGroups` (state.logicGroups for the active scene):
+ *
+ *   [ { id, op: 'AND'|'OR'|'NOT', children: [ shapeId | group, ... ] }, ... ]
+ *
+ * The root of the tree is implicit: its operator is the scene logic
+ * (state.sceneLogic / SET_SCENE_LOGIC), its children are the top-level groups
+ * followed by every shape that is not placed in any group. Shape ids that no
+ * longer exist are skipped when the tree is built (so undoing a delete puts
+ * the shape back into its group) and pruned when the document is saved.
+ *
+ * Semantics: AND = all children pass, OR = at least one passes,
+ * NOT = NOT (all children pass). Empty groups (or groups whose shapes produce
+ * no check) are ignored by their parent.
+ *
+ * Everything here is pure: groups in, new groups out.
+ * -----------------------------------------------------------
+ */
+
+export const LOGIC_OPS = Object.freeze(['AND', 'OR', 'NOT']);
+
+export function generateLogicGroupId() {
+  return `group_${Math.random().toString(36).slice(2)}_${Date.now()}`;
+}
+
+function normalizeOp(op) {
+  const s = String(op || '').toUpperCase();
+  return LOGIC_OPS.includes(s) ? s : 'AND';
+}
+
+/**
+ * Validated deep copy. Unknown entries are dropped; a shape id or group id
+ * that appears twice keeps its first position only.
+ */
+export function normalizeLogicGroups(raw) {
+  const seenShapes = new Set();
+  const seenGroups = new Set();
+  const walk = (group) => {
+    if (!group || typeof group !== 'object') return null;
+    const id = typeof group.id === 'string' && group.id && !seenGroups.has(group.id)
+      ? group.id
+      : generateLogicGroupId();
+    seenGroups.add(id);
+    const children = [];
+    (Array.isArray(group.children) ? group.children : []).forEach(child => {
+      if (typeof child === 'string') {
+        if (child && !seenShapes.has(child)) {
+          seenShapes.add(child);
+          children.push(child);
+        }
+        return;
+      }
+      const g = walk(child);
+      if (g) children.push(g);
+    });
+    return { id, op: normalizeOp(group.op), children };
+  };
+  return (Array.isArray(raw) ? raw : []).map(walk).filter(Boolean);
+}
+
+/**
+ * Drop references to shapes that are not in `shapeIds`.
+ */
+export function pruneLogicGroups(groups, shapeIds) {
+  const keep = new Set(shapeIds || []);
+  const walk = (group) => ({
+    ...group,
+    children: group.children
+      .filter(c => typeof c !== 'string' || keep.has(c))
+      .map(c => (typeof c === 'string' ? c : walk(c)))
+  });
+  return normalizeLogicGroups(groups).map(walk);
+}
+
+/**
+ * Full tree for display / evaluation.
+ * Nodes: { kind:'group', id, op, children } | { kind:'shape', id }
+ * @param {string} rootOp scene logic
+ * @param {Array} groups logicGroups
+ * @param {string[]} shapeIds shapes of the scene, in order
+ */
+export function buildLogicTree(rootOp, groups, shapeIds) {
+  const present = new Set(shapeIds || []);
+  const placed = new Set();
+  const walk = (group) => ({
+    kind: 'group',
+    id: group.id,
+    op: group.op,
+    children: group.children
+      .map(c => {
+        if (typeof c !== 'string') return walk(c);
+        if (!present.has(c)) return null;
+        placed.add(c);
+        return { kind: 'shape', id: c };
+      })
+      .filter(Boolean)
+  });
+  const top = normalizeLogicGroups(groups).map(walk);
+  const loose = (shapeIds || []).filter(id => !placed.has(id)).map(id => ({ kind: 'shape', id }));
+  return {
+    kind: 'group',
+    id: 'root',
+    op: rootOp === 'OR' ? 'OR' : 'AND',
+    children: [...top, ...loose]
+  };
+}
+
+export function findLogicGroup(groups, id) {
+  for (const g of groups || []) {
+    if (g.id === id) return g;
+    const inner = findLogicGroup(g.children.filter(c => typeof c !== 'string'), id);
+    if (inner) return inner;
+  }
+  return null;
+}
+
+function containsGroup(group, id) {
+  return group.children.some(c => typeof c !== 'string' && (c.id === id || containsGroup(c, id)));
+}
+
+// Remove a shape id / group from wherever it sits; returns [groups, removedGroup|null].
+function detach(groups, node) {
+  let removed = null;
+  const strip = (list) => list
+    .filter(c => {
+      if (node.shapeId && c === node.shapeId) return false;
+      if (node.groupId && typeof c !== 'string' && c.id === node.groupId) { removed = c; return false; }
+      return true;
+    })
+    .map(c => (typeof c === 'string' ? c : { ...c, children: strip(c.children) }));
+  return [strip(groups), removed];
+}
+
+// Insert `item` into the group `targetId` (null = top level) at `index`.
+function insert(groups, targetId, item, index) {
+  const put = (list) => {
+    const next = list.slice();
+    const at = Number.isInteger(index) && index >= 0 && index <= next.length ? index : next.length;
+    next.splice(at, 0, item);
+    return next;
+  };
+  if (!targetId) return put(groups);
+  const walk = (list) => list.map(c => {
+    if (typeof c === 'string') return c;
+    if (c.id === targetId) return { ...c, children: put(c.children) };
+    return { ...c, children: walk(c.children) };
+  });
+  return walk(groups);
+}
+
+/**
+ * New group under `parentId` (null = top level) holding `shapeIds`
+ * (moved out of their current groups).
+ * @returns {{ groups, id }}
+ */
+export function addLogicGroup(groups, { parentId = null, op = 'AND', shapeIds = [] } = {}) {
+  let next = normalizeLogicGroups(groups);
+  if (parentId && !findLogicGroup(next, parentId)) parentId = null;
+  (shapeIds || []).forEach(shapeId => { [next] = detach(next, { shapeId }); });
+  const id = generateLogicGroupId();
+  next = insert(next, parentId, { id, op: normalizeOp(op), children: (shapeIds || []).slice() });
+  return { groups: next, id };
+}
+
+/**
+ * Remove a group; its children take its place in the parent.
+ */
+export function removeLogicGroup(groups, id) {
+  const lift = (list) => list.flatMap(c => {
+    if (typeof c === 'string') return [c];
+    if (c.id === id) return lift(c.children);
+    return [{ ...c, children: lift(c.children) }];
+  });
+  return normalizeLogicGroups(lift(normalizeLogicGroups(groups)));
+}
+
+export function setLogicGroupOp(groups, id, op) {
+  const walk = (list) => list.map(c => {
+    if (typeof c === 'string') return c;
+    return { ...c, op: c.id === id ? normalizeOp(op) : c.op, children: walk(c.children) };
+  });
+  return walk(normalizeLogicGroups(groups));
+}
+
+/**
+ * Move a shape ({ shapeId }) or group ({ groupId }) into `targetId`
+ * (null = root) at `index`. Returns null when the move is impossible
+ * (unknown target, or a group into itself / its own descendant).
+ */
+export function moveLogicNode(groups, node, targetId = null, index = null) {
+  const current = normalizeLogicGroups(groups);
+  if (targetId && !findLogicGroup(current, targetId)) return null;
+  if (node?.groupId) {
+    const g = findLogicGroup(current, node.groupId);
+    if (!g) return null;
+    if (targetId && (targetId === g.id || containsGroup(g, targetId))) return null;
+  } else if (!node?.shapeId) {
+    return null;
+  }
+  const [detached, removed] = detach(current, node);
+  // A shape moved to the root is simply no longer grouped.
+  if (node.shapeId && !targetId) return detached;
+  return insert(detached, targetId, node.shapeId || removed, index);
+}
+
+/**
+ * Evaluate a tree node against per-shape results.
+ * @param {object} node buildLogicTree node
+ * @param {Map<string, boolean>} passById shape id → check passed
+ * @returns {boolean|null} null when nothing below the node produced a result
+ */
+export function evaluateLogicNode(node, passById) {
+  if (!node) return null;
+  if (node.kind === 'shape') return passById.has(node.id) ? !!passById.get(node.id) : null;
+  const values = node.children.map(c => evaluateLogicNode(c, passById)).filter(v => v !== null);
+  if (!values.length) return null;
+  if (node.op === 'OR') return values.some(Boolean);
+  const all = values.every(Boolean);
+  return node.op === 'NOT' ? !all : all;
+}
+
+/**
+ * Human-readable formula, e.g. "A AND (B OR C)".
+ */
+export function describeLogicNode(node, labelOf = (id) => id) {
+  if (!node) return '';
+  if (node.kind === 'shape') return labelOf(node.id);
+  const wrap = node.children.length > 1;
+  const parts = node.children
+    .map(c => {
+      const s = describeLogicNode(c, labelOf);
+      return wrap && s && c.kind === 'group' && c.children.length > 1 && c.op !== 'NOT' ? `(${s})` : s;
+    })
+    .filter(Boolean);
+  if (!parts.length) return '';
+  if (node.op === 'NOT') return `NOT ${parts.length > 1 ? `(${parts.join(' AND ')})` : parts[0]}`;
+  return parts.join(` ${node.op} `);
+}
+
+/**
+ * Collapse the tree to what the automation INI can express: one AND/OR over
+ * plain checks. Single-child AND/OR groups collapse into their child and
+ * groups with their parent's operator merge into it; empty groups vanish.
+ * A NOT over a single shape becomes that shape's require_not_* check (listed
+ * in `negated`) when `canNegate(id)` allows it, i.e. the shape is not
+ * negated itself; NOT over such a NOT cancels out.
+ * @returns {{ logic:'AND'|'OR', expressible:boolean, negated:string[] }}
+ */
+export function flattenLogicTree(root, canNegate = () => true) {
+  const simplify = (node) => {
+    if (node.kind === 'shape') return node;
+    let children = node.children.map(simplify).filter(Boolean);
+    children = children.flatMap(c => (c.kind === 'group' && c.op === node.op && node.op !== 'NOT' ? c.children : [c]));
+    if (!children.length) return null;
+    if (node.op === 'NOT' && children.length === 1 && children[0].kind === 'shape') {
+      const leaf = children[0];
+      if (leaf.negated) return { kind: 'shape', id: leaf.id };
+      if (canNegate(leaf.id)) return { kind: 'shape', id: leaf.id, negated: true };
+    }
+    if (children.length === 1 && node.op !== 'NOT' && node.id !== 'root') return children[0];
+    return { ...node, children };
+  };
+  const negatedIds = (nodes) => nodes.filter(n => n.negated).map(n => n.id);
+  const flat = simplify(root);
+  if (!flat) return { logic: root.op, expressible: true, negated: [] };
+  let top = flat;
+  // Root with a single group child takes that group's operator.
+  if (top.kind === 'group' && top.children.length === 1 && top.children[0].kind === 'group' && top.children[0].op !== 'NOT') {
+    top = top.children[0];
+  }
+  if (top.kind === 'shape') return { logic: root.op, expressible: true, negated: negatedIds([top]) };
+  const expressible = top.op !== 'NOT' && top.children.every(c => c.kind === 'shape');
+  return {
+    logic: expressible ? top.op : root.op,
+    expressible,
+    negated: expressible ? negatedIds(top.children) : []
+  };
+}
@@ -12,14 +12,10 @@ function getClipHost(canvas) {
 function getLowerCanvas(canvas) {
   return canvas?.lowerCanvasEl || null;
 }
-function getScale(canvas) {
-  try {
-    if (typeof canvas.getZoom === 'function') {
-      const z = canvas.getZoom();
-      return Number.isFinite(z) && z > 0 ? z : 1;
-    }
-  } catch {}
-  return 1;
+// Canvas units → canvas element CSS px, including zoom and pan (canvas-viewport.js).
+function toViewPoint(canvas, x, y) {
+  const vt = Array.isArray(canvas?.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  return { x: vt[0] * x + vt[2] * y + vt[4], y: vt[1] * x + vt[3] * y + vt[5] };
 }
 
 export function installLoupe(canvas, options = {}) {
@@ -127,11 +123,9 @@ export function installLoupe(canvas, options = {}) {
       return [px, py, rect, hostRect];
     }
 
-    const scale = getScale(canvas);
-    const relX = anchorX * scale;
-    const relY = anchorY * scale;
-    const sx = (rect.left - hostRect.left) + relX;
-    const sy = (rect.top - hostRect.top) + relY;
+    const rel = toViewPoint(canvas, anchorX, anchorY);
+    const sx = (rect.left - hostRect.left) + rel.x;
+    const sy = (rect.top - hostRect.top) + rel.y;
     return [sx, sy, rect, hostRect];
   }
 
@@ -205,6 +199,8 @@ export function installLoupe(canvas, options = {}) {
       ctx.arc(cx, cy, lensSize / 2, 0, Math.PI * 2);
       ctx.closePath();
       ctx.clip();
+      // Nearest-neighbor: the lens shows whole screenshot pixels, not a blur.
+      ctx.imageSmoothingEnabled = false;
       ctx.drawImage(lower, sx0, sy0, srcW, srcH, dx, dy, dw, dh);
       if (crosshair) {
         ctx.save();
@@ -293,6 +289,10 @@ export function installLoupe(canvas, options = {}) {
   window.addEventListener('resize', onWindowChange);
   window.addEventListener('orientationchange', onWindowChange);
 
+  // Zoom / pan repaint the lower canvas without a pointer move.
+  const onAfterRender = () => queueDraw();
+  canvas.on('after:render', onAfterRender);
+
   const meta = {
     overlay,
     detach: cleanup,
@@ -359,6 +359,7 @@ export function installLoupe(canvas, options = {}) {
       wrapper.removeEventListener('pointerleave', onLeave);
       window.removeEventListener('resize', onWindowChange);
       window.removeEventListener('orientationchange', onWindowChange);
+      canvas.off('after:render', onAfterRender);
     } catch {}
     try {
       if (ro) ro.disconnect();
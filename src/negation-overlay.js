@@ -0,0 +1,156 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+
+/*
+  Negated-shape hatching
+  ----------------------
+  Shapes flagged "must NOT match" (shape._negated, exported as require_not_*)
+  are hatched with red diagonal lines clipped to their outline: the rect /
+  region box, the circle, the ellipse, the polygon, a band around a line, or
+  a point's hit circle. Drawn in the
+  drawable child's own transform, so moving / scaling / rotating the group
+  keeps the hatch aligned. Screen-constant spacing; always on (the hatch is
+  part of how a negated shape looks).
+
+  The top context is cleared in before:render by selection-outlines.js; this
+  painter only draws.
+*/
+
+const HATCH_SPACING_PX = 7;
+const HATCH_COLOR = 'rgba(210, 48, 64, 0.6)';
+const LINE_BAND_PX = 6;
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+// First ellipse / circle / rect / polygon child (line for line shapes); for
+// points that is the (invisible) hit circle, not a reticle line.
+function outlineChild(shape) {
+  const objs = Array.isArray(shape?._objects) ? shape._objects : [];
+  const types = shape._type === 'line' ? ['line'] : ['ellipse', 'circle', 'rect', 'polygon'];
+  for (const t of types) {
+    const obj = objs.find(o => o && !o._isDiagnosticLabel && o.type === t);
+    if (obj) return obj;
+  }
+  return null;
+}
+
+// Outline path in the child's local (center-origin) space; returns its half-extent.
+function traceOutline(ctx, child, scale) {
+  ctx.beginPath();
+  if (child.type === 'line' && typeof child.calcLinePoints === 'function') {
+    const lp = child.calcLinePoints();
+    const len = Math.hypot(lp.x2 - lp.x1, lp.y2 - lp.y1) || 1;
+    const band = LINE_BAND_PX / scale;
+    const nx = -(lp.y2 - lp.y1) / len * band;
+    const ny = (lp.x2 - lp.x1) / len * band;
+    ctx.moveTo(lp.x1 + nx, lp.y1 + ny);
+    ctx.lineTo(lp.x2 + nx, lp.y2 + ny);
+    ctx.lineTo(lp.x2 - nx, lp.y2 - ny);
+    ctx.lineTo(lp.x1 - nx, lp.y1 - ny);
+    ctx.closePath();
+    return len / 2 + band;
+  }
+  if (child.type === 'ellipse') {
+    const rx = Number(child.rx) || 0;
+    const ry = Number(child.ry) || 0;
+    ctx.ellipse(0, 0, rx, ry, 0, 0, Math.PI * 2);
+    return Math.max(rx, ry);
+  }
+  if (child.type === 'circle') {
+    const r = Number(child.radius) || 0;
+    ctx.arc(0, 0, r, 0, Math.PI * 2);
+    return r;
+  }
+  if (child.type === 'polygon' && Array.isArray(child.points)) {
+    const off = child.pathOffset || { x: 0, y: 0 };
+    let extent = 0;
+    child.points.forEach((p, i) => {
+      const x = p.x - off.x;
+      const y = p.y - off.y;
+      if (i) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      extent = Math.max(extent, Math.hypot(x, y));
+    });
+    ctx.closePath();
+    return extent;
+  }
+  const w = Number(child.width) || 0;
+  const h = Number(child.height) || 0;
+  ctx.rect(-w / 2, -h / 2, w, h);
+  return Math.hypot(w, h) / 2;
+}
+
+function paintNegationHatch(canvas) {
+  const shapes = (getState().shapes || []).filter(s => s && s._negated);
+  if (!shapes.length) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+
+  shapes.forEach(shape => {
+    const child = outlineChild(shape);
+    if (!child || typeof child.calcTransformMatrix !== 'function') return;
+    const m = child.calcTransformMatrix();
+    ctx.save();
+    try {
+      ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+      ctx.transform(m[0], m[1], m[2], m[3], m[4], m[5]);
+      // Local units per screen pixel (uniform approximation).
+      const scale = Math.max(0.0001, Math.hypot(m[0], m[1]) * Math.abs(vt[0] || 1));
+      const extent = traceOutline(ctx, child, scale);
+      if (!(extent > 0)) return;
+      ctx.clip();
+      const step = HATCH_SPACING_PX / scale;
+      ctx.strokeStyle = HATCH_COLOR;
+      ctx.lineWidth = 1.25 / scale;
+      ctx.beginPath();
+      for (let d = -2 * extent; d <= 2 * extent; d += step) {
+        ctx.moveTo(d - extent, -extent);
+        ctx.lineTo(d + extent, extent);
+      }
+      ctx.stroke();
+    } catch (e) {
+      log("ERROR", "[negation-overlay] Painter error", e);
+    } finally {
+      ctx.restore();
+    }
+  });
+}
+
+export function installNegationOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[negation-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintNegationHatch(canvas);
+  canvas.on('after:render', painter);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (details && details.type === 'updateShapes') {
+      try {
+        if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+        else canvas.renderAll();
+      } catch {}
+    }
+  });
+
+  log("INFO", "[negation-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[negation-overlay] Overlay detached");
+  };
+}
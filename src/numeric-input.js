@@ -0,0 +1,89 @@
+/**
+ * numeric-input.js
+ * -----------------------------------------------------------
+ * Scene Designer – Numeric field input (pure)
+ *
+ * What a user may type into a numeric field (inspector-panel.js):
+ *   42, -3.5, 100/3, (20+4)*2   absolute value (+ - * / and parentheses)
+ *   +=10, -=10, *=2, /=2        relative to the current value
+ *   *2, /2                      same as *=2, /=2
+ *
+ * Relative input is resolved per shape, so "+=10" on a multi-selection moves
+ * every shape by 10 even when their values differ.
+ * -----------------------------------------------------------
+ */
+
+const RELATIVE_RE = /^([+\-*/])=(.+)$/;
+const SCALE_RE = /^([*/])(.+)$/;
+
+/**
+ * Evaluate a + - * / ( ) expression; null for anything else.
+ */
+export function evaluateExpression(text) {
+  const src = String(text ?? '').replace(/\s+/g, '');
+  if (!src) return null;
+  let i = 0;
+
+  const number = () => {
+    const m = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i));
+    if (!m) return NaN;
+    i += m[0].length;
+    return Number(m[0]);
+  };
+  const factor = () => {
+    if (src[i] === '-') { i++; return -factor(); }
+    if (src[i] === '+') { i++; return factor(); }
+    if (src[i] === '(') {
+      i++;
+      const v = sum();
+      if (src[i] !== ')') return NaN;
+      i++;
+      return v;
+    }
+    return number();
+  };
+  const product = () => {
+    let v = factor();
+    while (src[i] === '*' || src[i] === '/') {
+      const op = src[i++];
+      const r = factor();
+      v = op === '*' ? v * r : v / r;
+    }
+    return v;
+  };
+  const sum = () => {
+    let v = product();
+    while (src[i] === '+' || src[i] === '-') {
+      const op = src[i++];
+      const r = product();
+      v = op === '+' ? v + r : v - r;
+    }
+    return v;
+  };
+
+  const value = sum();
+  return i === src.length && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parse field input into a resolver: (current) => next value, or null when
+ * the input is invalid. `relative` tells whether the current value matters.
+ */
+export function parseNumericInput(text) {
+  const raw = String(text ?? '').trim();
+  const m = RELATIVE_RE.exec(raw) || SCALE_RE.exec(raw);
+  if (m) {
+    const rhs = evaluateExpression(m[2]);
+    if (rhs === null || (m[1] === '/' && rhs === 0)) return null;
+    const apply = {
+      '+': (v) => v + rhs,
+      '-': (v) => v - rhs,
+      '*': (v) => v * rhs,
+      '/': (v) => v / rhs
+    }[m[1]];
+    return { relative: true, resolve: (current) => (Number.isFinite(current) ? apply(current) : null) };
+  }
+  const value = evaluateExpression(raw);
+  if (value === null) return null;
+  return { relative: false, resolve: () => value };
+}
@@ -0,0 +1,131 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+
+/*
+  Pixel grid
+  ----------
+  From setting pixelGridMinZoom (default 8×; 0 = never) a hairline grid is
+  painted on the image pixel boundaries, so each screenshot pixel reads as a
+  cell. Only the visible part of the image is drawn; lines are snapped to
+  device pixels. Zoom comes from state.viewZoom (canvas-viewport.js).
+
+  While the grid shows, drops snap to whole pixels by default (setting
+  pixelSnap, canvas-constraints.js).
+
+  The top context is cleared in before:render by selection-outlines.js; this
+  painter only draws and is installed first so other overlays stay on top.
+*/
+
+const GRID_COLOR = 'rgba(110, 110, 110, 0.45)';
+const DEFAULT_MIN_ZOOM = 8;
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+/**
+ * True when the grid is drawn at the current zoom (screen px per image px).
+ */
+export function isPixelGridVisible(state = getState()) {
+  const raw = Number(state.settings?.pixelGridMinZoom);
+  const minZoom = Number.isFinite(raw) ? raw : DEFAULT_MIN_ZOOM;
+  return minZoom > 0 && (state.viewZoom || 1) >= minZoom;
+}
+
+function paintPixelGrid(canvas) {
+  const state = getState();
+  const bg = state.bgFabricImage;
+  if (!bg || !(bg.width > 0 && bg.height > 0) || !isPixelGridVisible(state)) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const sx = Number(bg.scaleX) > 0 ? bg.scaleX : 1;
+  const sy = Number(bg.scaleY) > 0 ? bg.scaleY : 1;
+  const left = Number.isFinite(bg.left) ? bg.left : 0;
+  const top = Number.isFinite(bg.top) ? bg.top : 0;
+  // Image px → device px on the top canvas.
+  const toX = (x) => (vt[0] * (left + x * sx) + vt[4]) * dpr;
+  const toY = (y) => (vt[3] * (top + y * sy) + vt[5]) * dpr;
+  const fromX = (dx) => ((dx / dpr - vt[4]) / vt[0] - left) / sx;
+  const fromY = (dy) => ((dy / dpr - vt[5]) / vt[3] - top) / sy;
+
+  const w = ctx.canvas.width;
+  const h = ctx.canvas.height;
+  const x0 = Math.max(0, Math.ceil(fromX(0)));
+  const x1 = Math.min(bg.width, Math.floor(fromX(w)));
+  const y0 = Math.max(0, Math.ceil(fromY(0)));
+  const y1 = Math.min(bg.height, Math.floor(fromY(h)));
+  if (x1 < x0 || y1 < y0) return;
+  const yTop = toY(Math.max(0, fromY(0)));
+  const yBottom = toY(Math.min(bg.height, fromY(h)));
+  const xLeft = toX(Math.max(0, fromX(0)));
+  const xRight = toX(Math.min(bg.width, fromX(w)));
+
+  ctx.save();
+  try {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = x0; x <= x1; x++) {
+      const px = Math.round(toX(x)) + 0.5;
+      ctx.moveTo(px, yTop);
+      ctx.lineTo(px, yBottom);
+    }
+    for (let y = y0; y <= y1; y++) {
+      const py = Math.round(toY(y)) + 0.5;
+      ctx.moveTo(xLeft, py);
+      ctx.lineTo(xRight, py);
+    }
+    ctx.stroke();
+  } catch (e) {
+    log("ERROR", "[pixel-grid-overlay] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installPixelGridOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[pixel-grid-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintPixelGrid(canvas);
+  canvas.on('after:render', painter);
+
+  const rerender = () => {
+    try {
+      if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+      else canvas.renderAll();
+    } catch {}
+  };
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && details.key === 'pixelGridMinZoom')
+    ) {
+      rerender();
+    }
+  });
+
+  log("INFO", "[pixel-grid-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[pixel-grid-overlay] Overlay detached");
+  };
+}
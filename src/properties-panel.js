@@ -0,0 +1,386 @@
+import { log } from './log.js';
+import { getState, sceneDesignerStore } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import {
+  setCheckParamsForSelected,
+  setNegatedForSelected,
+  captureTemplatesForSelected,
+  setAnchorForSelected
+} from './actions.js';
+import { isTemplateShape } from './template-capture.js';
+import { isActionShape } from './shape-defs.js';
+import { ANCHOR_EDGES, ANCHOR_EDGE_LABELS, getAnchor, getAnchorOffset } from './anchors.js';
+import {
+  CHECK_PARAM_KEYS,
+  getApplicableCheckParams,
+  getCheckParamInputStep,
+  getCheckParamDefaults,
+  getCheckParamOverrides,
+  getEffectiveCheckParams,
+  isCheckParamSettingKey
+} from './check-params.js';
+
+const PARAM_LABELS = {
+  step: { label: 'Step', hint: 'Rect grid spacing (px)' },
+  count: { label: 'Count', hint: 'Points around the circle' },
+  tolerance: { label: 'Tolerance', hint: 'Accepted color distance (0–255)' },
+  threshold: { label: 'Threshold', hint: 'Minimum template match score (0–1)' },
+  duration: { label: 'Duration', hint: 'Swipe / long-press length (ms)' }
+};
+
+const RERENDER_EVENTS = new Set([
+  'setSelectedShapes',
+  'updateShapes',
+  'setShapes',
+  'removeShape',
+  'setImage',
+  'setSettings'
+]);
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Common value of `fn(shape)` across shapes, or undefined when they differ.
+ */
+function commonValue(shapes, fn) {
+  if (!shapes.length) return undefined;
+  const first = fn(shapes[0]);
+  return shapes.every(s => fn(s) === first) ? first : undefined;
+}
+
+export function buildPropertiesPanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[properties-panel] missing root element");
+      return;
+    }
+
+    element.innerHTML = `
+      <div id="props-panel-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div id="props-body" style="flex:1 1 auto;overflow:auto;padding:8px;background:#fafcff;"></div>
+      </div>
+    `;
+
+    const styleId = "properties-panel-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .props-grid {
+          display: grid;
+          grid-template-columns: auto 1fr auto;
+          gap: 6px 8px;
+          align-items: center;
+        }
+        .props-label {
+          color: #456;
+          white-space: nowrap;
+        }
+        .props-value {
+          color: #234;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+        }
+        .props-input {
+          font: inherit;
+          width: 100%;
+          box-sizing: border-box;
+          border: 1px solid #8ca6c6;
+          border-radius: 6px;
+          padding: 2px 6px;
+        }
+        .props-input.overridden {
+          border-color: #2176ff;
+          font-weight: 600;
+        }
+        .props-btn {
+          font: inherit;
+          color: #234;
+          border: 1px solid #8ca6c6;
+          background: #fff;
+          border-radius: 7px;
+          padding: 1px 6px;
+          cursor: pointer;
+        }
+        .props-btn:disabled {
+          opacity: .4;
+          cursor: not-allowed;
+        }
+        .props-swatch {
+          display: inline-block;
+          width: 14px;
+          height: 14px;
+          border: 1px solid #8ca6c6;
+          border-radius: 3px;
+          vertical-align: middle;
+          margin-right: 4px;
+        }
+        .props-thumb {
+          max-width: 100%;
+          max-height: 64px;
+          border: 1px solid #8ca6c6;
+          image-rendering: pixelated;
+          vertical-align: middle;
+        }
+        .props-empty {
+          color: #678;
+          padding: 6px 2px;
+        }
+        .props-section {
+          margin: 10px 0 6px 0;
+          font-weight: 600;
+          color: #234;
+        }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const bodyEl = element.querySelector('#props-body');
+
+    function renderColorRow(selected) {
+      const color = commonValue(selected, s => s._expectedColor || '');
+      const mode = commonValue(selected, s => (s._expectedColorMode === 'manual' ? 'pinned' : 'auto'));
+      const colorHtml = color === undefined
+        ? '<span class="props-value">(mixed)</span>'
+        : color
+          ? `<span class="props-swatch" style="background:${escapeHtml(color)}"></span>${escapeHtml(color)}`
+          : '(not sampled)';
+      return `
+        <div class="props-label">Expected</div>
+        <div class="props-value">${colorHtml}</div>
+        <div class="props-value" style="color:#678;">${mode === undefined ? 'mixed' : mode}</div>
+      `;
+    }
+
+    function renderTemplateRow(selected) {
+      const templates = selected.filter(isTemplateShape);
+      if (!templates.length) return '';
+      const t = templates.length === 1 ? templates[0]._template : null;
+      const patchHtml = templates.length > 1
+        ? `${templates.length} templates`
+        : t?.dataUrl
+          ? `<img class="props-thumb" src="${escapeHtml(t.dataUrl)}" alt="" title="Cropped at ${t.x},${t.y}" /> ${t.width}×${t.height}`
+          : '(no patch – load a screenshot)';
+      const canCapture = !!getState().imageObj && templates.some(s => !s.locked);
+      return `
+        <div class="props-label">Template</div>
+        <div class="props-value">${patchHtml}</div>
+        <button class="props-btn" data-capture-template title="Crop the patch again from the current screenshot" ${canCapture ? '' : 'disabled'}>Capture</button>
+      `;
+    }
+
+    function renderNegatedRow(selected) {
+      const negated = commonValue(selected, s => !!s._negated);
+      const editable = selected.some(s => !s.locked);
+      return `
+        <label class="props-label" for="props-negated" title="Exported as require_not_*; passes when the screenshot does NOT match">Condition</label>
+        <label class="props-value"><input id="props-negated" type="checkbox" data-negated ${negated ? 'checked' : ''} ${editable ? '' : 'disabled'} />
+          Must NOT match${negated === undefined ? ' (mixed)' : ''}</label>
+        <div></div>
+      `;
+    }
+
+    function renderParamRows(selected) {
+      const keys = CHECK_PARAM_KEYS.filter(k => selected.some(s => getApplicableCheckParams(s).includes(k)));
+      if (!keys.length) return '';
+      const defaults = getCheckParamDefaults();
+      return keys.map(k => {
+        const relevant = selected.filter(s => getApplicableCheckParams(s).includes(k));
+        const value = commonValue(relevant, s => getEffectiveCheckParams(s)[k]);
+        const anyOverride = relevant.some(s => getCheckParamOverrides(s)[k] !== undefined);
+        const editable = relevant.some(s => !s.locked);
+        return `
+          <label class="props-label" for="props-param-${k}" title="${escapeHtml(PARAM_LABELS[k].hint)}">${PARAM_LABELS[k].label}</label>
+          <input id="props-param-${k}" class="props-input${anyOverride ? ' overridden' : ''}" data-param="${k}"
+            type="number" step="${getCheckParamInputStep(k)}" value="${value === undefined ? '' : value}"
+            placeholder="${value === undefined ? 'mixed' : ''}" ${editable ? '' : 'disabled'}
+            title="Scene default: ${defaults[k]}" />
+          <button class="props-btn" data-reset="${k}" title="Use scene default (${defaults[k]})" ${anyOverride && editable ? '' : 'disabled'}>↺</button>
+        `;
+      }).join('');
+    }
+
+    function anchorTargetKey(shape) {
+      const a = getAnchor(shape);
+      if (!a) return '';
+      return a.to === 'image' ? 'image' : `shape:${a.shapeId}`;
+    }
+
+    function renderAnchorRows(selected) {
+      const state = getState();
+      const shapes = (state.shapes || []).filter(Boolean);
+      const selectedIds = new Set(selected.map(s => s._id));
+      const target = commonValue(selected, anchorTargetKey);
+      const edge = commonValue(selected, s => getAnchor(s)?.edge || '');
+      const editable = selected.some(s => !s.locked);
+      const options = shapes
+        .filter(s => !selectedIds.has(s._id))
+        .map(s => ({ value: `shape:${s._id}`, label: s._label || s._id }));
+      if (target && target.startsWith('shape:') && !options.some(o => o.value === target)) {
+        options.push({ value: target, label: `${target.slice(6)} (missing)` });
+      }
+      const opt = (value, label, current) =>
+        `<option value="${escapeHtml(value)}"${value === current ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+      const offset = selected.length === 1 && target
+        ? getAnchorOffset(selected[0], shapes, state.bgFabricImage)
+        : null;
+      return `
+        <label class="props-label" for="props-anchor-target" title="Keep this shape at a fixed offset from an image corner / edge or another shape">Anchor</label>
+        <select id="props-anchor-target" class="props-input" data-anchor-target ${editable ? '' : 'disabled'}>
+          ${target === undefined ? '<option value="" selected disabled>(mixed)</option>' : ''}
+          ${opt('', 'None', target)}
+          ${opt('image', 'Image', target)}
+          ${options.map(o => opt(o.value, o.label, target)).join('')}
+        </select>
+        <div></div>
+        <label class="props-label" for="props-anchor-edge">Point</label>
+        <select id="props-anchor-edge" class="props-input" data-anchor-edge ${editable && target ? '' : 'disabled'}>
+          ${edge === undefined ? '<option value="" selected disabled>(mixed)</option>' : ''}
+          ${ANCHOR_EDGES.map(e => opt(e, ANCHOR_EDGE_LABELS[e], edge)).join('')}
+        </select>
+        <div></div>
+        ${offset ? `
+          <div class="props-label">Offset</div>
+          <div class="props-value" title="Shape center minus anchor point (image px)">${Math.round(offset.x)}, ${Math.round(offset.y)} px</div>
+          <div></div>
+        ` : ''}
+      `;
+    }
+
+    function commitAnchor() {
+      const target = bodyEl.querySelector('[data-anchor-target]')?.value || '';
+      const edgeSel = bodyEl.querySelector('[data-anchor-edge]');
+      if (!target) {
+        setAnchorForSelected(null);
+        return;
+      }
+      const edge = edgeSel && !edgeSel.disabled && edgeSel.value ? edgeSel.value : (target === 'image' ? 'tl' : 'c');
+      setAnchorForSelected(target === 'image'
+        ? { to: 'image', edge }
+        : { to: 'shape', shapeId: target.slice(6), edge });
+    }
+
+    function render() {
+      if (!bodyEl) return;
+      if (bodyEl.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+      const selected = (getState().selectedShapes || []).filter(Boolean);
+      if (!selected.length) {
+        bodyEl.innerHTML = `<div class="props-empty">Select a shape to edit its properties.</div>`;
+        return;
+      }
+      const header = selected.length === 1
+        ? `${escapeHtml(selected[0]._label || selected[0]._id)} <span style="color:#678;font-weight:400;">(${escapeHtml(selected[0]._type)})</span>`
+        : `${selected.length} shapes`;
+      // Action shapes (tap / swipe) have no color or condition, only a duration.
+      const checks = selected.filter(s => !isActionShape(s));
+      const params = renderParamRows(selected);
+      const paramsTitle = !checks.length ? 'Action parameters' : checks.length < selected.length ? 'Parameters' : 'Check parameters';
+      const checkRows = checks.length
+        ? `${checks.every(isTemplateShape) ? '' : renderColorRow(checks)}${renderTemplateRow(checks)}${renderNegatedRow(checks)}`
+        : '';
+      bodyEl.innerHTML = `
+        <div class="props-section" style="margin-top:0;">${header}</div>
+        ${checkRows ? `<div class="props-grid">${checkRows}</div>` : ''}
+        ${params ? `<div class="props-section">${paramsTitle}</div><div class="props-grid">${params}</div>` : ''}
+        <div class="props-section">Position</div><div class="props-grid">${renderAnchorRows(selected)}</div>
+      `;
+    }
+
+    function commitParam(input) {
+      const key = input.getAttribute('data-param');
+      const raw = input.value.trim();
+      if (!key || raw === '') { render(); return; }
+      const n = Number(raw);
+      if (!Number.isFinite(n)) { render(); return; }
+      setCheckParamsForSelected({ [key]: n });
+    }
+
+    const onChange = (e) => {
+      if (e.target.closest('[data-anchor-target], [data-anchor-edge]')) {
+        try { commitAnchor(); } catch (err) {
+          log("ERROR", "[properties-panel] anchor change failed", err);
+        }
+        render();
+        return;
+      }
+      const toggle = e.target.closest('[data-negated]');
+      if (toggle) {
+        try { setNegatedForSelected(toggle.checked); } catch (err) {
+          log("ERROR", "[properties-panel] negated toggle failed", err);
+        }
+        try { toggle.blur(); } catch {}
+        render();
+        return;
+      }
+      const input = e.target.closest('[data-param]');
+      if (!input) return;
+      try { commitParam(input); } catch (err) {
+        log("ERROR", "[properties-panel] param commit failed", err);
+      }
+      try { input.blur(); } catch {}
+      render();
+    };
+    const onKeyDown = (e) => {
+      if (!e.target.closest('[data-param]')) return;
+      if (e.key === 'Enter') { e.preventDefault(); e.target.blur(); }
+      else if (e.key === 'Escape') { e.target.value = ''; e.target.blur(); render(); }
+      e.stopPropagation();
+    };
+    const onClick = (e) => {
+      if (e.target.closest('[data-capture-template]')) {
+        try { captureTemplatesForSelected(); } catch (err) {
+          log("ERROR", "[properties-panel] template capture failed", err);
+        }
+        return;
+      }
+      const btn = e.target.closest('[data-reset]');
+      if (!btn) return;
+      try { setCheckParamsForSelected({ [btn.getAttribute('data-reset')]: null }); } catch (err) {
+        log("ERROR", "[properties-panel] param reset failed", err);
+      }
+    };
+
+    bodyEl?.addEventListener('change', onChange);
+    bodyEl?.addEventListener('keydown', onKeyDown);
+    bodyEl?.addEventListener('click', onClick);
+
+    const unsub = sceneDesignerStore.subscribe((state, details) => {
+      if (!details) return;
+      if (RERENDER_EVENTS.has(details.type) || (details.type === 'setSetting' && isCheckParamSettingKey(details.key))) {
+        try { render(); } catch (e) { log("WARN", "[properties-panel] render error", e); }
+      }
+    });
+    const unsubHistory = subscribeHistory((evt) => {
+      // 'dispatch' too: the anchor offset follows moves.
+      if (evt && (evt.event === 'undo' || evt.event === 'redo' || evt.event === 'dispatch')) render();
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsub && unsub(); } catch {}
+      try { unsubHistory && unsubHistory(); } catch {}
+      try {
+        bodyEl?.removeEventListener('change', onChange);
+        bodyEl?.removeEventListener('keydown', onKeyDown);
+        bodyEl?.removeEventListener('click', onClick);
+      } catch {}
+      log("INFO", "[properties-panel] cleaned up");
+    };
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[properties-panel] ready");
+  } catch (e) {
+    log("ERROR", "[properties-panel] init error", e);
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * ruler-guides.js
+ * -----------------------------------------------------------
+ * Scene Designer – Ruler guide lines (pure model)
+ *
+ * A guide is { axis: 'x' | 'y', pos } in image pixels: axis 'x' is a
+ * vertical line at x = pos, axis 'y' a horizontal line at y = pos. Guides are
+ * dragged out of the canvas rulers (canvas-rulers.js), belong to a scene
+ * (state.sceneGuides, saved in the JSON document, not in the .ini) and are
+ * snap targets for smart-guides.js. Changes go through SET_GUIDES.
+ * -----------------------------------------------------------
+ */
+
+function normalizeGuide(g) {
+  if (!g || (g.axis !== 'x' && g.axis !== 'y')) return null;
+  const pos = Number(g.pos);
+  if (!Number.isFinite(pos)) return null;
+  return { axis: g.axis, pos };
+}
+
+/**
+ * Valid guides only, duplicates (same axis and position) dropped.
+ */
+export function normalizeGuides(list) {
+  const out = [];
+  (Array.isArray(list) ? list : []).forEach(raw => {
+    const g = normalizeGuide(raw);
+    if (g && !out.some(o => o.axis === g.axis && o.pos === g.pos)) out.push(g);
+  });
+  return out;
+}
+
+export function sameGuides(a, b) {
+  const x = Array.isArray(a) ? a : [];
+  const y = Array.isArray(b) ? b : [];
+  return x.length === y.length && x.every((g, i) => g.axis === y[i].axis && g.pos === y[i].pos);
+}
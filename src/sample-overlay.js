@@ -0,0 +1,114 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { getEffectiveCheckParams, isCheckParamSettingKey } from './check-params.js';
+import { getShapeSamplePoints } from './geometry/sample-points.js';
+import { imageToCanvasPoint } from './geometry/shape-rect.js';
+
+/*
+  Sample point overlay
+  --------------------
+  Paints the matcher's sample locations (geometry/sample-points.js) on the
+  Fabric top context after each render: the rect grid at the shape's step and
+  the `count` points around a circle. Setting samplePointsOverlay:
+  'off' | 'selected' (default) | 'all'.
+
+  The top context is cleared in before:render by selection-outlines.js; this
+  painter only draws.
+*/
+
+const MARKER_SCREEN_PX = 2.5;
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function getOverlayTargets() {
+  const state = getState();
+  const mode = state.settings?.samplePointsOverlay || 'selected';
+  if (mode === 'off') return [];
+  const list = mode === 'all' ? (state.shapes || []) : (state.selectedShapes || []);
+  return list.filter(Boolean);
+}
+
+function paintSamplePoints(canvas) {
+  const targets = getOverlayTargets();
+  if (!targets.length) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const bgImage = getState().bgFabricImage;
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const zoom = Math.max(0.0001, Math.abs(vt[0] || 1));
+  const r = MARKER_SCREEN_PX / zoom;
+  const imgScale = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+
+  ctx.save();
+  try {
+    ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+    ctx.lineWidth = 1 / zoom;
+    targets.forEach(shape => {
+      const { points } = getShapeSamplePoints(shape, getEffectiveCheckParams(shape), bgImage);
+      if (!points.length) return;
+      ctx.fillStyle = shape._expectedColor || '#ffffff';
+      ctx.strokeStyle = '#111111';
+      points.forEach(p => {
+        // Marker sits on the pixel's center.
+        const c = imageToCanvasPoint({ x: p.x + 0.5, y: p.y + 0.5 }, bgImage);
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, Math.max(r, imgScale * 0.35), 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+    });
+  } catch (e) {
+    log("ERROR", "[sample-overlay] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installSampleOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[sample-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintSamplePoints(canvas);
+  canvas.on('after:render', painter);
+
+  const rerender = () => {
+    try {
+      if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+      else canvas.renderAll();
+    } catch {}
+  };
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'updateShapes' ||
+      details.type === 'setSelectedShapes' ||
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && (details.key === 'samplePointsOverlay' || isCheckParamSettingKey(details.key)))
+    ) {
+      rerender();
+    }
+  });
+
+  log("INFO", "[sample-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[sample-overlay] Overlay detached");
+  };
+}
@@ -228,22 +228,22 @@ registerScenario("complex-rect-flow", [
   { fn: "setSetting", args: ["defaultRectHeight", 40] },
   { fn: "setSelectedShapes", args: [[() => State.getState().shapes.at(-1)]] },
   { type: "log", expr: () => State.getState().selectedShapes },
-  { type: "comment", text: "Label recta (direct property set)" },
-  { fn: "setSceneName", args: ["recta"] },
+  { type: "comment", text: "Label recta" },
+  { fn: "setLabelForSelected", args: ["recta"] },
 
   { type: "comment", text: "Add rect 'rectb' and move SE" },
   { fn: "addShapeOfType", args: ["rect", {x:390, y:280}] },
   { fn: "setSelectedShapes", args: [[() => State.getState().shapes.at(-1)]] },
   { type: "log", expr: () => State.getState().selectedShapes },
-  { type: "comment", text: "Label rectb (direct property set)" },
-  { fn: "setSceneName", args: ["rectb"] },
+  { type: "comment", text: "Label rectb" },
+  { fn: "setLabelForSelected", args: ["rectb"] },
 
   { type: "comment", text: "Add rect 'rectc' and move E" },
   { fn: "addShapeOfType", args: ["rect", {x:430, y:170}] },
   { fn: "setSelectedShapes", args: [[() => State.getState().shapes.at(-1)]] },
   { type: "log", expr: () => State.getState().selectedShapes },
-  { type: "comment", text: "Label rectc (direct property set)" },
-  { fn: "setSceneName", args: ["rectc"] },
+  { type: "comment", text: "Label rectc" },
+  { fn: "setLabelForSelected", args: ["rectc"] },
 
   { type: "comment", text: "Delete recta" },
   { fn: "setSelectedShapes", args: [[() => State.getState().shapes.find(s => s._label === "recta")]] },
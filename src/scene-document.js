@@ -0,0 +1,259 @@
+/**
+ * scene-document.js
+ * -----------------------------------------------------------
+ * Scene Designer – Multi-scene document model
+ *
+ * A document is an ordered list of scene records held in state.scenes:
+ *   { id, name, logic, logicGroups, device, guides, imageURL, imageObj, shapes }
+ *
+ * device is the scene's device profile (device-profiles.js) or null; guides
+ * are its ruler guide lines (ruler-guides.js).
+ *
+ * The ACTIVE scene is mirrored into the legacy top-level store fields
+ * (shapes, imageURL/imageObj, sceneName, sceneLogic, logicGroups, sceneDevice, sceneGuides) so every existing
+ * module keeps reading getState().shapes etc. The active record is only a
+ * snapshot; it is refreshed on switch-out (captureActiveScene) and whenever a
+ * caller needs the full document (getSceneRecords).
+ *
+ * Undo history is per scene: switching scenes swaps command-bus history
+ * contexts (setHistoryContext). Scene-list operations themselves
+ * (add / rename inactive / reorder / delete / switch) are document-level and
+ * intentionally NOT on the per-scene undo stacks.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import {
+  getState,
+  setScenes,
+  setActiveSceneId,
+  setShapes,
+  setImage,
+  setSceneName as setStoreSceneName,
+  setSceneLogic as setStoreSceneLogic,
+  setSceneDevice as setStoreSceneDevice,
+  setSceneGuides as setStoreSceneGuides,
+  setLogicGroups
+} from './state.js';
+import { setHistoryContext, dropHistoryContext } from './commands/command-bus.js';
+import { deselectAll } from './selection.js';
+import { normalizeLogicGroups } from './logic-tree.js';
+import { normalizeDeviceProfile } from './device-profiles.js';
+import { normalizeGuides } from './ruler-guides.js';
+
+function generateSceneId() {
+  return `scene_${Math.random().toString(36).slice(2)}_${Date.now()}`;
+}
+
+function makeSceneRecord(fields = {}) {
+  return {
+    id: fields.id || generateSceneId(),
+    name: typeof fields.name === 'string' ? fields.name : '',
+    logic: fields.logic === 'OR' ? 'OR' : 'AND',
+    logicGroups: normalizeLogicGroups(fields.logicGroups),
+    device: normalizeDeviceProfile(fields.device),
+    guides: normalizeGuides(fields.guides),
+    imageURL: fields.imageURL || null,
+    imageObj: fields.imageURL ? (fields.imageObj || null) : null,
+    shapes: Array.isArray(fields.shapes) ? fields.shapes.filter(Boolean) : []
+  };
+}
+
+/**
+ * Lazily wrap the current single-scene store state as scene #1.
+ */
+export function ensureDocument() {
+  const state = getState();
+  if (Array.isArray(state.scenes) && state.scenes.length && state.activeSceneId) return;
+  const first = makeSceneRecord({
+    name: state.sceneName,
+    logic: state.sceneLogic,
+    logicGroups: state.logicGroups,
+    device: state.sceneDevice,
+    guides: state.sceneGuides,
+    imageURL: state.imageURL,
+    imageObj: state.imageObj,
+    shapes: (state.shapes || []).slice()
+  });
+  setScenes([first]);
+  setActiveSceneId(first.id);
+  setHistoryContext(first.id);
+  log("INFO", "[scene-document] Document initialized from current scene", { id: first.id });
+}
+
+function findIndex(id) {
+  return (getState().scenes || []).findIndex(s => s && s.id === id);
+}
+
+/**
+ * Copy live top-level fields into the active scene record.
+ */
+export function captureActiveScene() {
+  const state = getState();
+  const idx = findIndex(state.activeSceneId);
+  if (idx < 0) return null;
+  const rec = state.scenes[idx];
+  rec.name = state.sceneName || '';
+  rec.logic = state.sceneLogic === 'OR' ? 'OR' : 'AND';
+  rec.logicGroups = Array.isArray(state.logicGroups) ? state.logicGroups : [];
+  rec.device = state.sceneDevice || null;
+  rec.guides = Array.isArray(state.sceneGuides) ? state.sceneGuides : [];
+  rec.imageURL = state.imageURL || null;
+  rec.imageObj = state.imageObj || null;
+  rec.shapes = (state.shapes || []).slice();
+  return rec;
+}
+
+/**
+ * All scene records in document order, active scene refreshed from live state.
+ */
+export function getSceneRecords() {
+  ensureDocument();
+  captureActiveScene();
+  return (getState().scenes || []).slice();
+}
+
+export function getActiveSceneId() {
+  ensureDocument();
+  return getState().activeSceneId;
+}
+
+/**
+ * Lightweight list for UI: [{ id, name, logic, device, imageURL, shapeCount, active }]
+ */
+export function listScenes() {
+  const state = getState();
+  const activeId = getActiveSceneId();
+  return (state.scenes || []).map(rec => {
+    const active = rec.id === activeId;
+    return {
+      id: rec.id,
+      name: active ? (state.sceneName || '') : rec.name,
+      logic: active ? (state.sceneLogic || 'AND') : rec.logic,
+      device: active ? (state.sceneDevice || null) : rec.device,
+      imageURL: active ? (state.imageURL || null) : rec.imageURL,
+      shapeCount: active ? (state.shapes || []).length : rec.shapes.length,
+      active
+    };
+  });
+}
+
+function loadSceneIntoStore(rec) {
+  setActiveSceneId(rec.id);
+  setHistoryContext(rec.id);
+  setStoreSceneName(rec.name);
+  setStoreSceneLogic(rec.logic);
+  setLogicGroups(rec.logicGroups);
+  setStoreSceneDevice(rec.device);
+  setStoreSceneGuides(rec.guides);
+  const state = getState();
+  if ((state.imageURL || null) !== (rec.imageURL || null) || state.imageObj !== rec.imageObj) {
+    setImage(rec.imageURL, rec.imageObj);
+  }
+  setShapes(rec.shapes.slice());
+}
+
+export function switchScene(id) {
+  ensureDocument();
+  const state = getState();
+  if (id === state.activeSceneId) return false;
+  const idx = findIndex(id);
+  if (idx < 0) {
+    log("WARN", "[scene-document] switchScene: unknown scene", { id });
+    return false;
+  }
+  try { deselectAll(); } catch {}
+  captureActiveScene();
+  loadSceneIntoStore(state.scenes[idx]);
+  log("INFO", "[scene-document] Switched scene", { id, index: idx });
+  return true;
+}
+
+/**
+ * Append a new scene and make it active. shareImage (default) also copies
+ * the device profile and the ruler guides.
+ * @param {{name?:string, logic?:string, shareImage?:boolean, shapes?:Array, activate?:boolean}} opts
+ */
+export function addScene(opts = {}) {
+  ensureDocument();
+  captureActiveScene();
+  const state = getState();
+  const shareImage = opts.shareImage !== false;
+  const rec = makeSceneRecord({
+    name: typeof opts.name === 'string' ? opts.name : `Scene ${(state.scenes || []).length + 1}`,
+    logic: opts.logic,
+    device: shareImage ? state.sceneDevice : null,
+    guides: shareImage ? state.sceneGuides : [],
+    imageURL: shareImage ? state.imageURL : null,
+    imageObj: shareImage ? state.imageObj : null,
+    shapes: opts.shapes
+  });
+  setScenes([...(state.scenes || []), rec]);
+  if (opts.activate !== false) switchScene(rec.id);
+  log("INFO", "[scene-document] Scene added", { id: rec.id, name: rec.name, shareImage });
+  return rec.id;
+}
+
+/**
+ * Rename an INACTIVE scene record. The active scene's name goes through
+ * SET_SCENE_NAME (undoable) — see actions.setSceneName.
+ */
+export function renameInactiveScene(id, name) {
+  const state = getState();
+  const idx = findIndex(id);
+  if (idx < 0 || id === state.activeSceneId) return false;
+  const rec = state.scenes[idx];
+  rec.name = typeof name === 'string' ? name.trim() : '';
+  setScenes(state.scenes.slice());
+  log("INFO", "[scene-document] Scene renamed", { id, name: rec.name });
+  return true;
+}
+
+export function moveScene(id, delta) {
+  const state = getState();
+  const idx = findIndex(id);
+  const to = idx + (Number(delta) || 0);
+  if (idx < 0 || to < 0 || to >= state.scenes.length || to === idx) return false;
+  const next = state.scenes.slice();
+  const [rec] = next.splice(idx, 1);
+  next.splice(to, 0, rec);
+  setScenes(next);
+  log("INFO", "[scene-document] Scene moved", { id, from: idx, to });
+  return true;
+}
+
+export function deleteScene(id) {
+  ensureDocument();
+  const state = getState();
+  const idx = findIndex(id);
+  if (idx < 0) return false;
+  if (state.scenes.length <= 1) {
+    log("WARN", "[scene-document] Refusing to delete the only scene", { id });
+    return false;
+  }
+  if (id === state.activeSceneId) {
+    const neighbor = state.scenes[idx + 1] || state.scenes[idx - 1];
+    switchScene(neighbor.id);
+  }
+  const next = getState().scenes.filter(s => s.id !== id);
+  dropHistoryContext(id);
+  setScenes(next);
+  log("INFO", "[scene-document] Scene deleted", { id });
+  return true;
+}
+
+/**
+ * Replace the whole document (e.g. JSON import). All history is discarded.
+ * @param {Array<{name, logic, logicGroups, device, guides, imageURL, imageObj, shapes}>} sceneFields
+ */
+export function replaceDocument(sceneFields, activeIndex = 0) {
+  const records = (Array.isArray(sceneFields) ? sceneFields : []).map(makeSceneRecord);
+  if (!records.length) records.push(makeSceneRecord());
+  const state = getState();
+  (state.scenes || []).forEach(s => dropHistoryContext(s.id));
+  try { deselectAll(); } catch {}
+  setScenes(records);
+  const idx = Math.min(Math.max(0, Number(activeIndex) || 0), records.length - 1);
+  loadSceneIntoStore(records[idx]);
+  log("INFO", "[scene-document] Document replaced", { scenes: records.length, activeIndex: idx });
+}
@@ -0,0 +1,111 @@
+/**
+ * scene-evaluation.js
+ * -----------------------------------------------------------
+ * Scene Designer – Live matcher simulation for the active scene
+ *
+ * Re-runs scene-evaluator.js against the background image whenever the scene
+ * could have changed (shapes, image, logic, check defaults, any history
+ * step) and publishes the result with state.setEvaluation(). Runs are
+ * coalesced to one per task, so a burst of store events evaluates once.
+ *
+ * The evaluator sees the scene through serializeSceneChecks(), i.e. exactly
+ * the numbers the exported .ini would contain.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import { getState, sceneDesignerStore, setEvaluation } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import { getImagePixelData } from './color-sampling.js';
+import { serializeSceneChecks } from './serialization/scene-ini.js';
+import { evaluateScene } from './scene-evaluator.js';
+import { isCheckParamSettingKey } from './check-params.js';
+
+const EVALUATE_EVENTS = new Set([
+  'setShapes',
+  'addShape',
+  'removeShape',
+  'updateShapes',
+  'setImage',
+  'setBgFabricImage',
+  'setSceneLogic',
+  'setLogicGroups',
+  'setSettings'
+]);
+
+/**
+ * Evaluate the active scene now.
+ * @returns {object|null} evaluateScene() result plus `warnings`, or null
+ *   when there is no readable image.
+ */
+export function evaluateActiveScene() {
+  const state = getState();
+  const pixels = getImagePixelData(state.imageObj);
+  if (!pixels) return null;
+  const scene = serializeSceneChecks({
+    name: state.sceneName,
+    logic: state.sceneLogic,
+    logicGroups: state.logicGroups,
+    shapes: state.shapes,
+    bgImage: state.bgFabricImage
+  });
+  return { ...evaluateScene(scene, pixels), warnings: scene.warnings };
+}
+
+/**
+ * Result for one shape from the last published evaluation.
+ */
+export function getShapeEvaluation(shapeOrId) {
+  const id = typeof shapeOrId === 'string' ? shapeOrId : shapeOrId?._id;
+  const evaluation = getState().evaluation;
+  if (!id || !evaluation) return null;
+  return evaluation.results.find(r => r.id === id) || null;
+}
+
+export function installSceneEvaluation() {
+  let pending = null;
+
+  const run = () => {
+    pending = null;
+    try {
+      const result = evaluateActiveScene();
+      setEvaluation(result);
+      if (result) {
+        log("DEBUG", "[scene-evaluation] Scene evaluated", {
+          logic: result.logic,
+          matched: result.matched,
+          passed: result.passed,
+          failed: result.failed
+        });
+      }
+    } catch (e) {
+      log("ERROR", "[scene-evaluation] Evaluation failed", e);
+    }
+  };
+
+  const schedule = () => {
+    if (pending) return;
+    pending = setTimeout(run, 0);
+  };
+
+  const unsubStore = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (EVALUATE_EVENTS.has(details.type)) schedule();
+    else if (details.type === 'setSetting' && isCheckParamSettingKey(details.key)) schedule();
+  });
+
+  // Geometry commands mutate shapes in place without a store event.
+  const unsubHistory = subscribeHistory((evt) => {
+    if (evt && (evt.event === 'dispatch' || evt.event === 'undo' || evt.event === 'redo')) schedule();
+  });
+
+  schedule();
+  log("INFO", "[scene-evaluation] Installed");
+
+  return function detach() {
+    try { unsubStore && unsubStore(); } catch {}
+    try { unsubHistory && unsubHistory(); } catch {}
+    if (pending) { clearTimeout(pending); pending = null; }
+    log("INFO", "[scene-evaluation] Detached");
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * scene-evaluator.js
+ * -----------------------------------------------------------
+ * Scene Designer – In-browser simulation of the automation matcher
+ *
+ * Pure: no store, no DOM. Input is a scene as the matcher reads it – a
+ * parseSceneINI section or serializeSceneChecks() output:
+ *
+ *   { logic: 'AND'|'OR', tree?, checks: [{ id?, key, coords, color, params,
+ *                                         file?, template? }] }
+ *
+ * plus an RGBA pixel buffer ({ width, height, data }, see
+ * color-sampling.js getImagePixelData).
+ *
+ * Rules (parameters missing from a check use the matcher's own defaults,
+ * CHECK_PARAM_DEFAULTS – not the editor's scene-wide settings):
+ *   distance             max(|ΔR|, |ΔG|, |ΔB|); a sample passes when
+ *                        distance <= tolerance
+ *   require_pixel        the single pixel X,Y
+ *   require_pixel_rect   every grid point from X1,Y1 every `step` px,
+ *                        X2/Y2 inclusive
+ *   require_pixel_circle `count` points on the circumference from 0°, clockwise
+ *   require_pixel_line   `count` points from X1,Y1 to X2,Y2, endpoints included
+ *   require_color_region every pixel of X1..X2 × Y1..Y2
+ *   require_color_polygon every pixel whose center (x+0.5, y+0.5) lies inside
+ *                        the X,Y vertex list (even-odd rule)
+ *   require_template     the template patch (`template`, an RGBA buffer) is
+ *                        searched for anywhere in the image
+ *                        (template-match.js); passes when the best score is
+ *                        >= `threshold`. Without patch pixels (e.g. a bare
+ *                        parsed .ini) the check fails with NO_SAMPLES.
+ *   A check passes when all of its samples pass; a sample outside the image
+ *   fails. require_not_* keys sample the same way and pass when the positive
+ *   check fails (some sample out of tolerance); a negated check with samples
+ *   outside the image (or none) still fails, since it proves nothing.
+ *   Scene: AND = every check passes, OR = at least one does (an empty AND
+ *   scene matches, an empty OR scene does not). When `tree` (logic-tree.js
+ *   buildLogicTree over check ids) is given, it decides instead of `logic`.
+ *
+ * Per-check result:
+ *   { id, key, negated, pass, expected, measured, distance, tolerance,
+ *     samples, failed, worst: {x,y}|null, reason }
+ * `measured` / `distance` / `worst` describe the worst sample (the single
+ * pixel for require_pixel). reason: null | 'OUT_OF_BOUNDS' | 'NO_SAMPLES'.
+ * Template results instead carry `expected` = file, `measured` = best score
+ * (two decimals), `score`, `threshold` and `found` ({x1,y1,x2,y2} image
+ * rect of the best match); distance / tolerance / worst are null.
+ * -----------------------------------------------------------
+ */
+
+import { CHECK_PARAM_DEFAULTS } from './check-params.js';
+import { getRectSampleGrid, getCircleSamplePoints, getLineSamplePoints } from './geometry/sample-points.js';
+import { hexToRgb, rgbToHex } from './color-sampling.js';
+import { evaluateLogicNode } from './logic-tree.js';
+import { pointInPolygon, polygonBounds } from './geometry/polygon.js';
+import { matchTemplate } from './template-match.js';
+
+export function colorDistance(a, b) {
+  return Math.max(Math.abs(a.r - b.r), Math.abs(a.g - b.g), Math.abs(a.b - b.b));
+}
+
+function paramOf(check, key) {
+  const v = Number(check?.params?.[key]);
+  return Number.isFinite(v) ? v : CHECK_PARAM_DEFAULTS[key];
+}
+
+function createAccumulator(pixels, expected, tolerance) {
+  const acc = {
+    samples: 0,
+    failed: 0,
+    outOfBounds: 0,
+    distance: -1,
+    worst: null,
+    measured: null
+  };
+  acc.add = (x, y) => {
+    acc.samples++;
+    if (x < 0 || y < 0 || x >= pixels.width || y >= pixels.height) {
+      acc.failed++;
+      acc.outOfBounds++;
+      return;
+    }
+    const i = (y * pixels.width + x) * 4;
+    const px = { r: pixels.data[i], g: pixels.data[i + 1], b: pixels.data[i + 2] };
+    const d = colorDistance(px, expected);
+    if (d > tolerance) acc.failed++;
+    if (d > acc.distance) {
+      acc.distance = d;
+      acc.worst = { x, y };
+      acc.measured = rgbToHex(px.r, px.g, px.b);
+    }
+  };
+  return acc;
+}
+
+export function isNegatedKey(key) {
+  return typeof key === 'string' && key.startsWith('require_not_');
+}
+
+function visitSamples(check, visit) {
+  const c = (check.coords || []).map(n => Math.round(Number(n) || 0));
+  const key = isNegatedKey(check.key) ? check.key.replace(/^require_not_/, 'require_') : check.key;
+  switch (key) {
+    case 'require_pixel':
+      visit(c[0], c[1]);
+      break;
+    case 'require_pixel_rect':
+      getRectSampleGrid(Math.min(c[0], c[2]), Math.min(c[1], c[3]), Math.max(c[0], c[2]), Math.max(c[1], c[3]),
+        paramOf(check, 'step'), Infinity).points.forEach(p => visit(p.x, p.y));
+      break;
+    case 'require_pixel_circle':
+      getCircleSamplePoints(c[0], c[1], c[2], paramOf(check, 'count')).forEach(p => visit(p.x, p.y));
+      break;
+    case 'require_pixel_line':
+      getLineSamplePoints(c[0], c[1], c[2], c[3], paramOf(check, 'count')).forEach(p => visit(p.x, p.y));
+      break;
+    case 'require_color_region': {
+      const x1 = Math.min(c[0], c[2]), x2 = Math.max(c[0], c[2]);
+      const y1 = Math.min(c[1], c[3]), y2 = Math.max(c[1], c[3]);
+      for (let y = y1; y <= y2; y++) {
+        for (let x = x1; x <= x2; x++) visit(x, y);
+      }
+      break;
+    }
+    case 'require_color_polygon': {
+      const pts = [];
+      for (let i = 0; i + 1 < c.length; i += 2) pts.push({ x: c[i], y: c[i + 1] });
+      const b = polygonBounds(pts);
+      if (!b) break;
+      for (let y = b.y1; y <= b.y2; y++) {
+        for (let x = b.x1; x <= b.x2; x++) {
+          if (pointInPolygon(x + 0.5, y + 0.5, pts)) visit(x, y);
+        }
+      }
+      break;
+    }
+    default:
+      break;
+  }
+}
+
+function evaluateTemplateCheck(check, pixels, negated) {
+  const threshold = paramOf(check, 'threshold');
+  const base = {
+    id: check?.id ?? null,
+    key: check?.key,
+    negated,
+    expected: check?.file || null,
+    tolerance: null,
+    threshold,
+    distance: null,
+    worst: null
+  };
+  const match = pixels && check?.template ? matchTemplate(pixels, check.template) : null;
+  if (!match) {
+    return { ...base, pass: false, measured: null, score: null, found: null, samples: 0, failed: 0, reason: 'NO_SAMPLES' };
+  }
+  const score = Math.round(match.score * 100) / 100;
+  const matches = score >= threshold;
+  return {
+    ...base,
+    pass: negated ? !matches : matches,
+    measured: score.toFixed(2),
+    score,
+    found: { x1: match.x, y1: match.y, x2: match.x + match.width, y2: match.y + match.height },
+    samples: 1,
+    failed: matches ? 0 : 1,
+    reason: null
+  };
+}
+
+/**
+ * Evaluate one check against a pixel buffer.
+ */
+export function evaluateCheck(check, pixels) {
+  const negated = isNegatedKey(check?.key);
+  if (check?.key === 'require_template' || check?.key === 'require_not_template') {
+    return evaluateTemplateCheck(check, pixels, negated);
+  }
+  const expected = hexToRgb(check?.color);
+  const tolerance = paramOf(check, 'tolerance');
+  const base = {
+    id: check?.id ?? null,
+    key: check?.key,
+    negated,
+    expected: check?.color || null,
+    tolerance
+  };
+  if (!expected || !pixels) {
+    return { ...base, pass: false, measured: null, distance: null, samples: 0, failed: 0, worst: null, reason: 'NO_SAMPLES' };
+  }
+
+  const acc = createAccumulator(pixels, expected, tolerance);
+  visitSamples(check, acc.add);
+
+  let reason = null;
+  if (!acc.samples) reason = 'NO_SAMPLES';
+  else if (acc.outOfBounds) reason = 'OUT_OF_BOUNDS';
+
+  const matches = acc.samples > 0 && acc.failed === 0;
+  return {
+    ...base,
+    pass: negated ? (!reason && !matches) : matches,
+    measured: acc.measured,
+    distance: acc.distance >= 0 ? acc.distance : null,
+    samples: acc.samples,
+    failed: acc.failed,
+    worst: acc.worst,
+    reason
+  };
+}
+
+/**
+ * Evaluate a scene (AND/OR over its checks).
+ * @returns {{ logic, matched:boolean, passed:number, failed:number, results:Array }}
+ */
+export function evaluateScene(scene, pixels) {
+  const logic = scene?.logic === 'OR' ? 'OR' : 'AND';
+  const results = (scene?.checks || []).map(check => evaluateCheck(check, pixels));
+  const passed = results.filter(r => r.pass).length;
+  let matched = logic === 'OR' ? passed > 0 : passed === results.length;
+  if (scene?.tree) {
+    const byTree = evaluateLogicNode(scene.tree, new Map(results.map(r => [r.id, r.pass])));
+    matched = byTree === null ? logic !== 'OR' : byTree;
+  }
+  return { logic, matched, passed, failed: results.length - passed, results };
+}
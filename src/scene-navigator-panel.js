@@ -0,0 +1,254 @@
+import { log } from './log.js';
+import { sceneDesignerStore } from './state.js';
+import { setSceneName } from './actions.js';
+import { describeDeviceProfile } from './device-profiles.js';
+import {
+  ensureDocument,
+  listScenes,
+  addScene,
+  switchScene,
+  renameInactiveScene,
+  moveScene,
+  deleteScene
+} from './scene-document.js';
+
+const RERENDER_EVENTS = new Set([
+  'setScenes',
+  'setActiveSceneId',
+  'setSceneName',
+  'setSceneLogic',
+  'setSceneDevice',
+  'setShapes',
+  'addShape',
+  'removeShape',
+  'setImage'
+]);
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function buildSceneNavigatorPanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[scene-navigator] missing root element");
+      return;
+    }
+
+    ensureDocument();
+
+    element.innerHTML = `
+      <div id="scene-nav-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div style="display:flex;align-items:center;gap:8px;padding:8px;border-bottom:1px solid #e3e8f3;background:#f7f9ff;">
+          <div style="font-weight:600;color:#234;flex:1 1 auto;">Scenes</div>
+          <button id="scene-nav-add" class="scene-nav-btn" title="Add a scene sharing the current image">+ Scene</button>
+          <button id="scene-nav-add-blank" class="scene-nav-btn" title="Add a scene without an image">+ Blank</button>
+        </div>
+        <div id="scene-nav-list" style="flex:1 1 auto;overflow:auto;padding:8px;display:flex;flex-direction:column;gap:6px;background:#fafcff;"></div>
+      </div>
+    `;
+
+    const styleId = "scene-navigator-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .scene-nav-btn {
+          font: inherit;
+          color: #234;
+          border: 1px solid #8ca6c6;
+          background: #fff;
+          border-radius: 7px;
+          padding: 2px 7px;
+          line-height: 1.2;
+          cursor: pointer;
+        }
+        .scene-nav-btn:disabled {
+          opacity: .4;
+          cursor: not-allowed;
+        }
+        .scene-nav-item {
+          display: grid;
+          grid-template-columns: auto 1fr auto;
+          gap: 8px;
+          align-items: center;
+          background: #ffffff;
+          border: 1px solid #e3e8f3;
+          border-radius: 8px;
+          padding: 5px 8px;
+          cursor: pointer;
+        }
+        .scene-nav-item.active {
+          border-color: #2176ff;
+          background: #eef4ff;
+        }
+        .scene-nav-index {
+          font-size: 11px;
+          color: #678;
+        }
+        .scene-nav-name {
+          font-weight: 600;
+          color: #234;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .scene-nav-meta {
+          font-size: 11px;
+          color: #678;
+        }
+        .scene-nav-actions {
+          display: flex;
+          gap: 3px;
+        }
+        .scene-nav-rename {
+          font: inherit;
+          width: 100%;
+          box-sizing: border-box;
+        }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const listEl = element.querySelector('#scene-nav-list');
+    const addBtn = element.querySelector('#scene-nav-add');
+    const addBlankBtn = element.querySelector('#scene-nav-add-blank');
+    let editingId = null;
+
+    function commitRename(scene, value) {
+      const name = String(value ?? '').trim();
+      editingId = null;
+      if (name === scene.name) { render(); return; }
+      if (scene.active) {
+        setSceneName(name);
+      } else {
+        renameInactiveScene(scene.id, name);
+      }
+      render();
+    }
+
+    function render() {
+      if (!listEl) return;
+      const scenes = listScenes();
+      listEl.innerHTML = '';
+      const frag = document.createDocumentFragment();
+      scenes.forEach((sc, i) => {
+        const row = document.createElement('div');
+        row.className = 'scene-nav-item' + (sc.active ? ' active' : '');
+        row.setAttribute('data-id', sc.id);
+
+        const idx = document.createElement('div');
+        idx.className = 'scene-nav-index';
+        idx.textContent = String(i + 1);
+
+        const mid = document.createElement('div');
+        mid.style.minWidth = '0';
+        if (editingId === sc.id) {
+          const input = document.createElement('input');
+          input.className = 'scene-nav-rename';
+          input.value = sc.name;
+          input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') commitRename(sc, input.value);
+            else if (e.key === 'Escape') { editingId = null; render(); }
+            e.stopPropagation();
+          });
+          input.addEventListener('blur', () => { if (editingId === sc.id) commitRename(sc, input.value); });
+          input.addEventListener('click', (e) => e.stopPropagation());
+          mid.appendChild(input);
+          setTimeout(() => { try { input.focus(); input.select(); } catch {} }, 0);
+        } else {
+          mid.innerHTML = `
+            <div class="scene-nav-name" title="Double-click to rename">${escapeHtml(sc.name || '(unnamed)')}</div>
+            <div class="scene-nav-meta">${sc.logic} • ${sc.shapeCount} shape${sc.shapeCount === 1 ? '' : 's'}${sc.device ? ` • ${escapeHtml(describeDeviceProfile(sc.device))}` : ''}${sc.imageURL ? '' : ' • no image'}</div>
+          `;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'scene-nav-actions';
+        actions.innerHTML = `
+          <button class="scene-nav-btn" data-act="up" title="Move up" ${i === 0 ? 'disabled' : ''}>▲</button>
+          <button class="scene-nav-btn" data-act="down" title="Move down" ${i === scenes.length - 1 ? 'disabled' : ''}>▼</button>
+          <button class="scene-nav-btn" data-act="rename" title="Rename">✎</button>
+          <button class="scene-nav-btn" data-act="delete" title="Delete scene" ${scenes.length <= 1 ? 'disabled' : ''}>🗑</button>
+        `;
+
+        row.appendChild(idx);
+        row.appendChild(mid);
+        row.appendChild(actions);
+        frag.appendChild(row);
+      });
+      listEl.appendChild(frag);
+    }
+
+    const onListClick = (e) => {
+      try {
+        const row = e.target.closest('.scene-nav-item');
+        if (!row) return;
+        const id = row.getAttribute('data-id');
+        const act = e.target.closest('[data-act]')?.getAttribute('data-act');
+        const scene = listScenes().find(s => s.id === id);
+        if (!scene) return;
+        if (!act) {
+          if (!scene.active) switchScene(id);
+          return;
+        }
+        if (act === 'up') moveScene(id, -1);
+        else if (act === 'down') moveScene(id, 1);
+        else if (act === 'rename') { editingId = id; render(); }
+        else if (act === 'delete') {
+          const label = scene.name || `Scene ${listScenes().findIndex(s => s.id === id) + 1}`;
+          if (window.confirm(`Delete scene "${label}" and its ${scene.shapeCount} shape(s)? This cannot be undone.`)) {
+            deleteScene(id);
+          }
+        }
+      } catch (err) {
+        log("ERROR", "[scene-navigator] list click error", err);
+      }
+    };
+    const onListDblClick = (e) => {
+      const row = e.target.closest('.scene-nav-item');
+      if (!row || e.target.closest('[data-act]')) return;
+      editingId = row.getAttribute('data-id');
+      render();
+    };
+
+    listEl?.addEventListener('click', onListClick);
+    listEl?.addEventListener('dblclick', onListDblClick);
+    addBtn?.addEventListener('click', () => {
+      try { addScene({ shareImage: true }); } catch (e) { log("ERROR", "[scene-navigator] add error", e); }
+    });
+    addBlankBtn?.addEventListener('click', () => {
+      try { addScene({ shareImage: false }); } catch (e) { log("ERROR", "[scene-navigator] add blank error", e); }
+    });
+
+    const unsub = sceneDesignerStore.subscribe((state, details) => {
+      if (!details || !RERENDER_EVENTS.has(details.type)) return;
+      if (editingId) return;
+      try { render(); } catch (e) { log("WARN", "[scene-navigator] render error", e); }
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsub && unsub(); } catch {}
+      try {
+        listEl?.removeEventListener('click', onListClick);
+        listEl?.removeEventListener('dblclick', onListDblClick);
+      } catch {}
+      log("INFO", "[scene-navigator] cleaned up");
+    };
+
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[scene-navigator] ready");
+  } catch (e) {
+    log("ERROR", "[scene-navigator] init error", e);
+  }
+}
@@ -0,0 +1,751 @@
+/**
+ * scene-ini.js
+ * -----------------------------------------------------------
+ * Scene Designer – Automation .ini export / parse
+ *
+ * Emits (and parses) the scene in the matcher's INI schema (see README):
+ *
+ *   [SceneName]
+ *   logic = AND|OR
+ *   require_pixel = X,Y,#RRGGBB
+ *   require_pixel_rect = X1,Y1,X2,Y2,#RRGGBB,step=8
+ *   require_pixel_circle = X,Y,RADIUS,#RRGGBB,count=12
+ *   require_color_region = X1,Y1,X2,Y2,#RRGGBB,tolerance=40
+ *   require_color_polygon = X1,Y1,X2,Y2,X3,Y3[,...],#RRGGBB,tolerance=40
+ *   require_pixel_line = X1,Y1,X2,Y2,#RRGGBB,count=12
+ *   require_template = X1,Y1,X2,Y2,FILE.png,threshold=0.9
+ *   tap = X,Y
+ *   swipe = X1,Y1,X2,Y2,DURATION
+ *
+ * Negated shapes (shape._negated, "must NOT match") use the same values under
+ * require_not_pixel / require_not_pixel_rect / require_not_pixel_circle /
+ * require_not_color_region / require_not_color_polygon /
+ * require_not_pixel_line / require_not_template. The matcher has no ellipse
+ * key: a negated ellipse is written as require_not_color_polygon over a
+ * 24-vertex outline of the (rotated) ellipse; a positive ellipse is skipped.
+ *
+ * tap / swipe lines are input actions (shapes-action.js), written after the
+ * require_* lines in shape order; a long-press is a swipe that starts and
+ * ends on the same point, DURATION is in ms. Actions are not checks: they
+ * take no part in the logic, the evaluation or the check count.
+ *
+ * A template entry names a PNG written next to the .ini (the patch stored on
+ * the shape, see template-capture.js); X1..Y2 is where it was cropped from.
+ * serializeSceneINI lists those PNGs as `attachments` for the caller to save.
+ *
+ * Coordinates are integer image pixels computed from the full Fabric transform
+ * (group scale/rotation included) via geometry/shape-rect.js. Rotated rects and
+ * regions export their axis-aligned footprint. A point exports the pixel its
+ * center lies in (the one color-sampling.js reads), so a point snapped to a
+ * pixel center (x + 0.5) writes x; the importer puts it back at x + 0.5.
+ *
+ * Exporting for another device (serializeDocumentINI({ target, mode })) maps
+ * those coordinates from each scene's device profile to the target screen
+ * (device-profiles.js makeRescaleMapping); the shapes themselves do not move.
+ * Anchored shapes (anchors.js) are placed at their offset from the anchor
+ * point on the target screen. Scenes without a profile are written
+ * unconverted, with a warning.
+ *
+ * A shape the user named (shape-labels.js) gets a "; label: NAME" comment
+ * line right above its entry; the matcher skips comments, parseSceneINI
+ * hands the name to the next entry (`label`) so an import restores it.
+ *
+ * Shapes without a stored expected color export a #000000 placeholder and
+ * produce a warning, so the preview can flag them before download; a
+ * template without a captured patch is exported with its file name and a
+ * warning as well.
+ *
+ * The matcher takes a single AND/OR per section. Nested logic groups
+ * (logic-tree.js) are flattened when they reduce to one operator
+ * (e.g. an OR group that holds every check, or AND(A, NOT(B)) written as A
+ * plus require_not_B); otherwise the section is written with the scene's root
+ * logic and a warning quotes the tree.
+ *
+ * parseSceneINI is pure (text → sections + line-numbered errors); turning
+ * checks into shapes lives in scene-io.js (importSceneINI).
+ * -----------------------------------------------------------
+ */
+
+import { log } from '../log.js';
+import { getState } from '../state.js';
+import { getSceneRecords } from '../scene-document.js';
+import { getShapeImageGeometry } from '../geometry/shape-rect.js';
+import {
+  CHECK_PARAM_DEFAULTS,
+  CHECK_PARAM_KEYS,
+  getApplicableCheckParams,
+  getCheckParamLimits,
+  getEffectiveCheckParams,
+  normalizeCheckParamValue
+} from '../check-params.js';
+import { buildLogicTree, describeLogicNode, flattenLogicTree } from '../logic-tree.js';
+import { templateFileName, getTemplatePixels, getTemplateAttachments } from '../template-capture.js';
+import { isActionShape } from '../shape-defs.js';
+import { hasCustomLabel, normalizeShapeLabel } from '../shape-labels.js';
+import {
+  describeDeviceProfile,
+  isIdentityMapping,
+  makeRescaleMapping,
+  mapImageGeometry
+} from '../device-profiles.js';
+import { resolveAnchorShifts, translateImageGeometry } from '../anchors.js';
+
+export const INI_DEFAULT_PARAMS = CHECK_PARAM_DEFAULTS;
+
+const PLACEHOLDER_COLOR = '#000000';
+const ELLIPSE_POLYGON_VERTICES = 24;
+
+function normalizeHex(color) {
+  if (typeof color !== 'string') return null;
+  const s = color.trim();
+  if (/^#[0-9a-fA-F]{6}$/.test(s)) return s.toUpperCase();
+  if (/^#[0-9a-fA-F]{3}$/.test(s)) {
+    return ('#' + s[1] + s[1] + s[2] + s[2] + s[3] + s[3]).toUpperCase();
+  }
+  return null;
+}
+
+function sanitizeSectionName(name) {
+  const s = String(name ?? '').replace(/[\[\]\r\n]/g, ' ').trim();
+  return s || 'Scene';
+}
+
+function px(n) {
+  return Math.round(Number(n) || 0);
+}
+
+// Index of the pixel containing n; the epsilon absorbs transform round-off.
+function pixelIndex(n) {
+  return Math.floor((Number(n) || 0) + 1e-6);
+}
+
+function shapeDisplayName(shape) {
+  return shape?._label || shape?._id || '(unnamed)';
+}
+
+// Comment line naming the shape, or null for default labels.
+function labelComment(shape) {
+  return hasCustomLabel(shape) ? `; label: ${normalizeShapeLabel(shape._label)}` : null;
+}
+
+function resolveColor(shape, warnings) {
+  const hex = normalizeHex(shape?._expectedColor);
+  if (hex) return hex;
+  warnings.push(`${shapeDisplayName(shape)}: no expected color captured; exported ${PLACEHOLDER_COLOR}`);
+  return PLACEHOLDER_COLOR;
+}
+
+// duration belongs to swipe lines (positional), not to require_* entries.
+const KNOWN_PARAMS = CHECK_PARAM_KEYS.filter(k => k !== 'duration');
+
+const PRIMARY_PARAM = {
+  require_pixel_rect: 'step',
+  require_pixel_circle: 'count',
+  require_color_region: 'tolerance',
+  require_color_polygon: 'tolerance',
+  require_pixel_line: 'count',
+  require_template: 'threshold'
+};
+
+export const NEGATED_KEYS = Object.freeze({
+  require_pixel: 'require_not_pixel',
+  require_pixel_rect: 'require_not_pixel_rect',
+  require_pixel_circle: 'require_not_pixel_circle',
+  require_color_region: 'require_not_color_region',
+  require_color_polygon: 'require_not_color_polygon',
+  require_pixel_line: 'require_not_pixel_line',
+  require_template: 'require_not_template'
+});
+
+/**
+ * Positive key for a require_not_* key (identity for positive keys).
+ */
+export function positiveRequireKey(key) {
+  const hit = Object.entries(NEGATED_KEYS).find(([, neg]) => neg === key);
+  return hit ? hit[0] : key;
+}
+
+/**
+ * The key's primary parameter is always written; every other parameter that
+ * applies to the shape type is appended when its effective value (override or
+ * scene-wide default) differs from the matcher's own default, so the matcher
+ * runs with the values the editor shows.
+ */
+function formatParams(shape, key) {
+  const params = getEffectiveCheckParams(shape);
+  const applicable = getApplicableCheckParams(shape);
+  const primary = PRIMARY_PARAM[key];
+  const out = [];
+  if (primary) out.push(`${primary}=${params[primary]}`);
+  KNOWN_PARAMS.forEach(k => {
+    if (k === primary || !applicable.includes(k)) return;
+    if (params[k] !== CHECK_PARAM_DEFAULTS[k]) out.push(`${k}=${params[k]}`);
+  });
+  return out;
+}
+
+// Image geometry, mapped to the export target's screen when there is one
+// (shifts: anchored shapes, see resolveAnchorShifts).
+function exportGeometry(shape, bgImage, mapping, shifts) {
+  const geom = getShapeImageGeometry(shape, bgImage);
+  if (!mapping) return geom;
+  return translateImageGeometry(mapImageGeometry(geom, mapping), shifts?.get(shape._id) || null);
+}
+
+// Outline of an ellipse geometry (center, rx / ry, angle in degrees) as polygon vertices.
+function ellipseOutline(geom) {
+  const a = (geom.angle || 0) * Math.PI / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const pts = [];
+  for (let i = 0; i < ELLIPSE_POLYGON_VERTICES; i++) {
+    const t = (i / ELLIPSE_POLYGON_VERTICES) * Math.PI * 2;
+    const x = geom.rx * Math.cos(t);
+    const y = geom.ry * Math.sin(t);
+    pts.push({ x: geom.center.x + x * cos - y * sin, y: geom.center.y + x * sin + y * cos });
+  }
+  return pts;
+}
+
+function shapeToIniEntry(shape, bgImage, warnings, mapping = null, shifts = null) {
+  const entry = positiveIniEntry(shape, bgImage, warnings, mapping, shifts);
+  if (!entry || !shape._negated) return entry;
+  return { ...entry, key: NEGATED_KEYS[entry.key] };
+}
+
+function positiveIniEntry(shape, bgImage, warnings, mapping, shifts) {
+  const type = shape?._type;
+  const geom = exportGeometry(shape, bgImage, mapping, shifts);
+  if (!geom) {
+    warnings.push(`${shapeDisplayName(shape)}: geometry unavailable; skipped`);
+    return null;
+  }
+
+  if (type === 'point') {
+    const key = 'require_pixel';
+    const color = resolveColor(shape, warnings);
+    return { key, value: [pixelIndex(geom.center.x), pixelIndex(geom.center.y), color, ...formatParams(shape, key)].join(',') };
+  }
+
+  if (type === 'rect') {
+    const key = 'require_pixel_rect';
+    const color = resolveColor(shape, warnings);
+    const b = geom.bounds;
+    return {
+      key,
+      value: [px(b.x1), px(b.y1), px(b.x2), px(b.y2), color, ...formatParams(shape, key)].join(',')
+    };
+  }
+
+  if (type === 'region') {
+    const key = 'require_color_region';
+    const color = resolveColor(shape, warnings);
+    const b = geom.bounds;
+    return {
+      key,
+      value: [px(b.x1), px(b.y1), px(b.x2), px(b.y2), color, ...formatParams(shape, key)].join(',')
+    };
+  }
+
+  if (type === 'template') {
+    const key = 'require_template';
+    if (!shape._template?.dataUrl) {
+      warnings.push(`${shapeDisplayName(shape)}: no template patch captured; ${templateFileName(shape)} not written`);
+    } else if (mapping && !isIdentityMapping(mapping)) {
+      warnings.push(`${shapeDisplayName(shape)}: ${templateFileName(shape)} keeps the source screen's pixel size`);
+    }
+    const b = geom.bounds;
+    return {
+      key,
+      value: [px(b.x1), px(b.y1), px(b.x2), px(b.y2), templateFileName(shape), ...formatParams(shape, key)].join(',')
+    };
+  }
+
+  if (type === 'circle') {
+    const key = 'require_pixel_circle';
+    const color = resolveColor(shape, warnings);
+    return {
+      key,
+      value: [px(geom.center.x), px(geom.center.y), px(geom.radius), color, ...formatParams(shape, key)].join(',')
+    };
+  }
+
+  if (type === 'line' && Array.isArray(geom.points) && geom.points.length === 2) {
+    const key = 'require_pixel_line';
+    const color = resolveColor(shape, warnings);
+    const [a, b] = geom.points;
+    return {
+      key,
+      value: [px(a.x), px(a.y), px(b.x), px(b.y), color, ...formatParams(shape, key)].join(',')
+    };
+  }
+
+  if (type === 'polygon' && Array.isArray(geom.points)) {
+    const key = 'require_color_polygon';
+    const color = resolveColor(shape, warnings);
+    const coords = geom.points.flatMap(p => [px(p.x), px(p.y)]);
+    return { key, value: [...coords, color, ...formatParams(shape, key)].join(',') };
+  }
+
+  if (type === 'ellipse' && shape._negated && Number.isFinite(geom.rx) && Number.isFinite(geom.ry)) {
+    const key = 'require_color_polygon';
+    const color = resolveColor(shape, warnings);
+    const coords = ellipseOutline(geom).flatMap(p => [px(p.x), px(p.y)]);
+    return { key, value: [...coords, color, ...formatParams(shape, key)].join(',') };
+  }
+  if (type === 'ellipse') {
+    warnings.push(`${shapeDisplayName(shape)}: ellipses have no INI equivalent unless negated; skipped`);
+    return null;
+  }
+
+  warnings.push(`${shapeDisplayName(shape)}: shape type '${type}' has no INI equivalent; skipped`);
+  return null;
+}
+
+function actionIniEntry(shape, bgImage, warnings, mapping = null, shifts = null) {
+  const geom = exportGeometry(shape, bgImage, mapping, shifts);
+  if (!geom) {
+    warnings.push(`${shapeDisplayName(shape)}: geometry unavailable; skipped`);
+    return null;
+  }
+  const type = shape._type;
+  if (type === 'tap') {
+    return { key: 'tap', value: [px(geom.center.x), px(geom.center.y)].join(',') };
+  }
+  const duration = getEffectiveCheckParams(shape).duration;
+  if (type === 'longpress') {
+    const x = px(geom.center.x);
+    const y = px(geom.center.y);
+    return { key: 'swipe', value: [x, y, x, y, duration].join(',') };
+  }
+  if (type === 'swipe' && Array.isArray(geom.points) && geom.points.length === 2) {
+    const [a, b] = geom.points;
+    return { key: 'swipe', value: [px(a.x), px(a.y), px(b.x), px(b.y), duration].join(',') };
+  }
+  warnings.push(`${shapeDisplayName(shape)}: action type '${type}' has no INI equivalent; skipped`);
+  return null;
+}
+
+/**
+ * Build the INI text for one scene. `mapping` (device-profiles.js) converts
+ * the exported coordinates to another screen.
+ * @param {{name?:string, logic?:string, logicGroups?:Array, shapes?:Array, bgImage?:object, mapping?:object}} scene
+ * @returns {{ text:string, warnings:string[], entryCount:number, actionCount:number, attachments:Array<{filename, dataUrl}> }}
+ */
+export function serializeSceneINI(scene = {}) {
+  const warnings = [];
+  const name = sanitizeSectionName(scene.name);
+  const logic = scene.logic === 'OR' ? 'OR' : 'AND';
+  const shapes = Array.isArray(scene.shapes) ? scene.shapes.filter(Boolean) : [];
+
+  const bgImage = scene.bgImage || null;
+  const mapping = scene.mapping || null;
+  const shifts = mapping ? resolveAnchorShifts(shapes, bgImage, mapping) : null;
+
+  const entries = [];
+  const actions = [];
+  shapes.forEach(shape => {
+    if (isActionShape(shape)) {
+      const action = actionIniEntry(shape, bgImage, warnings, mapping, shifts);
+      if (action) actions.push({ ...action, shape });
+      return;
+    }
+    const entry = shapeToIniEntry(shape, bgImage, warnings, mapping, shifts);
+    if (entry) entries.push({ ...entry, shape });
+  });
+
+  const tree = buildLogicTree(logic, scene.logicGroups, entries.map(e => e.shape._id));
+  const alreadyNegated = new Set(entries.filter(e => e.shape._negated).map(e => e.shape._id));
+  const flat = flattenLogicTree(tree, id => !alreadyNegated.has(id));
+  if (!flat.expressible) {
+    const labels = new Map(entries.map(e => [e.shape._id, shapeDisplayName(e.shape)]));
+    warnings.push(`Logic "${describeLogicNode(tree, id => labels.get(id) || id)}" cannot be expressed as one AND/OR; exported as flat ${logic}`);
+  }
+
+  // NOT groups over a single shape are written as that shape's require_not_* key.
+  const negated = new Set(flat.negated);
+  entries.forEach(entry => {
+    if (negated.has(entry.shape._id)) entry.key = NEGATED_KEYS[entry.key];
+  });
+
+  const lines = [`[${name}]`, `logic = ${flat.logic}`];
+  [...entries, ...actions].forEach(entry => {
+    const comment = labelComment(entry.shape);
+    if (comment) lines.push(comment);
+    lines.push(`${entry.key} = ${entry.value}`);
+  });
+  const entryCount = entries.length;
+
+  if (!String(scene.name ?? '').trim()) {
+    warnings.unshift(`Scene has no name; section exported as [${name}]`);
+  }
+
+  const attachments = getTemplateAttachments(entries.map(e => e.shape));
+  return { text: lines.join('\n') + '\n', warnings, entryCount, actionCount: actions.length, attachments };
+}
+
+/**
+ * The scene as the matcher will read it: each exported entry parsed back into
+ * a check (same shape as parseSceneINI section checks) tagged with its shape
+ * id, so results can be mapped onto shapes. Rounding is identical to the
+ * .ini text because every entry goes through the same formatter and parser.
+ * `tree` is the scene's logic tree over those checks (logic-tree.js).
+ * Template checks also carry the patch pixels (`template`, null while the
+ * patch is missing or still decoding).
+ * @returns {{ name:string, logic:string, tree:object, checks:Array<{id,label,key,coords,color,file,template,params}>, warnings:string[] }}
+ */
+export function serializeSceneChecks(scene = {}) {
+  const warnings = [];
+  const shapes = Array.isArray(scene.shapes) ? scene.shapes.filter(Boolean) : [];
+  const checks = [];
+  shapes.forEach(shape => {
+    if (isActionShape(shape)) return;
+    const entry = shapeToIniEntry(shape, scene.bgImage || null, warnings);
+    if (!entry) return;
+    const parsed = parseRequireValue(entry.key, entry.value);
+    if (parsed.error) {
+      warnings.push(`${shapeDisplayName(shape)}: ${parsed.error}`);
+      return;
+    }
+    checks.push({
+      id: shape._id || null,
+      label: shapeDisplayName(shape),
+      key: entry.key,
+      coords: parsed.coords,
+      color: parsed.color,
+      ...(parsed.file ? { file: parsed.file, template: getTemplatePixels(shape) } : {}),
+      params: parsed.params
+    });
+  });
+  const logic = scene.logic === 'OR' ? 'OR' : 'AND';
+  return {
+    name: sanitizeSectionName(scene.name),
+    logic,
+    tree: buildLogicTree(logic, scene.logicGroups, checks.map(c => c.id)),
+    checks,
+    warnings
+  };
+}
+
+/**
+ * INI for the current scene in the store.
+ * @returns {{ text:string, warnings:string[], entryCount:number }}
+ */
+export function serializeCurrentSceneINI() {
+  const state = getState();
+  const result = serializeSceneINI({
+    name: state.sceneName,
+    logic: state.sceneLogic,
+    logicGroups: state.logicGroups,
+    shapes: state.shapes,
+    bgImage: state.bgFabricImage
+  });
+  log("INFO", "[scene-ini] Scene serialized to INI", {
+    entryCount: result.entryCount,
+    warnings: result.warnings.length
+  });
+  return result;
+}
+
+/**
+ * INI for every scene of the document, in navigator order, one section each.
+ * Warnings are prefixed with the section name; template PNGs of every scene
+ * are collected in `attachments` (one per file name).
+ * With a `target` device profile, each scene's coordinates are converted from
+ * its own device profile (`mode` as in makeRescaleMapping).
+ * @param {{target?:object, mode?:string}} [options]
+ * @returns {{ text:string, warnings:string[], entryCount:number, actionCount:number, sceneCount:number, attachments:Array<{filename, dataUrl}> }}
+ */
+export function serializeDocumentINI(options = {}) {
+  const state = getState();
+  const target = options.target || null;
+  const records = getSceneRecords();
+  const warnings = [];
+  const seen = new Set();
+  const attachments = new Map();
+  let entryCount = 0;
+  let actionCount = 0;
+  const parts = records.map(rec => {
+    const active = rec.id === state.activeSceneId;
+    const section = sanitizeSectionName(rec.name);
+    const mapping = target && rec.device ? makeRescaleMapping(rec.device, target, options.mode) : null;
+    if (target && !mapping) {
+      warnings.push(`[${section}] no device profile; coordinates not converted to ${describeDeviceProfile(target)}`);
+    }
+    const r = serializeSceneINI({
+      name: rec.name,
+      logic: rec.logic,
+      logicGroups: rec.logicGroups,
+      shapes: rec.shapes,
+      bgImage: active ? state.bgFabricImage : null,
+      mapping
+    });
+    if (seen.has(section)) warnings.push(`[${section}] duplicate section name`);
+    seen.add(section);
+    r.warnings.forEach(w => warnings.push(`[${section}] ${w}`));
+    entryCount += r.entryCount;
+    actionCount += r.actionCount;
+    r.attachments.forEach(a => {
+      if (attachments.has(a.filename)) warnings.push(`[${section}] template file ${a.filename} used twice; last one written`);
+      attachments.set(a.filename, a);
+    });
+    return r.text;
+  });
+  log("INFO", "[scene-ini] Document serialized to INI", {
+    sceneCount: records.length,
+    entryCount,
+    actionCount,
+    target: target ? describeDeviceProfile(target) : null,
+    warnings: warnings.length
+  });
+  return {
+    text: parts.join('\n'),
+    warnings,
+    entryCount,
+    actionCount,
+    sceneCount: records.length,
+    attachments: [...attachments.values()]
+  };
+}
+
+export function exportSceneINI() {
+  return serializeDocumentINI().text;
+}
+
+/* ----------------- Parsing ----------------- */
+
+// Polygon keys take any number of X,Y pairs (at least 3) before the color.
+const VARIABLE_ARITY = 'pairs';
+const MIN_POLYGON_COORDS = 6;
+
+// Template keys name a PNG file where the other keys have a color.
+const FILE_VALUE_KEYS = new Set(['require_template', 'require_not_template']);
+
+/**
+ * Coordinate arity per require_* key (numbers before the #RRGGBB token).
+ */
+const REQUIRE_ARITY = {
+  require_pixel: 2,
+  require_pixel_rect: 4,
+  require_pixel_circle: 3,
+  require_color_region: 4,
+  require_not_pixel: 2,
+  require_not_pixel_rect: 4,
+  require_not_pixel_circle: 3,
+  require_not_color_region: 4,
+  require_pixel_line: 4,
+  require_not_pixel_line: 4,
+  require_color_polygon: VARIABLE_ARITY,
+  require_not_color_polygon: VARIABLE_ARITY,
+  require_template: 4,
+  require_not_template: 4
+};
+
+/**
+ * Shape type behind each positive require_* key (which parameters apply,
+ * see check-params.js getApplicableCheckParams).
+ */
+const REQUIRE_SHAPE_TYPE = {
+  require_pixel: 'point',
+  require_pixel_rect: 'rect',
+  require_pixel_circle: 'circle',
+  require_color_region: 'region',
+  require_color_polygon: 'polygon',
+  require_pixel_line: 'line',
+  require_template: 'template'
+};
+
+/**
+ * Coordinate arity per action key; a swipe may add a DURATION (ms).
+ */
+const ACTION_ARITY = {
+  tap: 2,
+  swipe: 4
+};
+
+function parseActionValue(key, value) {
+  const tokens = value.split(',').map(t => t.trim()).filter(t => t.length);
+  const arity = ACTION_ARITY[key];
+  const max = key === 'swipe' ? arity + 1 : arity;
+  if (tokens.length < arity || tokens.length > max) {
+    return { error: key === 'swipe' ? 'expected X1,Y1,X2,Y2 and an optional duration' : 'expected X,Y' };
+  }
+  const nums = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const n = Number(tokens[i]);
+    if (!Number.isFinite(n)) return { error: `value ${i + 1} is not a number ('${tokens[i]}')` };
+    nums.push(n);
+  }
+  const coords = nums.slice(0, arity);
+  if (nums.length === arity) return { coords, duration: null };
+  const duration = normalizeCheckParamValue('duration', nums[arity]);
+  if (duration !== nums[arity]) return { error: `duration must be 1–60000 ms ('${tokens[arity]}')` };
+  return { coords, duration };
+}
+
+function parseRequireValue(key, value) {
+  const tokens = value.split(',').map(t => t.trim()).filter(t => t.length);
+  let arity = REQUIRE_ARITY[key];
+  if (arity === VARIABLE_ARITY) {
+    arity = tokens.findIndex(t => t.startsWith('#'));
+    if (arity < MIN_POLYGON_COORDS || arity % 2) {
+      return { error: 'expected at least 3 X,Y vertex pairs and a color' };
+    }
+  }
+  const isFile = FILE_VALUE_KEYS.has(key);
+  if (tokens.length < arity + 1) {
+    return { error: `expected ${arity} coordinate(s) and ${isFile ? 'a .png file' : 'a color'}` };
+  }
+  const coords = [];
+  for (let i = 0; i < arity; i++) {
+    const n = Number(tokens[i]);
+    if (!Number.isFinite(n)) return { error: `coordinate ${i + 1} is not a number ('${tokens[i]}')` };
+    coords.push(n);
+  }
+  let color = null;
+  let file = null;
+  if (isFile) {
+    file = tokens[arity];
+    if (!/\.png$/i.test(file)) return { error: `invalid template file '${file}' (expected a .png)` };
+  } else {
+    color = normalizeHex(tokens[arity]);
+    if (!color) return { error: `invalid color '${tokens[arity]}' (expected #RRGGBB)` };
+  }
+
+  const params = {};
+  const notes = [];
+  const applicable = getApplicableCheckParams(REQUIRE_SHAPE_TYPE[positiveRequireKey(key)]);
+  for (const tok of tokens.slice(arity + 1)) {
+    const eq = tok.indexOf('=');
+    if (eq <= 0) return { error: `unexpected token '${tok}'` };
+    const pk = tok.slice(0, eq).trim().toLowerCase();
+    const pv = Number(tok.slice(eq + 1).trim());
+    if (!Number.isFinite(pv)) return { error: `parameter '${pk}' is not a number` };
+    if (!KNOWN_PARAMS.includes(pk)) {
+      notes.push(`unknown parameter '${pk}' ignored`);
+      continue;
+    }
+    if (!applicable.includes(pk)) {
+      notes.push(`parameter '${pk}' does not apply to ${key}; ignored`);
+      continue;
+    }
+    const v = normalizeCheckParamValue(pk, pv);
+    if (v !== pv) {
+      const { min, max } = getCheckParamLimits(pk);
+      notes.push(pv < min || pv > max
+        ? `parameter '${pk}' must be ${min}–${max} ('${pv}'); using ${v}`
+        : `parameter '${pk}' rounded to ${v} ('${pv}')`);
+    }
+    params[pk] = v;
+  }
+  return { coords, color, file, params, notes };
+}
+
+const LABEL_COMMENT_RE = /^[;#]\s*label\s*:\s*(.*)$/i;
+
+/**
+ * Parse automation INI text into scene sections.
+ * Pure: no store access. Lines that cannot be understood are reported in
+ * `errors` (1-based line numbers) rather than dropped. tap / swipe lines
+ * land in `actions` ({ key, line, coords, duration|null }). A "; label: NAME"
+ * comment gives the next check or action a `label`.
+ * Check parameters are validated against check-params.js: unknown ones and
+ * ones that do not apply to the key are dropped, out-of-range values are
+ * clamped, each with a line-numbered warning (`severity: 'warning'`).
+ * @returns {{ sections: Array<{name, logic, line, checks: Array, actions: Array}>, errors: Array<{line, text, reason}> }}
+ */
+export function parseSceneINI(text) {
+  const sections = [];
+  const errors = [];
+  let current = null;
+  let label = null;
+
+  String(text ?? '').split(/\r?\n/).forEach((raw, idx) => {
+    const line = idx + 1;
+    const trimmed = raw.trim();
+    const named = LABEL_COMMENT_RE.exec(trimmed);
+    if (named) {
+      label = normalizeShapeLabel(named[1]) || null;
+      return;
+    }
+    if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) return;
+    // A label belongs to the very next entry only.
+    const pendingLabel = label;
+    label = null;
+
+    const sec = /^\[(.*)\]$/.exec(trimmed);
+    if (sec) {
+      current = { name: sec[1].trim(), logic: 'AND', line, checks: [], actions: [] };
+      sections.push(current);
+      return;
+    }
+
+    const eq = trimmed.indexOf('=');
+    if (eq <= 0) {
+      errors.push({ line, text: raw, reason: 'not a key = value line' });
+      return;
+    }
+    if (!current) {
+      errors.push({ line, text: raw, reason: 'entry outside of a [Scene] section' });
+      return;
+    }
+
+    const key = trimmed.slice(0, eq).trim().toLowerCase();
+    const value = trimmed.slice(eq + 1).trim();
+
+    if (key === 'logic') {
+      const logic = value.toUpperCase();
+      if (logic !== 'AND' && logic !== 'OR') {
+        errors.push({ line, text: raw, reason: `logic must be AND or OR ('${value}')` });
+        return;
+      }
+      current.logic = logic;
+      return;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(ACTION_ARITY, key)) {
+      const action = parseActionValue(key, value);
+      if (action.error) {
+        errors.push({ line, text: raw, reason: action.error });
+        return;
+      }
+      current.actions.push({
+        key,
+        line,
+        coords: action.coords,
+        duration: action.duration,
+        ...(pendingLabel ? { label: pendingLabel } : {})
+      });
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(REQUIRE_ARITY, key)) {
+      errors.push({ line, text: raw, reason: `unsupported key '${key}'` });
+      return;
+    }
+
+    const parsed = parseRequireValue(key, value);
+    if (parsed.error) {
+      errors.push({ line, text: raw, reason: parsed.error });
+      return;
+    }
+    parsed.notes.forEach(note => errors.push({ line, text: raw, reason: note, severity: 'warning' }));
+    current.checks.push({
+      key,
+      line,
+      coords: parsed.coords,
+      color: parsed.color,
+      ...(parsed.file ? { file: parsed.file } : {}),
+      params: parsed.params,
+      ...(pendingLabel ? { label: pendingLabel } : {})
+    });
+  });
+
+  log("DEBUG", "[scene-ini] INI parsed", {
+    sections: sections.length,
+    checks: sections.reduce((n, s) => n + s.checks.length, 0),
+    actions: sections.reduce((n, s) => n + s.actions.length, 0),
+    errors: errors.length
+  });
+  return { sections, errors };
+}
@@ -1,15 +1,47 @@
 import { log } from '../log.js';
 import { getState, setShapes, setImage } from '../state.js';
-import { makePointShape, makeRectShape, makeCircleShape, makeEllipseShape } from '../shapes.js';
+import { dispatch } from '../commands/command-bus.js';
+import { getShapeImageGeometry, imageToCanvasPoint, placeShapeCenterAt } from '../geometry/shape-rect.js';
+import {
+  makePointShape,
+  makeRectShape,
+  makeColorRegionShape,
+  makeTemplateShape,
+  makeCircleShape,
+  makeEllipseShape,
+  makePolygonShape,
+  getPolygonPoints,
+  makeLineShape,
+  getLineEndpoints,
+  makeTapShape,
+  makeLongPressShape,
+  makeSwipeShape,
+  applyShapeLabel
+} from '../shapes.js';
 import {
   applyStrokeColorToShape,
   applyFillColorToShape,
   applyStrokeWidthToShape
 } from '../commands/commands-style.js';
 
+import { parseSceneINI, positiveRequireKey } from './scene-ini.js';
+import { getSceneRecords, replaceDocument, addScene } from '../scene-document.js';
+import { getCheckParamOverrides } from '../check-params.js';
+import { pruneLogicGroups } from '../logic-tree.js';
+import { getAnchor, normalizeAnchor } from '../anchors.js';
+import { hasCustomLabel, normalizeShapeLabel, uniqueShapeLabel } from '../shape-labels.js';
+
+export {
+  serializeSceneINI,
+  serializeCurrentSceneINI,
+  serializeDocumentINI,
+  exportSceneINI,
+  parseSceneINI
+} from './scene-ini.js';
+
 function primaryDrawableChild(group) {
   if (!group || !Array.isArray(group._objects)) return null;
-  const priority = ['ellipse', 'circle', 'rect', 'line'];
+  const priority = ['ellipse', 'circle', 'rect', 'polygon', 'line'];
   for (const t of priority) {
     const obj = group._objects.find(o => o && !o._isDiagnosticLabel && o.type === t);
     if (obj) return obj;
@@ -26,7 +58,67 @@ function readStyle(child) {
   return { stroke, fill, strokeWidth };
 }
 
-function shapeToSerializable(shape) {
+// Rect-geometry shapes share one serialized form.
+const BOX_FACTORIES = {
+  rect: makeRectShape,
+  region: makeColorRegionShape,
+  template: makeTemplateShape
+};
+
+// Tap / long-press: rebuilt around the tap point.
+const PRESS_FACTORIES = {
+  tap: makeTapShape,
+  longpress: makeLongPressShape
+};
+
+function readTemplate(t) {
+  if (!t || typeof t !== 'object') return null;
+  const out = {};
+  if (typeof t.dataUrl === 'string' && t.dataUrl.startsWith('data:image/')) out.dataUrl = t.dataUrl;
+  ['width', 'height', 'x', 'y'].forEach(k => {
+    if (Number.isFinite(Number(t[k]))) out[k] = Number(t[k]);
+  });
+  if (typeof t.file === 'string' && t.file) out.file = t.file;
+  return out.dataUrl || out.file ? out : null;
+}
+
+function readCheckData(shape) {
+  const out = {};
+  if (typeof shape._expectedColor === 'string' && shape._expectedColor) out.expectedColor = shape._expectedColor;
+  if (shape._expectedColorMode === 'manual') out.expectedColorMode = 'manual';
+  if (shape._negated) out.negated = true;
+  const params = getCheckParamOverrides(shape);
+  if (Object.keys(params).length) out.checkParams = params;
+  const template = shape._type === 'template' ? readTemplate(shape._template) : null;
+  if (template) out.template = template;
+  return out;
+}
+
+function applyCheckData(shape, s) {
+  if (typeof s.expectedColor === 'string' && s.expectedColor) shape._expectedColor = s.expectedColor;
+  if (s.expectedColorMode === 'manual') shape._expectedColorMode = 'manual';
+  if (s.negated === true) shape._negated = true;
+  if (s.checkParams && typeof s.checkParams === 'object') {
+    shape._checkParams = getCheckParamOverrides({ _checkParams: s.checkParams });
+  }
+  if (shape._type === 'template') shape._template = readTemplate(s.template);
+}
+
+/**
+ * One shape as its JSON record (the `shapes[]` entries of a scene).
+ */
+export function shapeToSerializable(shape) {
+  const base = shapeToSerializableBase(shape);
+  if (!base) return null;
+  const out = { ...base, ...readCheckData(shape) };
+  if (hasCustomLabel(shape)) out.label = normalizeShapeLabel(shape._label);
+  // Relationship only: the offset is the saved geometry itself (anchors.js).
+  const anchor = getAnchor(shape);
+  if (anchor) out.anchor = anchor;
+  return out;
+}
+
+function shapeToSerializableBase(shape) {
   if (!shape) return null;
   const type = shape._type || shape.type;
   const id = shape._id || null;
@@ -49,7 +141,7 @@ function shapeToSerializable(shape) {
   const child = primaryDrawableChild(shape);
   const style = readStyle(child);
 
-  if (type === 'rect') {
+  if (BOX_FACTORIES[type]) {
     const w = Number.isFinite(child?.width) ? Number(child.width) : 0;
     const h = Number.isFinite(child?.height) ? Number(child.height) : 0;
     return {
@@ -85,6 +177,36 @@ function shapeToSerializable(shape) {
     };
   }
 
+  if (PRESS_FACTORIES[type]) {
+    const c = getShapeImageGeometry(shape)?.center;
+    return {
+      id, type, locked,
+      transform: { left, top, scaleX, scaleY, angle },
+      base: { x: c?.x ?? left, y: c?.y ?? top },
+      style: null
+    };
+  }
+
+  // Polygon vertices / line endpoints are absolute canvas coordinates; the transform is informational.
+  if (type === 'line' || type === 'swipe') {
+    const [a, b] = getLineEndpoints(shape);
+    return {
+      id, type, locked,
+      transform: { left, top, scaleX, scaleY, angle },
+      base: { x1: a?.x ?? left, y1: a?.y ?? top, x2: b?.x ?? left, y2: b?.y ?? top },
+      style
+    };
+  }
+
+  if (type === 'polygon') {
+    return {
+      id, type, locked,
+      transform: { left, top, scaleX, scaleY, angle },
+      base: { points: getPolygonPoints(shape) },
+      style
+    };
+  }
+
   return {
     id, type: 'rect', locked,
     transform: { left, top, scaleX, scaleY, angle },
@@ -119,7 +241,10 @@ function applyLockFlags(shape, locked) {
   if (typeof shape.setCoords === 'function') { try { shape.setCoords(); } catch {} }
 }
 
-function makeShapeFromSerializable(s) {
+/**
+ * Rebuild a shape from its JSON record; null for an unknown record.
+ */
+export function makeShapeFromSerializable(s) {
   if (!s || typeof s !== 'object') return null;
   const type = s.type;
   const t = s.transform || {};
@@ -129,9 +254,10 @@ function makeShapeFromSerializable(s) {
 
   if (type === 'point') {
     group = makePointShape(s.base?.x ?? 0, s.base?.y ?? 0);
-  } else if (type === 'rect') {
+  } else if (BOX_FACTORIES[type]) {
     const b = s.base || {};
-    group = makeRectShape(Number(b.left) || 0, Number(b.top) || 0, Number(b.width) || 0, Number(b.height) || 0);
+    const make = BOX_FACTORIES[type];
+    group = make(Number(b.left) || 0, Number(b.top) || 0, Number(b.width) || 0, Number(b.height) || 0);
   } else if (type === 'circle') {
     const b = s.base || {};
     group = makeCircleShape(Number(b.cx) || 0, Number(b.cy) || 0, Number(b.r) || 0);
@@ -140,6 +266,14 @@ function makeShapeFromSerializable(s) {
     const rx = Number(b.rx) || 0;
     const ry = Number(b.ry) || 0;
     group = makeEllipseShape(Number(b.cx) || 0, Number(b.cy) || 0, rx * 2, ry * 2);
+  } else if (type === 'polygon') {
+    group = makePolygonShape(Array.isArray(s.base?.points) ? s.base.points : []);
+  } else if (PRESS_FACTORIES[type]) {
+    group = PRESS_FACTORIES[type](Number(s.base?.x) || 0, Number(s.base?.y) || 0);
+  } else if (type === 'line' || type === 'swipe') {
+    const b = s.base || {};
+    const make = type === 'swipe' ? makeSwipeShape : makeLineShape;
+    group = make(Number(b.x1) || 0, Number(b.y1) || 0, Number(b.x2) || 0, Number(b.y2) || 0);
   } else {
     const b = s.base || {};
     group = makeRectShape(Number(b.left) || 0, Number(b.top) || 0, Number(b.width) || 0, Number(b.height) || 0);
@@ -148,17 +282,22 @@ function makeShapeFromSerializable(s) {
   if (!group) return null;
 
   if (s.id) group._id = s.id;
+  // Also redraws the diagnostic label with the saved id.
+  applyShapeLabel(group, normalizeShapeLabel(s.label) || group._label);
 
-  try {
-    const next = {};
-    if (t.left !== undefined) next.left = Number(t.left) || 0;
-    if (t.top !== undefined) next.top = Number(t.top) || 0;
-    if (t.scaleX !== undefined) next.scaleX = Number(t.scaleX) || 1;
-    if (t.scaleY !== undefined) next.scaleY = Number(t.scaleY) || 1;
-    if (t.angle !== undefined) next.angle = Number(t.angle) || 0;
-    group.set(next);
-    if (typeof group.setCoords === 'function') { try { group.setCoords(); } catch {} }
-  } catch {}
+  // Polygons / lines / swipes are rebuilt from absolute points; no transform to re-apply.
+  if (type !== 'polygon' && type !== 'line' && type !== 'swipe') {
+    try {
+      const next = {};
+      if (t.left !== undefined) next.left = Number(t.left) || 0;
+      if (t.top !== undefined) next.top = Number(t.top) || 0;
+      if (t.scaleX !== undefined) next.scaleX = Number(t.scaleX) || 1;
+      if (t.scaleY !== undefined) next.scaleY = Number(t.scaleY) || 1;
+      if (t.angle !== undefined) next.angle = Number(t.angle) || 0;
+      group.set(next);
+      if (typeof group.setCoords === 'function') { try { group.setCoords(); } catch {} }
+    } catch {}
+  }
 
   try {
     if (style) {
@@ -168,6 +307,9 @@ function makeShapeFromSerializable(s) {
     }
   } catch {}
 
+  applyCheckData(group, s);
+  const anchor = normalizeAnchor(s.anchor);
+  if (anchor) group._anchor = anchor;
   applyLockFlags(group, !!s.locked);
   return group;
 }
@@ -185,11 +327,12 @@ function loadImageElement(url) {
   });
 }
 
+/**
+ * Version 1: the active scene only (kept for debug snapshots / legacy consumers).
+ */
 export function serializeScene() {
   const state = getState();
-  const canvas = state.fabricCanvas;
-  const width = canvas ? canvas.getWidth() : (state.settings?.canvasMaxWidth ?? 600);
-  const height = canvas ? canvas.getHeight() : (state.settings?.canvasMaxHeight ?? 400);
+  const { width, height } = canvasSize(state);
 
   const shapes = (state.shapes || []).filter(Boolean).map(shapeToSerializable).filter(Boolean);
 
@@ -203,6 +346,84 @@ export function serializeScene() {
   return payload;
 }
 
+function canvasSize(state) {
+  const canvas = state.fabricCanvas;
+  return {
+    width: canvas ? canvas.getWidth() : (state.settings?.canvasMaxWidth ?? 600),
+    height: canvas ? canvas.getHeight() : (state.settings?.canvasMaxHeight ?? 400)
+  };
+}
+
+/**
+ * Version 2: every scene of the document.
+ */
+export function serializeDocument() {
+  const state = getState();
+  const records = getSceneRecords();
+  const scenes = records.map(rec => {
+    const shapes = rec.shapes.filter(Boolean).map(shapeToSerializable).filter(Boolean);
+    return {
+      id: rec.id,
+      name: rec.name,
+      logic: rec.logic,
+      logicGroups: pruneLogicGroups(rec.logicGroups, shapes.map(s => s.id)),
+      device: rec.device || null,
+      guides: rec.guides || [],
+      imageURL: rec.imageURL || null,
+      shapes
+    };
+  });
+  const payload = {
+    version: 2,
+    canvas: canvasSize(state),
+    activeSceneIndex: Math.max(0, records.findIndex(r => r.id === state.activeSceneId)),
+    scenes
+  };
+  log("INFO", "[scene-io] Document serialized", {
+    sceneCount: scenes.length,
+    shapeCount: scenes.reduce((n, sc) => n + sc.shapes.length, 0)
+  });
+  return payload;
+}
+
+async function deserializeDocument(data) {
+  const imageCache = new Map();
+  const fields = [];
+  let shapesLoaded = 0;
+  let imagesSet = 0;
+  for (const sc of data.scenes) {
+    if (!sc || typeof sc !== 'object') continue;
+    const shapes = Array.isArray(sc.shapes) ? sc.shapes.map(makeShapeFromSerializable).filter(Boolean) : [];
+    shapesLoaded += shapes.length;
+    let imageObj = null;
+    const url = typeof sc.imageURL === 'string' && sc.imageURL ? sc.imageURL : null;
+    if (url) {
+      if (!imageCache.has(url)) {
+        imageCache.set(url, await loadImageElement(url).catch(e => {
+          log("WARN", "[scene-io] Failed to load image from URL", { url, error: e });
+          return null;
+        }));
+      }
+      imageObj = imageCache.get(url);
+      if (imageObj) imagesSet++;
+    }
+    fields.push({
+      id: typeof sc.id === 'string' ? sc.id : undefined,
+      name: sc.name,
+      logic: sc.logic,
+      logicGroups: sc.logicGroups,
+      device: sc.device,
+      guides: sc.guides,
+      imageURL: imageObj ? url : null,
+      imageObj,
+      shapes
+    });
+  }
+  replaceDocument(fields, data.activeSceneIndex);
+  log("INFO", "[scene-io] Document deserialized", { scenes: fields.length, shapesLoaded, imagesSet });
+  return { shapesLoaded, imageSet: imagesSet > 0, sceneCount: fields.length };
+}
+
 export async function deserializeScene(scene) {
   const data = typeof scene === 'string' ? JSON.parse(scene) : scene;
   if (!data || typeof data !== 'object') {
@@ -210,6 +431,11 @@ export async function deserializeScene(scene) {
     return { shapesLoaded: 0, imageSet: false };
   }
 
+  if (Number(data.version) >= 2 && Array.isArray(data.scenes)) {
+    return await deserializeDocument(data);
+  }
+
+  // Version 1: single scene, loaded into the active scene.
   const shapes = Array.isArray(data.shapes) ? data.shapes.map(makeShapeFromSerializable).filter(Boolean) : [];
   setShapes(shapes);
 
@@ -225,11 +451,11 @@ export async function deserializeScene(scene) {
   }
 
   log("INFO", "[scene-io] Scene deserialized", { shapesLoaded: shapes.length, imageSet });
-  return { shapesLoaded: shapes.length, imageSet };
+  return { shapesLoaded: shapes.length, imageSet, sceneCount: 1 };
 }
 
 export function exportSceneJSON(pretty = true) {
-  const obj = serializeScene();
+  const obj = serializeDocument();
   return pretty ? JSON.stringify(obj, null, 2) : JSON.stringify(obj);
 }
 
@@ -237,3 +463,151 @@ export async function importSceneJSON(json) {
   const obj = JSON.parse(json);
   return await deserializeScene(obj);
 }
+
+/* ----------------- INI import ----------------- */
+
+function makeShapeFromIniCheck(check, bgImage) {
+  const c = check.coords;
+  const key = positiveRequireKey(check.key);
+  let group = null;
+  let cx = 0;
+  let cy = 0;
+
+  if (key === 'require_pixel') {
+    // Center of pixel X,Y (scene-ini.js exports the pixel a point lies in).
+    cx = c[0] + 0.5; cy = c[1] + 0.5;
+    group = makePointShape(cx, cy);
+  } else if (key === 'require_pixel_rect' || key === 'require_color_region') {
+    const x1 = Math.min(c[0], c[2]);
+    const y1 = Math.min(c[1], c[3]);
+    const w = Math.abs(c[2] - c[0]);
+    const h = Math.abs(c[3] - c[1]);
+    cx = x1 + w / 2; cy = y1 + h / 2;
+    group = key === 'require_color_region'
+      ? makeColorRegionShape(x1, y1, w, h)
+      : makeRectShape(x1, y1, w, h);
+  } else if (key === 'require_template') {
+    const x1 = Math.min(c[0], c[2]);
+    const y1 = Math.min(c[1], c[3]);
+    const w = Math.abs(c[2] - c[0]);
+    const h = Math.abs(c[3] - c[1]);
+    cx = x1 + w / 2; cy = y1 + h / 2;
+    group = makeTemplateShape(x1, y1, w, h);
+    // The PNG is not read back; template-capture.js crops the patch from
+    // the current screenshot under the same footprint, keeping the name.
+    group._template = { file: check.file };
+  } else if (key === 'require_pixel_circle') {
+    cx = c[0]; cy = c[1];
+    group = makeCircleShape(cx, cy, c[2]);
+  } else if (key === 'require_pixel_line') {
+    const [a, b] = [{ x: c[0], y: c[1] }, { x: c[2], y: c[3] }].map(p => imageToCanvasPoint(p, bgImage));
+    group = makeLineShape(a.x, a.y, b.x, b.y);
+  } else if (key === 'require_color_polygon') {
+    const pts = [];
+    for (let i = 0; i + 1 < c.length; i += 2) pts.push(imageToCanvasPoint({ x: c[i], y: c[i + 1] }, bgImage));
+    group = makePolygonShape(pts);
+  }
+  if (!group) return null;
+
+  if (key !== 'require_color_polygon' && key !== 'require_pixel_line') placeShapeCenterAt(group, cx, cy, bgImage);
+  if (check.color) {
+    group._expectedColor = check.color;
+    // INI colors are authored values: pin them so sampling never overwrites.
+    group._expectedColorMode = 'manual';
+  }
+  if (key !== check.key) group._negated = true;
+  // Normalized like a JSON record (applyCheckData); parseSceneINI reported what it adjusted.
+  const params = getCheckParamOverrides({ _checkParams: check.params });
+  if (Object.keys(params).length) group._checkParams = params;
+  return group;
+}
+
+/**
+ * tap → tap shape; a swipe that starts and ends on one point → long-press,
+ * any other swipe → swipe. A written duration becomes a per-shape override.
+ */
+function makeShapeFromIniAction(action, bgImage) {
+  const c = action.coords;
+  let group = null;
+  if (action.key === 'tap' || (c[0] === c[2] && c[1] === c[3])) {
+    const p = imageToCanvasPoint({ x: c[0], y: c[1] }, bgImage);
+    group = action.key === 'tap' ? makeTapShape(p.x, p.y) : makeLongPressShape(p.x, p.y);
+  } else {
+    const [a, b] = [{ x: c[0], y: c[1] }, { x: c[2], y: c[3] }].map(p => imageToCanvasPoint(p, bgImage));
+    group = makeSwipeShape(a.x, a.y, b.x, b.y);
+  }
+  if (action.key === 'swipe' && action.duration !== null) group._checkParams = { duration: action.duration };
+  return group;
+}
+
+/**
+ * Import an automation .ini.
+ * The first section goes into the ACTIVE scene: its shapes (ADD_SHAPES) and
+ * its name / logic (SET_SCENE_NAME / SET_SCENE_LOGIC) are applied as one
+ * BATCH, so a single undo removes the whole import. Every further section
+ * becomes a new scene sharing the active image (document-level, not
+ * undoable).
+ * @returns {{ shapesLoaded:number, sceneName:string|null, sceneCount:number, errors:Array, warnings:string[] }}
+ */
+export async function importSceneINI(text) {
+  const { sections, errors } = parseSceneINI(text);
+  const warnings = [];
+
+  if (!sections.length) {
+    log("WARN", "[scene-io] INI import: no [Scene] section found", { errors: errors.length });
+    return { shapesLoaded: 0, sceneName: null, sceneCount: 0, errors, warnings };
+  }
+
+  const bgImage = getState().bgFabricImage || null;
+  // "; label:" comments name the shapes; clashes within the scene get "(2)", "(3)", ….
+  const buildShapes = (section, existing = []) => {
+    const taken = [...existing];
+    return [
+      ...section.checks.map(check => [makeShapeFromIniCheck(check, bgImage), check.label]),
+      ...section.actions.map(action => [makeShapeFromIniAction(action, bgImage), action.label])
+    ].filter(([group]) => group).map(([group, label]) => {
+      const text = normalizeShapeLabel(label);
+      if (text) applyShapeLabel(group, uniqueShapeLabel(text, taken));
+      taken.push(group);
+      return group;
+    });
+  };
+
+  const [first, ...rest] = sections;
+  const firstShapes = buildShapes(first, (getState().shapes || []).filter(Boolean));
+  const restShapes = rest.map(section => buildShapes(section));
+  let shapesLoaded = firstShapes.length;
+
+  const commands = [];
+  if (firstShapes.length) {
+    commands.push({ type: 'ADD_SHAPES', payload: { shapes: firstShapes } });
+  }
+  if (first.name && first.name !== getState().sceneName) {
+    commands.push({ type: 'SET_SCENE_NAME', payload: { name: first.name } });
+  }
+  if (first.logic !== getState().sceneLogic) {
+    commands.push({ type: 'SET_SCENE_LOGIC', payload: { logic: first.logic } });
+  }
+  if (commands.length) dispatch({ type: 'BATCH', payload: { commands } });
+
+  rest.forEach((section, i) => {
+    addScene({ name: section.name, logic: section.logic, shapes: restShapes[i], activate: false });
+    shapesLoaded += restShapes[i].length;
+  });
+  if (rest.length) {
+    warnings.push(`${rest.length} additional section(s) added as new scenes (scene list changes are not undoable)`);
+  }
+  const templateCount = sections.reduce((n, sec) => n + sec.checks.filter(c => c.file).length, 0);
+  if (templateCount) {
+    warnings.push(`${templateCount} template(s): PNG files are not read; patches are cropped from the current screenshot`);
+  }
+
+  log("INFO", "[scene-io] INI imported", {
+    sceneName: first.name,
+    sceneCount: sections.length,
+    shapesLoaded,
+    errors: errors.length,
+    warnings: warnings.length
+  });
+  return { shapesLoaded, sceneName: first.name, sceneCount: sections.length, errors, warnings };
+}
@@ -34,6 +34,42 @@ export const settingsRegistry = [
   { key: "defaultRectWidth", label: "Rect Width", type: "number", default: 50, min: 10, max: 500, step: 1 },
   { key: "defaultRectHeight", label: "Rect Height", type: "number", default: 30, min: 10, max: 500, step: 1 },
   { key: "defaultCircleRadius", label: "Circle Radius", type: "number", default: 15, min: 2, max: 200, step: 1 },
+  { key: "defaultCheckStep", label: "Check Step (rect grid px)", type: "number", default: 8, min: 1, max: 200, step: 1 },
+  { key: "defaultCheckCount", label: "Check Count (circle points)", type: "number", default: 12, min: 1, max: 360, step: 1 },
+  { key: "defaultCheckTolerance", label: "Check Tolerance", type: "number", default: 40, min: 0, max: 255, step: 1 },
+  { key: "defaultCheckThreshold", label: "Check Threshold (template score 0–1)", type: "number", default: 0.9, min: 0, max: 1, step: 0.01 },
+  { key: "defaultActionDuration", label: "Swipe / Long-press Duration (ms)", type: "number", default: 500, min: 1, max: 60000, step: 1 },
+  { key: "samplePointsOverlay", label: "Show Sample Points", type: "select", default: "selected", options: [
+      { value: "off", label: "Off" },
+      { value: "selected", label: "Selected shapes" },
+      { value: "all", label: "All shapes" }
+    ]
+  },
+  { key: "toleranceTintOverlay", label: "Region Tolerance Tint", type: "select", default: "all", options: [
+      { value: "off", label: "Off" },
+      { value: "selected", label: "Selected regions" },
+      { value: "all", label: "All regions" }
+    ]
+  },
+  { key: "anchorLinkOverlay", label: "Show Anchor Links", type: "select", default: "all", options: [
+      { value: "off", label: "Off" },
+      { value: "selected", label: "Selected shapes" },
+      { value: "all", label: "All anchored shapes" }
+    ]
+  },
+  { key: "showMatchBadges", label: "Show Match Badges", type: "boolean", default: true },
+  { key: "showRulers", label: "Show Rulers & Ruler Guides", type: "boolean", default: true },
+  { key: "showStatusBar", label: "Show Status Bar", type: "boolean", default: true },
+  { key: "smartGuides", label: "Smart Guides & Snapping (Alt bypasses)", type: "boolean", default: true },
+  { key: "snapThresholdPx", label: "Snap Threshold (screen px)", type: "number", default: 6, min: 1, max: 30, step: 1 },
+  { key: "snapGridSize", label: "Snap Grid (image px, 0 = off)", type: "number", default: 0, min: 0, max: 500, step: 1 },
+  { key: "pixelGridMinZoom", label: "Pixel Grid From Zoom (0 = off)", type: "number", default: 8, min: 0, max: 32, step: 1 },
+  { key: "pixelSnap", label: "Snap to Pixels on Drop (Alt bypasses)", type: "select", default: "zoomed", options: [
+      { value: "off", label: "Off" },
+      { value: "zoomed", label: "While the pixel grid shows" },
+      { value: "always", label: "Always" }
+    ]
+  },
   { key: "shapeStartXPercent", label: "Shape Start X (%)", type: "number", default: 10, min: 0, max: 100, step: 1 },
   { key: "shapeStartYPercent", label: "Shape Start Y (%)", type: "number", default: 5, min: 0, max: 100, step: 1 },
   { key: "toolbarUIScale", label: "Toolbar UI Scale", type: "number", default: 1, min: 0.5, max: 2, step: 0.1 },
@@ -76,6 +112,13 @@ export const settingsRegistry = [
   { key: "showRightSidebarPanel", label: "Show Right Sidebar", type: "boolean", default: true },
   { key: "showSettingsPanel", label: "Show Settings Panel", type: "boolean", default: true },
   { key: "showHistoryPanel", label: "Show History Panel", type: "boolean", default: false },
+  { key: "showSceneNavigatorPanel", label: "Show Scenes Panel", type: "boolean", default: true },
+  { key: "showShapeListPanel", label: "Show Shapes Panel", type: "boolean", default: true },
+  { key: "showInspectorPanel", label: "Show Inspector Panel", type: "boolean", default: true },
+  { key: "showPropertiesPanel", label: "Show Properties Panel", type: "boolean", default: true },
+  { key: "showLogicPanel", label: "Show Logic Panel", type: "boolean", default: true },
+  { key: "showTestBenchPanel", label: "Show Test Bench Panel", type: "boolean", default: false },
+  { key: "showFlowGraphPanel", label: "Show Flow Graph Panel", type: "boolean", default: false },
 
   { key: "exportFilename", label: "Export Filename", type: "text", default: "scene-{YYYY}{MM}{DD}-{hh}{mm}{ss}.json" }
 ];
@@ -1,6 +1,7 @@
 export const SHAPE_DEFS = {
   rect: {
     label: "Rectangle",
+    defaultLabel: "Rect",
     enabledAnchors: [
       'top-left','top-center','top-right',
       'middle-left','middle-right',
@@ -12,8 +13,37 @@ export const SHAPE_DEFS = {
     selectable: true,
     editable: true
   },
+  region: {
+    label: "Color Region",
+    defaultLabel: "Region",
+    enabledAnchors: [
+      'top-left','top-center','top-right',
+      'middle-left','middle-right',
+      'bottom-left','bottom-center','bottom-right'
+    ],
+    rotateEnabled: true,
+    keepRatio: false,
+    resizable: true,
+    selectable: true,
+    editable: true
+  },
+  template: {
+    label: "Template",
+    defaultLabel: "Template",
+    enabledAnchors: [
+      'top-left','top-center','top-right',
+      'middle-left','middle-right',
+      'bottom-left','bottom-center','bottom-right'
+    ],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: true,
+    selectable: true,
+    editable: true
+  },
   circle: {
     label: "Circle",
+    defaultLabel: "Circle",
     enabledAnchors: ['top-left','top-right','bottom-left','bottom-right'],
     rotateEnabled: false,
     keepRatio: true,
@@ -23,6 +53,7 @@ export const SHAPE_DEFS = {
   },
   ellipse: {
     label: "Ellipse",
+    defaultLabel: "Ellipse",
     enabledAnchors: [
       'top-left','top-center','top-right',
       'middle-left','middle-right',
@@ -34,14 +65,69 @@ export const SHAPE_DEFS = {
     selectable: true,
     editable: true
   },
+  polygon: {
+    label: "Polygon",
+    defaultLabel: "Polygon",
+    enabledAnchors: [],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: false,
+    selectable: true,
+    editable: true
+  },
+  line: {
+    label: "Line",
+    defaultLabel: "Line",
+    enabledAnchors: [],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: false,
+    selectable: true,
+    editable: true
+  },
   point: {
     label: "Point",
+    defaultLabel: "Point",
     enabledAnchors: [],
     rotateEnabled: false,
     keepRatio: false,
     resizable: false,
     selectable: true,
     editable: false
+  },
+  // Input actions (shapes-action.js): exported as tap / swipe lines, never checked.
+  tap: {
+    label: "Tap",
+    defaultLabel: "Tap",
+    enabledAnchors: [],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: false,
+    selectable: true,
+    editable: false,
+    action: true
+  },
+  longpress: {
+    label: "Long-press",
+    defaultLabel: "Long-press",
+    enabledAnchors: [],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: false,
+    selectable: true,
+    editable: false,
+    action: true
+  },
+  swipe: {
+    label: "Swipe",
+    defaultLabel: "Swipe",
+    enabledAnchors: [],
+    rotateEnabled: false,
+    keepRatio: false,
+    resizable: false,
+    selectable: true,
+    editable: true,
+    action: true
   }
 };
 
@@ -49,3 +135,19 @@ export function getShapeDef(shapeOrType) {
   const type = typeof shapeOrType === "string" ? shapeOrType : shapeOrType?._type;
   return SHAPE_DEFS[type] || null;
 }
+
+/**
+ * Label a new shape of this type starts with (shown on the canvas, used
+ * until the user names it, see shape-labels.js).
+ */
+export function getDefaultShapeLabel(shapeOrType) {
+  return getShapeDef(shapeOrType)?.defaultLabel || 'Shape';
+}
+
+/**
+ * True for input action shapes (tap / long-press / swipe), which carry no
+ * color check.
+ */
+export function isActionShape(shapeOrType) {
+  return !!getShapeDef(shapeOrType)?.action;
+}
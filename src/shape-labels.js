@@ -0,0 +1,76 @@
+/**
+ * shape-labels.js
+ * -----------------------------------------------------------
+ * Scene Designer – Shape labels (pure rules)
+ *
+ * Every shape has a label (shape._label), shown on the canvas above its id
+ * (shapes-core.js makeDiagnosticLabel) and in the panels. New shapes start
+ * with their type's default label ('Rect', 'Point', …, shape-defs.js); the
+ * user renames them through SET_LABEL (sidebar table, double-click on the
+ * canvas).
+ *
+ * Rules:
+ *   - whitespace is collapsed and trimmed; at most MAX_LABEL_LENGTH chars;
+ *   - an empty label means the type's default label;
+ *   - a custom label is unique within its scene (case-insensitive); default
+ *     labels are shared by every shape of the type.
+ *
+ * Custom labels are saved in the JSON document and written to the .ini as a
+ * "; label: …" comment above the shape's line (scene-ini.js).
+ * -----------------------------------------------------------
+ */
+
+import { getDefaultShapeLabel } from './shape-defs.js';
+
+export const MAX_LABEL_LENGTH = 64;
+
+export function normalizeShapeLabel(text) {
+  return String(text ?? '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * True when the shape carries a label the user gave it.
+ */
+export function hasCustomLabel(shape) {
+  const label = normalizeShapeLabel(shape?._label);
+  return !!label && label !== getDefaultShapeLabel(shape);
+}
+
+/**
+ * Another shape in `shapes` labelled `label` (case-insensitive), or null.
+ */
+export function findLabelConflict(label, shapes, exceptId = null) {
+  const key = normalizeShapeLabel(label).toLowerCase();
+  if (!key) return null;
+  return (Array.isArray(shapes) ? shapes : []).find(s => (
+    s && s._id !== exceptId && normalizeShapeLabel(s._label).toLowerCase() === key
+  )) || null;
+}
+
+/**
+ * The label `text` gives `shape` among `shapes` (the scene), or an error.
+ * @returns {{ label: string, error: string|null }}
+ */
+export function validateShapeLabel(shape, text, shapes) {
+  const fallback = getDefaultShapeLabel(shape);
+  const label = normalizeShapeLabel(text) || fallback;
+  if (label.length > MAX_LABEL_LENGTH) {
+    return { label, error: `Label is longer than ${MAX_LABEL_LENGTH} characters` };
+  }
+  if (label !== fallback) {
+    const other = findLabelConflict(label, shapes, shape?._id ?? null);
+    if (other) return { label, error: `"${label}" is already used by ${other._id}` };
+  }
+  return { label, error: null };
+}
+
+/**
+ * `label`, or "label (2)", "label (3)", … when a shape in `shapes` has it.
+ */
+export function uniqueShapeLabel(label, shapes) {
+  const base = normalizeShapeLabel(label);
+  if (!findLabelConflict(base, shapes)) return base;
+  let n = 2;
+  while (findLabelConflict(`${base} (${n})`, shapes)) n++;
+  return `${base} (${n})`;
+}
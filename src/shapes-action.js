@@ -0,0 +1,147 @@
+import fabric, { Circle, Line, Triangle, Group } from './fabric-wrapper.js';
+import {
+  getDefaultStrokeWidth,
+  getShowDiagnosticLabels,
+  makeDiagnosticLabel,
+  generateShapeId,
+  setGroupDiagnosticLabelVisible
+} from './shapes-core.js';
+import { placeLine, placeArrowHead } from './shapes-line.js';
+import { setShapeState } from './shape-state.js';
+import { getDefaultShapeLabel } from './shape-defs.js';
+import { log } from './log.js';
+
+/*
+  Action shapes
+  -------------
+  Input annotations for ADB (`input tap` / `input swipe`), exported as
+  `tap = X,Y` / `swipe = X1,Y1,X2,Y2,DURATION` (scene-ini.js). They are not
+  checks: no expected color, no sampling, no logic membership.
+
+  - tap: ring + center dot at the tap point.
+  - longpress: a tap with an extra dashed outer ring; exported as a swipe
+    that starts and ends on the same point.
+  - swipe: Group([Line, arrowhead, label]) from start to end. The endpoints
+    are edited like a line shape (getLineEndpoints / setLineEndpoints in
+    shapes-line.js keep the arrowhead on the end point); placeLine centers
+    the Line on its midpoint, so a vertical / horizontal swipe exports the
+    coordinates it was drawn with on every save / load.
+
+  All three share one fixed orange styling so they never read as a check,
+  and none of them scale or rotate.
+*/
+
+const ACTION_COLOR = '#ff7a00';
+const ACTION_FILL = 'rgba(255,122,0,0.25)';
+const TAP_RADIUS = 12;
+const LONGPRESS_RING_RADIUS = 18;
+const LONGPRESS_DASH = [4, 3];
+const SWIPE_HIT_PADDING = 6;
+
+// Centered on (x, y) exactly (left/top would put it half a stroke off).
+function makeRing(x, y, r, opts = {}) {
+  const c = new Circle({
+    radius: r,
+    stroke: ACTION_COLOR,
+    strokeWidth: opts.strokeWidth ?? getDefaultStrokeWidth(),
+    strokeDashArray: opts.strokeDashArray ?? null,
+    fill: opts.fill ?? 'transparent',
+    strokeUniform: true
+  });
+  c.setPositionByOrigin(new fabric.Point(x, y), 'center', 'center');
+  c.selectable = false;
+  c.evented = false;
+  c.objectCaching = false;
+  return c;
+}
+
+function finishActionGroup(group, { type, label, id, labelObj }) {
+  group._type = type;
+  group._label = label;
+  group.locked = false;
+  group._id = id;
+  group._diagLabel = labelObj;
+  group.objectCaching = false;
+  group.set({
+    lockScalingX: true,
+    lockScalingY: true,
+    lockRotation: true
+  });
+  if (!getShowDiagnosticLabels()) {
+    setGroupDiagnosticLabelVisible(group, false);
+  }
+  setShapeState(group, 'default');
+  return group;
+}
+
+function buildPressShape(x, y, { type, outerRing }) {
+  const id = generateShapeId(type);
+  const label = getDefaultShapeLabel(type);
+  // The tap ring comes first: geometry/shape-rect.js takes the first circle as the shape.
+  const objs = [
+    makeRing(x, y, TAP_RADIUS, { fill: ACTION_FILL }),
+    makeRing(x, y, 2.5, { strokeWidth: 1, fill: ACTION_COLOR })
+  ];
+  if (outerRing) objs.push(makeRing(x, y, LONGPRESS_RING_RADIUS, { strokeDashArray: LONGPRESS_DASH }));
+  const labelObj = makeDiagnosticLabel(label, id, x, y - (outerRing ? LONGPRESS_RING_RADIUS : TAP_RADIUS));
+  objs.push(labelObj);
+
+  const group = new Group(objs, { selectable: true, evented: true });
+  group.set({ hasControls: false, hoverCursor: 'move' });
+  return finishActionGroup(group, { type, label, id, labelObj });
+}
+
+export function makeTapShape(x, y) {
+  log("DEBUG", "[shapes-action] makeTapShape ENTRY", { x, y });
+  const group = buildPressShape(x, y, { type: 'tap', outerRing: false });
+  log("DEBUG", "[shapes-action] makeTapShape EXIT", { id: group._id });
+  return group;
+}
+
+export function makeLongPressShape(x, y) {
+  log("DEBUG", "[shapes-action] makeLongPressShape ENTRY", { x, y });
+  const group = buildPressShape(x, y, { type: 'longpress', outerRing: true });
+  log("DEBUG", "[shapes-action] makeLongPressShape EXIT", { id: group._id });
+  return group;
+}
+
+export function makeSwipeShape(x1, y1, x2, y2) {
+  const strokeW = getDefaultStrokeWidth();
+  log("DEBUG", "[shapes-action] makeSwipeShape ENTRY", { x1, y1, x2, y2, strokeW });
+
+  const line = new Line([x1, y1, x2, y2], {
+    stroke: ACTION_COLOR,
+    strokeWidth: strokeW
+  });
+  placeLine(line, { x: x1, y: y1 }, { x: x2, y: y2 });
+  line.selectable = false;
+  line.evented = false;
+  line.strokeUniform = true;
+  line.objectCaching = false;
+
+  const headSize = Math.max(10, strokeW * 4);
+  const arrow = new Triangle({
+    width: headSize * 0.8,
+    height: headSize,
+    fill: ACTION_COLOR,
+    strokeWidth: 0
+  });
+  arrow._isArrowHead = true;
+  arrow.selectable = false;
+  arrow.evented = false;
+  arrow.objectCaching = false;
+  placeArrowHead(arrow, { x: x1, y: y1 }, { x: x2, y: y2 });
+
+  const id = generateShapeId('swipe');
+  const label = getDefaultShapeLabel('swipe');
+  const labelObj = makeDiagnosticLabel(label, id, x1, y1);
+
+  const group = new Group([line, arrow, labelObj], {
+    selectable: true,
+    evented: true,
+    padding: SWIPE_HIT_PADDING
+  });
+  finishActionGroup(group, { type: 'swipe', label, id, labelObj });
+  log("DEBUG", "[shapes-action] makeSwipeShape EXIT", { id: group._id });
+  return group;
+}
@@ -1,7 +1,8 @@
-import { Rect, Circle, Ellipse, Group, Text } from './fabric-wrapper.js';
+import fabric, { Rect, Circle, Ellipse, Group, Text } from './fabric-wrapper.js';
 import { log } from './log.js';
 import { setShapeState } from './shape-state.js';
 import { getState } from './state.js';
+import { getDefaultShapeLabel } from './shape-defs.js';
 
 let currentStrokeWidth = 1;
 
@@ -50,7 +51,7 @@ function hexToRGBA(hex) {
   }
   return { r: 0, g: 0, b: 0, a: 1 };
 }
-function rgbaStringFromHex(hex, alphaOverridePct = null) {
+export function rgbaStringFromHex(hex, alphaOverridePct = null) {
   const { r, g, b, a } = hexToRGBA(hex);
   const aOut = alphaOverridePct === null || alphaOverridePct === undefined
     ? a
@@ -114,7 +115,7 @@ export function setShapeStrokeWidth(shape, width = 1) {
   if (shape._objects && Array.isArray(shape._objects)) {
     shape._objects.forEach(obj => {
       if (obj._isDiagnosticLabel) return;
-      if (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'line' || obj.type === 'ellipse') {
+      if (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'line' || obj.type === 'ellipse' || obj.type === 'polygon') {
         applyToObj(obj);
       }
     });
@@ -131,7 +132,7 @@ function getShapeCurrentStrokeWidth(shape) {
     const child = shape._objects.find(obj =>
       obj &&
       !obj._isDiagnosticLabel &&
-      (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'line' || obj.type === 'ellipse') &&
+      (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'line' || obj.type === 'ellipse' || obj.type === 'polygon') &&
       Number.isFinite(Number(obj.strokeWidth))
     );
     if (!child) return null;
@@ -153,7 +154,7 @@ export function setStrokeColorForSelectedShapes(hexColor) {
     if (!Array.isArray(shape._objects)) return;
     shape._objects.forEach(obj => {
       if (!obj || obj._isDiagnosticLabel) return;
-      if (obj.type === 'line' || obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse') {
+      if (obj.type === 'line' || obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse' || obj.type === 'polygon') {
         if ('stroke' in obj) obj.set({ stroke: color });
         if ('strokeUniform' in obj) obj.set({ strokeUniform: true });
         obj.objectCaching = false;
@@ -185,7 +186,7 @@ export function setFillColorForSelectedShapes(hexColor, alphaPercent = null) {
     shape._objects.forEach(obj => {
       if (!obj || obj._isDiagnosticLabel) return;
       if (!isPoint) {
-        if ((obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse') && 'fill' in obj) {
+        if ((obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse' || obj.type === 'polygon') && 'fill' in obj) {
           obj.set({ fill: rgba });
           obj.objectCaching = false;
           obj.dirty = true;
@@ -204,8 +205,12 @@ export function setFillColorForSelectedShapes(hexColor, alphaPercent = null) {
   });
 }
 
+function diagnosticLabelText(label, id) {
+  return `${label}\n${id}`;
+}
+
 export function makeDiagnosticLabel(label, id, x, y) {
-  const text = new Text(`${label}\n${id}`, {
+  const text = new Text(diagnosticLabelText(label, id), {
     left: x,
     top: y - 18,
     fontSize: 11,
@@ -231,6 +236,21 @@ function findLabelChild(group) {
   return group._objects.find(o => o && o._isDiagnosticLabel) || null;
 }
 
+/**
+ * Set a shape's label and show it (with the id) in its diagnostic label,
+ * also while labels are hidden (the text is parked on group._diagLabel).
+ * No validation here: SET_LABEL checks uniqueness (shape-labels.js).
+ */
+export function applyShapeLabel(group, label) {
+  if (!group) return;
+  group._label = label;
+  const child = findLabelChild(group) || group._diagLabel || null;
+  if (!child) return;
+  child.set({ text: diagnosticLabelText(label, group._id || '') });
+  child.dirty = true;
+  group.dirty = true;
+}
+
 export function setGroupDiagnosticLabelVisible(group, visible) {
   if (!group) return;
   const canvas = getState().fabricCanvas;
@@ -281,6 +301,33 @@ export function applyDiagnosticLabelsVisibility(visible) {
   log("DEBUG", "[shapes] applyDiagnosticLabelsVisibility EXIT");
 }
 
+/**
+ * Refit a group's box around its children after one of them changed
+ * geometry in place (polygon vertices, line endpoints). groupMatrix is the
+ * group transform captured BEFORE the change; the children keep their canvas
+ * placement, only the group bounds move.
+ */
+export function refitGroupToChildren(group, groupMatrix = group.calcTransformMatrix()) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  group._objects.forEach(obj => {
+    const c = obj.calcACoords();
+    ['tl', 'tr', 'br', 'bl'].forEach(k => {
+      minX = Math.min(minX, c[k].x); maxX = Math.max(maxX, c[k].x);
+      minY = Math.min(minY, c[k].y); maxY = Math.max(maxY, c[k].y);
+    });
+  });
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  group._objects.forEach(obj => {
+    obj.set({ left: obj.left - cx, top: obj.top - cy });
+    obj.setCoords();
+  });
+  group.set({ width: maxX - minX, height: maxY - minY });
+  group.setPositionByOrigin(fabric.util.transformPoint(new fabric.Point(cx, cy), groupMatrix), 'center', 'center');
+  group.setCoords();
+  group.dirty = true;
+}
+
 export function generateShapeId(type = "shape") {
   const id = `${type}_${Math.random().toString(36).slice(2)}_${Date.now()}`;
   log("DEBUG", "[shapes] generateShapeId", { type, id });
@@ -288,7 +335,7 @@ export function generateShapeId(type = "shape") {
 }
 
 function installTransformTracking(group) {
-  const eligible = (t) => t === 'rect' || t === 'circle' || t === 'ellipse';
+  const eligible = (t) => t === 'rect' || t === 'region' || t === 'template' || t === 'circle' || t === 'ellipse';
 
   const ensureSnapshot = () => {
     if (!eligible(group._type)) return;
@@ -373,33 +420,34 @@ function requestCanvasRender() {
   }
 }
 
-export function makeRectShape(x, y, w, h) {
+// Color regions get a fixed, distinct look so they never read as a plain rect check.
+const REGION_STROKE_COLOR = '#d0348c';
+const REGION_FILL = 'rgba(208,52,140,0.08)';
+const REGION_DASH = [6, 4];
+
+function buildBoxShape(x, y, w, h, { type, stroke, fill, strokeDashArray = null }) {
   const strokeW = getDefaultStrokeWidth();
   currentStrokeWidth = strokeW;
-  const strokeColor = getStrokeColor();
-  const fillColor = getFillColor();
   const showLabels = getShowDiagnosticLabels();
 
-  log("DEBUG", "[shapes] makeRectShape ENTRY", {
-    x, y, w, h, strokeW, strokeColor, fillColor, showLabels
-  });
-
-  const rectId = generateShapeId('rect');
+  const shapeId = generateShapeId(type);
   const rect = new Rect({
     left: x,
     top: y,
     width: w,
     height: h,
-    stroke: strokeColor,
+    stroke,
     strokeWidth: strokeW,
-    fill: rgbaStringFromHex(fillColor)
+    strokeDashArray,
+    fill
   });
   rect.selectable = false;
   rect.evented = false;
   rect.strokeUniform = true;
   rect.objectCaching = false;
 
-  const labelObj = makeDiagnosticLabel("Rect", rectId, x + w / 2, y);
+  const label = getDefaultShapeLabel(type);
+  const labelObj = makeDiagnosticLabel(label, shapeId, x + w / 2, y);
 
   const group = new Group([rect, labelObj], {
     left: x,
@@ -407,10 +455,10 @@ export function makeRectShape(x, y, w, h) {
     selectable: true,
     evented: true
   });
-  group._type = 'rect';
-  group._label = 'Rect';
+  group._type = type;
+  group._label = label;
   group.locked = false;
-  group._id = rectId;
+  group._id = shapeId;
   group._diagLabel = labelObj;
   group._pendingStrokeWidthReapply = false;
   group._preTransformStrokeWidth = undefined;
@@ -419,6 +467,20 @@ export function makeRectShape(x, y, w, h) {
   if (!showLabels) {
     setGroupDiagnosticLabelVisible(group, false);
   }
+  return group;
+}
+
+export function makeRectShape(x, y, w, h) {
+  const strokeColor = getStrokeColor();
+  const fillColor = getFillColor();
+
+  log("DEBUG", "[shapes] makeRectShape ENTRY", { x, y, w, h, strokeColor, fillColor });
+
+  const group = buildBoxShape(x, y, w, h, {
+    type: 'rect',
+    stroke: strokeColor,
+    fill: rgbaStringFromHex(fillColor)
+  });
 
   clampInitialPlacement(group, 'makeRectShape');
   installModifiedHandler(group);
@@ -428,6 +490,57 @@ export function makeRectShape(x, y, w, h) {
   return group;
 }
 
+/**
+ * Color region (require_color_region): rect geometry, dashed magenta styling.
+ */
+export function makeColorRegionShape(x, y, w, h) {
+  log("DEBUG", "[shapes] makeColorRegionShape ENTRY", { x, y, w, h });
+
+  const group = buildBoxShape(x, y, w, h, {
+    type: 'region',
+    stroke: REGION_STROKE_COLOR,
+    fill: REGION_FILL,
+    strokeDashArray: REGION_DASH
+  });
+
+  clampInitialPlacement(group, 'makeColorRegionShape');
+  installModifiedHandler(group);
+
+  setShapeState(group, 'default');
+  log("DEBUG", "[shapes] makeColorRegionShape EXIT", { id: group._id });
+  return group;
+}
+
+// Templates keep their interior clear so the cropped patch stays visible.
+const TEMPLATE_STROKE_COLOR = '#128a8a';
+const TEMPLATE_FILL = 'rgba(0,0,0,0)';
+const TEMPLATE_DASH = [2, 3];
+
+/**
+ * Template patch (require_template): rect geometry, dotted teal styling.
+ * The patch itself is captured by template-capture.js; the crop is the
+ * axis-aligned footprint, so templates do not rotate.
+ */
+export function makeTemplateShape(x, y, w, h) {
+  log("DEBUG", "[shapes] makeTemplateShape ENTRY", { x, y, w, h });
+
+  const group = buildBoxShape(x, y, w, h, {
+    type: 'template',
+    stroke: TEMPLATE_STROKE_COLOR,
+    fill: TEMPLATE_FILL,
+    strokeDashArray: TEMPLATE_DASH
+  });
+  group.set({ lockRotation: true });
+  group._template = null;
+
+  clampInitialPlacement(group, 'makeTemplateShape');
+  installModifiedHandler(group);
+
+  setShapeState(group, 'default');
+  log("DEBUG", "[shapes] makeTemplateShape EXIT", { id: group._id });
+  return group;
+}
+
 export function makeCircleShape(x, y, r) {
   const strokeW = getDefaultStrokeWidth();
   currentStrokeWidth = strokeW;
@@ -453,7 +566,8 @@ export function makeCircleShape(x, y, r) {
   circle.strokeUniform = true;
   circle.objectCaching = false;
 
-  const labelObj = makeDiagnosticLabel("Circle", circleId, x, y - r);
+  const label = getDefaultShapeLabel('circle');
+  const labelObj = makeDiagnosticLabel(label, circleId, x, y - r);
 
   const group = new Group([circle, labelObj], {
     left: x - r,
@@ -462,7 +576,7 @@ export function makeCircleShape(x, y, r) {
     evented: true
   });
   group._type = 'circle';
-  group._label = 'Circle';
+  group._label = label;
   group.locked = false;
   group._id = circleId;
   group._diagLabel = labelObj;
@@ -511,7 +625,8 @@ export function makeEllipseShape(x, y, w, h) {
   ellipse.strokeUniform = true;
   ellipse.objectCaching = false;
 
-  const labelObj = makeDiagnosticLabel("Ellipse", ellipseId, x, y - ry);
+  const label = getDefaultShapeLabel('ellipse');
+  const labelObj = makeDiagnosticLabel(label, ellipseId, x, y - ry);
 
   const group = new Group([ellipse, labelObj], {
     left: x - rx,
@@ -520,7 +635,7 @@ export function makeEllipseShape(x, y, w, h) {
     evented: true
   });
   group._type = 'ellipse';
-  group._label = 'Ellipse';
+  group._label = label;
   group.locked = false;
   group._id = ellipseId;
   group._diagLabel = labelObj;
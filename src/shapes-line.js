@@ -0,0 +1,156 @@
+import fabric, { Line, Group } from './fabric-wrapper.js';
+import {
+  getDefaultStrokeWidth,
+  getStrokeColor,
+  getShowDiagnosticLabels,
+  makeDiagnosticLabel,
+  generateShapeId,
+  setGroupDiagnosticLabelVisible,
+  refitGroupToChildren
+} from './shapes-core.js';
+import { setShapeState } from './shape-state.js';
+import { getDefaultShapeLabel } from './shape-defs.js';
+import { log } from './log.js';
+
+/*
+  Line shape
+  ----------
+  Group([Line, label]) sampled at `count` evenly spaced points between the
+  two endpoints (require_pixel_line). Like the polygon, the endpoints are the
+  source of truth: getLineEndpoints() reads them in absolute canvas
+  coordinates, setLineEndpoints() writes them back and refits the group.
+  Endpoint handles come from transformer.js. A few px of padding keep thin
+  lines clickable.
+
+  The Line child uses a center origin, so its left / top is the segment
+  midpoint whatever the stroke: Fabric sizes the stroke box of a horizontal /
+  vertical (butt-capped) line differently once strokeUniform is set, which
+  moved a top-left-positioned line by half a stroke along its axis on every
+  save / load.
+
+  A group may also carry an arrowhead child (_isArrowHead, see the swipe in
+  shapes-action.js); setLineEndpoints keeps its tip on the second endpoint.
+*/
+
+const LINE_HIT_PADDING = 6;
+
+function getLineChild(group) {
+  const objs = Array.isArray(group?._objects) ? group._objects : [];
+  return objs.find(o => o && !o._isDiagnosticLabel && o.type === 'line') || null;
+}
+
+function toPlainEndpoints(points) {
+  const pts = (Array.isArray(points) ? points : [])
+    .map(p => ({ x: Number(p?.x), y: Number(p?.y) }))
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+  return pts.length === 2 ? pts : null;
+}
+
+function getArrowHeadChild(group) {
+  const objs = Array.isArray(group?._objects) ? group._objects : [];
+  return objs.find(o => o && o._isArrowHead) || null;
+}
+
+export function placeLine(line, p1, p2) {
+  line.set({ originX: 'center', originY: 'center', x1: p1.x, y1: p1.y, x2: p2.x, y2: p2.y });
+  line.set({ left: (p1.x + p2.x) / 2, top: (p1.y + p2.y) / 2 });
+  line.setCoords();
+  line.dirty = true;
+}
+
+/**
+ * Point an arrowhead (fabric Triangle, apex up when unrotated) from p1 to p2
+ * with its apex on p2.
+ */
+export function placeArrowHead(arrow, p1, p2) {
+  const dx = p2.x - p1.x;
+  const dy = p2.y - p1.y;
+  const len = Math.hypot(dx, dy);
+  const [ux, uy] = len ? [dx / len, dy / len] : [1, 0];
+  const half = (arrow.height || 0) / 2;
+  arrow.set({ angle: Math.atan2(uy, ux) * 180 / Math.PI + 90 });
+  arrow.setPositionByOrigin(new fabric.Point(p2.x - ux * half, p2.y - uy * half), 'center', 'center');
+  arrow.setCoords();
+  arrow.dirty = true;
+}
+
+/**
+ * Absolute canvas endpoints [{x,y}, {x,y}] of a line or swipe shape ([] for anything else).
+ */
+export function getLineEndpoints(shape) {
+  const line = getLineChild(shape);
+  if (!line || typeof line.calcLinePoints !== 'function') return [];
+  const m = line.calcTransformMatrix();
+  const lp = line.calcLinePoints();
+  return [[lp.x1, lp.y1], [lp.x2, lp.y2]].map(([x, y]) => {
+    const pt = fabric.util.transformPoint(new fabric.Point(x, y), m);
+    return { x: pt.x, y: pt.y };
+  });
+}
+
+/**
+ * Move both endpoints (absolute canvas coordinates) and refit the group.
+ */
+export function setLineEndpoints(shape, canvasPoints) {
+  const line = getLineChild(shape);
+  const pts = toPlainEndpoints(canvasPoints);
+  if (!line || !pts) {
+    log("WARN", "[shapes-line] setLineEndpoints: not a line or not two endpoints", { id: shape?._id });
+    return false;
+  }
+  const groupMatrix = shape.calcTransformMatrix();
+  const inv = fabric.util.invertTransform(groupMatrix);
+  const [a, b] = pts.map(p => fabric.util.transformPoint(new fabric.Point(p.x, p.y), inv));
+  placeLine(line, a, b);
+  const arrow = getArrowHeadChild(shape);
+  if (arrow) placeArrowHead(arrow, a, b);
+  refitGroupToChildren(shape, groupMatrix);
+  return true;
+}
+
+export function makeLineShape(x1, y1, x2, y2) {
+  const strokeW = getDefaultStrokeWidth();
+  const strokeColor = getStrokeColor();
+  const showLabels = getShowDiagnosticLabels();
+
+  log("DEBUG", "[shapes-line] makeLineShape ENTRY", { x1, y1, x2, y2, strokeW, strokeColor, showLabels });
+
+  const line = new Line([x1, y1, x2, y2], {
+    stroke: strokeColor,
+    strokeWidth: strokeW
+  });
+  placeLine(line, { x: x1, y: y1 }, { x: x2, y: y2 });
+  line.selectable = false;
+  line.evented = false;
+  line.strokeUniform = true;
+  line.objectCaching = false;
+
+  const lineId = generateShapeId('line');
+  const label = getDefaultShapeLabel('line');
+  const labelObj = makeDiagnosticLabel(label, lineId, (x1 + x2) / 2, Math.min(y1, y2));
+
+  const group = new Group([line, labelObj], {
+    selectable: true,
+    evented: true,
+    padding: LINE_HIT_PADDING
+  });
+  group._type = 'line';
+  group._label = label;
+  group.locked = false;
+  group._id = lineId;
+  group._diagLabel = labelObj;
+  group.objectCaching = false;
+  group.set({
+    lockScalingX: true,
+    lockScalingY: true,
+    lockRotation: true
+  });
+
+  if (!showLabels) {
+    setGroupDiagnosticLabelVisible(group, false);
+  }
+
+  setShapeState(group, 'default');
+  log("DEBUG", "[shapes-line] makeLineShape EXIT", { id: group._id });
+  return group;
+}
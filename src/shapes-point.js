@@ -10,6 +10,7 @@ import {
   setGroupDiagnosticLabelVisible
 } from './shapes-core.js';
 import { setShapeState } from './shape-state.js';
+import { getDefaultShapeLabel } from './shape-defs.js';
 import { getState } from './state.js';
 import { log } from './log.js';
 
@@ -177,7 +178,8 @@ export function makePointShape(x, y) {
   const reticle = buildReticlePrimitives(style, x, y, sizePx, strokeColor, fillColor, strokeW);
 
   const pointId = generateShapeId('point');
-  const labelObj = makeDiagnosticLabel("Point", pointId, x, y);
+  const label = getDefaultShapeLabel('point');
+  const labelObj = makeDiagnosticLabel(label, pointId, x, y);
 
   const objs = [hitCircle, ...reticle, labelObj];
   const group = new Group(objs, {
@@ -187,7 +189,7 @@ export function makePointShape(x, y) {
     evented: true
   });
   group._type = 'point';
-  group._label = 'Point';
+  group._label = label;
   group.locked = false;
   group._id = pointId;
   group._diagLabel = labelObj;
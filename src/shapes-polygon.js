@@ -0,0 +1,135 @@
+import fabric, { Polygon, Group } from './fabric-wrapper.js';
+import {
+  getDefaultStrokeWidth,
+  getStrokeColor,
+  getFillColor,
+  getShowDiagnosticLabels,
+  makeDiagnosticLabel,
+  generateShapeId,
+  setGroupDiagnosticLabelVisible,
+  rgbaStringFromHex,
+  refitGroupToChildren
+} from './shapes-core.js';
+import { setShapeState } from './shape-state.js';
+import { getDefaultShapeLabel } from './shape-defs.js';
+import { polygonBounds, MIN_POLYGON_VERTICES } from './geometry/polygon.js';
+import { log } from './log.js';
+
+/*
+  Polygon shape
+  -------------
+  Group([Polygon, label]) like the other shapes. The vertex list is the
+  source of truth: getPolygonPoints() reads absolute canvas vertices through
+  the group transform, setPolygonPoints() writes them back and refits the
+  group box around the new outline (the group keeps its canvas placement;
+  only its bounds change). Vertex handles live in transformer.js, insert /
+  delete in canvas-vertex-edit.js.
+*/
+
+function getPolygonChild(group) {
+  const objs = Array.isArray(group?._objects) ? group._objects : [];
+  return objs.find(o => o && !o._isDiagnosticLabel && o.type === 'polygon') || null;
+}
+
+function toPlainPoints(points) {
+  return (Array.isArray(points) ? points : [])
+    .map(p => ({ x: Number(p?.x), y: Number(p?.y) }))
+    .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+}
+
+/**
+ * Absolute canvas vertices of a polygon shape ([] for anything else).
+ */
+export function getPolygonPoints(shape) {
+  const poly = getPolygonChild(shape);
+  if (!poly || !Array.isArray(poly.points)) return [];
+  const m = poly.calcTransformMatrix();
+  const off = poly.pathOffset || { x: 0, y: 0 };
+  return poly.points.map(p => {
+    const pt = fabric.util.transformPoint(new fabric.Point(p.x - off.x, p.y - off.y), m);
+    return { x: pt.x, y: pt.y };
+  });
+}
+
+/**
+ * Replace the vertices (absolute canvas coordinates) and refit the group.
+ * Returns false (no change) for fewer than MIN_POLYGON_VERTICES points.
+ */
+export function setPolygonPoints(shape, canvasPoints) {
+  const poly = getPolygonChild(shape);
+  const pts = toPlainPoints(canvasPoints);
+  if (!poly || pts.length < MIN_POLYGON_VERTICES) {
+    log("WARN", "[shapes-polygon] setPolygonPoints: not a polygon or too few points", {
+      id: shape?._id, count: pts.length
+    });
+    return false;
+  }
+
+  const groupMatrix = shape.calcTransformMatrix();
+  const inv = fabric.util.invertTransform(groupMatrix);
+  // Group-local points; the polygon's own position follows its new bounds.
+  poly.points = pts.map(p => {
+    const local = fabric.util.transformPoint(new fabric.Point(p.x, p.y), inv);
+    return { x: local.x, y: local.y };
+  });
+  poly._setPositionDimensions({});
+  poly.dirty = true;
+
+  refitGroupToChildren(shape, groupMatrix);
+  return true;
+}
+
+export function makePolygonShape(points) {
+  const strokeW = getDefaultStrokeWidth();
+  const strokeColor = getStrokeColor();
+  const fillColor = getFillColor();
+  const showLabels = getShowDiagnosticLabels();
+  const pts = toPlainPoints(points);
+
+  log("DEBUG", "[shapes-polygon] makePolygonShape ENTRY", {
+    count: pts.length, strokeW, strokeColor, fillColor, showLabels
+  });
+  if (pts.length < MIN_POLYGON_VERTICES) {
+    log("ERROR", "[shapes-polygon] makePolygonShape: need at least 3 vertices", { count: pts.length });
+    return null;
+  }
+
+  const polygon = new Polygon(pts, {
+    stroke: strokeColor,
+    strokeWidth: strokeW,
+    fill: rgbaStringFromHex(fillColor)
+  });
+  polygon.selectable = false;
+  polygon.evented = false;
+  polygon.strokeUniform = true;
+  polygon.objectCaching = false;
+
+  const b = polygonBounds(pts);
+  const polygonId = generateShapeId('polygon');
+  const label = getDefaultShapeLabel('polygon');
+  const labelObj = makeDiagnosticLabel(label, polygonId, (b.x1 + b.x2) / 2, b.y1);
+
+  const group = new Group([polygon, labelObj], {
+    selectable: true,
+    evented: true
+  });
+  group._type = 'polygon';
+  group._label = label;
+  group.locked = false;
+  group._id = polygonId;
+  group._diagLabel = labelObj;
+  group.objectCaching = false;
+  group.set({
+    lockScalingX: true,
+    lockScalingY: true,
+    lockRotation: true
+  });
+
+  if (!showLabels) {
+    setGroupDiagnosticLabelVisible(group, false);
+  }
+
+  setShapeState(group, 'default');
+  log("DEBUG", "[shapes-polygon] makePolygonShape EXIT", { id: group._id, count: pts.length });
+  return group;
+}
@@ -4,9 +4,15 @@ export {
   setStrokeColorForSelectedShapes,
   setFillColorForSelectedShapes,
   makeRectShape,
+  makeColorRegionShape,
+  makeTemplateShape,
   makeCircleShape,
   makeEllipseShape,
-  applyDiagnosticLabelsVisibility
+  applyDiagnosticLabelsVisibility,
+  applyShapeLabel
 } from './shapes-core.js';
 
 export { makePointShape } from './shapes-point.js';
+export { makePolygonShape, getPolygonPoints, setPolygonPoints } from './shapes-polygon.js';
+export { makeLineShape, getLineEndpoints, setLineEndpoints } from './shapes-line.js';
+export { makeTapShape, makeLongPressShape, makeSwipeShape } from './shapes-action.js';
@@ -1,33 +1,176 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { setSelectedShape, setSelectedShapes } from './selection.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { setCheckParamsForShape, setShapeLabel } from './actions.js';
+import { validateShapeLabel } from './shape-labels.js';
+import { getShapeEvaluation } from './scene-evaluation.js';
+import { isTemplateShape } from './template-capture.js';
 import {
-  getState,
-  setSelectedShape,
-  sceneDesignerStore,
-} from './state.js';
+  CHECK_PARAM_KEYS,
+  getApplicableCheckParams,
+  getCheckParamOverrides,
+  getEffectiveCheckParams,
+  isCheckParamSettingKey
+} from './check-params.js';
 import { log } from './log.js';
 import { TabulatorFull as Tabulator } from 'tabulator-tables';
+import 'tabulator-tables/dist/css/tabulator_simple.min.css';
 
-function dumpShapeStore(tag = "") {
-  const shapes = getState().shapes;
-  log("DEBUG", `[sidebar][${tag}] store.shapes:`,
-    Array.isArray(shapes)
-      ? shapes.map((s, i) => ({
-          idx: i,
-          type: s?._type,
-          label: s?._label,
-          id: s?._id,
-          locked: s?.locked
-        }))
-      : shapes
-  );
+const REFRESH_EVENTS = new Set([
+  'setShapes',
+  'addShape',
+  'removeShape',
+  'updateShapes',
+  'setImage',
+  'setBgFabricImage',
+  'setSettings',
+  'setEvaluation'
+]);
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-export function buildSidebarPanel({ element, title, componentName }) {
-  log("DEBUG", "[sidebar] buildSidebarPanel ENTRY", {
-    elementType: element?.tagName,
-    title,
-    componentName
+/**
+ * Table row for a shape. Geometry is in image pixels (transform-aware);
+ * W/H is the diameter for circles and blank for points; a point's X/Y is the
+ * pixel it samples (floored, as exported). Step / Count / Tol /
+ * Thr show the effective check params (blank when not applicable to the
+ * type); templates show a thumbnail of their patch instead of a color swatch.
+ * Match is the shape's result from the last simulated matcher run.
+ */
+function shapeToRow(shape, idx, bgImage) {
+  const geom = getShapeImageGeometry(shape, bgImage);
+  let x = "", y = "", w = "", h = "";
+  if (geom) {
+    const toPx = shape._type === "point" ? Math.floor : Math.round;
+    x = toPx(geom.center.x);
+    y = toPx(geom.center.y);
+    if (shape._type === "circle") {
+      w = h = Math.round((geom.radius || 0) * 2);
+    } else if (shape._type !== "point") {
+      w = Math.round(geom.bounds.x2 - geom.bounds.x1);
+      h = Math.round(geom.bounds.y2 - geom.bounds.y1);
+    }
+  }
+  return {
+    idx,
+    id: shape._id || `shape_${idx}`,
+    label: shape._label || "",
+    type: shape._negated ? `NOT ${shape._type}` : shape._type,
+    x,
+    y,
+    w,
+    h,
+    color: shape._expectedColor || "",
+    pinned: shape._expectedColorMode === 'manual',
+    template: isTemplateShape(shape) ? templateCell(shape._template) : null,
+    ...paramCells(shape),
+    match: getShapeEvaluation(shape),
+    locked: shape.locked ? "🔒" : ""
+  };
+}
+
+function paramCells(shape) {
+  const applicable = getApplicableCheckParams(shape);
+  const effective = getEffectiveCheckParams(shape);
+  const overrides = getCheckParamOverrides(shape);
+  const out = { overrides: Object.keys(overrides) };
+  CHECK_PARAM_KEYS.forEach(k => {
+    out[k] = applicable.includes(k) ? effective[k] : "";
   });
+  return out;
+}
+
+function templateCell(t) {
+  return t?.dataUrl ? { src: t.dataUrl, size: `${t.width}×${t.height}` } : { src: '', size: '' };
+}
+
+function paramFormatter(cell) {
+  const v = cell.getValue();
+  if (v === "" || v === null || v === undefined) return "";
+  const overridden = cell.getRow().getData().overrides.includes(cell.getField());
+  return overridden ? `<b title="Per-shape override">${v}</b>` : `<span style="color:#678;" title="Scene default">${v}</span>`;
+}
+
+function isParamEditable(cell) {
+  const data = cell.getRow().getData();
+  const shape = (getState().shapes || []).find(s => s._id === data.id);
+  return !!shape && !shape.locked && getApplicableCheckParams(shape).includes(cell.getField());
+}
+
+function isLabelEditable(cell) {
+  const shape = (getState().shapes || []).find(s => s._id === cell.getRow().getData().id);
+  return !!shape && !shape.locked;
+}
+
+function swatchFormatter(cell) {
+  const { template } = cell.getRow().getData();
+  if (template) {
+    return template.src
+      ? `<img class="shape-list-thumb" src="${escapeHtml(template.src)}" alt="" title="Template patch ${escapeHtml(template.size)}" />`
+      : `<span class="shape-list-swatch shape-list-swatch-empty" title="No patch captured"></span>`;
+  }
+  const hex = cell.getValue();
+  if (!hex) return `<span class="shape-list-swatch shape-list-swatch-empty" title="Not sampled"></span>`;
+  return `<span class="shape-list-swatch" style="background:${escapeHtml(hex)};" title="${escapeHtml(hex)}"></span>`;
+}
+
+function hexFormatter(cell) {
+  const { color, pinned, template } = cell.getRow().getData();
+  if (template) return template.size ? `<span style="color:#678;">${escapeHtml(template.size)} patch</span>` : "";
+  if (!color) return "";
+  return pinned
+    ? `${escapeHtml(color)} <span title="Pinned (manual); not re-sampled">📌</span>`
+    : escapeHtml(color);
+}
+
+const MATCH_REASONS = {
+  OUT_OF_BOUNDS: 'samples outside the image',
+  NO_SAMPLES: 'nothing to sample'
+};
+
+function matchFormatter(cell) {
+  const r = cell.getValue();
+  if (!r) return "";
+  const detail = r.threshold !== undefined ? templateMatchDetail(r) : [
+    r.negated ? 'must NOT match' : null,
+    `measured ${r.measured || '—'} vs ${r.expected || '—'}`,
+    `distance ${r.distance ?? '—'} / tol ${r.tolerance}`,
+    r.samples > 1 ? `${r.failed}/${r.samples} samples failed` : null,
+    r.reason ? MATCH_REASONS[r.reason] : null
+  ].filter(Boolean).join('\n');
+  return `<span class="shape-list-match ${r.pass ? 'pass' : 'fail'}" title="${escapeHtml(detail)}">${r.pass ? '✓' : '✗'}</span>`;
+}
+
+function templateMatchDetail(r) {
+  return [
+    r.negated ? 'must NOT be found' : null,
+    `best score ${r.measured || '—'} / threshold ${r.threshold}`,
+    r.found ? `best match at ${r.found.x1},${r.found.y1}` : null,
+    r.reason ? MATCH_REASONS[r.reason] : null
+  ].filter(Boolean).join('\n');
+}
+
+function matchSorter(a, b) {
+  const rank = (r) => (r ? (r.pass ? 2 : 1) : 0);
+  return rank(a) - rank(b);
+}
+
+function summaryHtml(evaluation) {
+  if (!evaluation) return `<span style="color:#678;">No image – matcher simulation idle</span>`;
+  const { matched, logic, passed, results } = evaluation;
+  return `<span class="shape-list-match ${matched ? 'pass' : 'fail'}">${matched ? '✓' : '✗'}</span>
+    Scene ${matched ? 'matches' : 'does not match'}
+    <span style="color:#678;">(${logic}: ${passed}/${results.length} checks pass)</span>`;
+}
 
+export function buildSidebarPanel({ element, title, componentName }) {
   try {
     log("INFO", "[sidebar] buildSidebarPanel called (Tabulator shape table)", {
       elementType: element?.tagName,
@@ -36,155 +179,178 @@ export function buildSidebarPanel({ element, title, componentName }) {
     });
 
     element.innerHTML = `
-      <div id="sidebar-panel-container" style="width:100%;height:100%;background:#f4f8ff;display:flex;flex-direction:column;overflow:auto;">
-        <div style="padding:10px 8px 4px 8px;font-weight:bold;font-size:1.2em;color:#0057d8;">
-          Shape List
-        </div>
-        <div id="tabulator-table-div" style="flex:1 1 0;overflow:auto;"></div>
+      <div id="sidebar-panel-container" style="width:100%;height:100%;background:#f4f8ff;display:flex;flex-direction:column;overflow:hidden;">
+        <div id="shape-list-summary" style="flex:0 0 auto;padding:4px 8px;border-bottom:1px solid #d5deea;font-size:.92em;"></div>
+        <div id="tabulator-table-div" style="flex:1 1 0;min-height:0;"></div>
       </div>
     `;
 
+    const styleId = "sidebar-shape-list-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .shape-list-swatch {
+          display: inline-block;
+          width: 16px;
+          height: 16px;
+          border: 1px solid #8ca6c6;
+          border-radius: 3px;
+          vertical-align: middle;
+        }
+        .shape-list-thumb {
+          display: inline-block;
+          max-width: 28px;
+          max-height: 16px;
+          border: 1px solid #8ca6c6;
+          vertical-align: middle;
+          image-rendering: pixelated;
+        }
+        .shape-list-swatch-empty {
+          background: repeating-linear-gradient(45deg, #fff 0 3px, #dde4ef 3px 6px);
+        }
+        .shape-list-match {
+          display: inline-block;
+          min-width: 16px;
+          height: 16px;
+          line-height: 16px;
+          border-radius: 8px;
+          text-align: center;
+          color: #fff;
+          font-weight: 700;
+          font-size: 11px;
+        }
+        .shape-list-match.pass { background: #1e9e4a; }
+        .shape-list-match.fail { background: #d23040; }
+        #tabulator-table-div .tabulator-row.shape-list-selected {
+          background: #dfeaff;
+        }
+      `;
+      document.head.appendChild(s);
+    }
+
     const tableDiv = element.querySelector('#tabulator-table-div');
     if (!tableDiv) {
       log("ERROR", "[sidebar] tabulator-table-div not found in DOM");
       return;
     }
 
-    function shapeToRow(shape, idx) {
-      let { _label, _type, locked, _id } = shape;
-      let x = 0, y = 0, w = "", h = "";
-      if (_type === "rect") {
-        x = Math.round(shape.left ?? shape.x ?? 0);
-        y = Math.round(shape.top ?? shape.y ?? 0);
-        w = Math.round(shape.width ?? shape.width ?? 0);
-        h = Math.round(shape.height ?? shape.height ?? 0);
-      } else if (_type === "circle") {
-        x = Math.round(shape.left ?? shape.x ?? 0);
-        y = Math.round(shape.top ?? shape.y ?? 0);
-        w = Math.round(shape.radius ?? shape.radius ?? 0);
-        h = Math.round(shape.radius ?? shape.radius ?? 0);
-      } else if (_type === "point") {
-        x = Math.round(shape.left ?? shape.x ?? 0);
-        y = Math.round(shape.top ?? shape.y ?? 0);
-        w = "";
-        h = "";
-      }
-      return {
-        idx,
-        id: _id || `shape_${idx}`,
-        label: _label || "",
-        type: _type,
-        x,
-        y,
-        w,
-        h,
-        locked: locked ? "🔒" : ""
-      };
-    }
-
-    let tabulator = new Tabulator(tableDiv, {
+    const tabulator = new Tabulator(tableDiv, {
       data: [],
+      index: "id",
       layout: "fitColumns",
       movableColumns: false,
       height: "100%",
+      selectableRows: false,
+      placeholder: "No shapes",
       columns: [
-        { title: "Label", field: "label", widthGrow: 2 },
-        { title: "Type", field: "type", widthGrow: 1 },
-        { title: "X", field: "x", width: 54, hozAlign: "right" },
-        { title: "Y", field: "y", width: 54, hozAlign: "right" },
-        { title: "W", field: "w", width: 54, hozAlign: "right" },
-        { title: "H", field: "h", width: 54, hozAlign: "right" },
-        { title: "Lock", field: "locked", width: 48, hozAlign: "center" }
-      ],
-      selectable: 1,
-      rowClick: function (e, row) {
-        log("DEBUG", "[sidebar] rowClick handler FIRED", {
-          eventType: e.type,
-          idx: row.getData().idx,
-          id: row.getData().id,
-          shape: getState().shapes[row.getData().idx],
-          rowData: row.getData()
-        });
-        dumpShapeStore("rowClick");
-        const idx = row.getData().idx;
-        if (getState().shapes[idx]) {
-          setSelectedShape(getState().shapes[idx]);
-          log("INFO", "[sidebar] Shape selected via rowClick", {
-            selectedShapeLabel: getState().shapes[idx]._label,
-            selectedShapeType: getState().shapes[idx]._type,
-            id: getState().shapes[idx]._id
-          });
-        } else {
-          log("WARN", "[sidebar] rowClick: No shape found at idx", { idx, shape: getState().shapes[idx] });
-        }
-      }
+        { title: "Label", field: "label", widthGrow: 2, minWidth: 60, editor: "input", editable: isLabelEditable },
+        { title: "Type", field: "type", widthGrow: 1, minWidth: 48 },
+        { title: "X", field: "x", width: 50, hozAlign: "right" },
+        { title: "Y", field: "y", width: 50, hozAlign: "right" },
+        { title: "W", field: "w", width: 50, hozAlign: "right" },
+        { title: "H", field: "h", width: 50, hozAlign: "right" },
+        { title: "", field: "color", width: 34, hozAlign: "center", headerSort: false, formatter: swatchFormatter },
+        { title: "Color", field: "color", width: 92, formatter: hexFormatter },
+        { title: "Step", field: "step", width: 52, hozAlign: "right", formatter: paramFormatter, editor: "number", editorParams: { min: 1, step: 1 }, editable: isParamEditable },
+        { title: "Count", field: "count", width: 56, hozAlign: "right", formatter: paramFormatter, editor: "number", editorParams: { min: 1, step: 1 }, editable: isParamEditable },
+        { title: "Tol", field: "tolerance", width: 48, hozAlign: "right", formatter: paramFormatter, editor: "number", editorParams: { min: 0, max: 255, step: 1 }, editable: isParamEditable },
+        { title: "Thr", field: "threshold", width: 48, hozAlign: "right", formatter: paramFormatter, editor: "number", editorParams: { min: 0, max: 1, step: 0.01 }, editable: isParamEditable },
+        { title: "Dur", field: "duration", width: 52, hozAlign: "right", formatter: paramFormatter, editor: "number", editorParams: { min: 1, max: 60000, step: 1 }, editable: isParamEditable },
+        { title: "Match", field: "match", width: 56, hozAlign: "center", formatter: matchFormatter, sorter: matchSorter },
+        { title: "Lock", field: "locked", width: 46, hozAlign: "center" }
+      ]
     });
 
+    let built = false;
+
+    const syncSelection = () => {
+      if (!built) return;
+      const selectedIds = new Set((getState().selectedShapes || []).map(s => s?._id).filter(Boolean));
+      tabulator.getRows().forEach(row => {
+        const el = row.getElement();
+        if (el) el.classList.toggle('shape-list-selected', selectedIds.has(row.getData().id));
+      });
+    };
+
+    const summaryEl = element.querySelector('#shape-list-summary');
+
     const updateTable = () => {
-      log("DEBUG", "[sidebar] updateTable ENTRY");
-      dumpShapeStore("updateTable-top");
-      const data = (getState().shapes || []).map((s, i) => shapeToRow(s, i));
-      log("DEBUG", "[sidebar] updateTable: computed table data", { data });
-      tabulator.replaceData(data);
-
-      if (getState().selectedShape) {
-        const selectedShape = getState().selectedShape;
-        let foundRow = null;
-        if (selectedShape._id) {
-          foundRow = tabulator.getRow(selectedShape._id);
-        }
-        if (!foundRow) {
-          const selIdx = getState().shapes.indexOf(selectedShape);
-          let rows = tabulator.getRows ? tabulator.getRows() : [];
-          foundRow = rows[selIdx];
-        }
-        if (foundRow && typeof foundRow.select === "function") {
-          foundRow.select();
-          log("DEBUG", "[sidebar] updateTable: Row selected", {
-            selectedShapeLabel: selectedShape._label,
-            id: selectedShape._id
-          });
-        } else {
-          log("WARN", "[sidebar] updateTable: Cannot select row by id or idx", {
-            selectedShapeLabel: selectedShape._label,
-            id: selectedShape._id
-          });
-        }
+      if (!built) return;
+      const state = getState();
+      if (summaryEl) summaryEl.innerHTML = summaryHtml(state.evaluation);
+      const data = (state.shapes || []).map((s, i) => shapeToRow(s, i, state.bgFabricImage));
+      tabulator.replaceData(data).then(syncSelection).catch(() => {});
+    };
+
+    tabulator.on("rowClick", (e, row) => {
+      const { idx, id } = row.getData();
+      const shapes = getState().shapes || [];
+      const shape = shapes.find(s => s._id === id) || shapes[idx];
+      if (!shape) {
+        log("WARN", "[sidebar] rowClick: no shape for row", { idx, id });
+        return;
+      }
+      if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        const current = getState().selectedShapes || [];
+        const next = current.includes(shape) ? current.filter(s => s !== shape) : [...current, shape];
+        setSelectedShapes(next);
       } else {
-        let rows = tabulator.getRows ? tabulator.getRows() : [];
-        rows.forEach(r => {
-          if (typeof r.deselect === "function") r.deselect();
-        });
-        log("DEBUG", "[sidebar] updateTable: All rows deselected");
+        setSelectedShape(shape);
       }
-      dumpShapeStore("updateTable-bottom");
-      log("DEBUG", "[sidebar] updateTable EXIT");
-    };
+      log("DEBUG", "[sidebar] Shape selected via rowClick", { id: shape._id, type: shape._type });
+    });
+
+    // Empty cell = back to the scene default (type default for labels).
+    tabulator.on("cellEdited", (cell) => {
+      const field = cell.getField();
+      const { id } = cell.getRow().getData();
+      const raw = cell.getValue();
+      if (field === "label") {
+        const shapes = getState().shapes || [];
+        const shape = shapes.find(s => s._id === id);
+        const { label, error } = validateShapeLabel(shape, raw, shapes);
+        if (error) log("WARN", "[sidebar] Label rejected", { id, error });
+        else setShapeLabel(id, label);
+        updateTable();
+        return;
+      }
+      const value = (raw === "" || raw === null || raw === undefined) ? null : Number(raw);
+      if (value !== null && !Number.isFinite(value)) { updateTable(); return; }
+      setCheckParamsForShape(id, { [field]: value });
+      updateTable();
+    });
 
+    let unsubStore = null;
+    let unsubHistory = null;
     tabulator.on("tableBuilt", () => {
-      log("DEBUG", "[sidebar] Tabulator tableBuilt event");
-      dumpShapeStore("tableBuilt");
+      built = true;
       updateTable();
-      var unsub = sceneDesignerStore.subscribe(updateTable);
-      if (typeof element.on === "function") {
-        element.on("destroy", () => {
-          unsub && unsub();
-          tabulator.destroy();
-          log("INFO", "[sidebar] Sidebar panel destroyed");
-        });
-      }
+      unsubStore = sceneDesignerStore.subscribe((state, details) => {
+        if (!details) return;
+        if (REFRESH_EVENTS.has(details.type)) updateTable();
+        else if (details.type === 'setSetting' && isCheckParamSettingKey(details.key)) updateTable();
+        else if (details.type === 'setSelectedShapes') syncSelection();
+      });
+      // Geometry commands mutate shapes in place; refresh X/Y/W/H after each.
+      unsubHistory = subscribeHistory((evt) => {
+        if (evt && (evt.event === 'dispatch' || evt.event === 'undo' || evt.event === 'redo')) updateTable();
+      });
     });
 
-    log("INFO", "[sidebar] Sidebar panel fully initialized (Tabulator shape table)");
+    const cleanup = () => {
+      try { unsubStore && unsubStore(); } catch {}
+      try { unsubHistory && unsubHistory(); } catch {}
+      try { tabulator.destroy(); } catch {}
+      log("INFO", "[sidebar] Sidebar panel destroyed");
+    };
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[sidebar] Sidebar panel initialized (Tabulator shape table)");
   } catch (e) {
     log("ERROR", "[sidebar] buildSidebarPanel ERROR (Tabulator)", e);
-    alert("SidebarPanel ERROR: " + e.message);
-    throw e;
   }
-
-  log("DEBUG", "[sidebar] buildSidebarPanel EXIT", {
-    elementType: element?.tagName,
-    title,
-    componentName
-  });
 }
@@ -0,0 +1,316 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { getShapeImageGeometry, imageToCanvasPoint } from './geometry/shape-rect.js';
+import { getAnchorFollowers, translateShape } from './anchors.js';
+
+/*
+  Smart guides and snapping
+  -------------------------
+  While a shape (or a multi-selection) is dragged, its left / center / right
+  and top / middle / bottom lines snap to the same lines of the other shapes,
+  of the screenshot (edges and center) and to the scene's ruler guides
+  (ruler-guides.js) when they come within
+  snapThresholdPx screen pixels; a magenta guide is drawn along each line
+  that lines up. Resizing an unrotated single shape snaps the dragged edge the
+  same way. With snapGridSize > 0 lines also snap to a grid of that many image
+  pixels (drawn faintly).
+
+  Everything is measured on the image-space bounds of
+  geometry/shape-rect.js getShapeImageGeometry, so guides match the exported
+  coordinates. Shapes that move with the drag (anchored followers) are not
+  snap targets. Holding Alt bypasses snapping and guides.
+
+  Settings: smartGuides (default on), snapThresholdPx (6), snapGridSize (0).
+  The top context is cleared in before:render by selection-outlines.js; this
+  painter only draws.
+*/
+
+const GUIDE_COLOR = '#ff00cc';
+const GRID_COLOR = 'rgba(255, 0, 204, 0.16)';
+const MIN_GRID_SCREEN_PX = 6;
+const ALIGN_EPS = 1e-3;
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function getGuideSettings() {
+  const s = getState().settings || {};
+  const threshold = Number(s.snapThresholdPx);
+  const grid = Number(s.snapGridSize);
+  return {
+    enabled: s.smartGuides !== false,
+    thresholdPx: Number.isFinite(threshold) && threshold > 0 ? threshold : 6,
+    grid: Number.isFinite(grid) && grid > 0 ? grid : 0
+  };
+}
+
+function unionBounds(geoms) {
+  return {
+    x1: Math.min(...geoms.map(g => g.bounds.x1)),
+    y1: Math.min(...geoms.map(g => g.bounds.y1)),
+    x2: Math.max(...geoms.map(g => g.bounds.x2)),
+    y2: Math.max(...geoms.map(g => g.bounds.y2))
+  };
+}
+
+function getMovingShapes(target) {
+  if (target?.type === 'activeSelection') return (target._objects || []).filter(Boolean);
+  return target ? [target] : [];
+}
+
+/**
+ * Snap lines of everything that stays put: per axis a list of
+ * { v, lo, hi } (line position and the extent along the other axis).
+ */
+function collectSnapLines(movingIds) {
+  const { shapes, bgFabricImage: bg, sceneGuides, settings } = getState();
+  const list = (shapes || []).filter(Boolean);
+  const skip = new Set(movingIds);
+  getAnchorFollowers(movingIds, list).forEach(s => skip.add(s._id));
+
+  const xs = [];
+  const ys = [];
+  const add = (b) => {
+    [b.x1, (b.x1 + b.x2) / 2, b.x2].forEach(v => xs.push({ v, lo: b.y1, hi: b.y2 }));
+    [b.y1, (b.y1 + b.y2) / 2, b.y2].forEach(v => ys.push({ v, lo: b.x1, hi: b.x2 }));
+  };
+  if (bg && bg.width > 0 && bg.height > 0) add({ x1: 0, y1: 0, x2: bg.width, y2: bg.height });
+  // Ruler guides already span the view; their snap guide covers the shape only.
+  (settings?.showRulers !== false ? sceneGuides || [] : []).forEach(g => {
+    (g.axis === 'x' ? xs : ys).push({ v: g.pos, lo: Infinity, hi: -Infinity });
+  });
+  list.forEach(s => {
+    if (skip.has(s._id)) return;
+    const g = getShapeImageGeometry(s, bg);
+    if (g?.bounds) add(g.bounds);
+  });
+  return { xs, ys };
+}
+
+/**
+ * Smallest shift (within threshold) that puts one of `values` on a line or
+ * on a grid line inside 0..limit; 0 when nothing is close.
+ */
+function findSnapDelta(values, lines, threshold, grid, limit) {
+  let best = null;
+  values.forEach(t => {
+    lines.forEach(l => {
+      const d = l.v - t;
+      if (Math.abs(d) <= threshold && (best === null || Math.abs(d) < Math.abs(best))) best = d;
+    });
+    const g = grid ? Math.round(t / grid) * grid : NaN;
+    if (g >= 0 && !(g > limit)) {
+      const d = g - t;
+      if (Math.abs(d) <= threshold && (best === null || Math.abs(d) < Math.abs(best))) best = d;
+    }
+  });
+  return best || 0;
+}
+
+// Guides for every line the (snapped) bounds now sit on, spanning both boxes.
+function collectGuides(b, lines) {
+  const guides = [];
+  const bx = [b.x1, (b.x1 + b.x2) / 2, b.x2];
+  const by = [b.y1, (b.y1 + b.y2) / 2, b.y2];
+  lines.xs.forEach(l => {
+    if (bx.some(v => Math.abs(v - l.v) < ALIGN_EPS)) {
+      guides.push({ axis: 'x', v: l.v, lo: Math.min(l.lo, b.y1), hi: Math.max(l.hi, b.y2) });
+    }
+  });
+  lines.ys.forEach(l => {
+    if (by.some(v => Math.abs(v - l.v) < ALIGN_EPS)) {
+      guides.push({ axis: 'y', v: l.v, lo: Math.min(l.lo, b.x1), hi: Math.max(l.hi, b.x2) });
+    }
+  });
+  return guides;
+}
+
+function paintGuides(canvas, guides) {
+  const { enabled, grid } = getGuideSettings();
+  const state = getState();
+  const bg = state.bgFabricImage;
+  const showGrid = enabled && grid && bg && bg.width > 0 && grid * (state.viewZoom || 1) >= MIN_GRID_SCREEN_PX;
+  if (!guides.length && !showGrid) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const toScreen = (x, y) => {
+    const p = imageToCanvasPoint({ x, y }, bg);
+    return { x: (vt[0] * p.x + vt[4]) * dpr, y: (vt[3] * p.y + vt[5]) * dpr };
+  };
+  const line = (a, b) => {
+    ctx.moveTo(Math.round(a.x) + 0.5, Math.round(a.y) + 0.5);
+    ctx.lineTo(Math.round(b.x) + 0.5, Math.round(b.y) + 0.5);
+  };
+
+  ctx.save();
+  try {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (showGrid) {
+      ctx.strokeStyle = GRID_COLOR;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      for (let x = 0; x <= bg.width; x += grid) line(toScreen(x, 0), toScreen(x, bg.height));
+      for (let y = 0; y <= bg.height; y += grid) line(toScreen(0, y), toScreen(bg.width, y));
+      ctx.stroke();
+    }
+    if (guides.length) {
+      ctx.strokeStyle = GUIDE_COLOR;
+      ctx.lineWidth = Math.max(1, Math.round(dpr));
+      ctx.beginPath();
+      guides.forEach(g => {
+        if (g.axis === 'x') line(toScreen(g.v, g.lo), toScreen(g.v, g.hi));
+        else line(toScreen(g.lo, g.v), toScreen(g.hi, g.v));
+      });
+      ctx.stroke();
+    }
+  } catch (e) {
+    log("ERROR", "[smart-guides] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installSmartGuides(canvas) {
+  if (!canvas) {
+    log("ERROR", "[smart-guides] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  let guides = [];
+  let lines = null;
+
+  const requestRender = () => {
+    if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+    else canvas.renderAll();
+  };
+  const endGesture = () => {
+    lines = null;
+    if (!guides.length) return;
+    guides = [];
+    requestRender();
+  };
+  const prepare = (opt) => {
+    const settings = getGuideSettings();
+    const target = opt?.target;
+    if (!settings.enabled || !target || opt.e?.altKey) {
+      if (guides.length) { guides = []; requestRender(); }
+      return null;
+    }
+    const moving = getMovingShapes(target);
+    // A selection with a locked member is held in place (canvas-constraints.js).
+    if (moving.some(s => s.locked)) return null;
+    const bg = getState().bgFabricImage;
+    const geoms = moving.map(s => getShapeImageGeometry(s, bg)).filter(g => g?.bounds);
+    if (!geoms.length) return null;
+    if (!lines) lines = collectSnapLines(moving.map(s => s._id));
+    return {
+      target,
+      bg,
+      grid: settings.grid,
+      bounds: unionBounds(geoms),
+      threshold: settings.thresholdPx / (getState().viewZoom || 1),
+      width: bg?.width || Infinity,
+      height: bg?.height || Infinity
+    };
+  };
+
+  const onMoving = (opt) => {
+    try {
+      const drag = prepare(opt);
+      if (!drag) return;
+      const { target, bg, bounds: b, threshold, grid } = drag;
+      const dx = findSnapDelta([b.x1, (b.x1 + b.x2) / 2, b.x2], lines.xs, threshold, grid, drag.width);
+      const dy = findSnapDelta([b.y1, (b.y1 + b.y2) / 2, b.y2], lines.ys, threshold, grid, drag.height);
+      if (dx || dy) translateShape(target, dx, dy, bg);
+      guides = collectGuides({ x1: b.x1 + dx, y1: b.y1 + dy, x2: b.x2 + dx, y2: b.y2 + dy }, lines);
+    } catch (e) {
+      log("ERROR", "[smart-guides] moving handler error", e);
+    }
+  };
+
+  // Dragged edge(s) of an unrotated single shape; the opposite edge stays.
+  const onScaling = (opt) => {
+    try {
+      const corner = opt?.transform?.corner || '';
+      if (opt?.target?.type === 'activeSelection' || Math.abs((opt?.target?.angle || 0) % 360) > 0.01) return;
+      const drag = prepare(opt);
+      if (!drag) return;
+      const { target, bg, bounds: b, threshold, grid } = drag;
+      const xEdge = corner[1] === 'l' ? 'x1' : corner[1] === 'r' ? 'x2' : null;
+      const yEdge = corner[0] === 't' || corner[1] === 't' ? 'y1' : corner[0] === 'b' || corner[1] === 'b' ? 'y2' : null;
+      const w = b.x2 - b.x1;
+      const h = b.y2 - b.y1;
+      if (!(w > 0 && h > 0)) return;
+
+      const dx = xEdge ? findSnapDelta([b[xEdge]], lines.xs, threshold, grid, drag.width) : 0;
+      const dy = yEdge ? findSnapDelta([b[yEdge]], lines.ys, threshold, grid, drag.height) : 0;
+      let fx = 1 + (xEdge === 'x2' ? dx : -dx) / w;
+      let fy = 1 + (yEdge === 'y2' ? dy : -dy) / h;
+      const uniform = target.lockUniScaling || (xEdge && yEdge && canvas.uniformScaling !== false && !opt.e?.shiftKey);
+      if (uniform) {
+        // One factor for both axes: keep the snap that moves least.
+        const f = (dx && (!dy || Math.abs(dx) <= Math.abs(dy))) ? fx : fy;
+        fx = f;
+        fy = f;
+      }
+      if ((fx !== 1 || fy !== 1) && fx > 0 && fy > 0) {
+        target.set({ scaleX: target.scaleX * fx, scaleY: target.scaleY * fy });
+        if (typeof target.setCoords === 'function') target.setCoords();
+        const after = getShapeImageGeometry(target, bg)?.bounds;
+        if (after) {
+          const keepX = xEdge === 'x2' ? after.x1 - b.x1 : xEdge === 'x1' ? after.x2 - b.x2 : (after.x1 + after.x2 - b.x1 - b.x2) / 2;
+          const keepY = yEdge === 'y2' ? after.y1 - b.y1 : yEdge === 'y1' ? after.y2 - b.y2 : (after.y1 + after.y2 - b.y1 - b.y2) / 2;
+          translateShape(target, -keepX, -keepY, bg);
+        }
+      }
+      const final = getShapeImageGeometry(target, bg)?.bounds;
+      guides = final ? collectGuides(final, lines) : [];
+    } catch (e) {
+      log("ERROR", "[smart-guides] scaling handler error", e);
+    }
+  };
+
+  const painter = () => paintGuides(canvas, guides);
+
+  canvas.on('object:moving', onMoving);
+  canvas.on('object:scaling', onScaling);
+  canvas.on('mouse:up', endGesture);
+  canvas.on('selection:cleared', endGesture);
+  canvas.on('after:render', painter);
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && details.key === 'snapGridSize')
+    ) {
+      requestRender();
+    }
+  });
+
+  log("INFO", "[smart-guides] Smart guides installed");
+  return function detach() {
+    try {
+      canvas.off('object:moving', onMoving);
+      canvas.off('object:scaling', onScaling);
+      canvas.off('mouse:up', endGesture);
+      canvas.off('selection:cleared', endGesture);
+      canvas.off('after:render', painter);
+    } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[smart-guides] Smart guides detached");
+  };
+}
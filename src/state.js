@@ -10,7 +10,23 @@ let _state = {
   bgFabricImage: null,
   settings: {},
   sceneName: "",
-  sceneLogic: "AND"
+  sceneLogic: "AND",
+  // Nested AND/OR/NOT groups under the sceneLogic root (see logic-tree.js).
+  logicGroups: [],
+  // Screen the active scene was captured on (device-profiles.js), or null.
+  sceneDevice: null,
+  // Ruler guide lines of the active scene (ruler-guides.js).
+  sceneGuides: [],
+  // Document model: ordered scene records. The active scene's live data is the
+  // top-level shapes/image/name/logic above; see scene-document.js.
+  scenes: [],
+  activeSceneId: null,
+  // Canvas pointer tool: 'select' (default Fabric behavior) or 'eyedropper'.
+  toolMode: "select",
+  // Last simulated matcher run for the active scene (scene-evaluation.js).
+  evaluation: null,
+  // Screen px per image px of the canvas view (canvas-viewport.js).
+  viewZoom: 1
 };
 
 const listeners = [];
@@ -102,6 +118,63 @@ export function setSceneLogic(logic) {
   log("INFO", "[state] scene logic set", { sceneLogic: _state.sceneLogic });
 }
 
+export function setSceneDevice(profile) {
+  _state.sceneDevice = profile || null;
+  notify({ type: "setSceneDevice", device: _state.sceneDevice });
+  log("INFO", "[state] scene device set", { sceneDevice: _state.sceneDevice });
+}
+
+export function setSceneGuides(guides) {
+  _state.sceneGuides = Array.isArray(guides) ? guides : [];
+  notify({ type: "setSceneGuides", guides: _state.sceneGuides });
+  log("INFO", "[state] scene guides set", { count: _state.sceneGuides.length });
+}
+
+export function setLogicGroups(groups) {
+  _state.logicGroups = Array.isArray(groups) ? groups : [];
+  notify({ type: "setLogicGroups", groups: _state.logicGroups });
+  log("INFO", "[state] logic groups set", { count: _state.logicGroups.length });
+}
+
+export function setScenes(arr) {
+  _state.scenes = Array.isArray(arr) ? arr : [];
+  notify({ type: "setScenes", scenes: _state.scenes });
+  log("INFO", "[state] scenes set", { count: _state.scenes.length });
+}
+
+export function setActiveSceneId(id) {
+  _state.activeSceneId = id || null;
+  notify({ type: "setActiveSceneId", id: _state.activeSceneId });
+  log("INFO", "[state] active scene set", { activeSceneId: _state.activeSceneId });
+}
+
+export function setToolMode(mode) {
+  const next = typeof mode === "string" && mode ? mode : "select";
+  if (_state.toolMode === next) return;
+  _state.toolMode = next;
+  notify({ type: "setToolMode", mode: next });
+  log("INFO", "[state] tool mode set", { toolMode: next });
+}
+
+export function setEvaluation(result) {
+  _state.evaluation = result || null;
+  notify({ type: "setEvaluation", evaluation: _state.evaluation });
+}
+
+export function setViewZoom(zoom) {
+  const next = Number.isFinite(zoom) && zoom > 0 ? zoom : 1;
+  if (Math.abs(_state.viewZoom - next) < 1e-6) return;
+  _state.viewZoom = next;
+  notify({ type: "setViewZoom", zoom: next });
+}
+
+// Shapes mutated in place (no array change), e.g. a re-sampled expected color.
+export function markShapesUpdated(ids, reason = "") {
+  const list = Array.isArray(ids) ? ids.filter(Boolean) : [];
+  if (!list.length) return;
+  notify({ type: "updateShapes", ids: list, reason });
+}
+
 export function subscribe(fn) {
   if (typeof fn !== "function") return () => {};
   listeners.push(fn);
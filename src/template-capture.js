@@ -0,0 +1,212 @@
+/**
+ * template-capture.js
+ * -----------------------------------------------------------
+ * Scene Designer – Template patches (require_template)
+ *
+ * A template shape (shapes-core.js makeTemplateShape) carries the screenshot
+ * patch it was drawn over:
+ *
+ *   shape._template = { dataUrl: 'data:image/png;base64,…', width, height,
+ *                       x, y, file? }
+ *
+ * x / y / width / height are the image-pixel rect the patch was cropped
+ * from (the shape's axis-aligned footprint, rounded). `file` is only set on
+ * shapes imported from an .ini; otherwise the exported PNG name is derived
+ * from the label and id (templateFileName). Records are treated as
+ * immutable: a recapture replaces the object (SET_TEMPLATE, see
+ * commands-check.js), so undo can hand the old record back as-is.
+ *
+ * Decoded RGBA pixels (what scene-evaluator.js matches with) are cached per
+ * record. Patches captured here are cached immediately; patches loaded from
+ * JSON are decoded in the background and the shapes are marked updated once
+ * ready, which re-runs the evaluation.
+ *
+ * installTemplateCapture() crops a patch for every template shape that has
+ * none yet (new shapes, INI imports, a screenshot loaded after the shapes
+ * were drawn). Moving or resizing a template never re-captures on its own;
+ * the properties panel offers an explicit, undoable "Capture" instead, so a
+ * patch survives loading a different screenshot to test against.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import { getState, sceneDesignerStore, markShapesUpdated } from './state.js';
+import { subscribeHistory } from './commands/command-bus.js';
+import { getShapeImageGeometry } from './geometry/shape-rect.js';
+import { getImagePixelData } from './color-sampling.js';
+import { cropPixels } from './template-match.js';
+
+const CAPTURE_COMMANDS = new Set(['ADD_SHAPE', 'ADD_SHAPES', 'DUPLICATE_SHAPES']);
+
+const pixelCache = new WeakMap();
+const decoding = new WeakSet();
+
+export function isTemplateShape(shape) {
+  return !!shape && shape._type === 'template';
+}
+
+function slug(s) {
+  return String(s ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * PNG file name a template is exported under (and referenced by in the .ini).
+ */
+export function templateFileName(shape) {
+  const file = shape?._template?.file;
+  if (typeof file === 'string' && file) return file;
+  const idPart = String(shape?._id || '').split('_')[1] || slug(shape?._id) || 'patch';
+  return `${slug(shape?._label) || 'template'}-${idPart}.png`;
+}
+
+function pixelsToDataUrl(patch) {
+  const c = document.createElement('canvas');
+  c.width = patch.width;
+  c.height = patch.height;
+  const ctx = c.getContext('2d');
+  ctx.putImageData(new ImageData(patch.data, patch.width, patch.height), 0, 0);
+  return c.toDataURL('image/png');
+}
+
+/**
+ * Crop a new template record for a shape from the current screenshot.
+ * The record's pixels are cached, so it can be matched right away.
+ * @returns {object|null} null without a readable image or an empty footprint
+ */
+export function captureTemplateRecord(shape) {
+  const state = getState();
+  const pixels = getImagePixelData(state.imageObj);
+  const geom = pixels ? getShapeImageGeometry(shape, state.bgFabricImage) : null;
+  if (!geom) return null;
+  const x1 = Math.round(geom.bounds.x1);
+  const y1 = Math.round(geom.bounds.y1);
+  const patch = cropPixels(pixels, x1, y1, Math.round(geom.bounds.x2) - x1, Math.round(geom.bounds.y2) - y1);
+  if (!patch) return null;
+  try {
+    const record = {
+      dataUrl: pixelsToDataUrl(patch),
+      width: patch.width,
+      height: patch.height,
+      x: patch.x,
+      y: patch.y
+    };
+    if (shape._template?.file) record.file = shape._template.file;
+    pixelCache.set(record, { width: patch.width, height: patch.height, data: patch.data });
+    return record;
+  } catch (e) {
+    log("WARN", "[template-capture] Unable to encode template patch", { id: shape?._id, error: e });
+    return null;
+  }
+}
+
+function decodeRecord(record) {
+  if (decoding.has(record)) return;
+  decoding.add(record);
+  const img = new Image();
+  img.onload = () => {
+    try {
+      const c = document.createElement('canvas');
+      c.width = img.naturalWidth;
+      c.height = img.naturalHeight;
+      const ctx = c.getContext('2d', { willReadFrequently: true });
+      ctx.drawImage(img, 0, 0);
+      const data = ctx.getImageData(0, 0, c.width, c.height).data;
+      pixelCache.set(record, { width: c.width, height: c.height, data });
+      const ids = (getState().shapes || []).filter(s => s?._template === record).map(s => s._id);
+      markShapesUpdated(ids, 'template');
+      log("DEBUG", "[template-capture] Template patch decoded", { ids, width: c.width, height: c.height });
+    } catch (e) {
+      log("WARN", "[template-capture] Template patch decode failed", e);
+    }
+  };
+  img.onerror = (e) => log("WARN", "[template-capture] Template patch is not a readable image", e);
+  img.src = record.dataUrl;
+}
+
+/**
+ * RGBA pixels of a shape's template patch, or null (no patch, or still
+ * decoding – the shape is marked updated when it is ready).
+ */
+export function getTemplatePixels(shape) {
+  const record = shape?._template;
+  if (!record || typeof record.dataUrl !== 'string' || !record.dataUrl) return null;
+  const cached = pixelCache.get(record);
+  if (cached) return cached;
+  decodeRecord(record);
+  return null;
+}
+
+/**
+ * Capture a patch for every template shape that has none.
+ * @returns {Array} shapes that received a patch
+ */
+export function captureMissingTemplates(shapes) {
+  const changed = [];
+  (Array.isArray(shapes) ? shapes : []).forEach(shape => {
+    if (!isTemplateShape(shape) || shape._template?.dataUrl) return;
+    const record = captureTemplateRecord(shape);
+    if (!record) return;
+    shape._template = record;
+    changed.push(shape);
+  });
+  return changed;
+}
+
+/**
+ * PNG attachments for a list of shapes: [{ filename, dataUrl }] (shapes
+ * without a patch are skipped).
+ */
+export function getTemplateAttachments(shapes) {
+  return (Array.isArray(shapes) ? shapes : [])
+    .filter(s => isTemplateShape(s) && s._template?.dataUrl)
+    .map(s => ({ filename: templateFileName(s), dataUrl: s._template.dataUrl }));
+}
+
+function captureAndNotify(shapes, reason) {
+  try {
+    const changed = captureMissingTemplates(shapes);
+    if (changed.length) {
+      markShapesUpdated(changed.map(s => s._id), 'template');
+      log("DEBUG", "[template-capture] Template patches captured", {
+        reason,
+        count: changed.length,
+        ids: changed.map(s => s._id)
+      });
+    }
+  } catch (e) {
+    log("ERROR", "[template-capture] Capture failed", { reason, error: e });
+  }
+}
+
+export function installTemplateCapture() {
+  const unsubStore = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    switch (details.type) {
+      case 'addShape':
+        if (details.shape) captureAndNotify([details.shape], 'addShape');
+        break;
+      case 'setShapes':
+        captureAndNotify(state.shapes, 'setShapes');
+        break;
+      case 'setImage':
+        captureAndNotify(state.shapes, 'setImage');
+        break;
+      default:
+        break;
+    }
+  });
+
+  const unsubHistory = subscribeHistory((evt) => {
+    if (!evt || !evt.cmdType) return;
+    if (evt.event !== 'dispatch' && evt.event !== 'undo' && evt.event !== 'redo') return;
+    if (!(evt.cmdTypes || [evt.cmdType]).some(t => CAPTURE_COMMANDS.has(t))) return;
+    captureAndNotify(getState().shapes, evt.cmdType);
+  });
+
+  log("INFO", "[template-capture] Installed (store + add/duplicate hooks)");
+  return function detach() {
+    try { unsubStore && unsubStore(); } catch {}
+    try { unsubHistory && unsubHistory(); } catch {}
+    log("INFO", "[template-capture] Detached");
+  };
+}
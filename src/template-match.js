@@ -0,0 +1,192 @@
+/**
+ * template-match.js
+ * -----------------------------------------------------------
+ * Scene Designer – Template search by normalized cross-correlation
+ *
+ * Pure: no store, no DOM. Inputs are RGBA pixel buffers
+ * ({ width, height, data }, see color-sampling.js getImagePixelData); the
+ * template is searched for anywhere in the image.
+ *
+ * Score: zero-mean normalized cross-correlation of the luma of the template
+ * with the luma of the image patch under it, -1..1 (1 = identical up to
+ * brightness / contrast). A flat template or patch has no correlation: when
+ * both are flat the score is 1 - |mean difference| / 255, otherwise 0.
+ *
+ * Search is coarse-to-fine: image and template are box-downsampled by the
+ * smallest factor that keeps a full scan under SCAN_BUDGET multiply-adds
+ * (the template stays at least MIN_COARSE_SIDE px), every position is scored
+ * at that scale, and the best REFINE_CANDIDATES positions are re-scored at
+ * full resolution within ±factor px.
+ *
+ * Results are memoized per (image buffer, template buffer) pair, so repeated
+ * evaluation of an unchanged scene is free.
+ * -----------------------------------------------------------
+ */
+
+const MIN_COARSE_SIDE = 4;
+const MAX_FACTOR = 16;
+const SCAN_BUDGET = 2e7;
+const REFINE_CANDIDATES = 4;
+const FLAT_VARIANCE = 0.25;
+
+const memo = new WeakMap();
+
+function toLuma(pixels) {
+  const { width, height, data } = pixels;
+  const out = new Float32Array(width * height);
+  for (let i = 0, j = 0; i < out.length; i++, j += 4) {
+    out[i] = 0.299 * data[j] + 0.587 * data[j + 1] + 0.114 * data[j + 2];
+  }
+  return { width, height, data: out };
+}
+
+function downsample(gray, f) {
+  if (f <= 1) return gray;
+  const w = Math.floor(gray.width / f);
+  const h = Math.floor(gray.height / f);
+  const out = new Float32Array(w * h);
+  const inv = 1 / (f * f);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < f; dy++) {
+        const row = (y * f + dy) * gray.width + x * f;
+        for (let dx = 0; dx < f; dx++) sum += gray.data[row + dx];
+      }
+      out[y * w + x] = sum * inv;
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+function templateStats(t) {
+  const n = t.data.length;
+  let sum = 0;
+  for (let i = 0; i < n; i++) sum += t.data[i];
+  const mean = sum / n;
+  const zero = new Float32Array(n);
+  let sq = 0;
+  for (let i = 0; i < n; i++) {
+    zero[i] = t.data[i] - mean;
+    sq += zero[i] * zero[i];
+  }
+  return { ...t, mean, zero, norm: sq / n > FLAT_VARIANCE ? Math.sqrt(sq) : 0 };
+}
+
+function scoreAt(img, t, x, y) {
+  const n = t.width * t.height;
+  let sum = 0;
+  let sq = 0;
+  let cross = 0;
+  for (let ty = 0; ty < t.height; ty++) {
+    const row = (y + ty) * img.width + x;
+    const trow = ty * t.width;
+    for (let tx = 0; tx < t.width; tx++) {
+      const v = img.data[row + tx];
+      sum += v;
+      sq += v * v;
+      cross += v * t.zero[trow + tx];
+    }
+  }
+  const mean = sum / n;
+  const variance = sq - n * mean * mean;
+  const norm = variance / n > FLAT_VARIANCE ? Math.sqrt(variance) : 0;
+  if (!norm || !t.norm) {
+    return !norm && !t.norm ? 1 - Math.abs(mean - t.mean) / 255 : 0;
+  }
+  return cross / (norm * t.norm);
+}
+
+function pickFactor(image, template) {
+  for (let f = 1; f <= MAX_FACTOR; f++) {
+    const tw = Math.floor(template.width / f);
+    const th = Math.floor(template.height / f);
+    if (f > 1 && Math.min(tw, th) < MIN_COARSE_SIDE) return f - 1;
+    const positions = (Math.floor(image.width / f) - tw + 1) * (Math.floor(image.height / f) - th + 1);
+    if (positions * tw * th <= SCAN_BUDGET) return f;
+  }
+  return MAX_FACTOR;
+}
+
+function insertCandidate(list, cand) {
+  if (list.length === REFINE_CANDIDATES && cand.score <= list[list.length - 1].score) return;
+  list.push(cand);
+  list.sort((a, b) => b.score - a.score);
+  if (list.length > REFINE_CANDIDATES) list.pop();
+}
+
+function search(image, template) {
+  const img = toLuma(image);
+  const tpl = templateStats(toLuma(template));
+  const f = pickFactor(img, tpl);
+  const maxX = img.width - tpl.width;
+  const maxY = img.height - tpl.height;
+
+  const windows = [];
+  if (f > 1) {
+    const ci = downsample(img, f);
+    const ct = templateStats(downsample(tpl, f));
+    const top = [];
+    for (let y = 0; y <= ci.height - ct.height; y++) {
+      for (let x = 0; x <= ci.width - ct.width; x++) {
+        insertCandidate(top, { x, y, score: scoreAt(ci, ct, x, y) });
+      }
+    }
+    top.forEach(c => windows.push({ x: c.x * f, y: c.y * f, r: f }));
+  } else {
+    windows.push({ x: 0, y: 0, r: Math.max(maxX, maxY) });
+  }
+
+  let best = null;
+  windows.forEach(w => {
+    for (let y = Math.max(0, w.y - w.r); y <= Math.min(maxY, w.y + w.r); y++) {
+      for (let x = Math.max(0, w.x - w.r); x <= Math.min(maxX, w.x + w.r); x++) {
+        const score = scoreAt(img, tpl, x, y);
+        if (!best || score > best.score) best = { x, y, score };
+      }
+    }
+  });
+  return best ? { ...best, width: tpl.width, height: tpl.height } : null;
+}
+
+/**
+ * Best location of `template` inside `image`.
+ * @returns {{x:number, y:number, width:number, height:number, score:number}|null}
+ *   top-left of the best match in image pixels; null when the template is
+ *   empty or larger than the image.
+ */
+export function matchTemplate(image, template) {
+  if (!image || !template) return null;
+  if (!(template.width > 0 && template.height > 0)) return null;
+  if (template.width > image.width || template.height > image.height) return null;
+  let byTemplate = memo.get(image);
+  if (!byTemplate) {
+    byTemplate = new WeakMap();
+    memo.set(image, byTemplate);
+  }
+  if (byTemplate.has(template)) return byTemplate.get(template);
+  const result = search(image, template);
+  byTemplate.set(template, result);
+  return result;
+}
+
+/**
+ * Copy a rectangle out of a pixel buffer (clipped to the buffer).
+ * @returns {{width, height, data:Uint8ClampedArray}|null} null when empty
+ */
+export function cropPixels(pixels, x, y, width, height) {
+  if (!pixels) return null;
+  const x1 = Math.max(0, Math.floor(x));
+  const y1 = Math.max(0, Math.floor(y));
+  const x2 = Math.min(pixels.width, Math.floor(x + width));
+  const y2 = Math.min(pixels.height, Math.floor(y + height));
+  if (x2 <= x1 || y2 <= y1) return null;
+  const w = x2 - x1;
+  const h = y2 - y1;
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let row = 0; row < h; row++) {
+    const from = ((y1 + row) * pixels.width + x1) * 4;
+    data.set(pixels.data.subarray(from, from + w * 4), row * w * 4);
+  }
+  return { x: x1, y: y1, width: w, height: h, data };
+}
@@ -0,0 +1,317 @@
+import { log } from './log.js';
+import { sceneDesignerStore } from './state.js';
+import {
+  addBenchFiles,
+  buildBenchReport,
+  clearBench,
+  getBenchItems,
+  getLastBenchRun,
+  removeBenchItem,
+  runBench,
+  setBenchItemExpected,
+  subscribeBench
+} from './test-bench.js';
+import { downloadTextFile } from './text-preview-dialog.js';
+
+const OUTCOME_TITLES = {
+  TP: 'True positive: expected to match and matched',
+  TN: 'True negative: expected not to match and did not',
+  FP: 'False positive: matched a screen it should not',
+  FN: 'False negative: did not match a screen it should'
+};
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function matrixHtml(summary, stale) {
+  const pct = (n, d) => (d ? `${Math.round((n / d) * 100)}%` : '—');
+  const correct = summary.TP + summary.TN;
+  return `
+    <table class="bench-matrix">
+      <tr><th></th><th>Matched</th><th>Not matched</th></tr>
+      <tr><th>Positive</th><td class="ok" title="${OUTCOME_TITLES.TP}">TP ${summary.TP}</td><td class="bad" title="${OUTCOME_TITLES.FN}">FN ${summary.FN}</td></tr>
+      <tr><th>Negative</th><td class="bad" title="${OUTCOME_TITLES.FP}">FP ${summary.FP}</td><td class="ok" title="${OUTCOME_TITLES.TN}">TN ${summary.TN}</td></tr>
+    </table>
+    <div class="bench-note">
+      Accuracy ${pct(correct, summary.total)} · Precision ${pct(summary.TP, summary.TP + summary.FP)} · Recall ${pct(summary.TP, summary.TP + summary.FN)}
+      ${stale ? '<br><b>Scene changed since this run – run again.</b>' : ''}
+    </div>
+  `;
+}
+
+function itemHtml(item) {
+  const r = item.result;
+  const outcome = r ? `<span class="bench-outcome ${r.outcome === 'TP' || r.outcome === 'TN' ? 'ok' : 'bad'}" title="${OUTCOME_TITLES[r.outcome]}">${r.outcome}</span>` : '';
+  const failures = r
+    ? r.checks.filter(c => c.failure).map(c => `<li><b>${escapeHtml(c.label)}</b> ${escapeHtml(c.failure)}</li>`).join('')
+    : '';
+  const notes = r && r.sizeMismatch ? `<div class="bench-note">Size ${item.width}×${item.height} differs from the scene image</div>` : '';
+  return `
+    <div class="bench-item" data-id="${escapeHtml(item.id)}">
+      <img class="bench-thumb" src="${escapeHtml(item.url)}" alt="" />
+      <div class="bench-item-body">
+        <div class="bench-item-head">
+          <span class="bench-name" title="${escapeHtml(item.name)}">${escapeHtml(item.name)}</span>
+          <button class="bench-btn" data-toggle="${escapeHtml(item.id)}" title="Click to flip expected result">${item.expected === 'negative' ? '✗ negative' : '✓ positive'}</button>
+          ${outcome}
+          <button class="bench-btn" data-remove="${escapeHtml(item.id)}" title="Remove screenshot">✕</button>
+        </div>
+        ${notes}
+        ${failures ? `<ul class="bench-failures">${failures}</ul>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+export function buildTestBenchPanel({ element }) {
+  try {
+    if (!element) {
+      log("ERROR", "[test-bench-panel] missing root element");
+      return;
+    }
+
+    element.innerHTML = `
+      <div id="bench-panel-root" style="display:flex;flex-direction:column;height:100%;width:100%;background:#fff;box-sizing:border-box;">
+        <div style="flex:0 0 auto;display:flex;flex-wrap:wrap;gap:6px;padding:6px 8px;border-bottom:1px solid #d5deea;">
+          <button class="bench-btn" data-add="positive" title="Add screenshots the scene should match">+ Positives</button>
+          <button class="bench-btn" data-add="negative" title="Add screenshots the scene should NOT match">+ Negatives</button>
+          <button class="bench-btn" id="bench-run-btn" title="Evaluate the active scene against every screenshot">Run</button>
+          <button class="bench-btn" id="bench-export-btn" title="Download the report as JSON">Export JSON</button>
+          <button class="bench-btn" id="bench-clear-btn" title="Remove all screenshots">Clear</button>
+          <input id="bench-file-input" type="file" accept="image/*" multiple style="display:none;" />
+        </div>
+        <div style="flex:0 0 auto;display:flex;gap:6px;padding:6px 8px;">
+          <div class="bench-drop" data-drop="positive">Drop positives</div>
+          <div class="bench-drop" data-drop="negative">Drop negatives</div>
+        </div>
+        <div id="bench-summary" style="flex:0 0 auto;padding:0 8px;"></div>
+        <div id="bench-list" style="flex:1 1 auto;overflow:auto;padding:4px 8px;background:#fafcff;"></div>
+      </div>
+    `;
+
+    const styleId = "test-bench-panel-inline-style";
+    if (!document.getElementById(styleId)) {
+      const s = document.createElement('style');
+      s.id = styleId;
+      s.textContent = `
+        .bench-btn {
+          font: inherit;
+          color: #234;
+          border: 1px solid #8ca6c6;
+          background: #fff;
+          border-radius: 7px;
+          padding: 1px 8px;
+          cursor: pointer;
+        }
+        .bench-btn:disabled {
+          opacity: .4;
+          cursor: not-allowed;
+        }
+        .bench-drop {
+          flex: 1 1 0;
+          border: 2px dashed #8ca6c6;
+          border-radius: 8px;
+          padding: 8px 4px;
+          text-align: center;
+          color: #567;
+        }
+        .bench-drop.over {
+          border-color: #2176ff;
+          background: #eaf2ff;
+        }
+        .bench-matrix {
+          border-collapse: collapse;
+          margin: 4px 0;
+        }
+        .bench-matrix th, .bench-matrix td {
+          border: 1px solid #d5deea;
+          padding: 2px 8px;
+          text-align: center;
+        }
+        .bench-matrix td.ok { background: #e6f6ec; }
+        .bench-matrix td.bad { background: #fbe7ea; }
+        .bench-note {
+          color: #567;
+          font-size: .92em;
+          margin: 2px 0 4px 0;
+        }
+        .bench-item {
+          display: flex;
+          gap: 8px;
+          padding: 6px 0;
+          border-bottom: 1px solid #e3e9f2;
+        }
+        .bench-thumb {
+          flex: 0 0 auto;
+          width: 48px;
+          height: 48px;
+          object-fit: contain;
+          background: #eef2f8;
+          border: 1px solid #d5deea;
+          border-radius: 4px;
+        }
+        .bench-item-body {
+          flex: 1 1 auto;
+          min-width: 0;
+        }
+        .bench-item-head {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+        .bench-name {
+          flex: 1 1 auto;
+          min-width: 0;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        .bench-outcome {
+          border-radius: 8px;
+          padding: 0 6px;
+          color: #fff;
+          font-weight: 700;
+        }
+        .bench-outcome.ok { background: #1e9e4a; }
+        .bench-outcome.bad { background: #d23040; }
+        .bench-failures {
+          margin: 4px 0 0 0;
+          padding-left: 16px;
+          color: #6a2230;
+          font-size: .92em;
+        }
+      `;
+      document.head.appendChild(s);
+    }
+
+    const root = element.querySelector('#bench-panel-root');
+    const listEl = element.querySelector('#bench-list');
+    const summaryEl = element.querySelector('#bench-summary');
+    const fileInput = element.querySelector('#bench-file-input');
+    const runBtn = element.querySelector('#bench-run-btn');
+    const exportBtn = element.querySelector('#bench-export-btn');
+    const clearBtn = element.querySelector('#bench-clear-btn');
+
+    let pendingExpected = 'positive';
+    let stale = false;
+
+    function render() {
+      const items = getBenchItems();
+      const run = getLastBenchRun();
+      if (runBtn) runBtn.disabled = !items.length;
+      if (exportBtn) exportBtn.disabled = !run;
+      if (clearBtn) clearBtn.disabled = !items.length;
+      if (summaryEl) {
+        summaryEl.innerHTML = run
+          ? matrixHtml(run.summary, stale)
+          : `<div class="bench-note">${items.length ? `${items.length} screenshot(s) – press Run.` : 'Add screenshots the active scene should and should not match.'}</div>`;
+      }
+      if (listEl) listEl.innerHTML = items.map(itemHtml).join('');
+    }
+
+    async function addFiles(files, expected) {
+      try {
+        await addBenchFiles(files, expected);
+      } catch (e) {
+        log("ERROR", "[test-bench-panel] add files failed", e);
+      }
+    }
+
+    const onClick = (e) => {
+      const add = e.target.closest('[data-add]');
+      if (add && fileInput) {
+        pendingExpected = add.getAttribute('data-add');
+        fileInput.value = '';
+        fileInput.click();
+        return;
+      }
+      const toggle = e.target.closest('[data-toggle]');
+      if (toggle) {
+        const id = toggle.getAttribute('data-toggle');
+        const item = getBenchItems().find(i => i.id === id);
+        if (item) setBenchItemExpected(id, item.expected === 'negative' ? 'positive' : 'negative');
+        return;
+      }
+      const remove = e.target.closest('[data-remove]');
+      if (remove) {
+        removeBenchItem(remove.getAttribute('data-remove'));
+        return;
+      }
+      if (e.target === runBtn) {
+        stale = false;
+        try { runBench(); } catch (err) { log("ERROR", "[test-bench-panel] run failed", err); }
+      } else if (e.target === exportBtn) {
+        const report = buildBenchReport();
+        downloadTextFile('scene-test-bench.json', JSON.stringify(report, null, 2), 'application/json');
+      } else if (e.target === clearBtn) {
+        clearBench();
+      }
+    };
+
+    const onFileChange = () => {
+      if (fileInput?.files?.length) addFiles(fileInput.files, pendingExpected);
+    };
+
+    const onDragOver = (e) => {
+      const zone = e.target.closest('[data-drop]');
+      if (!zone) return;
+      e.preventDefault();
+      zone.classList.add('over');
+    };
+    const onDragLeave = (e) => {
+      const zone = e.target.closest('[data-drop]');
+      if (zone) zone.classList.remove('over');
+    };
+    const onDrop = (e) => {
+      const zone = e.target.closest('[data-drop]');
+      if (!zone) return;
+      e.preventDefault();
+      zone.classList.remove('over');
+      addFiles(e.dataTransfer?.files, zone.getAttribute('data-drop'));
+    };
+
+    root?.addEventListener('click', onClick);
+    root?.addEventListener('dragover', onDragOver);
+    root?.addEventListener('dragleave', onDragLeave);
+    root?.addEventListener('drop', onDrop);
+    fileInput?.addEventListener('change', onFileChange);
+
+    const unsubBench = subscribeBench(() => {
+      try { render(); } catch (e) { log("WARN", "[test-bench-panel] render error", e); }
+    });
+    // Any re-evaluation of the active scene means the bench report may be outdated.
+    const unsubStore = sceneDesignerStore.subscribe((state, details) => {
+      if (!details || details.type !== 'setEvaluation' || !getLastBenchRun() || stale) return;
+      stale = true;
+      render();
+    });
+
+    render();
+
+    const cleanup = () => {
+      try { unsubBench && unsubBench(); } catch {}
+      try { unsubStore && unsubStore(); } catch {}
+      try {
+        root?.removeEventListener('click', onClick);
+        root?.removeEventListener('dragover', onDragOver);
+        root?.removeEventListener('dragleave', onDragLeave);
+        root?.removeEventListener('drop', onDrop);
+        fileInput?.removeEventListener('change', onFileChange);
+      } catch {}
+      log("INFO", "[test-bench-panel] cleaned up");
+    };
+    if (typeof element.on === "function") {
+      try { element.on("destroy", cleanup); } catch {}
+    }
+    window.addEventListener('beforeunload', cleanup, { once: true });
+
+    log("INFO", "[test-bench-panel] ready");
+  } catch (e) {
+    log("ERROR", "[test-bench-panel] init error", e);
+  }
+}
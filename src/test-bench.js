@@ -0,0 +1,246 @@
+/**
+ * test-bench.js
+ * -----------------------------------------------------------
+ * Scene Designer – Batch test of the active scene against screenshots
+ *
+ * A bench is a list of screenshots, each labelled as a POSITIVE (the scene
+ * should match it) or a NEGATIVE (it should not). runBench() evaluates the
+ * active scene (the same checks the .ini would contain) against every
+ * screenshot with scene-evaluator.js and classifies each run:
+ *
+ *   expected positive + matched → TP      expected positive + no match → FN
+ *   expected negative + matched → FP      expected negative + no match → TN
+ *
+ * Items (and their decoded pixels) live here at module level, so the panel
+ * can be rebuilt by the layout without losing them. Listeners are notified
+ * on every change (subscribeBench), mirroring command-bus subscribeHistory.
+ * -----------------------------------------------------------
+ */
+
+import { log } from './log.js';
+import { getState } from './state.js';
+import { getImagePixelData } from './color-sampling.js';
+import { serializeSceneChecks } from './serialization/scene-ini.js';
+import { evaluateScene } from './scene-evaluator.js';
+
+const items = [];
+const listeners = [];
+let lastRun = null;
+
+function generateItemId() {
+  return `bench_${Math.random().toString(36).slice(2)}_${Date.now()}`;
+}
+
+function notify(event) {
+  for (const fn of listeners) {
+    try { fn(event); } catch (e) { log("ERROR", "[test-bench] listener error", e); }
+  }
+}
+
+export function subscribeBench(fn) {
+  if (typeof fn !== 'function') return () => {};
+  listeners.push(fn);
+  return () => {
+    const idx = listeners.indexOf(fn);
+    if (idx >= 0) listeners.splice(idx, 1);
+  };
+}
+
+export function getBenchItems() {
+  return items.slice();
+}
+
+export function getLastBenchRun() {
+  return lastRun;
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = (e) => reject(e);
+    img.src = url;
+  });
+}
+
+/**
+ * Add image files to the bench.
+ * @param {FileList|File[]} files
+ * @param {'positive'|'negative'} expected
+ * @returns {Promise<number>} number of images added
+ */
+export async function addBenchFiles(files, expected = 'positive') {
+  const list = Array.from(files || []).filter(f => f && /^image\//.test(f.type));
+  let added = 0;
+  for (const file of list) {
+    const url = URL.createObjectURL(file);
+    try {
+      const img = await loadImage(url);
+      items.push({
+        id: generateItemId(),
+        name: file.name,
+        url,
+        img,
+        width: img.naturalWidth,
+        height: img.naturalHeight,
+        expected: expected === 'negative' ? 'negative' : 'positive',
+        result: null
+      });
+      added++;
+    } catch (e) {
+      URL.revokeObjectURL(url);
+      log("WARN", "[test-bench] Could not decode image", { name: file.name, error: e });
+    }
+  }
+  if (added) {
+    lastRun = null;
+    notify({ event: 'items' });
+  }
+  log("INFO", "[test-bench] Screenshots added", { expected, added, skipped: list.length - added });
+  return added;
+}
+
+export function setBenchItemExpected(id, expected) {
+  const item = items.find(i => i.id === id);
+  if (!item) return;
+  item.expected = expected === 'negative' ? 'negative' : 'positive';
+  if (item.result) item.result.outcome = classifyOutcome(item.expected, item.result.matched);
+  if (lastRun) lastRun.summary = summarizeOutcomes(items);
+  notify({ event: 'items' });
+}
+
+export function removeBenchItem(id) {
+  const idx = items.findIndex(i => i.id === id);
+  if (idx < 0) return;
+  const [item] = items.splice(idx, 1);
+  try { URL.revokeObjectURL(item.url); } catch {}
+  if (lastRun) lastRun.summary = summarizeOutcomes(items);
+  notify({ event: 'items' });
+}
+
+export function clearBench() {
+  items.splice(0).forEach(item => { try { URL.revokeObjectURL(item.url); } catch {} });
+  lastRun = null;
+  notify({ event: 'items' });
+}
+
+export function classifyOutcome(expected, matched) {
+  if (expected === 'negative') return matched ? 'FP' : 'TN';
+  return matched ? 'TP' : 'FN';
+}
+
+function summarizeOutcomes(list) {
+  const summary = { TP: 0, FP: 0, TN: 0, FN: 0, total: 0 };
+  list.forEach(item => {
+    const o = item.result?.outcome;
+    if (!o) return;
+    summary[o]++;
+    summary.total++;
+  });
+  return summary;
+}
+
+/**
+ * One-line reason a check failed on a screenshot.
+ */
+export function describeCheckFailure(r) {
+  if (!r || r.pass) return null;
+  if (r.reason === 'OUT_OF_BOUNDS') return 'samples outside the screenshot';
+  if (r.reason === 'NO_SAMPLES') return 'nothing to sample';
+  if (r.threshold !== undefined) {
+    const at = r.found ? ` at ${r.found.x1},${r.found.y1}` : '';
+    return r.negated
+      ? `template ${r.expected} found${at} (must NOT match; score ${r.measured} >= ${r.threshold})`
+      : `template ${r.expected} not found: best score ${r.measured}${at} < ${r.threshold}`;
+  }
+  if (r.negated) return `every sample matched ${r.expected} (must NOT match; worst distance ${r.distance} <= ${r.tolerance})`;
+  const counts = r.samples > 1 ? ` (${r.failed}/${r.samples} samples)` : '';
+  return `measured ${r.measured} vs ${r.expected}: distance ${r.distance} > ${r.tolerance}${counts}`;
+}
+
+/**
+ * Evaluate the active scene against every bench screenshot.
+ * @returns {{ scene, summary, ranAt }|null}
+ */
+export function runBench() {
+  const state = getState();
+  const scene = serializeSceneChecks({
+    name: state.sceneName,
+    logic: state.sceneLogic,
+    logicGroups: state.logicGroups,
+    shapes: state.shapes,
+    bgImage: state.bgFabricImage
+  });
+  const labels = new Map(scene.checks.map(c => [c.id, c.label]));
+  const sceneImage = state.imageObj;
+
+  items.forEach(item => {
+    const pixels = getImagePixelData(item.img);
+    if (!pixels) {
+      item.result = null;
+      return;
+    }
+    const evaluation = evaluateScene(scene, pixels);
+    const sizeMismatch = !!sceneImage &&
+      (sceneImage.naturalWidth !== item.width || sceneImage.naturalHeight !== item.height);
+    item.result = {
+      matched: evaluation.matched,
+      outcome: classifyOutcome(item.expected, evaluation.matched),
+      passed: evaluation.passed,
+      failed: evaluation.failed,
+      sizeMismatch,
+      checks: evaluation.results.map(r => ({
+        ...r,
+        label: labels.get(r.id) || r.id,
+        failure: describeCheckFailure(r)
+      }))
+    };
+  });
+
+  lastRun = {
+    scene: { name: scene.name, logic: scene.logic, checkCount: scene.checks.length, warnings: scene.warnings },
+    summary: summarizeOutcomes(items),
+    ranAt: new Date().toISOString()
+  };
+  notify({ event: 'run' });
+  log("INFO", "[test-bench] Bench run complete", { scene: scene.name, ...lastRun.summary });
+  return lastRun;
+}
+
+/**
+ * JSON-ready report of the last run (no image data).
+ */
+export function buildBenchReport() {
+  return {
+    version: 1,
+    scene: lastRun?.scene || null,
+    ranAt: lastRun?.ranAt || null,
+    summary: lastRun?.summary || summarizeOutcomes(items),
+    screenshots: items.map(item => ({
+      name: item.name,
+      width: item.width,
+      height: item.height,
+      expected: item.expected,
+      matched: item.result ? item.result.matched : null,
+      outcome: item.result ? item.result.outcome : null,
+      sizeMismatch: item.result ? item.result.sizeMismatch : null,
+      checks: item.result
+        ? item.result.checks.map(c => ({
+          id: c.id,
+          label: c.label,
+          key: c.key,
+          pass: c.pass,
+          expected: c.expected,
+          measured: c.measured,
+          distance: c.distance,
+          tolerance: c.tolerance,
+          threshold: c.threshold,
+          found: c.found,
+          samples: c.samples,
+          failed: c.failed,
+          reason: c.failure
+        }))
+        : []
+    }))
+  };
+}
@@ -0,0 +1,210 @@
+import { log } from './log.js';
+
+const STYLE_ID = "text-preview-dialog-inline-style";
+
+/**
+ * Shared modal styles (.tpd-*), also used by device-dialog.js.
+ */
+export function ensureDialogStyles() {
+  if (document.getElementById(STYLE_ID)) return;
+  const s = document.createElement('style');
+  s.id = STYLE_ID;
+  s.textContent = `
+    .tpd-backdrop {
+      position: fixed;
+      inset: 0;
+      background: rgba(20, 34, 60, 0.35);
+      z-index: 10000;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    .tpd-dialog {
+      background: #fff;
+      border: 1px solid #b8c6e6;
+      border-radius: 10px;
+      box-shadow: 0 8px 28px -6px rgba(20, 34, 60, 0.45);
+      width: min(720px, 92vw);
+      max-height: 86vh;
+      display: flex;
+      flex-direction: column;
+      font-family: "Segoe UI", Arial, Helvetica, sans-serif;
+      font-size: 14px;
+      color: #234;
+    }
+    .tpd-header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      border-bottom: 1px solid #e3e8f3;
+      background: #f7f9ff;
+      border-radius: 10px 10px 0 0;
+      font-weight: 600;
+    }
+    .tpd-notes {
+      margin: 0;
+      padding: 6px 10px 6px 28px;
+      background: #fff8e6;
+      border-bottom: 1px solid #f0e0b0;
+      color: #7a5200;
+      font-size: 12px;
+      max-height: 120px;
+      overflow: auto;
+    }
+    .tpd-attachments {
+      padding: 4px 10px;
+      border-bottom: 1px solid #e3e8f3;
+      color: #567;
+      font-size: 12px;
+    }
+    .tpd-text {
+      flex: 1 1 auto;
+      min-height: 240px;
+      margin: 8px 10px;
+      font-family: Consolas, Menlo, monospace;
+      font-size: 12px;
+      white-space: pre;
+      resize: none;
+      border: 1px solid #d7deeb;
+      border-radius: 6px;
+      padding: 6px;
+    }
+    .tpd-footer {
+      display: flex;
+      justify-content: flex-end;
+      gap: 8px;
+      padding: 8px 10px;
+      border-top: 1px solid #e3e8f3;
+    }
+    .tpd-btn {
+      font: inherit;
+      color: #234;
+      border: 1px solid #8ca6c6;
+      background: #fff;
+      border-radius: 7px;
+      padding: 4px 10px;
+      cursor: pointer;
+    }
+  `;
+  document.head.appendChild(s);
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Trigger a browser download of a text payload.
+ */
+export function downloadTextFile(filename, text, mimeType = 'text/plain;charset=utf-8') {
+  try {
+    const blob = new Blob([text], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      try { document.body.removeChild(a); } catch {}
+      try { URL.revokeObjectURL(url); } catch {}
+    }, 0);
+  } catch (e) {
+    log("ERROR", "[text-preview-dialog] downloadTextFile failed", e);
+  }
+}
+
+/**
+ * Trigger a browser download of a data: URL (e.g. a canvas PNG).
+ */
+export function downloadDataUrl(filename, dataUrl) {
+  try {
+    const a = document.createElement('a');
+    a.href = dataUrl;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    setTimeout(() => {
+      try { document.body.removeChild(a); } catch {}
+    }, 0);
+  } catch (e) {
+    log("ERROR", "[text-preview-dialog] downloadDataUrl failed", e);
+  }
+}
+
+/**
+ * Modal preview of a generated text file with Copy / Download / Close.
+ * Omit filename for a read-only report (no Download button).
+ * attachments ([{ filename, dataUrl }]) are downloaded together with the
+ * text and listed under the header.
+ * @returns {function} close
+ */
+export function openTextPreviewDialog({ title = "Preview", text = "", notes = [], filename = null, mimeType, attachments = [] } = {}) {
+  ensureDialogStyles();
+
+  const backdrop = document.createElement('div');
+  backdrop.className = 'tpd-backdrop';
+  const notesHtml = Array.isArray(notes) && notes.length
+    ? `<ul class="tpd-notes">${notes.map(n => `<li>${escapeHtml(n)}</li>`).join('')}</ul>`
+    : '';
+  backdrop.innerHTML = `
+    <div class="tpd-dialog" role="dialog" aria-modal="true">
+      <div class="tpd-header"><span style="flex:1 1 auto;">${escapeHtml(title)}</span>
+        ${filename ? `<span style="font-weight:400;font-size:12px;color:#567;">${escapeHtml(filename)}</span>` : ''}
+      </div>
+      ${notesHtml}
+      ${filename && attachments.length ? `<div class="tpd-attachments">Also saves: ${attachments.map(a => escapeHtml(a.filename)).join(', ')}</div>` : ''}
+      <textarea class="tpd-text" readonly spellcheck="false"></textarea>
+      <div class="tpd-footer">
+        <button class="tpd-btn" data-act="copy">Copy</button>
+        ${filename ? '<button class="tpd-btn" data-act="download">Download</button>' : ''}
+        <button class="tpd-btn" data-act="close">Close</button>
+      </div>
+    </div>
+  `;
+  const textarea = backdrop.querySelector('.tpd-text');
+  textarea.value = text;
+
+  function close() {
+    try { document.removeEventListener('keydown', onKey, true); } catch {}
+    try { backdrop.remove(); } catch {}
+  }
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    }
+  }
+
+  backdrop.addEventListener('click', async (e) => {
+    if (e.target === backdrop) { close(); return; }
+    const act = e.target?.getAttribute?.('data-act');
+    if (!act) return;
+    try {
+      if (act === 'copy') {
+        await navigator.clipboard.writeText(text);
+        e.target.textContent = 'Copied ✓';
+        setTimeout(() => { e.target.textContent = 'Copy'; }, 1000);
+      } else if (act === 'download') {
+        downloadTextFile(filename, text, mimeType);
+        attachments.forEach(a => downloadDataUrl(a.filename, a.dataUrl));
+        log("INFO", "[text-preview-dialog] Downloaded from preview", { filename, bytes: text.length, attachments: attachments.length });
+      } else if (act === 'close') {
+        close();
+      }
+    } catch (err) {
+      log("ERROR", "[text-preview-dialog] Action failed", { act, error: err });
+    }
+  });
+  document.addEventListener('keydown', onKey, true);
+
+  document.body.appendChild(backdrop);
+  log("DEBUG", "[text-preview-dialog] Opened", { title, filename, notes: notes?.length || 0 });
+  return close;
+}
@@ -0,0 +1,218 @@
+import { getState, sceneDesignerStore } from './state.js';
+import { log } from './log.js';
+import { getEffectiveCheckParams, isCheckParamSettingKey } from './check-params.js';
+import { getImagePixelData, hexToRgb } from './color-sampling.js';
+import { getShapeImageGeometry, imageToCanvasPoint } from './geometry/shape-rect.js';
+
+/*
+  Color region tolerance tint
+  ---------------------------
+  For each color region (require_color_region) tints the background pixels
+  inside its exported X1,Y1,X2,Y2 box by how they compare to the expected
+  color, using the matcher's per-channel distance (max |ΔR|,|ΔG|,|ΔB|):
+
+    red    distance > tolerance            (pixel fails the check)
+    amber  distance > 75% of tolerance     (passes, but close to failing)
+
+  A "% outside" caption is drawn above the box, so a region that only passes
+  on this exact screenshot is obvious. Setting toleranceTintOverlay:
+  'off' | 'selected' | 'all' (default).
+
+  Tints are built once per (image, box, color, tolerance) into an offscreen
+  canvas and drawn on the Fabric top context after each render (cleared in
+  before:render by selection-outlines.js).
+*/
+
+const MARGIN_RATIO = 0.75;
+const MAX_TINT_PIXELS = 4 * 1024 * 1024;
+const OUTSIDE_RGBA = [230, 30, 45, 150];
+const MARGIN_RGBA = [255, 170, 0, 110];
+const CAPTION_FONT_PX = 11;
+
+const tintCache = new WeakMap();
+
+function getTopContext(canvas) {
+  return canvas?.contextTop ||
+    (canvas?.upperCanvasEl && canvas.upperCanvasEl.getContext && canvas.upperCanvasEl.getContext('2d')) ||
+    null;
+}
+
+function getDpr(canvas) {
+  try {
+    if (typeof canvas.getRetinaScaling === 'function') return canvas.getRetinaScaling();
+  } catch {}
+  return (typeof window !== 'undefined' && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+}
+
+function getOverlayTargets() {
+  const state = getState();
+  const mode = state.settings?.toleranceTintOverlay || 'all';
+  if (mode === 'off') return [];
+  const list = mode === 'selected' ? (state.selectedShapes || []) : (state.shapes || []);
+  return list.filter(s => s && s._type === 'region' && s._expectedColor);
+}
+
+/**
+ * Integer image-pixel box of a region, clipped to the image.
+ */
+function getRegionBox(shape, bgImage, pixels) {
+  const geom = getShapeImageGeometry(shape, bgImage);
+  if (!geom) return null;
+  const b = geom.bounds;
+  const x1 = Math.max(0, Math.round(b.x1));
+  const y1 = Math.max(0, Math.round(b.y1));
+  const x2 = Math.min(pixels.width - 1, Math.round(b.x2));
+  const y2 = Math.min(pixels.height - 1, Math.round(b.y2));
+  if (x2 < x1 || y2 < y1) return null;
+  return { x1, y1, x2, y2 };
+}
+
+function buildTint(pixels, box, rgb, tolerance) {
+  const w = box.x2 - box.x1 + 1;
+  const h = box.y2 - box.y1 + 1;
+  const c = document.createElement('canvas');
+  c.width = w;
+  c.height = h;
+  const ctx = c.getContext('2d');
+  const out = ctx.createImageData(w, h);
+  const margin = tolerance * MARGIN_RATIO;
+  const src = pixels.data;
+  let outside = 0;
+  let near = 0;
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const si = ((box.y1 + y) * pixels.width + (box.x1 + x)) * 4;
+      const d = Math.max(
+        Math.abs(src[si] - rgb.r),
+        Math.abs(src[si + 1] - rgb.g),
+        Math.abs(src[si + 2] - rgb.b)
+      );
+      let tint = null;
+      if (d > tolerance) { tint = OUTSIDE_RGBA; outside++; }
+      else if (d > margin) { tint = MARGIN_RGBA; near++; }
+      if (!tint) continue;
+      const oi = (y * w + x) * 4;
+      out.data[oi] = tint[0];
+      out.data[oi + 1] = tint[1];
+      out.data[oi + 2] = tint[2];
+      out.data[oi + 3] = tint[3];
+    }
+  }
+  ctx.putImageData(out, 0, 0);
+  return { canvas: c, outside, near, total: w * h };
+}
+
+function getTint(shape, pixels, bgImage) {
+  const box = getRegionBox(shape, bgImage, pixels);
+  const rgb = hexToRgb(shape._expectedColor);
+  if (!box || !rgb) return null;
+  const area = (box.x2 - box.x1 + 1) * (box.y2 - box.y1 + 1);
+  if (area > MAX_TINT_PIXELS) return null;
+
+  const { tolerance } = getEffectiveCheckParams(shape);
+  const key = `${getState().imageURL || ''}|${box.x1},${box.y1},${box.x2},${box.y2}|${shape._expectedColor}|${tolerance}`;
+  const cached = tintCache.get(shape);
+  if (cached && cached.key === key) return cached;
+
+  const tint = { key, box, ...buildTint(pixels, box, rgb, tolerance) };
+  tintCache.set(shape, tint);
+  log("DEBUG", "[tolerance-overlay] Tint rebuilt", {
+    id: shape._id, tolerance, outside: tint.outside, near: tint.near, total: tint.total
+  });
+  return tint;
+}
+
+function formatCaption(tint) {
+  const pct = (n) => {
+    const v = (n / tint.total) * 100;
+    return v > 0 && v < 0.1 ? '<0.1' : v.toFixed(1);
+  };
+  return `${pct(tint.outside)}% out · ${pct(tint.near)}% near`;
+}
+
+function paintToleranceTint(canvas) {
+  const targets = getOverlayTargets();
+  if (!targets.length) return;
+  const state = getState();
+  const pixels = getImagePixelData(state.imageObj);
+  if (!pixels) return;
+  const ctx = getTopContext(canvas);
+  if (!ctx) return;
+
+  const bgImage = state.bgFabricImage;
+  const dpr = getDpr(canvas);
+  const vt = Array.isArray(canvas.viewportTransform) ? canvas.viewportTransform : [1, 0, 0, 1, 0, 0];
+  const zoom = Math.max(0.0001, Math.abs(vt[0] || 1));
+  const sx = Number(bgImage?.scaleX) > 0 ? bgImage.scaleX : 1;
+  const sy = Number(bgImage?.scaleY) > 0 ? bgImage.scaleY : 1;
+  const left = Number.isFinite(bgImage?.left) ? bgImage.left : 0;
+  const top = Number.isFinite(bgImage?.top) ? bgImage.top : 0;
+
+  ctx.save();
+  try {
+    targets.forEach(shape => {
+      const tint = getTint(shape, pixels, bgImage);
+      if (!tint) return;
+
+      // Image space: one tint pixel per screenshot pixel.
+      ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+      ctx.transform(sx, 0, 0, sy, left, top);
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(tint.canvas, tint.box.x1, tint.box.y1);
+
+      ctx.setTransform(vt[0] * dpr, vt[1] * dpr, vt[2] * dpr, vt[3] * dpr, vt[4] * dpr, vt[5] * dpr);
+      const at = imageToCanvasPoint({ x: tint.box.x1, y: tint.box.y1 }, bgImage);
+      const caption = formatCaption(tint);
+      ctx.font = `${CAPTION_FONT_PX / zoom}px monospace`;
+      ctx.textBaseline = 'bottom';
+      const pad = 2 / zoom;
+      const tw = ctx.measureText(caption).width;
+      ctx.fillStyle = 'rgba(255,255,255,0.8)';
+      ctx.fillRect(at.x, at.y - CAPTION_FONT_PX / zoom - pad * 2, tw + pad * 2, CAPTION_FONT_PX / zoom + pad * 2);
+      ctx.fillStyle = tint.outside ? '#b3122a' : '#234';
+      ctx.fillText(caption, at.x + pad, at.y - pad);
+    });
+  } catch (e) {
+    log("ERROR", "[tolerance-overlay] Painter error", e);
+  } finally {
+    ctx.restore();
+  }
+}
+
+export function installToleranceOverlay(canvas) {
+  if (!canvas) {
+    log("ERROR", "[tolerance-overlay] install: canvas is null/undefined");
+    return () => {};
+  }
+
+  const painter = () => paintToleranceTint(canvas);
+  canvas.on('after:render', painter);
+
+  const rerender = () => {
+    try {
+      if (typeof canvas.requestRenderAll === 'function') canvas.requestRenderAll();
+      else canvas.renderAll();
+    } catch {}
+  };
+
+  const unsub = sceneDesignerStore.subscribe((state, details) => {
+    if (!details) return;
+    if (
+      details.type === 'updateShapes' ||
+      details.type === 'setSelectedShapes' ||
+      details.type === 'setImage' ||
+      details.type === 'setSettings' ||
+      (details.type === 'setSetting' && (details.key === 'toleranceTintOverlay' || isCheckParamSettingKey(details.key)))
+    ) {
+      rerender();
+    }
+  });
+
+  log("INFO", "[tolerance-overlay] Overlay installed");
+  return function detach() {
+    try { canvas.off('after:render', painter); } catch {}
+    try { unsub && unsub(); } catch {}
+    log("INFO", "[tolerance-overlay] Overlay detached");
+  };
+}
@@ -0,0 +1,35 @@
+import { log } from './log.js';
+import { resetExpectedColorForSelected } from './actions.js';
+import { toggleEyedropperMode } from './canvas-tool-mode.js';
+
+/**
+ * Toolbar "Expected" group: eyedropper toggle + return-to-auto.
+ * Enabled/active state is synced in toolbar-state.js.
+ */
+export function attachCheckHandlers(refs) {
+  const { eyedropperBtn, expectedAutoBtn } = refs || {};
+
+  const handlers = [];
+  function on(el, evt, fn) {
+    if (!el || typeof el.addEventListener !== "function") return;
+    el.addEventListener(evt, fn);
+    handlers.push(() => el.removeEventListener(evt, fn));
+  }
+
+  on(eyedropperBtn, 'click', () => {
+    try { toggleEyedropperMode(); } catch (e) {
+      log("ERROR", "[toolbar-check-handlers] Eyedropper toggle failed", e);
+    }
+  });
+  on(expectedAutoBtn, 'click', () => {
+    try { resetExpectedColorForSelected(); } catch (e) {
+      log("ERROR", "[toolbar-check-handlers] Expected color reset failed", e);
+    }
+  });
+
+  log("INFO", "[toolbar-check-handlers] Expected color handlers attached");
+  return function detach() {
+    handlers.forEach(off => { try { off(); } catch {} });
+    log("INFO", "[toolbar-check-handlers] Expected color handlers detached");
+  };
+}
@@ -124,6 +124,7 @@ function isDrawableChild(obj) {
     obj.type === 'rect' ||
     obj.type === 'circle' ||
     obj.type === 'ellipse' ||
+    obj.type === 'polygon' ||
     obj.type === 'line'
   );
 }
@@ -140,7 +141,7 @@ function readStrokeFromShape(shape) {
 function readFillFromShape(shape) {
   if (!shape || shape._type === 'point' || !Array.isArray(shape._objects)) return null;
   const child = shape._objects.find(o =>
-    isDrawableChild(o) && (o.type === 'rect' || o.type === 'circle' || o.type === 'ellipse')
+    isDrawableChild(o) && (o.type === 'rect' || o.type === 'circle' || o.type === 'ellipse' || o.type === 'polygon')
   );
   if (!child) return null;
   const fill = child.fill;
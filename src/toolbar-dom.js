@@ -29,8 +29,17 @@ export function renderToolbar(element) {
           <select id="toolbar-shape-type-select" title="Select a shape type">
             <option value="point">Point</option>
             <option value="rect">Rectangle</option>
+            <option value="region">Color Region</option>
+            <option value="template">Template</option>
             <option value="circle">Circle</option>
             <option value="ellipse">Ellipse</option>
+            <option value="polygon">Polygon</option>
+            <option value="line">Line</option>
+            <optgroup label="Actions">
+              <option value="tap">Tap</option>
+              <option value="longpress">Long-press</option>
+              <option value="swipe">Swipe</option>
+            </optgroup>
           </select>
           <button id="toolbar-add-shape-btn" class="toolbar-btn" title="Add shape">
             <span style="font-size:1em;margin-right:3px;">&#x2795;</span> Add
@@ -48,6 +57,16 @@ export function renderToolbar(element) {
           <button id="toolbar-undo-btn" class="toolbar-btn" title="Undo (Ctrl/Cmd+Z)">Undo</button>
           <button id="toolbar-redo-btn" class="toolbar-btn" title="Redo (Ctrl+Y or Ctrl/Cmd+Shift+Z)">Redo</button>
         </div>
+
+        <div class="toolbar-group" id="toolbar-view-group">
+          <span class="toolbar-label">View:</span>
+          <button id="toolbar-zoom-out-btn" class="toolbar-btn" type="button" title="Zoom out (Ctrl/Cmd+-)">−</button>
+          <span id="toolbar-zoom-label" class="toolbar-label" title="Screen pixels per image pixel (Ctrl/Cmd+wheel zooms, Space+drag or middle-drag pans)">100%</span>
+          <button id="toolbar-zoom-in-btn" class="toolbar-btn" type="button" title="Zoom in (Ctrl/Cmd+=)">+</button>
+          <button id="toolbar-zoom-fit-btn" class="toolbar-btn" type="button" title="Fit image to view (Ctrl/Cmd+0)">Fit</button>
+          <button id="toolbar-zoom-actual-btn" class="toolbar-btn" type="button" title="Actual pixels, 100% (Ctrl/Cmd+1)">1:1</button>
+          <button id="toolbar-zoom-selection-btn" class="toolbar-btn" type="button" title="Zoom to selection (Ctrl/Cmd+2)">Selection</button>
+        </div>
       </div>
 
       <div class="toolbar-row" id="toolbar-row-2">
@@ -80,11 +99,24 @@ export function renderToolbar(element) {
           <input id="toolbar-stroke-width-input" class="toolbar-input-number" type="number" min="1" max="20" step="1" value="1" title="Stroke width (px)" />
         </div>
 
+        <div class="toolbar-group" id="toolbar-expected-group">
+          <span class="toolbar-label">Expected:</span>
+          <button id="toolbar-eyedropper-btn" class="toolbar-btn" type="button" title="Pick expected color from the image (Shift+click keeps picking, Esc cancels)">Eyedropper</button>
+          <button id="toolbar-expected-auto-btn" class="toolbar-btn" type="button" title="Return expected color to automatic sampling">Auto</button>
+        </div>
+
         <div class="toolbar-group" id="toolbar-io-group">
           <span class="toolbar-label">Scene:</span>
+          <input id="toolbar-scene-name-input" class="toolbar-input-text" type="text" placeholder="Scene name" title="Scene name (INI section)" />
+          <select id="toolbar-scene-logic-select" title="Scene logic">
+            <option value="AND">AND</option>
+            <option value="OR">OR</option>
+          </select>
           <button id="toolbar-export-json-btn" class="toolbar-btn" title="Export scene as JSON">Export</button>
-          <button id="toolbar-import-json-btn" class="toolbar-btn" title="Import scene from JSON">Import</button>
-          <input id="toolbar-import-json-file" type="file" accept=".json,application/json" style="display:none" />
+          <button id="toolbar-export-ini-btn" class="toolbar-btn" title="Preview and download scene as .ini">Export INI</button>
+          <button id="toolbar-device-btn" class="toolbar-btn" title="Device profile: label, rescale, export for another resolution">Device…</button>
+          <button id="toolbar-import-json-btn" class="toolbar-btn" title="Import scene from JSON or .ini">Import</button>
+          <input id="toolbar-import-json-file" type="file" accept=".json,.ini,application/json,text/plain" style="display:none" />
         </div>
 
         <div class="toolbar-group" id="toolbar-debug-group">
@@ -113,6 +145,13 @@ export function renderToolbar(element) {
   const undoBtn = element.querySelector('#toolbar-undo-btn');
   const redoBtn = element.querySelector('#toolbar-redo-btn');
 
+  const zoomOutBtn = element.querySelector('#toolbar-zoom-out-btn');
+  const zoomLabel = element.querySelector('#toolbar-zoom-label');
+  const zoomInBtn = element.querySelector('#toolbar-zoom-in-btn');
+  const zoomFitBtn = element.querySelector('#toolbar-zoom-fit-btn');
+  const zoomActualBtn = element.querySelector('#toolbar-zoom-actual-btn');
+  const zoomSelectionBtn = element.querySelector('#toolbar-zoom-selection-btn');
+
   const alignLeftBtn = element.querySelector('#toolbar-align-left-btn');
   const alignCenterXBtn = element.querySelector('#toolbar-align-centerX-btn');
   const alignRightBtn = element.querySelector('#toolbar-align-right-btn');
@@ -124,7 +163,14 @@ export function renderToolbar(element) {
   const fillPickrEl = element.querySelector('#toolbar-fill-pickr');
   const strokeWidthInput = element.querySelector('#toolbar-stroke-width-input');
 
+  const eyedropperBtn = element.querySelector('#toolbar-eyedropper-btn');
+  const expectedAutoBtn = element.querySelector('#toolbar-expected-auto-btn');
+
+  const sceneNameInput = element.querySelector('#toolbar-scene-name-input');
+  const sceneLogicSelect = element.querySelector('#toolbar-scene-logic-select');
   const exportJsonBtn = element.querySelector('#toolbar-export-json-btn');
+  const exportIniBtn = element.querySelector('#toolbar-export-ini-btn');
+  const deviceBtn = element.querySelector('#toolbar-device-btn');
   const importJsonBtn = element.querySelector('#toolbar-import-json-btn');
   const importJsonFile = element.querySelector('#toolbar-import-json-file');
 
@@ -146,16 +192,28 @@ export function renderToolbar(element) {
     unlockBtn,
     undoBtn,
     redoBtn,
+    zoomOutBtn,
+    zoomLabel,
+    zoomInBtn,
+    zoomFitBtn,
+    zoomActualBtn,
+    zoomSelectionBtn,
     strokePickrEl,
     fillPickrEl,
     strokeWidthInput,
+    eyedropperBtn,
+    expectedAutoBtn,
     alignLeftBtn,
     alignCenterXBtn,
     alignRightBtn,
     alignTopBtn,
     alignMiddleYBtn,
     alignBottomBtn,
+    sceneNameInput,
+    sceneLogicSelect,
     exportJsonBtn,
+    exportIniBtn,
+    deviceBtn,
     importJsonBtn,
     importJsonFile,
     debugBtn,
@@ -167,7 +225,7 @@ export function renderToolbar(element) {
     log("WARN", "[toolbar-dom] Some toolbar refs are missing", { missing });
   }
 
-  log("INFO", "[toolbar-dom] Toolbar DOM rendered (export/import, undo/redo, color pickers, stroke width, settings toggle)");
+  log("INFO", "[toolbar-dom] Toolbar DOM rendered (export/import, undo/redo, zoom, color pickers, stroke width, settings toggle)");
   log("DEBUG", "[toolbar-dom] renderToolbar EXIT");
 
   return refs;
@@ -17,7 +17,10 @@ import { installColorPickers } from './toolbar-color.js';
 import { runDebugCapture } from './debug.js';
 import { undo, redo } from './commands/command-bus.js';
 import { setSettingAndSave } from './settings-core.js';
-import { exportSceneJSON, importSceneJSON } from './serialization/scene-io.js';
+import { attachSceneIOHandlers } from './toolbar-io-handlers.js';
+import { attachCheckHandlers } from './toolbar-check-handlers.js';
+import { attachViewHandlers } from './toolbar-view-handlers.js';
+import { togglePolygonDrawMode, toggleCreateMode, isCreatableShapeType } from './canvas-tool-mode.js';
 
 function resolveServerImageUrl(filename) {
   const base = (typeof window !== 'undefined' ? window.location.href : '');
@@ -50,57 +53,6 @@ function debounce(fn, wait = 140) {
   };
 }
 
-function pad2(n) {
-  return String(Math.max(0, Number(n) || 0)).padStart(2, '0');
-}
-function buildTimestampParts(d) {
-  return {
-    YYYY: String(d.getFullYear()),
-    MM: pad2(d.getMonth() + 1),
-    DD: pad2(d.getDate()),
-    hh: pad2(d.getHours()),
-    mm: pad2(d.getMinutes()),
-    ss: pad2(d.getSeconds())
-  };
-}
-function sanitizeFilename(name) {
-  if (typeof name !== 'string') return 'scene.json';
-  let s = name.trim();
-  s = s.replace(/[\\\/:*?"<>|\u0000-\u001F]/g, '_');
-  if (!s) s = 'scene.json';
-  return s;
-}
-function ensureExtension(name, fallbackExt = '.json') {
-  const idx = name.lastIndexOf('.');
-  if (idx > 0 && idx < name.length - 1) return name;
-  return name + fallbackExt;
-}
-function formatExportFilenameFromSettings() {
-  const s = getState().settings || {};
-  const tmpl = typeof s.exportFilename === 'string' ? s.exportFilename.trim() : '';
-  const now = new Date();
-  const parts = buildTimestampParts(now);
-
-  let filename = tmpl;
-  if (filename) {
-    filename = filename
-      .replace(/\{YYYY\}/g, parts.YYYY)
-      .replace(/\{MM\}/g, parts.MM)
-      .replace(/\{DD\}/g, parts.DD)
-      .replace(/\{hh\}/g, parts.hh)
-      .replace(/\{mm\}/g, parts.mm)
-      .replace(/\{ss\}/g, parts.ss);
-  } else {
-    filename = `scene-${parts.YYYY}${parts.MM}${parts.DD}-${parts.hh}${parts.mm}${parts.ss}.json`;
-  }
-
-  filename = sanitizeFilename(filename);
-  if (!/\.[A-Za-z0-9]+$/.test(filename)) {
-    filename = ensureExtension(filename, '.json');
-  }
-  return filename;
-}
-
 export function attachToolbarHandlers(refs) {
   if (!refs || typeof refs !== "object") {
     throw new Error("attachToolbarHandlers: refs object is required");
@@ -129,15 +81,15 @@ export function attachToolbarHandlers(refs) {
     strokePickrEl,
     fillPickrEl,
     strokeWidthInput,
-    exportJsonBtn,
-    importJsonBtn,
-    importJsonFile,
     debugBtn,
     settingsToggleBtn
   } = refs;
 
   const handlers = [];
   let detachPickrs = null;
+  let detachSceneIO = null;
+  let detachCheck = null;
+  let detachView = null;
 
   function on(el, evt, fn, opts) {
     if (!el || typeof el.addEventListener !== "function") return;
@@ -235,6 +187,16 @@ export function attachToolbarHandlers(refs) {
   const onAddShapeClick = () => {
     try {
       const type = shapeTypeSelect?.value || 'point';
+      // Polygons are drawn vertex by vertex on the canvas.
+      if (type === 'polygon') {
+        togglePolygonDrawMode();
+        return;
+      }
+      // Boxes, circles, ellipses and points are dragged out on the canvas.
+      if (isCreatableShapeType(type)) {
+        toggleCreateMode(type);
+        return;
+      }
       addShapeOfType(type);
     } catch (err) {
       log("ERROR", "[toolbar-handlers] Add shape failed", err);
@@ -504,72 +466,30 @@ export function attachToolbarHandlers(refs) {
   };
   if (settingsToggleBtn) on(settingsToggleBtn, 'click', onSettingsToggleClick);
 
-  function downloadText(filename, text) {
-    try {
-      const blob = new Blob([text], { type: 'application/json;charset=utf-8' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = filename;
-      document.body.appendChild(a);
-      a.click();
-      setTimeout(() => {
-        try { document.body.removeChild(a); } catch {}
-        try { URL.revokeObjectURL(url); } catch {}
-      }, 0);
-    } catch (e) {
-      log("ERROR", "[toolbar-handlers] downloadText failed", e);
-    }
+  try {
+    detachSceneIO = attachSceneIOHandlers(refs);
+  } catch (e) {
+    log("ERROR", "[toolbar-handlers] Failed to attach scene I/O handlers", e);
+  }
+  try {
+    detachCheck = attachCheckHandlers(refs);
+  } catch (e) {
+    log("ERROR", "[toolbar-handlers] Failed to attach expected color handlers", e);
+  }
+  try {
+    detachView = attachViewHandlers(refs);
+  } catch (e) {
+    log("ERROR", "[toolbar-handlers] Failed to attach zoom handlers", e);
   }
-
-  const onExportJsonClick = () => {
-    try {
-      const json = exportSceneJSON(true);
-      const fname = formatExportFilenameFromSettings();
-      downloadText(fname, json);
-      log("INFO", "[toolbar-handlers] Scene exported", { bytes: json.length, filename: fname });
-    } catch (e) {
-      log("ERROR", "[toolbar-handlers] Export scene failed", e);
-    }
-  };
-
-  const onImportJsonClick = () => {
-    try {
-      if (!importJsonFile) return;
-      importJsonFile.value = "";
-      importJsonFile.click();
-    } catch (e) {
-      log("ERROR", "[toolbar-handlers] Import click failed", e);
-    }
-  };
-
-  const onImportJsonFileChange = async (e) => {
-    try {
-      const file = e?.target?.files && e.target.files[0];
-      if (!file) return;
-      const text = await file.text();
-      const result = await importSceneJSON(text);
-      log("INFO", "[toolbar-handlers] Scene imported", {
-        filename: file.name,
-        shapesLoaded: result?.shapesLoaded ?? 0,
-        imageSet: !!result?.imageSet
-      });
-    } catch (err) {
-      log("ERROR", "[toolbar-handlers] Import scene failed", err);
-    } finally {
-      try { if (importJsonFile) importJsonFile.value = ""; } catch {}
-    }
-  };
-
-  on(exportJsonBtn, 'click', onExportJsonClick);
-  on(importJsonBtn, 'click', onImportJsonClick);
-  on(importJsonFile, 'change', onImportJsonFileChange);
 
   log("INFO", "[toolbar-handlers] Toolbar handlers attached (image & selection wrapper commands wired)");
   return function detach() {
     try {
       handlers.forEach(off => { try { off(); } catch {} });
       try { detachPickrs && detachPickrs(); } catch {}
+      try { detachSceneIO && detachSceneIO(); } catch {}
+      try { detachCheck && detachCheck(); } catch {}
+      try { detachView && detachView(); } catch {}
       log("INFO", "[toolbar-handlers] Toolbar handlers detached");
     } catch (e) {
       log("ERROR", "[toolbar-handlers] Detach handlers error", e);
@@ -0,0 +1,243 @@
+import { log } from './log.js';
+import { getState } from './state.js';
+import { setSceneName, setSceneLogic } from './actions.js';
+import {
+  exportSceneJSON,
+  importSceneJSON,
+  importSceneINI,
+  serializeDocumentINI
+} from './serialization/scene-io.js';
+import { downloadTextFile, openTextPreviewDialog } from './text-preview-dialog.js';
+import { openDeviceDialog } from './device-dialog.js';
+import { describeDeviceProfile, getProfileScreenSize } from './device-profiles.js';
+
+function pad2(n) {
+  return String(Math.max(0, Number(n) || 0)).padStart(2, '0');
+}
+function buildTimestampParts(d) {
+  return {
+    YYYY: String(d.getFullYear()),
+    MM: pad2(d.getMonth() + 1),
+    DD: pad2(d.getDate()),
+    hh: pad2(d.getHours()),
+    mm: pad2(d.getMinutes()),
+    ss: pad2(d.getSeconds())
+  };
+}
+function sanitizeFilename(name) {
+  if (typeof name !== 'string') return 'scene.json';
+  let s = name.trim();
+  s = s.replace(/[\\\/:*?"<>|\u0000-\u001F]/g, '_');
+  if (!s) s = 'scene.json';
+  return s;
+}
+function ensureExtension(name, fallbackExt = '.json') {
+  const idx = name.lastIndexOf('.');
+  if (idx > 0 && idx < name.length - 1) return name;
+  return name + fallbackExt;
+}
+
+/**
+ * Resolve the exportFilename template. For non-JSON exports the template's
+ * extension is swapped (scene-….json → scene-….ini).
+ */
+function formatExportFilenameFromSettings(ext = '.json') {
+  const s = getState().settings || {};
+  const tmpl = typeof s.exportFilename === 'string' ? s.exportFilename.trim() : '';
+  const now = new Date();
+  const parts = buildTimestampParts(now);
+
+  let filename = tmpl;
+  if (filename) {
+    filename = filename
+      .replace(/\{YYYY\}/g, parts.YYYY)
+      .replace(/\{MM\}/g, parts.MM)
+      .replace(/\{DD\}/g, parts.DD)
+      .replace(/\{hh\}/g, parts.hh)
+      .replace(/\{mm\}/g, parts.mm)
+      .replace(/\{ss\}/g, parts.ss);
+  } else {
+    filename = `scene-${parts.YYYY}${parts.MM}${parts.DD}-${parts.hh}${parts.mm}${parts.ss}${ext}`;
+  }
+
+  filename = sanitizeFilename(filename);
+  if (!/\.[A-Za-z0-9]+$/.test(filename)) {
+    filename = ensureExtension(filename, ext);
+  } else if (ext !== '.json' && /\.json$/i.test(filename)) {
+    filename = filename.replace(/\.json$/i, ext);
+  }
+  return filename;
+}
+
+function isIniFile(file, text) {
+  if (/\.ini$/i.test(file?.name || '')) return true;
+  if (/\.json$/i.test(file?.name || '')) return false;
+  return !String(text).trimStart().startsWith('{');
+}
+
+function showIniImportReport(filename, result) {
+  const errors = Array.isArray(result?.errors) ? result.errors : [];
+  const warnings = Array.isArray(result?.warnings) ? result.warnings : [];
+  if (!errors.length && !warnings.length) return;
+
+  const lines = errors.map(e =>
+    `Line ${e.line}: ${e.severity === 'warning' ? '(warning) ' : ''}${e.reason}\n    ${String(e.text).trim()}`
+  );
+  const failed = errors.filter(e => e.severity !== 'warning').length;
+  openTextPreviewDialog({
+    title: `INI import: ${result?.shapesLoaded ?? 0} shape(s), ${failed} line(s) not imported`,
+    text: lines.join('\n') || '(no line errors)',
+    notes: warnings
+  });
+  log("DEBUG", "[toolbar-io-handlers] INI import report shown", { filename, errors: errors.length, warnings: warnings.length });
+}
+
+export function attachSceneIOHandlers(refs) {
+  const {
+    sceneNameInput,
+    sceneLogicSelect,
+    exportJsonBtn,
+    exportIniBtn,
+    deviceBtn,
+    importJsonBtn,
+    importJsonFile
+  } = refs || {};
+
+  const handlers = [];
+  function on(el, evt, fn, opts) {
+    if (!el || typeof el.addEventListener !== "function") return;
+    el.addEventListener(evt, fn, opts || false);
+    handlers.push(() => el.removeEventListener(evt, fn, opts || false));
+  }
+
+  const onSceneNameCommit = () => {
+    try {
+      if (!sceneNameInput) return;
+      const name = sceneNameInput.value.trim();
+      if (name === (getState().sceneName || '')) return;
+      setSceneName(name);
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Scene name commit failed", e);
+    }
+  };
+  on(sceneNameInput, 'change', onSceneNameCommit);
+  on(sceneNameInput, 'keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      try { sceneNameInput.blur(); } catch {}
+    }
+  });
+
+  const onSceneLogicChange = () => {
+    try {
+      const logic = sceneLogicSelect?.value === 'OR' ? 'OR' : 'AND';
+      if (logic === getState().sceneLogic) return;
+      setSceneLogic(logic);
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Scene logic change failed", e);
+    }
+  };
+  on(sceneLogicSelect, 'change', onSceneLogicChange);
+
+  const onExportJsonClick = () => {
+    try {
+      const json = exportSceneJSON(true);
+      const fname = formatExportFilenameFromSettings('.json');
+      downloadTextFile(fname, json, 'application/json;charset=utf-8');
+      log("INFO", "[toolbar-io-handlers] Scene exported", { bytes: json.length, filename: fname });
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Export scene failed", e);
+    }
+  };
+
+  // options.target: device profile to convert coordinates to (device-dialog.js).
+  const openIniPreview = (options = {}) => {
+    try {
+      const { target = null } = options;
+      const { text, warnings, entryCount, actionCount, sceneCount, attachments } = serializeDocumentINI(options);
+      let fname = formatExportFilenameFromSettings('.ini');
+      const size = getProfileScreenSize(target);
+      if (size) fname = fname.replace(/\.ini$/i, `-${size.width}x${size.height}.ini`);
+      const actionsPart = actionCount ? `, ${actionCount} action${actionCount === 1 ? '' : 's'}` : '';
+      const targetPart = target ? ` for ${describeDeviceProfile(target)}` : '';
+      openTextPreviewDialog({
+        title: `Export INI${targetPart} (${sceneCount} scene${sceneCount === 1 ? '' : 's'}, ${entryCount} check${entryCount === 1 ? '' : 's'}${actionsPart})`,
+        text,
+        notes: warnings,
+        filename: fname,
+        mimeType: 'text/plain;charset=utf-8',
+        attachments
+      });
+      log("INFO", "[toolbar-io-handlers] INI preview opened", {
+        entryCount,
+        actionCount,
+        warnings: warnings.length,
+        attachments: attachments.length,
+        target: targetPart || null,
+        filename: fname
+      });
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Export INI failed", e);
+    }
+  };
+  const onExportIniClick = () => openIniPreview();
+
+  const onDeviceClick = () => {
+    try {
+      openDeviceDialog({ onExportIni: openIniPreview });
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Device dialog failed", e);
+    }
+  };
+
+  const onImportJsonClick = () => {
+    try {
+      if (!importJsonFile) return;
+      importJsonFile.value = "";
+      importJsonFile.click();
+    } catch (e) {
+      log("ERROR", "[toolbar-io-handlers] Import click failed", e);
+    }
+  };
+
+  const onImportJsonFileChange = async (e) => {
+    try {
+      const file = e?.target?.files && e.target.files[0];
+      if (!file) return;
+      const text = await file.text();
+      if (isIniFile(file, text)) {
+        const result = await importSceneINI(text);
+        showIniImportReport(file.name, result);
+        log("INFO", "[toolbar-io-handlers] INI scene imported", {
+          filename: file.name,
+          shapesLoaded: result?.shapesLoaded ?? 0,
+          errors: result?.errors?.length ?? 0
+        });
+        return;
+      }
+      const result = await importSceneJSON(text);
+      log("INFO", "[toolbar-io-handlers] Scene imported", {
+        filename: file.name,
+        shapesLoaded: result?.shapesLoaded ?? 0,
+        sceneCount: result?.sceneCount ?? 1,
+        imageSet: !!result?.imageSet
+      });
+    } catch (err) {
+      log("ERROR", "[toolbar-io-handlers] Import scene failed", err);
+    } finally {
+      try { if (importJsonFile) importJsonFile.value = ""; } catch {}
+    }
+  };
+
+  on(exportJsonBtn, 'click', onExportJsonClick);
+  on(exportIniBtn, 'click', onExportIniClick);
+  on(deviceBtn, 'click', onDeviceClick);
+  on(importJsonBtn, 'click', onImportJsonClick);
+  on(importJsonFile, 'change', onImportJsonFileChange);
+
+  log("INFO", "[toolbar-io-handlers] Scene I/O handlers attached (JSON export/import, INI preview/import, device profile)");
+  return function detach() {
+    handlers.forEach(off => { try { off(); } catch {} });
+    log("INFO", "[toolbar-io-handlers] Scene I/O handlers detached");
+  };
+}
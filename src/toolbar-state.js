@@ -16,7 +16,7 @@ function setEnabled(el, enabled, disabledTitle, enabledTitle) {
 }
 
 function isDrawableChild(obj) {
-  return !!obj && !obj._isDiagnosticLabel && (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse' || obj.type === 'line');
+  return !!obj && !obj._isDiagnosticLabel && (obj.type === 'rect' || obj.type === 'circle' || obj.type === 'ellipse' || obj.type === 'polygon' || obj.type === 'line');
 }
 function readStrokeWidthFromShape(shape) {
   try {
@@ -60,9 +60,28 @@ export function installButtonsStateSync(refs) {
     alignBottomBtn,
     undoBtn,
     redoBtn,
-    strokeWidthInput
+    zoomLabel,
+    zoomSelectionBtn,
+    strokeWidthInput,
+    eyedropperBtn,
+    expectedAutoBtn,
+    addShapeBtn,
+    sceneNameInput,
+    sceneLogicSelect
   } = refs || {};
 
+  function syncSceneFields() {
+    const state = getState();
+    if (sceneNameInput && document.activeElement !== sceneNameInput) {
+      const name = state.sceneName || '';
+      if (sceneNameInput.value !== name) sceneNameInput.value = name;
+    }
+    if (sceneLogicSelect) {
+      const logic = state.sceneLogic === 'OR' ? 'OR' : 'AND';
+      if (sceneLogicSelect.value !== logic) sceneLogicSelect.value = logic;
+    }
+  }
+
   function syncStrokeWidthInput() {
     if (!strokeWidthInput) return;
     if (document.activeElement === strokeWidthInput) return;
@@ -95,7 +114,7 @@ export function installButtonsStateSync(refs) {
     const anyLockedInStore = shapes.some(s => s && s.locked);
 
     const anyRotatableSelected = selected.some(s =>
-      s && !s.locked && (s._type === 'rect' || s._type === 'circle' || s._type === 'ellipse')
+      s && !s.locked && (s._type === 'rect' || s._type === 'region' || s._type === 'circle' || s._type === 'ellipse')
     );
 
     const canAlign = selectedCount >= 2;
@@ -186,7 +205,38 @@ export function installButtonsStateSync(refs) {
       "Align bottom (2+ selected)"
     );
 
+    const picking = getState().toolMode === 'eyedropper';
+    const hasImage = !!getState().imageObj;
+    setEnabled(
+      eyedropperBtn,
+      picking || (anyUnlockedSelected && hasImage),
+      hasImage ? "Select unlocked shape(s) to pick an expected color" : "Load an image to pick colors",
+      picking ? "Cancel eyedropper (Esc)" : "Pick expected color from the image (Shift+click keeps picking, Esc cancels)"
+    );
+    if (eyedropperBtn) eyedropperBtn.classList.toggle('active', picking);
+    if (addShapeBtn) addShapeBtn.classList.toggle('active', getState().toolMode === 'polygon' || getState().toolMode === 'create');
+
+    setEnabled(
+      expectedAutoBtn,
+      selected.some(s => s && !s.locked && s._expectedColorMode === 'manual'),
+      "No pinned expected colors in selection",
+      "Return expected color to automatic sampling"
+    );
+
+    setEnabled(
+      zoomSelectionBtn,
+      selectedCount > 0,
+      "Select shape(s) to zoom to",
+      "Zoom to selection (Ctrl/Cmd+2)"
+    );
+    if (zoomLabel) {
+      const zoom = getState().viewZoom || 1;
+      const text = `${zoom < 0.1 ? (zoom * 100).toFixed(1) : Math.round(zoom * 100)}%`;
+      if (zoomLabel.textContent !== text) zoomLabel.textContent = text;
+    }
+
     syncStrokeWidthInput();
+    syncSceneFields();
   }
 
   function updateUndoRedoFromSnapshot() {
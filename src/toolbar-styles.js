@@ -108,6 +108,11 @@ export function ensureToolbarStylesInjected() {
       box-shadow: 0 2px 7px -2px #b8c6e6;
     }
 
+    .toolbar-btn.active {
+      background: #dfeaff;
+      border-color: #2176ff;
+    }
+
     .toolbar-btn.disabled,
     .toolbar-btn[aria-disabled="true"] {
       opacity: 0.45;
@@ -178,6 +183,23 @@ export function ensureToolbarStylesInjected() {
     .toolbar-input-number::-webkit-inner-spin-button {
       height: auto;
     }
+    .toolbar-input-text {
+      font: inherit;
+      color: #234;
+      background: #fff;
+      border: 1.2px solid #8ca6c6;
+      border-radius: 7px;
+      padding: 0.3em 0.55em;
+      line-height: 1.2;
+      width: 9em;
+      box-sizing: border-box;
+      outline: none;
+    }
+    .toolbar-input-text:focus-visible {
+      border-color: #2176ff;
+      outline: 2px solid rgba(33,118,255,0.25);
+      outline-offset: 2px;
+    }
     .toolbar-input-number {
       -moz-appearance: textfield;
     }
@@ -253,6 +275,13 @@ export function ensureToolbarStylesInjected() {
       gap: 6px;
     }
 
+    #toolbar-zoom-label {
+      display: inline-block;
+      min-width: 3.6em;
+      text-align: center;
+      font-variant-numeric: tabular-nums;
+    }
+
     @media (max-width: 1100px) {
       .toolbar-row {
         flex-wrap: wrap;
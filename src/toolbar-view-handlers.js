@@ -0,0 +1,36 @@
+import { log } from './log.js';
+import { zoomIn, zoomOut, zoomToFit, zoomToActualSize, zoomToSelection } from './canvas-viewport.js';
+
+/**
+ * Toolbar "View" group: zoom in / out, fit, 1:1 and zoom to selection.
+ * The zoom readout and enabled state are synced in toolbar-state.js.
+ */
+export function attachViewHandlers(refs) {
+  const { zoomOutBtn, zoomInBtn, zoomFitBtn, zoomActualBtn, zoomSelectionBtn } = refs || {};
+
+  const handlers = [];
+  function on(el, evt, fn) {
+    if (!el || typeof el.addEventListener !== "function") return;
+    el.addEventListener(evt, fn);
+    handlers.push(() => el.removeEventListener(evt, fn));
+  }
+  function wire(el, name, fn) {
+    on(el, 'click', () => {
+      try { fn(); } catch (e) {
+        log("ERROR", `[toolbar-view-handlers] ${name} failed`, e);
+      }
+    });
+  }
+
+  wire(zoomOutBtn, 'Zoom out', () => zoomOut());
+  wire(zoomInBtn, 'Zoom in', () => zoomIn());
+  wire(zoomFitBtn, 'Zoom to fit', () => zoomToFit());
+  wire(zoomActualBtn, 'Zoom to 100%', () => zoomToActualSize());
+  wire(zoomSelectionBtn, 'Zoom to selection', () => zoomToSelection());
+
+  log("INFO", "[toolbar-view-handlers] Zoom handlers attached");
+  return function detach() {
+    handlers.forEach(off => { try { off(); } catch {} });
+    log("INFO", "[toolbar-view-handlers] Zoom handlers detached");
+  };
+}
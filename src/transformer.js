@@ -1,6 +1,9 @@
 import { getState } from './state.js';
 import { log } from './log.js';
 import { getShapeDef } from './shape-defs.js';
+import fabric from './fabric-wrapper.js';
+import { getPolygonPoints, setPolygonPoints } from './shapes-polygon.js';
+import { getLineEndpoints, setLineEndpoints } from './shapes-line.js';
 
 const ANCHOR_TO_FABRIC_KEY = {
   'top-left': 'tl',
@@ -76,6 +79,54 @@ function enforceCircleUniformScaling(shape) {
   }
 }
 
+/**
+ * Polygons, lines and swipes replace Fabric's box controls with one handle per
+ * vertex / endpoint. Dragging a handle moves that point live; the first call
+ * of a gesture stashes the pre-drag points on the transform
+ * (transform.vertexPrev) so canvas-vertex-edit.js can commit one
+ * SET_POLYGON_POINTS / SET_LINE_POINTS on object:modified.
+ */
+const VERTEX_EDITORS = {
+  polygon: { getPoints: getPolygonPoints, setPoints: setPolygonPoints, actionName: 'modifyPolygon' },
+  line: { getPoints: getLineEndpoints, setPoints: setLineEndpoints, actionName: 'modifyLine' },
+  swipe: { getPoints: getLineEndpoints, setPoints: setLineEndpoints, actionName: 'modifyLine' }
+};
+
+function applyVertexControls(shape, editor) {
+  const { getPoints, setPoints, actionName } = editor;
+  const count = getPoints(shape).length;
+  const controls = {};
+  for (let i = 0; i < count; i++) {
+    controls[`p${i}`] = new fabric.Control({
+      actionName,
+      cursorStyle: 'pointer',
+      pointIndex: i,
+      cursorStyleHandler: (eventData, control, target) => (target?.locked ? 'not-allowed' : 'pointer'),
+      positionHandler(dim, finalMatrix, target) {
+        const pt = getPoints(target)[i];
+        if (!pt) return new fabric.Point(-1e6, -1e6);
+        const vt = target.canvas?.viewportTransform || [1, 0, 0, 1, 0, 0];
+        return fabric.util.transformPoint(new fabric.Point(pt.x, pt.y), vt);
+      },
+      actionHandler(eventData, transform, x, y) {
+        const target = transform.target;
+        if (!target || target.locked) return false;
+        const pts = getPoints(target);
+        if (!pts[i]) return false;
+        if (!transform.vertexPrev) transform.vertexPrev = pts.map(p => ({ ...p }));
+        pts[i] = { x, y };
+        return setPoints(target, pts);
+      },
+      render: fabric.controlsUtils.renderCircleControl
+    });
+  }
+  shape.controls = controls;
+  shape.set({ hasControls: true, cornerStyle: 'circle', transparentCorners: false });
+  if (typeof shape.setCoords === "function") {
+    try { shape.setCoords(); } catch {}
+  }
+}
+
 export function attachTransformerForShape(shape) {
   const canvas = getState().fabricCanvas;
   if (!canvas || !shape) return null;
@@ -106,7 +157,8 @@ export function attachTransformerForShape(shape) {
   });
 
   if (shape._type === 'circle') enforceCircleUniformScaling(shape);
-  applyControlsForDef(shape, def);
+  if (VERTEX_EDITORS[shape._type]) applyVertexControls(shape, VERTEX_EDITORS[shape._type]);
+  else applyControlsForDef(shape, def);
 
   if (typeof canvas.requestRenderAll === "function") canvas.requestRenderAll();
   else canvas.renderAll();